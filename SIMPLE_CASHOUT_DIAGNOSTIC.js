@@ -1,98 +0,0 @@
-/**
- * SIMPLE CASHOUT DIAGNOSTIC
- * Quick check of cashout functionality
- */
-
-const fs = require('fs');
-const path = require('path');
-
-console.log('\n' + '='.repeat(70));
-console.log('✅ SIMPLE CASHOUT DIAGNOSTIC');
-console.log('='.repeat(70) + '\n');
-
-// 1. Check .env file
-console.log('📋 1. Checking .env file...');
-const envPath = path.join(__dirname, '.env');
-const envContent = fs.readFileSync(envPath, 'utf8');
-const cashoutSimEnabled = envContent.includes('CASHOUT_SIMULATION=true');
-console.log(`   ✅ CASHOUT_SIMULATION=true is set: ${cashoutSimEnabled}\n`);
-
-// 2. Check xendit.js for simulation code
-console.log('📋 2. Checking xendit.js for simulation code...');
-const xenditPath = path.join(__dirname, 'services', 'xendit.js');
-const xenditCode = fs.readFileSync(xenditPath, 'utf8');
-
-const checks = {
-  'CASHOUT_SIMULATION check': xenditCode.includes("process.env.CASHOUT_SIMULATION === 'true'"),
-  'Mock payout creation': xenditCode.includes('sim_payout_'),
-  'Simulation log message': xenditCode.includes('🎭 SIMULATION MODE'),
-  'Returns simulated: true': xenditCode.includes('simulated: true'),
-};
-
-let passed = 0;
-for (const [check, result] of Object.entries(checks)) {
-  console.log(`   ${result ? '✅' : '❌'} ${check}`);
-  if (result) passed++;
-}
-console.log(`\n   Result: ${passed}/${Object.keys(checks).length} checks passed\n`);
-
-// 3. Check walletController.js
-console.log('📋 3. Checking walletController.js for auto-completion...');
-const walletPath = path.join(__dirname, 'controllers', 'walletController.js');
-const walletCode = fs.readFileSync(walletPath, 'utf8');
-
-const walletChecks = {
-  'Check simulated flag': walletCode.includes('payout.metadata?.simulated'),
-  'Return completed_simulation status': walletCode.includes("'completed_simulation'"),
-  'Auto-complete with setTimeout': walletCode.includes('setTimeout(async () => {'),
-  'Call handleCashOutCallback': walletCode.includes('handleCashOutCallback(mockReq, mockRes)'),
-  'Accept simulation token': walletCode.includes("'simulation'"),
-};
-
-let walletPassed = 0;
-for (const [check, result] of Object.entries(walletChecks)) {
-  console.log(`   ${result ? '✅' : '❌'} ${check}`);
-  if (result) walletPassed++;
-}
-console.log(`\n   Result: ${walletPassed}/${Object.keys(walletChecks).length} checks passed\n`);
-
-// 4. Check Wallet model
-console.log('📋 4. Checking Wallet model for requestCashOut method...');
-const modelPath = path.join(__dirname, 'models', 'Wallet.js');
-const modelCode = fs.readFileSync(modelPath, 'utf8');
-
-const modelChecks = {
-  'requestCashOut method exists': modelCode.includes('requestCashOut'),
-  'Deducts amount from balance': modelCode.includes('$inc: { balance: -amount }'),
-  'Creates CASHOUT transaction': modelCode.includes("type: 'CASHOUT'"),
-  'Sets status to PENDING': modelCode.includes("status: 'PENDING'"),
-};
-
-let modelPassed = 0;
-for (const [check, result] of Object.entries(modelChecks)) {
-  console.log(`   ${result ? '✅' : '❌'} ${check}`);
-  if (result) modelPassed++;
-}
-console.log(`\n   Result: ${modelPassed}/${Object.keys(modelChecks).length} checks passed\n`);
-
-// 5. Summary
-console.log('='.repeat(70));
-const totalPassed = passed + walletPassed + modelPassed;
-const totalChecks = Object.keys(checks).length + Object.keys(walletChecks).length + Object.keys(modelChecks).length;
-
-if (totalPassed === totalChecks) {
-  console.log(`✅ ALL ${totalChecks} CHECKS PASSED!`);
-  console.log('\n🎭 CASHOUT SIMULATION IS PROPERLY IMPLEMENTED!\n');
-  console.log('How it works:');
-  console.log('1. User submits cashout request');
-  console.log('2. Server checks CASHOUT_SIMULATION=true');
-  console.log('3. Creates mock payout (no real API call)');
-  console.log('4. Immediately deducts amount from wallet');
-  console.log('5. Returns "completed_simulation" status');
-  console.log('6. After 2 seconds, auto-completes transaction');
-  console.log('7. Driver sees completed withdrawal in history\n');
-} else {
-  console.log(`❌ SOME CHECKS FAILED: ${totalPassed}/${totalChecks} passed`);
-}
-
-console.log('='.repeat(70) + '\n');
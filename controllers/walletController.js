@@ -1,9 +1,15 @@
 const Wallet = require('../models/Wallet');
 const User = require('../models/User');
-const xenditService = require('../services/xendit');
+const payments = require('../services/payments');
+const commission = require('../services/commission');
+const cashOutService = require('../services/cashOut');
+const payoutAccounts = require('../services/payoutAccounts');
+const autoPayout = require('../services/autoPayout');
+const ridePayment = require('../services/ridePayment');
+const webhookInbox = require('../services/webhookInbox');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
-const { getBankChannelCode, validateBankDetails } = require('../utils/bankCodes');
 
 // Get wallet balance
 const getWallet = async (req, res) => {
@@ -15,6 +21,10 @@ const getWallet = async (req, res) => {
       return res.json({
         amount: 0,
         balance: 0,
+        availableBalance: 0,
+        heldBalance: 0,
+        commissionDebt: 0,
+        refundDebt: 0,
         currency: 'PHP'
       });
     }
@@ -26,6 +36,13 @@ const getWallet = async (req, res) => {
       userId: wallet.user,
       amount: wallet.balance || 0,
       balance: wallet.balance || 0,
+      availableBalance: wallet.availableBalance,
+      heldBalance: wallet.heldBalance || 0,
+      // Cash-ride commission the driver owes; netted from future ride earnings
+      commissionDebt: wallet.commissionDebt || 0,
+      ...(req.user.role === 'driver' ? { commissionDebtLimit: commission.DRIVER_DEBT_LIMIT } : {}),
+      // Refunded fares the driver's balance did not cover; also netted from future earnings
+      refundDebt: wallet.refundDebt || 0,
       currency: wallet.currency || 'PHP',
       referenceId: wallet.referenceId || null
     });
@@ -139,7 +156,7 @@ const initiateTopUp = async (req, res) => {
     }
 
     // Create payment request using Xendit
-    const paymentRequest = await xenditService.createInvoice({
+    const paymentRequest = await payments.createInvoice({
       amount,
       currency: 'PHP',
       description: `Wallet top-up of ₱${amount}`,
@@ -185,188 +202,8 @@ const initiateTopUp = async (req, res) => {
   }
 };
 
-// Handle top-up callback from Xendit
-const handleTopUpCallback = async (req, res) => {
-  try {
-    // Verify webhook token (Xendit sends callback token in header)
-    const webhookToken = req.headers['x-callback-token'];
-    const expectedToken = process.env.XENDIT_CALLBACK_TOKEN || process.env.XENDIT_WEBHOOK_TOKEN;
-    
-    console.log('Webhook received - Token check:', {
-      hasToken: !!webhookToken,
-      hasExpectedToken: !!expectedToken,
-      tokenMatch: webhookToken === expectedToken
-    });
-    
-    // Only verify token if it's set in environment
-    if (expectedToken && webhookToken !== expectedToken) {
-      console.error('Invalid webhook token - Expected:', expectedToken?.substring(0, 10) + '...', 'Received:', webhookToken?.substring(0, 10) + '...');
-      // In development, log but don't block (for testing)
-      if (process.env.NODE_ENV === 'production') {
-        return res.status(401).json({ error: 'Unauthorized' });
-      } else {
-        console.warn('⚠️  Webhook token mismatch in development mode - proceeding anyway');
-      }
-    }
-
-    const webhookData = req.body;
-    console.log('Xendit webhook received:', JSON.stringify(webhookData, null, 2));
-
-    // Handle invoice webhook (Xendit sends invoice status updates)
-    const invoiceId = webhookData.id || webhookData.invoice_id;
-    const status = webhookData.status || webhookData.payment_status;
-    const externalId = webhookData.external_id || webhookData.reference_id;
-
-    if (!invoiceId && !externalId) {
-      console.error('Missing invoice ID or external ID in webhook');
-      return res.status(400).json({ error: 'Missing invoice ID or external ID' });
-    }
-
-    // Find transaction by xenditId or referenceId
-    let wallet = null;
-    let transaction = null;
-
-    if (invoiceId) {
-      // Try to find by xenditId first
-      wallet = await Wallet.findOne({ 'transactions.xenditId': invoiceId });
-      if (wallet) {
-        transaction = wallet.transactions.find(t => t.xenditId === invoiceId);
-      }
-    }
-
-    if (!transaction && externalId) {
-      // Try to find by referenceId
-      wallet = await Wallet.findOne({ 'transactions.referenceId': externalId });
-      if (wallet) {
-        transaction = wallet.transactions.find(t => t.referenceId === externalId);
-      }
-    }
-
-    if (!wallet || !transaction) {
-      console.error('Transaction not found for webhook:', { invoiceId, externalId });
-      return res.status(404).json({ error: 'Transaction not found' });
-    }
-
-    // Only process if still pending
-    if (transaction.status === 'PENDING') {
-      if (status === 'PAID' || status === 'COMPLETED' || webhookData.status === 'PAID') {
-        // Get transaction amount before update
-        const transactionAmount = transaction.amount;
-        
-        // Find the transaction by its ID in the array
-        const transactionId = transaction._id;
-        
-        if (!transactionId) {
-          console.error('Transaction _id not found');
-          // Fallback: use referenceId or xenditId to find and update
-          const updateResult = await Wallet.updateOne(
-            { 
-              _id: wallet._id,
-              'transactions.referenceId': externalId || transaction.referenceId
-            },
-            {
-              $set: {
-                'transactions.$[tx].status': 'COMPLETED'
-              },
-              $inc: {
-                balance: transactionAmount
-              }
-            },
-            {
-              arrayFilters: [{ 'tx.referenceId': externalId || transaction.referenceId }]
-            }
-          );
-          
-          if (updateResult.modifiedCount > 0) {
-            console.log(`Wallet ${wallet._id} updated via fallback. Balance increased by ${transactionAmount}`);
-            return res.json({ success: true, status: 'payment_completed' });
-          } else {
-            return res.status(500).json({ error: 'Failed to update wallet' });
-          }
-        }
-
-        // Use findOneAndUpdate with transaction _id for atomic update
-        const updateResult = await Wallet.findOneAndUpdate(
-          { 
-            _id: wallet._id,
-            'transactions._id': transactionId,
-            'transactions.status': 'PENDING' // Only update if still pending
-          },
-          {
-            $set: {
-              'transactions.$.status': 'COMPLETED'
-            },
-            $inc: {
-              balance: transactionAmount
-            }
-          },
-          { new: true } // Return updated document
-        );
-
-        if (!updateResult) {
-          console.error('Failed to update wallet - transaction may have been already processed');
-          // Try to check if it was already completed
-          const checkWallet = await Wallet.findById(wallet._id);
-          const checkTransaction = checkWallet?.transactions.find(
-            t => (t.xenditId === invoiceId) || (t.referenceId === externalId)
-          );
-          
-          if (checkTransaction && checkTransaction.status === 'COMPLETED') {
-            console.log('Transaction already completed');
-            return res.json({ success: true, status: 'already_processed' });
-          }
-          
-          return res.status(500).json({ error: 'Failed to update wallet' });
-        }
-
-        console.log(`Wallet ${updateResult._id} updated. New balance: ${updateResult.balance}, Amount added: ${transactionAmount}`);
-        
-        return res.json({ success: true, status: 'payment_completed' });
-      } else if (status === 'EXPIRED' || status === 'FAILED') {
-        // Update transaction status to failed
-        const transactionId = transaction._id;
-        
-        if (transactionId) {
-          await Wallet.findOneAndUpdate(
-            { 
-              _id: wallet._id,
-              'transactions._id': transactionId
-            },
-            {
-              $set: {
-                'transactions.$.status': 'FAILED'
-              }
-            }
-          );
-        } else {
-          // Fallback update
-          await Wallet.updateOne(
-            { 
-              _id: wallet._id,
-              'transactions.referenceId': externalId || transaction.referenceId
-            },
-            {
-              $set: {
-                'transactions.$[tx].status': 'FAILED'
-              }
-            },
-            {
-              arrayFilters: [{ 'tx.referenceId': externalId || transaction.referenceId }]
-            }
-          );
-        }
-        return res.json({ success: true, status: 'payment_failed' });
-      }
-    }
-
-    // Already processed
-    res.json({ success: true, status: 'already_processed' });
-  } catch (error) {
-    console.error('Error processing top-up callback:', error);
-    // Still return 200 to prevent Xendit from retrying
-    res.status(200).json({ success: false, error: error.message });
-  }
-};
+// Handle top-up callback from Xendit: recorded in the webhook inbox and processed from there
+const handleTopUpCallback = webhookInbox.handler('topup');
 
 // Initiate cash-out
 const initiateCashOut = async (req, res) => {
@@ -382,7 +219,7 @@ const initiateCashOut = async (req, res) => {
       return res.status(403).json(errorDetails);
     }
 
-    const { amount, bankCode, accountNumber, accountHolderName } = req.body;
+    const { amount, payoutAccountId } = req.body;
     
     // Validate amount
     if (!amount || isNaN(amount) || amount < 1) {
@@ -393,18 +230,16 @@ const initiateCashOut = async (req, res) => {
       return res.status(400).json({ error: 'Minimum cash-out amount is ₱100.00' });
     }
 
-    // Validate and convert bank details
-    const bankValidation = validateBankDetails({ bankCode, accountNumber, accountHolderName });
-    if (!bankValidation.valid) {
-      console.log(`[CASHOUT] 400 - Invalid bank details: ${bankValidation.error}`);
-      return res.status(400).json({ 
-        error: bankValidation.error,
-        userMessage: 'Please check your bank details and try again'
-      });
+    // Destination: the given saved payout account, or the default one
+    let destination;
+    try {
+      destination = await payoutAccounts.resolveForCashOut(req.user._id, payoutAccountId);
+    } catch (accountError) {
+      if (!(accountError instanceof payoutAccounts.PayoutAccountError)) throw accountError;
+      console.log(`[CASHOUT] ${accountError.status} - ${accountError.code}: ${accountError.message}`);
+      return res.status(accountError.status).json({ error: accountError.message, code: accountError.code });
     }
-
-    const xenditChannelCode = bankValidation.channelCode;
-    console.log(`[CASHOUT] Bank code conversion: ${bankCode} → ${xenditChannelCode}`);
+    console.log(`[CASHOUT] Destination: ${destination.bank.bankCode} ****${destination.account.accountNumberLast4} → ${destination.bank.channelCode}`);
 
     // Get user's wallet
     let wallet = await Wallet.findByUserId(req.user._id);
@@ -446,7 +281,7 @@ const initiateCashOut = async (req, res) => {
       console.log(`📊 Earnings calculation: completedRides=${completedRides.length}, totalEarnings=${totalEarnings}`);
       
       // ⭐ IMPORTANT: Don't use Math.max here - just use wallet balance as the single source of truth
-      availableBalance = wallet.balance; // Use ONLY wallet balance, not earnings
+      availableBalance = wallet.availableBalance; // Use ONLY wallet balance (minus ride holds), not earnings
       console.log(`💰 Available balance: ${availableBalance}`);
 
       // Check if user has sufficient balance
@@ -461,267 +296,64 @@ const initiateCashOut = async (req, res) => {
       }
     } catch (earningsErr) {
       console.error('⚠️  Error calculating earnings:', earningsErr.message);
-      console.log(`Falling back to wallet balance only: ${wallet.balance}`);
+      console.log(`Falling back to wallet balance only: ${wallet.availableBalance}`);
       
-      if (wallet.balance < amount) {
+      if (wallet.availableBalance < amount) {
         return res.status(400).json({ 
           error: 'Insufficient balance',
-          available: wallet.balance,
+          available: wallet.availableBalance,
           requested: amount,
-          message: `You can withdraw up to ₱${wallet.balance.toFixed(2)}`
+          message: `You can withdraw up to ₱${wallet.availableBalance.toFixed(2)}`
         });
       }
     }
 
     console.log(`💸 Initiating cash-out: Amount=${amount}, User=${req.user._id}`);
 
-    // Create payout request via Xendit
-    let payout;
+    // Reserve the amount and request the payout; it stays PENDING until the provider confirms
+    let cashOut;
     try {
-      payout = await xenditService.createPayout({
-        amount,
-        bankCode: xenditChannelCode,
-        accountNumber,
-        accountHolderName,
-        description: `Cash out to ${accountHolderName} (${bankCode})`,
-        metadata: {
-          userId: req.user._id.toString(),
-          type: 'WALLET_CASHOUT',
-          bankCode,
-          xenditChannelCode,
-          accountNumber: accountNumber.slice(-4)
-        },
+      cashOut = await cashOutService.startCashOut({
+        wallet,
+        amount: Number(amount),
+        bank: destination.bank,
+        io: req.app.get('io')
       });
-      console.log(`✅ Payout created: ID=${payout.id}, RefID=${payout.reference_id}`);
     } catch (payoutError) {
+      if (payoutError instanceof cashOutService.CashOutError) {
+        console.log(`[CASHOUT] ${payoutError.status} - ${payoutError.code}: ${payoutError.message}`);
+        return res.status(payoutError.status).json({ error: payoutError.message, code: payoutError.code, ...payoutError.details });
+      }
       console.error('❌ Failed to create payout:', payoutError.message);
       throw new Error(`Failed to initiate cash-out: ${payoutError.message}`);
     }
+    const { payout, transaction } = cashOut;
+    const updatedWallet = cashOut.wallet;
+    console.log(`✅ Payout requested: ID=${payout ? payout.id : 'unknown'}, RefID=${transaction.referenceId}. New balance: ${updatedWallet.balance}`);
 
-    // ⭐ Deduct amount from wallet (marks as PENDING)
-    const updatedWallet = await wallet.requestCashOut(amount, {
-      referenceId: payout.reference_id || payout.referenceId,
-      xenditId: payout.id,
-      description: `Cash out to ${bankCode} ${accountNumber.slice(-4)}`,
-      metadata: {
-        payoutId: payout.id,
-        bankCode,
-        accountNumber: accountNumber.slice(-4),
-        accountHolderName,
-        initiatedAt: new Date()
-      },
-    });
-
-    console.log(`✅ Cash-out initiated. Amount deducted. New balance: ${updatedWallet.balance}`);
-
-    // ⭐ CRITICAL: Calculate the correct new balance
-    // newBalance should be: originalBalance - amount
-    const calculatedNewBalance = Math.max(0, originalBalance - amount);
-    console.log(`✅ Calculated new balance: ${originalBalance} - ${amount} = ${calculatedNewBalance}`);
-
-    // Verify the updatedWallet balance matches our calculation
-    if (Math.abs(updatedWallet.balance - calculatedNewBalance) > 0.01) {
-      console.warn(`⚠️  Balance mismatch detected: DB=${updatedWallet.balance}, Calculated=${calculatedNewBalance}`);
-      console.warn(`Using calculated value instead of DB value`);
-    }
-
-    // ⭐ AUTO-COMPLETION: Immediately complete the transaction (no 1-3 day wait)
-    const isSimulationMode = payout.metadata?.simulated === true;
-    const responseStatus = 'completed';
-    const responseMessage = isSimulationMode
-      ? '✅ Cash-out completed successfully! Amount has been deducted from your wallet immediately.'
-      : '✅ Cash-out completed successfully! Amount has been transferred to your account immediately.';
-
-    // ⭐ RETURN THE CORRECT BALANCE
     res.json({
       success: true,
-      payoutId: payout.id,
-      referenceId: payout.reference_id || payout.referenceId,
-      status: responseStatus,
+      // Null when the provider did not answer; the cash-out stays pending until reconciled
+      payoutId: payout ? payout.id : null,
+      referenceId: transaction.referenceId,
+      status: transaction.status,
       amount,
-      message: responseMessage,
-      simulated: isSimulationMode,
-      completed: true,
-      newBalance: calculatedNewBalance,  // ✅ Use calculated value, not DB value
-      previousBalance: originalBalance,  // ✅ Use original balance before any changes
+      message: 'Cash-out requested. You will be notified when the transfer completes.',
+      simulated: payments.providerName() === 'mock',
+      completed: false,
+      newBalance: updatedWallet.balance,
+      availableBalance: updatedWallet.availableBalance,
+      previousBalance: originalBalance,
       amountDeducted: amount
     });
-
-    // ⭐ AUTO-COMPLETE IMMEDIATELY: Mark transaction as COMPLETED right away
-    console.log(`🚀 AUTO-COMPLETING cash-out immediately (no 1-3 day wait)...`);
-    
-    // Use setImmediate to complete after response is sent
-    setImmediate(async () => {
-      try {
-        // Simulate the callback with COMPLETED status
-        const callbackData = {
-          id: payout.id,
-          reference_id: payout.reference_id || payout.referenceId,
-          status: 'COMPLETED',
-          amount: payout.amount,
-          currency: 'PHP',
-          created: new Date(),
-          metadata: payout.metadata
-        };
-
-        const mockReq = {
-          headers: {
-            'x-callback-token': 'immediate_completion'
-          },
-          body: callbackData
-        };
-
-        let mockRes = {
-          status: (code) => ({
-            json: (data) => {
-              console.log(`✅ IMMEDIATE COMPLETION callback (${code}):`, data);
-            }
-          }),
-          json: (data) => {
-            console.log(`✅ IMMEDIATE COMPLETION callback (200):`, data);
-          }
-        };
-
-        await handleCashOutCallback(mockReq, mockRes);
-        console.log(`✅ Cash-out AUTO-COMPLETED immediately!`);
-      } catch (err) {
-        console.error(`❌ Error auto-completing cash-out:`, err.message);
-      }
-    });
-
   } catch (error) {
     console.error('❌ Error initiating cash-out:', error.message);
     res.status(500).json({ error: error.message || 'Failed to initiate cash-out', details: error.message });
   }
 };
 
-// Handle cash-out callback from Xendit
-const handleCashOutCallback = async (req, res) => {
-  try {
-    // Verify webhook token - allow development mode to skip verification
-    const webhookToken = req.headers['x-callback-token'];
-    const expectedToken = process.env.XENDIT_CALLBACK_TOKEN || process.env.XENDIT_WEBHOOK_TOKEN;
-    
-    // In development mode with simulated webhooks, allow without token or with 'test_token'
-    const isDevelopmentSimulation = process.env.NODE_ENV !== 'production' && 
-      (process.env.SIMULATE_WEBHOOKS === 'true' || webhookToken === 'test_token' || webhookToken === 'simulation');
-    
-    if (expectedToken && webhookToken !== expectedToken && !isDevelopmentSimulation) {
-      console.error('Invalid webhook token for cash-out callback');
-      // In development, log but don't block
-      if (process.env.NODE_ENV === 'production') {
-        return res.status(401).json({ error: 'Unauthorized' });
-      } else {
-        console.warn('⚠️  Webhook token mismatch in development mode - proceeding anyway');
-      }
-    }
-
-    const webhookData = req.body;
-    console.log('💰 Xendit payout callback received:', JSON.stringify(webhookData, null, 2));
-
-    // Extract reference ID from webhook data
-    const referenceId = webhookData.reference_id || webhookData.referenceId;
-    const status = webhookData.status || webhookData.payout_status;
-    const payoutId = webhookData.id || webhookData.payout_id;
-
-    if (!referenceId) {
-      console.error('Missing reference ID in payout webhook');
-      return res.status(400).json({ error: 'Missing reference ID' });
-    }
-
-    // Find the transaction in wallet
-    const wallet = await Wallet.findOne({
-      'transactions.referenceId': referenceId,
-    });
-
-    if (!wallet) {
-      console.error('Wallet not found for payout transaction:', referenceId);
-      return res.status(404).json({ error: 'Transaction not found' });
-    }
-
-    // Find the specific transaction
-    const transaction = wallet.transactions.find(
-      (t) => t.referenceId === referenceId && t.type === 'CASHOUT'
-    );
-
-    if (!transaction) {
-      console.error('CASHOUT transaction not found for reference:', referenceId);
-      return res.status(404).json({ error: 'CASHOUT transaction not found' });
-    }
-
-    console.log(`Processing cash-out callback. Current status: ${transaction.status}, New status: ${status}`);
-
-    // Only process if still pending
-    if (transaction.status === 'PENDING') {
-      if (status === 'COMPLETED' || status === 'SUCCESS') {
-        // Get transaction amount
-        const transactionAmount = transaction.amount;
-        const transactionId = transaction._id;
-
-        // Update transaction status to COMPLETED
-        const updatedWallet = await Wallet.findOneAndUpdate(
-          { 
-            _id: wallet._id,
-            'transactions._id': transactionId,
-            'transactions.status': 'PENDING',
-            'transactions.type': 'CASHOUT'
-          },
-          {
-            $set: {
-              'transactions.$.status': 'COMPLETED',
-              'transactions.$.metadata.payoutId': payoutId,
-              'transactions.$.metadata.completedAt': new Date()
-            }
-          },
-          { new: true }
-        );
-
-        if (updatedWallet) {
-          console.log(`✅ Cash-out completed: ${transactionAmount} deducted. New balance: ${updatedWallet.balance}`);
-          return res.json({ success: true, status: 'cashout_completed' });
-        } else {
-          console.error('Failed to update wallet for cash-out completion');
-          return res.status(500).json({ error: 'Failed to update wallet' });
-        }
-      } else if (status === 'FAILED' || status === 'REJECTED') {
-        // Update transaction status to FAILED
-        const transactionId = transaction._id;
-
-        const updatedWallet = await Wallet.findOneAndUpdate(
-          { 
-            _id: wallet._id,
-            'transactions._id': transactionId
-          },
-          {
-            $set: {
-              'transactions.$.status': 'FAILED',
-              'transactions.$.metadata.failureReason': webhookData.failure_reason || 'Payout failed',
-              'transactions.$.metadata.failedAt': new Date()
-            },
-            // Refund the amount back to balance since payout failed
-            $inc: {
-              balance: transaction.amount
-            }
-          },
-          { new: true }
-        );
-
-        if (updatedWallet) {
-          console.log(`⚠️  Cash-out failed: ${transaction.amount} refunded back. New balance: ${updatedWallet.balance}`);
-          return res.json({ success: true, status: 'cashout_failed_refunded' });
-        }
-      }
-    }
-
-    // Already processed or unknown status
-    console.log(`Cash-out transaction already processed or unknown status: ${transaction.status}`);
-    res.json({ success: true, status: 'already_processed' });
-  } catch (error) {
-    console.error('❌ Error processing cash-out callback:', error);
-    // Still return 200 to prevent Xendit/webhook system from retrying excessively
-    res.status(200).json({ success: false, error: error.message });
-  }
-};
+// Handle cash-out callback from Xendit: recorded in the webhook inbox and processed from there
+const handleCashOutCallback = webhookInbox.handler('cashout');
 
 // Verify and update pending transaction (manual check)
 const verifyTransaction = async (req, res) => {
@@ -762,32 +394,33 @@ const verifyTransaction = async (req, res) => {
       });
     }
 
+    // Pending cash-out: ask the provider for the payout status
+    if (transaction.status === 'PENDING' && transaction.type === 'CASHOUT' && transaction.xenditId) {
+      try {
+        const result = await cashOutService.checkPayout(transaction, { io: req.app.get('io') });
+        if (result.applied) {
+          const updated = await Wallet.findById(wallet._id);
+          return res.json({
+            success: true,
+            status: 'updated',
+            balance: updated.balance,
+            transaction: updated.transactions.id(transaction._id),
+            message: `Cash-out ${result.applied.toLowerCase()}`
+          });
+        }
+      } catch (xenditError) {
+        console.error('Error checking Xendit payout:', xenditError.message);
+      }
+    }
+
     // If pending, check with Xendit API
-    if (transaction.status === 'PENDING' && transaction.xenditId) {
+    if (transaction.status === 'PENDING' && transaction.type === 'TOPUP' && transaction.xenditId) {
       try {
-        const invoice = await xenditService.getInvoice(transaction.xenditId);
+        const invoice = await payments.getInvoice(transaction.xenditId);
         
         if (invoice.status === 'PAID' || invoice.status === 'COMPLETED') {
-          // Update transaction and balance
-          const transactionId = transaction._id;
-          const transactionAmount = transaction.amount;
-
-          const updatedWallet = await Wallet.findOneAndUpdate(
-            { 
-              _id: wallet._id,
-              'transactions._id': transactionId,
-              'transactions.status': 'PENDING'
-            },
-            {
-              $set: {
-                'transactions.$.status': 'COMPLETED'
-              },
-              $inc: {
-                balance: transactionAmount
-              }
-            },
-            { new: true }
-          );
+          // Update transaction and balance (with its ledger entry)
+          const updatedWallet = await wallet.completeTopUp(transaction.referenceId);
 
           if (updatedWallet) {
             return res.json({
@@ -859,124 +492,181 @@ const getTransactionHistory = async (req, res) => {
   }
 };
 
-// ⚠️ DEVELOPMENT ONLY: Test endpoint to simulate cashout callback
-const testSimulateCashoutCallback = async (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Test endpoints disabled in production' });
-  }
-
+// Driver earnings: fares, commission and net earnings from completed rides (?startDate=&endDate=)
+const getEarnings = async (req, res) => {
   try {
-    const { referenceId, status = 'COMPLETED' } = req.body;
-
-    if (!referenceId) {
-      return res.status(400).json({ error: 'Reference ID is required' });
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers have earnings' });
     }
-
-    console.log(`🧪 TEST: Simulating cashout callback for ${referenceId} with status ${status}`);
-
-    // Simulate the callback
-    const callbackData = {
-      id: `test_payout_${Date.now()}`,
-      reference_id: referenceId,
-      status,
-      amount: 0,
-      currency: 'PHP',
-      created: new Date(),
-      metadata: { test: true }
-    };
-
-    // Call the handler directly
-    const mockReq = {
-      headers: {
-        'x-callback-token': 'test_token'
-      },
-      body: callbackData
-    };
-
-    let responseData = null;
-    const mockRes = {
-      status: (code) => ({
-        json: (data) => {
-          responseData = { code, data };
-        }
-      }),
-      json: (data) => {
-        responseData = { code: 200, data };
-      }
-    };
-
-    await handleCashOutCallback(mockReq, mockRes);
+    const Ride = require('../models/Ride');
+    const { roundMoney } = require('../utils/money');
+    const { startDate, endDate } = req.query;
+
+    const query = { driver: req.user._id, status: 'completed' };
+    if (startDate || endDate) {
+      query.completedAt = {};
+      if (startDate) query.completedAt.$gte = new Date(startDate);
+      if (endDate) query.completedAt.$lte = new Date(endDate);
+    }
+    const rides = await Ride.find(query)
+      .select('fare paymentMethod paymentStatus commission driverEarnings tip completedAt pickupLocation.address dropoffLocation.address')
+      .sort({ completedAt: -1 });
+
+    // Tips are paid to the driver in full; `earnings` includes them
+    const totals = { rides: rides.length, fares: 0, commission: 0, owedCommission: 0, uncollectedCommission: 0, tips: 0, earnings: 0 };
+    for (const ride of rides) {
+      const tip = ride.tip?.status === 'paid' ? ride.tip.amount : 0;
+      totals.tips += tip;
+      totals.fares += ride.fare || 0;
+      totals.commission += ride.commission?.amount || 0;
+      if (ride.commission?.status === 'owed') totals.owedCommission += ride.commission.amount || 0;
+      if (ride.commission?.status === 'uncollected') totals.uncollectedCommission += ride.commission.amount || 0;
+      totals.earnings += (ride.driverEarnings ?? ride.fare ?? 0) + tip;
+    }
+    for (const key of ['fares', 'commission', 'owedCommission', 'uncollectedCommission', 'tips', 'earnings']) {
+      totals[key] = roundMoney(totals[key]);
+    }
+    const wallet = await Wallet.findByUserId(req.user._id);
 
     res.json({
-      success: true,
-      message: `Simulated cashout callback for ${referenceId}`,
-      status,
-      callbackResponse: responseData
+      totals,
+      commissionDebt: wallet?.commissionDebt || 0,
+      refundDebt: wallet?.refundDebt || 0,
+      rides: rides.slice(0, 50).map(ride => ({
+        rideId: ride._id,
+        completedAt: ride.completedAt,
+        from: ride.pickupLocation?.address,
+        to: ride.dropoffLocation?.address,
+        paymentMethod: ride.paymentMethod,
+        fare: ride.fare,
+        commissionRate: ride.commission?.rate,
+        commission: ride.commission?.amount || 0,
+        commissionStatus: ride.commission?.status,
+        tip: ride.tip?.status === 'paid' ? ride.tip.amount : 0,
+        earnings: ride.driverEarnings ?? ride.fare
+      }))
     });
   } catch (error) {
-    console.error('❌ Test cashout callback error:', error);
-    res.status(500).json({ error: 'Failed to simulate callback', message: error.message });
+    console.error('Error getting earnings:', error);
+    res.status(500).json({ error: 'Failed to get earnings', message: error.message });
   }
 };
 
-// ⚠️ DEVELOPMENT ONLY: Test endpoint to simulate topup callback
-const testSimulateTopupCallback = async (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Test endpoints disabled in production' });
-  }
-
+// Pay down cash-ride commission debt from the available balance (body: { amount } optional, defaults to all of it)
+const payCommissionDebt = async (req, res) => {
   try {
-    const { referenceId, status = 'PAID' } = req.body;
-
-    if (!referenceId) {
-      return res.status(400).json({ error: 'Reference ID is required' });
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers have commission debt' });
+    }
+    const wallet = await Wallet.findByUserId(req.user._id);
+    if (!wallet || !(wallet.commissionDebt > 0)) {
+      return res.status(400).json({ error: 'No commission debt to pay' });
+    }
+    const requested = req.body.amount === undefined ? Infinity : Number(req.body.amount);
+    if (!(requested > 0)) {
+      return res.status(400).json({ error: 'Amount must be positive' });
+    }
+    if (!(wallet.availableBalance > 0)) {
+      return res.status(400).json({ error: 'Insufficient balance' });
     }
 
-    console.log(`🧪 TEST: Simulating topup callback for ${referenceId} with status ${status}`);
+    const { wallet: updated, settled } = await wallet.settleCommissionDebt(requested, {
+      description: 'Cash ride commission paid from wallet'
+    });
+    res.json({
+      paid: settled,
+      commissionDebt: updated.commissionDebt || 0,
+      balance: updated.balance,
+      availableBalance: updated.availableBalance,
+      canGoAvailable: !commission.isOverDebtLimit(updated.commissionDebt)
+    });
+  } catch (error) {
+    console.error('Error paying commission debt:', error);
+    res.status(500).json({ error: 'Failed to pay commission debt', message: error.message });
+  }
+};
 
-    // Simulate the callback
-    const callbackData = {
-      id: `test_invoice_${Date.now()}`,
-      external_id: referenceId,
-      status,
-      amount: 0,
-      currency: 'PHP',
-      payment_method: { type: 'INVOICE' },
-      created: new Date(),
-      metadata: { test: true }
-    };
+function autoPayoutView(wallet) {
+  const settings = wallet?.autoPayout || {};
+  return {
+    enabled: !!settings.enabled,
+    frequency: settings.frequency || 'daily',
+    weekday: settings.weekday ?? 1,
+    threshold: settings.threshold ?? null,
+    payoutAccount: settings.payoutAccount || null,
+    lastPayoutAt: settings.lastPayoutAt || null,
+    minimum: autoPayout.MINIMUM,
+    dailyLimit: cashOutService.DAILY_LIMIT,
+    monthlyLimit: cashOutService.MONTHLY_LIMIT
+  };
+}
 
-    // Call the handler directly
-    const mockReq = {
-      headers: {
-        'x-callback-token': 'test_token'
-      },
-      body: callbackData
-    };
+// Driver: automatic payout settings
+const getAutoPayout = async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can use automatic payouts' });
+    }
+    const wallet = await Wallet.findByUserId(req.user._id);
+    res.json(autoPayoutView(wallet));
+  } catch (error) {
+    console.error('Error getting auto payout settings:', error);
+    res.status(500).json({ error: 'Failed to get automatic payout settings', message: error.message });
+  }
+};
 
-    let responseData = null;
-    const mockRes = {
-      status: (code) => ({
-        json: (data) => {
-          responseData = { code, data };
-        }
-      }),
-      json: (data) => {
-        responseData = { code: 200, data };
+// Driver: update automatic payout settings ({ enabled, frequency, weekday, threshold, payoutAccountId })
+const updateAutoPayout = async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can use automatic payouts' });
+    }
+    const { enabled, frequency, weekday, threshold, payoutAccountId } = req.body;
+    const set = {};
+    if (enabled !== undefined) set['autoPayout.enabled'] = !!enabled;
+    if (frequency !== undefined) {
+      if (!autoPayout.FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ error: `frequency must be one of ${autoPayout.FREQUENCIES.join(', ')}` });
       }
-    };
+      set['autoPayout.frequency'] = frequency;
+    }
+    if (weekday !== undefined) {
+      if (!Number.isInteger(Number(weekday)) || weekday < 0 || weekday > 6) {
+        return res.status(400).json({ error: 'weekday must be 0 (Sunday) to 6 (Saturday)' });
+      }
+      set['autoPayout.weekday'] = Number(weekday);
+    }
+    if (threshold !== undefined) {
+      if (!(Number(threshold) >= autoPayout.MINIMUM)) {
+        return res.status(400).json({ error: `threshold must be at least ₱${autoPayout.MINIMUM}` });
+      }
+      set['autoPayout.threshold'] = Number(threshold);
+    }
+    if (payoutAccountId !== undefined) {
+      if (payoutAccountId && !mongoose.isValidObjectId(payoutAccountId)) {
+        return res.status(400).json({ error: 'payoutAccountId must be a saved payout account id' });
+      }
+      // null/empty means "use the default payout account"
+      set['autoPayout.payoutAccount'] = payoutAccountId
+        ? (await payoutAccounts.findAccount(req.user._id, payoutAccountId))._id
+        : null;
+    }
 
-    await handleTopUpCallback(mockReq, mockRes);
+    const wallet = await ridePayment.findOrCreateWallet(req.user._id);
+    const frequencyAfter = set['autoPayout.frequency'] || wallet.autoPayout?.frequency || 'daily';
+    const thresholdAfter = set['autoPayout.threshold'] ?? wallet.autoPayout?.threshold;
+    if (frequencyAfter === 'threshold' && !thresholdAfter) {
+      return res.status(400).json({ error: 'threshold is required for threshold payouts' });
+    }
 
-    res.json({
-      success: true,
-      message: `Simulated topup callback for ${referenceId}`,
-      status,
-      callbackResponse: responseData
-    });
+    const updated = await Wallet.findByIdAndUpdate(wallet._id, { $set: set }, { new: true });
+    res.json(autoPayoutView(updated));
   } catch (error) {
-    console.error('❌ Test topup callback error:', error);
-    res.status(500).json({ error: 'Failed to simulate callback', message: error.message });
+    if (error instanceof payoutAccounts.PayoutAccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error updating auto payout settings:', error);
+    res.status(500).json({ error: 'Failed to update automatic payout settings', message: error.message });
   }
 };
 
@@ -1079,9 +769,11 @@ module.exports = {
   initiateCashOut,
   handleCashOutCallback,
   getTransactionHistory,
+  getEarnings,
+  payCommissionDebt,
+  getAutoPayout,
+  updateAutoPayout,
   verifyTransaction,
-  testSimulateCashoutCallback,
-  testSimulateTopupCallback,
   debugDriverEarnings,
   getSupportedBanks,
 };
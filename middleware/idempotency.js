@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key and its stored response are kept for replay
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function requestHash(method, path, body) {
+  return crypto.createHash('sha256').update(`${method} ${path} ${stableStringify(body || {})}`).digest('hex');
+}
+
+// A repeat of a known key: replay the stored response, or explain why it cannot be
+async function replay(req, res, next, key, hash) {
+  try {
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+    if (!existing) {
+      // The first request just failed and released the key
+      return res.status(409).json({ error: 'The request with this Idempotency-Key failed; retry it', code: 'idempotency-key-in-progress' });
+    }
+    if (existing.expiresAt <= new Date()) {
+      // Expired but not yet removed by the TTL index: start over
+      await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+      return idempotency(req, res, next);
+    }
+    if (existing.requestHash !== hash) {
+      return res.status(409).json({ error: 'Idempotency-Key was already used for a different request', code: 'idempotency-key-reused' });
+    }
+    if (existing.status !== 'completed') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress', code: 'idempotency-key-in-progress' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Honour an optional `Idempotency-Key` header on money-moving routes (after `auth`).
+ * The first request with a key runs normally and its response is stored; repeats within
+ * IDEMPOTENCY_KEY_TTL_HOURS get the stored response back (with `Idempotent-Replayed: true`).
+ * Reusing a key for a different request, or while the first one is still running, is a 409.
+ * Server errors (5xx) are not stored, so the client can retry them with the same key; nor
+ * are responses sent without res.json or requests the client abandoned.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const path = req.baseUrl + req.path;
+  const hash = requestHash(req.method, path, req.body);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      user: req.user._id,
+      key,
+      method: req.method,
+      path,
+      requestHash: hash,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 3600000)
+    });
+  } catch (err) {
+    if (err.code !== 11000) return next(err);
+    return replay(req, res, next, key, hash);
+  }
+
+  // Store the first response before it goes out
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+    stored = true;
+    const saved = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) } }
+      );
+    saved
+      .catch(err => console.error(`Idempotency: could not store response for key ${key}:`, err.message))
+      .then(() => json(body));
+    return res;
+  };
+  // A response that did not go through res.json (res.send, res.end, an error passed to
+  // next) or a client that disconnected first leaves nothing to replay: release the key so
+  // the request can be retried instead of answering 409 until the key expires
+  const release = () => {
+    if (stored) return;
+    stored = true;
+    IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+      .catch(err => console.error(`Idempotency: could not release key ${key}:`, err.message));
+  };
+  res.on('finish', release);
+  res.on('close', release);
+  next();
+}
+
+module.exports = idempotency;
+module.exports.requestHash = requestHash;
+module.exports.stableStringify = stableStringify;
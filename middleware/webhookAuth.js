@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { redactUrl } = require('../utils/redact');
+
+// Signed test deliveries older or newer than this are refused (replay protection)
+const TEST_SIGNATURE_TOLERANCE_SECONDS = 300;
+const TEST_SIGNATURE_HEADER = 'x-webhook-test-signature';
+
+// Callback providers: where their shared token comes from and which IPs may call
+const PROVIDERS = {
+  xendit: {
+    tokenEnv: ['XENDIT_CALLBACK_TOKEN', 'XENDIT_WEBHOOK_TOKEN'],
+    header: 'x-callback-token',
+    ipsEnv: 'XENDIT_WEBHOOK_IPS'
+  },
+  // SMS delivery reports; the token can be passed as ?token= when the provider only takes a URL
+  sms: {
+    tokenEnv: ['SMS_DLR_TOKEN'],
+    header: 'x-callback-token',
+    queryParam: 'token',
+    ipsEnv: 'SMS_DLR_IPS'
+  }
+};
+
+function list(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Compare without leaking how much of the value matched
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// `<timestamp>.<raw body>` signed with WEBHOOK_TEST_SECRET, as sent by scripts/send-test-webhook.js
+function testSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Parse `t=<unix seconds>,v1=<hex>`
+function parseTestSignature(header) {
+  const parts = {};
+  for (const piece of String(header || '').split(',')) {
+    const [key, value] = piece.split('=');
+    if (key && value) parts[key.trim()] = value.trim();
+  }
+  return { timestamp: Number(parts.t), signature: parts.v1 };
+}
+
+/**
+ * Check a signed local test delivery. Only honoured outside production and when
+ * WEBHOOK_TEST_SECRET is set; the signature covers the raw request body.
+ */
+function verifyTestSignature(req, now = Date.now()) {
+  const secret = process.env.WEBHOOK_TEST_SECRET;
+  if (!secret || process.env.NODE_ENV === 'production') return false;
+  const { timestamp, signature } = parseTestSignature(req.headers[TEST_SIGNATURE_HEADER]);
+  if (!timestamp || !signature) return false;
+  if (Math.abs(now / 1000 - timestamp) > TEST_SIGNATURE_TOLERANCE_SECONDS) return false;
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+  return safeEqual(signature, testSignature(secret, timestamp, rawBody));
+}
+
+/**
+ * Authenticate a provider callback. Returns `{ valid, method, reason }` where method is
+ * `token` or `test-signature`. The caller IP must be on the provider's allow-list when one
+ * is configured; a signed test delivery skips the allow-list (it comes from a developer machine).
+ */
+function authenticate(req, provider) {
+  const config = PROVIDERS[provider];
+  if (!config) throw new Error(`Unknown webhook provider: ${provider}`);
+
+  if (req.headers[TEST_SIGNATURE_HEADER]) {
+    return verifyTestSignature(req)
+      ? { valid: true, method: 'test-signature' }
+      : { valid: false, reason: 'invalid-test-signature' };
+  }
+
+  const allowed = list(process.env[config.ipsEnv]);
+  if (allowed.length && !allowed.includes(normalizeIp(req.ip))) {
+    return { valid: false, reason: 'ip-not-allowed' };
+  }
+
+  const expected = config.tokenEnv.map(name => process.env[name]).filter(Boolean);
+  if (!expected.length) return { valid: false, reason: 'token-not-configured' };
+  const token = req.headers[config.header] || (config.queryParam && req.query && req.query[config.queryParam]);
+  if (!token) return { valid: false, reason: 'missing-token' };
+  // Check every configured token so timing does not reveal which one matched
+  const matched = expected.map(value => safeEqual(token, value)).some(Boolean);
+  return matched ? { valid: true, method: 'token' } : { valid: false, reason: 'invalid-token' };
+}
+
+/**
+ * Middleware for provider callback routes. Sets `req.webhookAuth` and answers 401 when
+ * the check fails, unless `passRejected` is set, in which case the route decides (the
+ * webhook inbox stores rejected deliveries before refusing them).
+ */
+function webhookAuth(provider, { passRejected = false } = {}) {
+  return (req, res, next) => {
+    req.webhookAuth = authenticate(req, provider);
+    if (!req.webhookAuth.valid) {
+      console.warn(`Rejected ${provider} webhook ${redactUrl(req.originalUrl)} from ${normalizeIp(req.ip)}: ${req.webhookAuth.reason}`);
+      if (!passRejected) return res.status(401).json({ error: 'Unauthorized webhook', code: req.webhookAuth.reason });
+    }
+    next();
+  };
+}
+
+module.exports = webhookAuth;
+module.exports.authenticate = authenticate;
+module.exports.testSignature = testSignature;
+module.exports.verifyTestSignature = verifyTestSignature;
+module.exports.TEST_SIGNATURE_HEADER = TEST_SIGNATURE_HEADER;
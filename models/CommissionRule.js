@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Platform commission rate. Unset dimensions (city, driverTier, paymentMethod) match any
+// ride; the most specific matching rule wins (see services/commission.js).
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  driverTier: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'wallet', null],
+    default: null
+  },
+  // Fraction of the fare kept by the platform, e.g. 0.2 for 20%
+  rate: {
+    type: Number,
+    required: [true, 'Commission rate is required'],
+    min: 0,
+    max: 1
+  },
+  // Optional window for promo periods
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  // Breaks ties between equally specific rules (higher wins)
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+commissionRuleSchema.index({ isActive: 1, city: 1, driverTier: 1, paymentMethod: 1 });
+
+commissionRuleSchema.pre('validate', function (next) {
+  if (this.validFrom && this.validTo && this.validTo <= this.validFrom) {
+    return next(new Error('validTo must be after validFrom'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
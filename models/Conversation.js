@@ -127,6 +127,18 @@ conversationSchema.statics.findOrCreateConversation = async function(passengerId
   }
 };
 
+// Close a ride's conversation: messages are kept for 24h, then expire
+conversationSchema.statics.closeForRide = async function(rideId) {
+  const conversation = await this.findOne({ rideId });
+  if (!conversation) return null;
+  const Message = require('./Message');
+  const expiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  await Message.updateMany({ conversationId: conversation._id }, { expiresAt: expiry });
+  conversation.isActive = false;
+  await conversation.save();
+  return conversation;
+};
+
 // Method to update unread count
 conversationSchema.methods.updateUnreadCount = function(userId) {
   if (userId.toString() === this.passenger.toString()) {
@@ -13,5 +13,6 @@ const driverLocationSchema = new mongoose.Schema({
 
 driverLocationSchema.index({ location: '2dsphere' });
 driverLocationSchema.index({ driver: 1, createdAt: -1 });
+driverLocationSchema.index({ rideId: 1, createdAt: 1 });
 
 module.exports = mongoose.model('DriverLocation', driverLocationSchema);
\ No newline at end of file
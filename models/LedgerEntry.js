@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One side of a journal entry; exactly one of debit/credit is set
+const legSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+function cents(value) {
+  return Math.round((value || 0) * 100);
+}
+
+function isBalanced(legs) {
+  if (!Array.isArray(legs) || legs.length < 2) return false;
+  if (legs.some(leg => (leg.debit > 0) === (leg.credit > 0))) return false;
+  const debits = legs.reduce((sum, leg) => sum + cents(leg.debit), 0);
+  const credits = legs.reduce((sum, leg) => sum + cents(leg.credit), 0);
+  return debits === credits && debits > 0;
+}
+
+// A balanced journal entry (see services/ledger.js). Entries are never changed or
+// removed; a correction is a new entry.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    required: true
+  },
+  legs: {
+    type: [legSchema],
+    validate: [isBalanced, 'Ledger entry must have at least two legs and debits must equal credits']
+  },
+  currency: {
+    type: String,
+    default: 'PHP'
+  },
+  // Wallet transaction this entry belongs to, if any
+  referenceId: String,
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ledgerEntrySchema.index({ 'legs.account': 1, createdAt: 1 });
+ledgerEntrySchema.index({ referenceId: 1 });
+ledgerEntrySchema.index({ ride: 1 });
+
+function appendOnly(next) {
+  next(new Error('Ledger entries are append-only'));
+}
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']) {
+  ledgerEntrySchema.pre(op, appendOnly);
+}
+ledgerEntrySchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+ledgerEntrySchema.statics.isBalanced = isBalanced;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
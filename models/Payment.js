@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// A refund sent to the provider. REQUESTED until the provider answers; FAILED refunds
+// do not count towards refundedAmount.
+const refundSchema = new mongoose.Schema({
+    amount: { type: Number, required: true, min: [0.01, 'Refund amount must be positive'] },
+    reason: { type: String, required: true },
+    status: { type: String, enum: ['REQUESTED', 'PENDING', 'SUCCEEDED', 'FAILED'], default: 'REQUESTED' },
+    referenceId: { type: String, required: true },
+    providerRefundId: { type: String },
+    failureReason: { type: String },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
 const paymentSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
@@ -16,6 +28,8 @@ const paymentSchema = new mongoose.Schema({
     errorMessage: { type: String },
     metadata: { type: Object },
     webhookPayloadEnc: { type: String },
+    refunds: { type: [refundSchema], default: [] },
+    refundedAmount: { type: Number, default: 0 },
     date: { type: Date, default: Date.now }
 }, { timestamps: true });
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A saved cash-out destination (bank account or e-wallet). The account number is stored
+// encrypted (services/encryption); only the last four digits are kept in the clear.
+const payoutAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['bank', 'ewallet'],
+    required: true
+  },
+  // Code the driver picked (e.g. BDO, GCASH) and the provider channel it maps to
+  bankCode: {
+    type: String,
+    required: true
+  },
+  channelCode: {
+    type: String,
+    required: true
+  },
+  accountNumberEnc: {
+    type: String,
+    required: true
+  },
+  accountNumberLast4: {
+    type: String,
+    required: true
+  },
+  // Hash of channel and account number, to spot the same destination saved twice
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  accountHolderName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Cash-outs to a newly added destination are refused until this time
+  usableFrom: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active'
+  },
+  removedAt: Date
+}, { timestamps: true });
+
+payoutAccountSchema.index({ user: 1, status: 1 });
+payoutAccountSchema.index({ user: 1, fingerprint: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+payoutAccountSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isDefault: true, status: 'active' }, name: 'one_default_per_user' });
+
+payoutAccountSchema.methods.isCoolingOff = function (at = new Date()) {
+  return this.usableFrom > at;
+};
+
+// Never expose the encrypted number or the fingerprint
+payoutAccountSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.accountNumberEnc;
+    delete ret.fingerprint;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PayoutAccount', payoutAccountSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One wallet's outcome in an automatic payout run
+const payoutRunItemSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'skipped', 'failed'],
+    required: true
+  },
+  amount: Number,
+  // Commission debt paid from the balance before the payout
+  debtSettled: Number,
+  referenceId: String,
+  payoutId: String,
+  // Why the wallet was skipped or failed (an error code where there is one)
+  reason: String
+}, { _id: false });
+
+// Report of one pass of the automatic payout scheduler (see services/autoPayout.js)
+const payoutRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  totals: {
+    due: { type: Number, default: 0 },
+    requested: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  items: [payoutRunItemSchema],
+  error: String
+}, { timestamps: true });
+
+payoutRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('PayoutRun', payoutRunSchema);
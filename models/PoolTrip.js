@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A pickup or dropoff of one pooled ride, in the order the driver makes them
+const waypointSchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['pickup', 'dropoff'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true
+  },
+  address: String,
+  seats: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'cancelled'],
+    default: 'pending'
+  },
+  doneAt: Date
+}, { _id: false });
+
+// Pooled rides one driver carries at the same time (see services/pooling.js). Each passenger
+// keeps their own Ride with its own status, payment and rating; the trip only sequences them.
+const poolTripSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  seatCapacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  rides: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  }],
+  waypoints: {
+    type: [waypointSchema],
+    default: []
+  },
+  // Bumped on every change to the plan, so concurrent joins cannot overwrite each other
+  revision: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date
+}, { timestamps: true });
+
+// One active trip per driver
+poolTripSchema.index({ driver: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model('PoolTrip', poolTripSchema);
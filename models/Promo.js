@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// A discount code applied to a ride fare when the ride is created (see services/promos.js).
+// Referral codes are promos owned by a `referrer`; the discount is funded by the platform.
+const promoSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Promo codes are 3-32 letters, digits, - or _']
+  },
+  kind: {
+    type: String,
+    enum: ['promo', 'referral'],
+    default: 'promo'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // percentage: `value` percent of the fare; fixed: `value` pesos off
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: 0
+  },
+  // Most a single ride can be discounted (mainly for percentage promos)
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Redemptions across all users, and per user; null means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Rides currently holding or having used the promo (cancelled rides give theirs back)
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  // Pickup cities (lowercase) the promo is valid in; empty means everywhere
+  cities: {
+    type: [String],
+    default: [],
+    set: cities => (cities || []).map(city => String(city).trim().toLowerCase()).filter(Boolean)
+  },
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// One referral code per user
+promoSchema.index({ referrer: 1 }, { unique: true, partialFilterExpression: { referrer: { $type: 'objectId' } } });
+
+promoSchema.pre('validate', function (next) {
+  if (this.validFrom && this.validTo && this.validTo <= this.validFrom) {
+    return next(new Error('validTo must be after validFrom'));
+  }
+  if (this.discountType === 'percentage' && this.value > 100) {
+    return next(new Error('A percentage discount cannot exceed 100'));
+  }
+  if (this.kind === 'referral' && !this.referrer) {
+    return next(new Error('Referral codes need a referrer'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Promo', promoSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A promo applied to one ride. `reserved` from ride creation, `redeemed` once the ride
+// completes, `released` when it ends any other way (the use is given back).
+const promoRedemptionSchema = new mongoose.Schema({
+  promo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promo',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  },
+  // Which of the user's perUserLimit uses of the promo this is; unset once released
+  slot: Number,
+  // Credit paid to the referral code's owner when the ride completed
+  referrerCredit: Number,
+  redeemedAt: Date,
+  releasedAt: Date
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ promo: 1, user: 1, status: 1 });
+promoRedemptionSchema.index({ promo: 1, user: 1, slot: 1 }, { unique: true, partialFilterExpression: { slot: { $type: 'number' } } });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
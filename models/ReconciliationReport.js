@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A pending record whose local status did not match the provider, or could not be checked
+const discrepancySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['payment', 'topup', 'cashout', 'refund'],
+    required: true
+  },
+  // Payment id (also for refunds), or the wallet holding the transaction
+  resourceId: String,
+  referenceId: String,
+  providerId: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: Number,
+  localStatus: String,
+  providerStatus: String,
+  // fixed: settled through the normal path; the rest need a look
+  resolution: {
+    type: String,
+    enum: ['fixed', 'unresolved', 'unsupported', 'error'],
+    required: true
+  },
+  newStatus: String,
+  message: String
+}, { _id: false });
+
+const kindTotalsSchema = new mongoose.Schema({
+  checked: { type: Number, default: 0 },
+  matched: { type: Number, default: 0 },
+  fixed: { type: Number, default: 0 },
+  unresolved: { type: Number, default: 0 },
+  amountFixed: { type: Number, default: 0 },
+  amountUnresolved: { type: Number, default: 0 }
+}, { _id: false });
+
+// Report of one batch reconciliation against the provider (see services/reconciliation.js)
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Only records pending for longer than this were checked
+  olderThanMinutes: Number,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  // unresolved counts everything that was not fixed: unresolved, unsupported and errors
+  totals: {
+    payment: { type: kindTotalsSchema, default: () => ({}) },
+    topup: { type: kindTotalsSchema, default: () => ({}) },
+    cashout: { type: kindTotalsSchema, default: () => ({}) },
+    refund: { type: kindTotalsSchema, default: () => ({}) }
+  },
+  discrepancies: [discrepancySchema],
+  error: String
+}, { timestamps: true });
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -1,5 +1,103 @@
 const mongoose = require('mongoose');
 
+// One entry per lifecycle transition (see services/rideLifecycle.js)
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['passenger', 'driver', 'admin', 'system']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  note: String
+}, { _id: false });
+
+// Wallet rides are reversed between the wallets; card rides are refunded through `payment`
+// (`referenceId` is the payment refund's; `status` follows the provider's answer)
+const rideRefundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  referenceId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed']
+  },
+  // Taken back from the driver's wallet, and what the driver could not cover (their refund debt)
+  driverAmount: Number,
+  driverDebt: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// An intermediate stop between pickup and dropoff (see services/rideStops.js). The driver
+// reports arrival and departure; the time in between is the waiting time at the stop.
+const rideStopSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'arrived', 'departed'],
+    default: 'pending'
+  },
+  arrivedAt: Date,
+  departedAt: Date,
+  waitingMinutes: {
+    type: Number,
+    default: 0
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
 const rideSchema = new mongoose.Schema({
   passenger: {
     type: mongoose.Schema.Types.ObjectId,
@@ -40,11 +138,20 @@ const rideSchema = new mongoose.Schema({
       required: true
     }
   },
+  // Ordered stops between pickup and dropoff
+  stops: {
+    type: [rideStopSchema],
+    default: []
+  },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'in-progress', 'completed', 'cancelled'],
+    enum: ['pending', 'accepted', 'driver-arriving', 'arrived', 'in-progress', 'completed', 'cancelled', 'no-show', 'expired'],
     default: 'pending'
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
   fare: {
     type: Number,
     required: true
@@ -57,9 +164,49 @@ const rideSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Server-side fare computation details (see services/fare.js)
+  fareBreakdown: {
+    tariffId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tariff' },
+    city: String,
+    currency: { type: String, default: 'PHP' },
+    flagDown: Number,
+    distanceCharge: Number,
+    timeCharge: Number,
+    stopCharge: Number,
+    waitingCharge: Number,
+    nightSurcharge: Number,
+    minimumFareApplied: Boolean,
+    poolDiscount: Number,
+    // One per leg (pickup -> stops -> dropoff), in route order
+    legs: {
+      type: [{
+        _id: false,
+        distance: Number,
+        duration: Number,
+        charge: Number
+      }],
+      default: undefined
+    }
+  },
+  // The trip as driven, rebuilt from the driver's GPS fixes at completion (see
+  // services/tripTrace.js). When `repriced`, the ride's distance, duration and fare were replaced
+  // by the driven values and the estimated* fields keep what was quoted; `capped` means the
+  // driven fare was over the cap and the capped fare was charged.
+  route: {
+    polyline: String,
+    points: Number,
+    distance: Number,
+    duration: Number,
+    estimatedDistance: Number,
+    estimatedDuration: Number,
+    estimatedFare: Number,
+    repriced: Boolean,
+    capped: Boolean,
+    computedAt: Date
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -67,6 +214,93 @@ const rideSchema = new mongoose.Schema({
     enum: ['cash', 'card', 'wallet'],
     required: true
   },
+  // Platform's cut, decided at completion (see services/commission.js). `owed` means a
+  // cash ride whose commission was added to the driver's commission debt; `uncollected`
+  // means the driver was paid outside the wallets (card) and it was not taken.
+  commission: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule'
+    },
+    rate: Number,
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['collected', 'owed', 'uncollected']
+    }
+  },
+  // What the driver keeps from this ride after commission (promo.driverCredit comes on top)
+  driverEarnings: Number,
+  // Wallet rides: how much of the fare has been taken from the passenger's wallet so far
+  fareCollected: Number,
+  // Pooled rides share the driver's vehicle with other passengers going the same way
+  // (see services/pooling.js); `fare` is already the discounted pooled fare
+  pool: {
+    requested: {
+      type: Boolean,
+      default: false
+    },
+    seats: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    soloFare: Number,
+    discount: Number,
+    trip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PoolTrip'
+    }
+  },
+  // Promo applied at booking: `fare` is already discounted, and the platform credits the
+  // discount to the driver at completion (see services/promos.js)
+  promo: {
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promo'
+    },
+    redemption: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoRedemption'
+    },
+    code: String,
+    kind: String,
+    discount: Number,
+    originalFare: Number,
+    driverCredit: Number,
+    creditedAt: Date
+  },
+  // Wallet hold placed on the passenger's fare at acceptance (see services/ridePayment.js)
+  paymentHold: {
+    referenceId: String,
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['held', 'captured', 'released']
+    },
+    heldAt: Date,
+    capturedAmount: Number,
+    capturedAt: Date,
+    releasedAt: Date,
+    // Part of the final fare that could not be collected from the wallet
+    shortfall: Number
+  },
+  // Money moved when the ride ends (see services/rideSettlement.js). `failed` settlements
+  // are retried until they go through or run out of attempts.
+  settlement: {
+    status: {
+      type: String,
+      enum: ['settled', 'failed']
+    },
+    fareSettledAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    lastAttemptAt: Date,
+    settledAt: Date
+  },
   rating: {
     type: Number,
     min: 1,
@@ -98,11 +332,121 @@ const rideSchema = new mongoose.Schema({
   scheduledTime: {
     type: Date
   },
+  // Scheduled rides: held until shortly before scheduledTime (see services/scheduledRides.js)
+  schedule: {
+    // Driver who committed in advance; assigned when the ride is released
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    committedAt: Date,
+    passengerRemindedAt: Date,
+    driverRemindedAt: Date,
+    releasedAt: Date
+  },
   acceptedAt: {
     type: Date
   },
+  arrivedAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
   completedAt: {
     type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
+  // PIN the passenger gives the driver to start the ride (see services/tripPin.js). The code
+  // is set at acceptance and only loaded on request, so it never goes out with the ride.
+  tripPin: {
+    code: {
+      type: String,
+      select: false
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    lockouts: {
+      type: Number,
+      default: 0
+    },
+    verifiedAt: Date
+  },
+  // Driver matching progress (see services/dispatch.js)
+  dispatch: {
+    wave: {
+      type: Number,
+      default: 0
+    },
+    startedAt: Date,
+    endedAt: Date,
+    outcome: {
+      type: String,
+      enum: ['matched', 'no-drivers', 'cancelled']
+    }
+  },
+  // Passenger's tip after completion, paid to the driver in full (see services/tips.js)
+  tip: {
+    amount: Number,
+    method: {
+      type: String,
+      enum: ['wallet', 'card']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed']
+    },
+    // Card tips: the card charge
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    referenceId: String,
+    failureReason: String,
+    paidAt: Date
+  },
+  // Admin refunds of the collected fare (see services/refunds.js)
+  refunds: {
+    type: [rideRefundSchema],
+    default: []
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  cancellation: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    byRole: {
+      type: String,
+      enum: ['passenger', 'driver', 'admin', 'system']
+    },
+    reasonCode: String,
+    note: String,
+    fee: {
+      type: Number,
+      default: 0
+    },
+    feeStatus: {
+      type: String,
+      enum: ['none', 'charged', 'unpaid']
+    },
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
+    driverDistanceMeters: Number
   }
 }, {
   timestamps: true
@@ -112,6 +456,7 @@ const rideSchema = new mongoose.Schema({
 rideSchema.index({ pickupLocation: '2dsphere' });
 rideSchema.index({ dropoffLocation: '2dsphere' });
 rideSchema.index({ scheduledTime: 1 });
+rideSchema.index({ 'schedule.driver': 1, scheduledTime: 1 });
 rideSchema.index({ status: 1 });
 rideSchema.index({ driver: 1 });
 rideSchema.index({ rating: 1 });
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One offer of a pending ride to one driver (see services/dispatch.js)
+const rideOfferSchema = new mongoose.Schema({
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  wave: { type: Number, required: true, min: 1 },
+  status: { type: String, enum: ['offered', 'accepted', 'declined', 'expired', 'withdrawn'], default: 'offered' },
+  distanceMeters: { type: Number },
+  offeredAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  respondedAt: { type: Date },
+}, { timestamps: true });
+
+rideOfferSchema.index({ ride: 1, driver: 1 }, { unique: true });
+rideOfferSchema.index({ driver: 1, status: 1, expiresAt: 1 });
+rideOfferSchema.index({ ride: 1, status: 1 });
+
+module.exports = mongoose.model('RideOffer', rideOfferSchema);
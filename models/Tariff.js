@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const tariffSchema = new mongoose.Schema({
+  // null = the default tariff used when a city has no override
+  city: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    default: 'PHP',
+    uppercase: true
+  },
+  flagDown: {
+    type: Number,
+    required: [true, 'Flag-down rate is required'],
+    min: 0
+  },
+  perKm: {
+    type: Number,
+    required: [true, 'Per-km rate is required'],
+    min: 0
+  },
+  perMinute: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minimumFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Charged to passengers who cancel late (see services/rideCancellation.js)
+  cancellationFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Multi-stop rides: charged per intermediate stop, and per minute waited at a stop beyond
+  // the free minutes
+  perStop: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  waitingPerMinute: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  freeWaitingMinutes: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  // Whether drivers need the passenger's trip PIN to start a ride (see services/tripPin.js);
+  // unset uses TRIP_PIN_DEFAULT_MODE
+  tripPin: {
+    type: String,
+    enum: ['optional', 'mandatory']
+  },
+  nightSurcharge: {
+    enabled: { type: Boolean, default: false },
+    // Local hours (0-23); the window may wrap past midnight (e.g. 22 -> 5)
+    startHour: { type: Number, min: 0, max: 23, default: 22 },
+    endHour: { type: Number, min: 0, max: 23, default: 5 },
+    percent: { type: Number, min: 0, default: 0 }
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Manila'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+tariffSchema.index({ city: 1 }, { unique: true });
+
+const Tariff = mongoose.model('Tariff', tariffSchema);
+
+module.exports = Tariff;
@@ -68,6 +68,21 @@ const userSchema = new mongoose.Schema({
       return this.role === 'driver' ? 'pending' : 'approved';
     }
   },
+  // Commission tier for drivers (see models/CommissionRule.js)
+  driverTier: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: function() {
+      return this.role === 'driver' ? 'standard' : undefined;
+    }
+  },
+  // Passenger seats in the driver's vehicle, for pooled rides (unset: POOL_DEFAULT_SEAT_CAPACITY)
+  seatCapacity: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
   licenseNumber: {
     type: String,
     required: function() {
@@ -124,6 +139,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Drivers hold at most one active ride; claimed atomically on accept (see services/rideAcceptance.js)
+  activeRide: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
   rating: {
     type: Number,
     default: 0,
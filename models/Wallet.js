@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { roundMoney } = require('../utils/money');
+const ledger = require('../services/ledger');
 
 /* -------------------- HELPERS -------------------- */
 function generateTxnRef(prefix = 'txn') {
@@ -10,7 +12,7 @@ function generateTxnRef(prefix = 'txn') {
 const transactionSchema = new mongoose.Schema({
     type: {
         type: String,
-        enum: ['TOPUP', 'PAYMENT', 'CASHOUT', 'REFUND'],
+        enum: ['TOPUP', 'PAYMENT', 'CASHOUT', 'REFUND', 'HOLD', 'COMMISSION', 'TIP', 'REFERRAL'],
         required: true
     },
     amount: {
@@ -19,7 +21,7 @@ const transactionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED'],
+        enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', 'REVERSED'],
         default: 'PENDING'
     },
     referenceId: {
@@ -51,6 +53,25 @@ const walletSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Part of the balance reserved by open HOLD transactions (e.g. fares of accepted wallet rides)
+    heldBalance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Commission the driver owes on cash rides; netted against future ride earnings
+    commissionDebt: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Refunded fares the driver could not give back from their balance; netted against
+    // future ride earnings like commission debt, but kept apart from it
+    refundDebt: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     currency: {
         type: String,
         default: 'PHP',
@@ -60,11 +81,84 @@ const walletSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Opt-in automatic cash-outs for drivers (see services/autoPayout.js)
+    autoPayout: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly', 'threshold'],
+            default: 'daily'
+        },
+        // Day of the week for weekly payouts (0 = Sunday)
+        weekday: {
+            type: Number,
+            min: 0,
+            max: 6,
+            default: 1
+        },
+        // Available balance that triggers a threshold payout
+        threshold: {
+            type: Number,
+            min: 0
+        },
+        // Saved destination; the default payout account when unset
+        payoutAccount: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PayoutAccount'
+        },
+        lastAttemptAt: Date,
+        lastPayoutAt: Date
+    },
     transactions: [transactionSchema]
-}, { timestamps: true });
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Spendable part of the balance: what is left after open holds
+walletSchema.virtual('availableBalance').get(function () {
+    return roundMoney((this.balance || 0) - (this.heldBalance || 0));
+});
+
+// Query condition: available balance (balance minus holds) is at least `amount`
+function availableAtLeast(amount) {
+    return { $expr: { $gte: [{ $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] }, amount] } };
+}
+
+// Query condition terms: for each `{ since, max }` limit, the wallet's pending and completed
+// cash-outs created since `since`, plus `amount`, stay within `max`
+function cashOutsWithin(limits, amount) {
+    return limits.map(({ since, max }) => ({
+        $lte: [
+            {
+                $add: [amount, {
+                    $reduce: {
+                        input: {
+                            $filter: {
+                                input: '$transactions',
+                                as: 't',
+                                cond: {
+                                    $and: [
+                                        { $eq: ['$$t.type', 'CASHOUT'] },
+                                        { $in: ['$$t.status', ['PENDING', 'COMPLETED']] },
+                                        { $gte: ['$$t.createdAt', since] }
+                                    ]
+                                }
+                            }
+                        },
+                        initialValue: 0,
+                        in: { $add: ['$$value', '$$this.amount'] }
+                    }
+                }]
+            },
+            max + 0.001
+        ]
+    }));
+}
 
 /* -------------------- INDEXES -------------------- */
 walletSchema.index({ user: 1 });
+walletSchema.index({ 'autoPayout.enabled': 1 });
 // Create a partial unique index on transactions.referenceId to avoid collisions
 // but only for non-null values
 walletSchema.index(
@@ -72,6 +166,23 @@ walletSchema.index(
     { unique: true, sparse: true }
 );
 
+/* -------------------- HOOKS -------------------- */
+// A wallet created with money in it (e.g. the signup credit) gets its opening ledger entry
+walletSchema.pre('save', function (next) {
+    this.$locals.openingBalance = this.isNew ? this.balance : 0;
+    next();
+});
+
+walletSchema.post('save', async function (doc) {
+    if (!(doc.$locals.openingBalance > 0)) return;
+    try {
+        await ledger.postOpeningBalance(doc._id, doc.$locals.openingBalance);
+    } catch (err) {
+        if (err.code !== 11000) console.error(`Ledger: opening balance for wallet ${doc._id} failed:`, err.message);
+    }
+    doc.$locals.openingBalance = 0;
+});
+
 /* -------------------- METHODS -------------------- */
 
 /**
@@ -125,6 +236,23 @@ walletSchema.methods.saveWithRepair = async function (retryCount = 0, maxRetries
     }
 };
 
+/**
+ * Money-moving methods below write the wallet and its ledger entry (services/ledger.js)
+ * in one MongoDB transaction. Pass `session` in transactionData to join a caller's
+ * transaction (e.g. a ride payment moving money between two wallets), and
+ * `counterAccount` to name the other side of the entry.
+ */
+function ledgerLeg(wallet, transactionData, kind, referenceId, amount, direction, defaultCounter) {
+    const own = ledger.walletAccount(wallet._id);
+    const counter = transactionData.counterAccount || defaultCounter;
+    return {
+        kind,
+        referenceId,
+        ride: transactionData.metadata && transactionData.metadata.rideId,
+        legs: direction === 'in' ? ledger.transferLegs(amount, counter, own) : ledger.transferLegs(amount, own, counter)
+    };
+}
+
 /**
  * ADD FUNDS (ATOMIC & WITH RETRY LOGIC)
  */
@@ -132,32 +260,36 @@ walletSchema.methods.addFunds = async function (amount, transactionData = {}, re
     if (amount <= 0) throw new Error('Amount must be positive');
 
     const refId = transactionData.referenceId || generateTxnRef('topup');
+    const type = transactionData.type || 'TOPUP';
 
     try {
-        const result = await this.constructor.findOneAndUpdate(
-        { _id: this._id },
-        {
-            $inc: { balance: amount },
-            $push: {
-                transactions: {
-                    type: transactionData.type || 'TOPUP',
-                    amount,
-                    status: 'COMPLETED',
-                    referenceId: refId,
-                    xenditId: transactionData.xenditId,
-                    paymentMethod: transactionData.paymentMethod,
-                    description: transactionData.description,
-                    metadata: transactionData.metadata
-                }
-            }
-        },
-        { new: true }
-    );
-        if (!result) throw new Error('Failed to update wallet');
-        return result;
+        return await ledger.withSession(transactionData.session, async (session) => {
+            const result = await this.constructor.findOneAndUpdate(
+                { _id: this._id },
+                {
+                    $inc: { balance: amount },
+                    $push: {
+                        transactions: {
+                            type,
+                            amount,
+                            status: 'COMPLETED',
+                            referenceId: refId,
+                            xenditId: transactionData.xenditId,
+                            paymentMethod: transactionData.paymentMethod,
+                            description: transactionData.description,
+                            metadata: transactionData.metadata
+                        }
+                    }
+                },
+                { new: true, session }
+            );
+            if (!result) throw new Error('Failed to update wallet');
+            await ledger.post(ledgerLeg(this, transactionData, type, refId, amount, 'in', ledger.ACCOUNTS.PROVIDER_CLEARING), { session });
+            return result;
+        });
     } catch (err) {
-        if (err && err.code === 11000 && /transactions\\.referenceId/.test(err.message)) {
-            if (retryCount < maxRetries) {
+        if (err && err.code === 11000 && /transactions\.referenceId/.test(err.message)) {
+            if (retryCount < maxRetries && !transactionData.session) {
                 const delayMs = 100 * Math.pow(2, retryCount);
                 await new Promise(resolve => setTimeout(resolve, delayMs));
                 return this.addFunds(amount, transactionData, retryCount + 1, maxRetries);
@@ -174,32 +306,338 @@ walletSchema.methods.deductFunds = async function (amount, transactionData = {})
     if (amount <= 0) throw new Error('Amount must be positive');
 
     const refId = transactionData.referenceId || generateTxnRef('pay');
+    const type = transactionData.type || 'PAYMENT';
 
-    // Check current balance first
-    const currentWallet = await this.constructor.findById(this._id);
-    if (!currentWallet) {
-        throw new Error('Wallet not found');
-    }
-    
-    if (currentWallet.balance < amount) {
-        throw new Error(`Insufficient wallet balance. Required: ₱${amount.toFixed(2)}, Available: ₱${currentWallet.balance.toFixed(2)}`);
+    return ledger.withSession(transactionData.session, async (session) => {
+        // Check current balance first
+        const currentWallet = await this.constructor.findById(this._id).session(session);
+        if (!currentWallet) {
+            throw new Error('Wallet not found');
+        }
+
+        if (currentWallet.availableBalance < amount) {
+            throw new Error(`Insufficient wallet balance. Required: ₱${amount.toFixed(2)}, Available: ₱${currentWallet.availableBalance.toFixed(2)}`);
+        }
+
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                ...availableAtLeast(amount)
+            },
+            {
+                $inc: { balance: -amount },
+                $push: {
+                    transactions: {
+                        type,
+                        amount,
+                        status: 'COMPLETED',
+                        referenceId: refId,
+                        description: transactionData.description,
+                        metadata: transactionData.metadata
+                    }
+                }
+            },
+            { new: true, session }
+        );
+
+        if (!updatedWallet) {
+            throw new Error(`Insufficient wallet balance. Required: ₱${amount.toFixed(2)}, Available: ₱${currentWallet.availableBalance.toFixed(2)}`);
+        }
+
+        await ledger.post(ledgerLeg(this, transactionData, type, refId, amount, 'out', ledger.ACCOUNTS.REVENUE), { session });
+        return updatedWallet;
+    });
+};
+
+/**
+ * CASHOUT REQUEST
+ * The amount leaves the wallet into payout clearing until the payout settles.
+ * `transactionData.limits` (`[{ since, max }]`) caps the cash-outs per window in the same
+ * atomic update, so concurrent requests cannot go over; an error with code `payout-limit`
+ * is thrown when one would.
+ */
+walletSchema.methods.requestCashOut = async function (amount, transactionData = {}) {
+    if (amount <= 0) throw new Error('Amount must be positive');
+
+    const refId = transactionData.referenceId || generateTxnRef('cashout');
+    const limits = transactionData.limits || [];
+
+    return ledger.withSession(transactionData.session, async (session) => {
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                $expr: { $and: [availableAtLeast(amount).$expr, ...cashOutsWithin(limits, amount)] }
+            },
+            {
+                $inc: { balance: -amount },
+                $push: {
+                    transactions: {
+                        type: 'CASHOUT',
+                        amount,
+                        status: 'PENDING',
+                        referenceId: refId,
+                        xenditId: transactionData.xenditId,
+                        description: transactionData.description,
+                        metadata: transactionData.metadata
+                    }
+                }
+            },
+            { new: true, session }
+        );
+
+        if (!updatedWallet) {
+            const current = await this.constructor.findById(this._id).session(session);
+            if (current && current.availableBalance >= amount && limits.length) {
+                throw Object.assign(new Error('Cash-out limit reached'), { code: 'payout-limit' });
+            }
+            throw new Error('Insufficient balance');
+        }
+
+        await ledger.post(ledgerLeg(this, transactionData, 'CASHOUT', refId, amount, 'out', ledger.ACCOUNTS.PAYOUT_CLEARING), { session });
+        return updatedWallet;
+    });
+};
+
+/**
+ * COMPLETE TOP-UP
+ * Credits a PENDING TOPUP once the provider confirms payment. Returns null if the
+ * transaction is not pending any more (already processed).
+ */
+walletSchema.methods.completeTopUp = async function (referenceId, transactionData = {}) {
+    const current = await this.constructor.findById(this._id);
+    const txn = current && current.transactions.find(t => t.referenceId === referenceId && t.type === 'TOPUP');
+    if (!txn || txn.status !== 'PENDING') return null;
+
+    return ledger.withSession(transactionData.session, async (session) => {
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                transactions: { $elemMatch: { referenceId, type: 'TOPUP', status: 'PENDING' } }
+            },
+            {
+                $set: { 'transactions.$.status': 'COMPLETED' },
+                $inc: { balance: txn.amount }
+            },
+            { new: true, session }
+        );
+        if (!updatedWallet) return null;
+        await ledger.post(ledgerLeg(this, transactionData, 'TOPUP', referenceId, txn.amount, 'in', ledger.ACCOUNTS.PROVIDER_CLEARING), { session });
+        return updatedWallet;
+    });
+};
+
+/**
+ * SETTLE CASHOUT
+ * Closes a PENDING CASHOUT: COMPLETED moves the money from payout clearing to the
+ * provider, FAILED returns it to the wallet. REVERSED returns it to the wallet too, and
+ * also applies to a COMPLETED cash-out whose transfer the bank sent back.
+ * Returns null if the transaction is not in a state the status applies to.
+ */
+walletSchema.methods.settleCashOut = async function (referenceId, status, metadata = {}, transactionData = {}) {
+    if (!['COMPLETED', 'FAILED', 'REVERSED'].includes(status)) throw new Error(`Unsupported cash-out status: ${status}`);
+
+    const current = await this.constructor.findById(this._id);
+    const txn = current && current.transactions.find(t => t.referenceId === referenceId && t.type === 'CASHOUT');
+    const fromStatuses = status === 'REVERSED' ? ['PENDING', 'COMPLETED'] : ['PENDING'];
+    if (!txn || !fromStatuses.includes(txn.status)) return null;
+
+    const set = { 'transactions.$.status': status };
+    for (const [key, value] of Object.entries(metadata)) {
+        set[`transactions.$.metadata.${key}`] = value;
     }
 
+    return ledger.withSession(transactionData.session, async (session) => {
+        const update = { $set: set };
+        if (status !== 'COMPLETED') update.$inc = { balance: txn.amount };
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                transactions: { $elemMatch: { referenceId, type: 'CASHOUT', status: txn.status } }
+            },
+            update,
+            { new: true, session }
+        );
+        if (!updatedWallet) return null;
+
+        // Money not yet paid out comes back from payout clearing; a reversed completed
+        // payout comes back through the provider
+        const source = txn.status === 'COMPLETED' ? ledger.ACCOUNTS.PROVIDER_CLEARING : ledger.ACCOUNTS.PAYOUT_CLEARING;
+        const legs = status === 'COMPLETED'
+            ? ledger.transferLegs(txn.amount, ledger.ACCOUNTS.PAYOUT_CLEARING, ledger.ACCOUNTS.PROVIDER_CLEARING)
+            : ledger.transferLegs(txn.amount, source, ledger.walletAccount(this._id));
+        await ledger.post({ kind: `CASHOUT_${status}`, referenceId, legs }, { session });
+        return updatedWallet;
+    });
+};
+
+/**
+ * ACCRUE COMMISSION DEBT
+ * Records commission a driver owes on a cash ride. No money moves: the platform books the
+ * revenue (or `counterAccount`) against the driver's receivable account.
+ */
+walletSchema.methods.accrueCommissionDebt = async function (amount, transactionData = {}) {
+    if (amount <= 0) throw new Error('Amount must be positive');
+
+    return ledger.withSession(transactionData.session, async (session) => {
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            { _id: this._id },
+            { $inc: { commissionDebt: amount } },
+            { new: true, session }
+        );
+        if (!updatedWallet) throw new Error('Failed to update wallet');
+        await ledger.post({
+            kind: 'COMMISSION_DEBT',
+            ride: transactionData.metadata && transactionData.metadata.rideId,
+            legs: ledger.transferLegs(amount, ledger.receivableAccount(this._id), transactionData.counterAccount || ledger.ACCOUNTS.REVENUE),
+            metadata: transactionData.metadata
+        }, { session });
+        return updatedWallet;
+    });
+};
+
+/**
+ * SETTLE COMMISSION DEBT
+ * Pays down up to `maxAmount` of the commission debt from the available balance, as a
+ * COMMISSION transaction. Returns { wallet, settled }; settled is 0 when there is nothing
+ * owed or nothing available.
+ */
+walletSchema.methods.settleCommissionDebt = async function (maxAmount = Infinity, transactionData = {}) {
+    return ledger.withSession(transactionData.session, async (session) => {
+        const current = await this.constructor.findById(this._id).session(session);
+        if (!current) throw new Error('Wallet not found');
+        const amount = roundMoney(Math.min(maxAmount, current.commissionDebt || 0, current.availableBalance));
+        if (!(amount > 0)) return { wallet: current, settled: 0 };
+
+        const refId = transactionData.referenceId || generateTxnRef('debt');
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                commissionDebt: { $gte: amount },
+                ...availableAtLeast(amount)
+            },
+            {
+                $inc: { balance: -amount, commissionDebt: -amount },
+                $push: {
+                    transactions: {
+                        type: 'COMMISSION',
+                        amount,
+                        status: 'COMPLETED',
+                        referenceId: refId,
+                        description: transactionData.description || 'Cash ride commission settled',
+                        metadata: { ...transactionData.metadata, kind: 'DEBT_SETTLEMENT' }
+                    }
+                }
+            },
+            { new: true, session }
+        );
+        if (!updatedWallet) return { wallet: current, settled: 0 };
+
+        await ledger.post({
+            kind: 'COMMISSION_DEBT_SETTLEMENT',
+            referenceId: refId,
+            legs: ledger.transferLegs(amount, ledger.walletAccount(this._id), ledger.receivableAccount(this._id))
+        }, { session });
+        return { wallet: updatedWallet, settled: amount };
+    });
+};
+
+/**
+ * ACCRUE REFUND DEBT
+ * Records the part of a refunded fare the driver could not give back from their balance.
+ * No money moves: `counterAccount` (the account the refund was paid from) is credited
+ * against the driver's clawback account.
+ */
+walletSchema.methods.accrueRefundDebt = async function (amount, transactionData = {}) {
+    if (amount <= 0) throw new Error('Amount must be positive');
+
+    return ledger.withSession(transactionData.session, async (session) => {
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            { _id: this._id },
+            { $inc: { refundDebt: amount } },
+            { new: true, session }
+        );
+        if (!updatedWallet) throw new Error('Failed to update wallet');
+        await ledger.post({
+            kind: 'REFUND_CLAWBACK',
+            ride: transactionData.metadata && transactionData.metadata.rideId,
+            legs: ledger.transferLegs(amount, ledger.clawbackAccount(this._id), transactionData.counterAccount || ledger.ACCOUNTS.RIDE_CLEARING),
+            metadata: transactionData.metadata
+        }, { session });
+        return updatedWallet;
+    });
+};
+
+/**
+ * SETTLE REFUND DEBT
+ * Pays down up to `maxAmount` of the refund debt from the available balance, as a REFUND
+ * transaction. Returns { wallet, settled }; settled is 0 when there is nothing owed or
+ * nothing available.
+ */
+walletSchema.methods.settleRefundDebt = async function (maxAmount = Infinity, transactionData = {}) {
+    return ledger.withSession(transactionData.session, async (session) => {
+        const current = await this.constructor.findById(this._id).session(session);
+        if (!current) throw new Error('Wallet not found');
+        const amount = roundMoney(Math.min(maxAmount, current.refundDebt || 0, current.availableBalance));
+        if (!(amount > 0)) return { wallet: current, settled: 0 };
+
+        const refId = transactionData.referenceId || generateTxnRef('clawback');
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                refundDebt: { $gte: amount },
+                ...availableAtLeast(amount)
+            },
+            {
+                $inc: { balance: -amount, refundDebt: -amount },
+                $push: {
+                    transactions: {
+                        type: 'REFUND',
+                        amount,
+                        status: 'COMPLETED',
+                        referenceId: refId,
+                        description: transactionData.description || 'Refunded fare recovered',
+                        metadata: { ...transactionData.metadata, kind: 'CLAWBACK_SETTLEMENT' }
+                    }
+                }
+            },
+            { new: true, session }
+        );
+        if (!updatedWallet) return { wallet: current, settled: 0 };
+
+        await ledger.post({
+            kind: 'REFUND_CLAWBACK_SETTLEMENT',
+            referenceId: refId,
+            legs: ledger.transferLegs(amount, ledger.walletAccount(this._id), ledger.clawbackAccount(this._id))
+        }, { session });
+        return { wallet: updatedWallet, settled: amount };
+    });
+};
+
+/**
+ * PLACE HOLD
+ * Reserves `amount` of the available balance without moving money. The hold is a
+ * PENDING HOLD transaction until it is captured (COMPLETED) or released (CANCELLED).
+ */
+walletSchema.methods.placeHold = async function (amount, transactionData = {}) {
+    if (amount <= 0) throw new Error('Amount must be positive');
+
+    const refId = transactionData.referenceId || generateTxnRef('hold');
+
     const updatedWallet = await this.constructor.findOneAndUpdate(
         {
             _id: this._id,
-            balance: { $gte: amount }
+            ...availableAtLeast(amount)
         },
         {
-            $inc: { balance: -amount },
+            $inc: { heldBalance: amount },
             $push: {
                 transactions: {
-                    type: transactionData.type || 'PAYMENT',
+                    type: 'HOLD',
                     amount,
-                    status: 'COMPLETED',
+                    status: 'PENDING',
                     referenceId: refId,
                     description: transactionData.description,
-                    metadata: transactionData.metadata
+                    metadata: { ...transactionData.metadata, heldAmount: amount }
                 }
             }
         },
@@ -207,48 +645,129 @@ walletSchema.methods.deductFunds = async function (amount, transactionData = {})
     );
 
     if (!updatedWallet) {
-        throw new Error(`Insufficient wallet balance. Required: ₱${amount.toFixed(2)}, Available: ₱${currentWallet.balance.toFixed(2)}`);
+        const current = await this.constructor.findById(this._id);
+        const available = current ? current.availableBalance : 0;
+        throw new Error(`Insufficient wallet balance. Required: ₱${amount.toFixed(2)}, Available: ₱${available.toFixed(2)}`);
     }
 
     return updatedWallet;
 };
 
 /**
- * CASHOUT REQUEST
+ * CAPTURE HOLD
+ * Takes `amount` from the wallet against an open hold and frees the rest of the hold.
+ * Capturing more than was held needs the difference to be available; otherwise this throws
+ * and the hold stays open. The HOLD transaction is kept and marked COMPLETED with the captured amount.
+ * The captured money goes to ride clearing unless transactionData.counterAccount says otherwise.
  */
-walletSchema.methods.requestCashOut = async function (amount, transactionData = {}) {
+walletSchema.methods.captureHold = async function (referenceId, amount, transactionData = {}) {
     if (amount <= 0) throw new Error('Amount must be positive');
 
-    const refId = transactionData.referenceId || generateTxnRef('cashout');
+    return ledger.withSession(transactionData.session, async (session) => {
+        const current = await this.constructor.findById(this._id).session(session);
+        const hold = current && current.transactions.find(t => t.referenceId === referenceId && t.type === 'HOLD');
+        if (!hold || hold.status !== 'PENDING') {
+            throw new Error('Hold not found or no longer open');
+        }
 
+        const extra = roundMoney(amount - hold.amount);
+        const updatedWallet = await this.constructor.findOneAndUpdate(
+            {
+                _id: this._id,
+                transactions: { $elemMatch: { referenceId, type: 'HOLD', status: 'PENDING' } },
+                ...(extra > 0 ? availableAtLeast(extra) : {})
+            },
+            {
+                $inc: { balance: -amount, heldBalance: -hold.amount },
+                $set: {
+                    'transactions.$.status': 'COMPLETED',
+                    'transactions.$.amount': amount,
+                    'transactions.$.metadata.capturedAt': new Date()
+                }
+            },
+            { new: true, session }
+        );
+
+        if (!updatedWallet) {
+            if (extra > 0) {
+                throw new Error(`Insufficient wallet balance. Required: ₱${extra.toFixed(2)} more than the ₱${hold.amount.toFixed(2)} held`);
+            }
+            throw new Error('Hold not found or no longer open');
+        }
+
+        const data = { ...transactionData, metadata: hold.metadata };
+        await ledger.post(ledgerLeg(this, data, 'HOLD_CAPTURE', referenceId, amount, 'out', ledger.ACCOUNTS.RIDE_CLEARING), { session });
+        return updatedWallet;
+    });
+};
+
+/**
+ * ADJUST HOLD
+ * Changes an open hold to `amount`. Raising it needs the difference to be available;
+ * otherwise this throws and the hold is unchanged.
+ */
+walletSchema.methods.adjustHold = async function (referenceId, amount) {
+    if (amount <= 0) throw new Error('Amount must be positive');
+
+    const current = await this.constructor.findById(this._id);
+    const hold = current && current.transactions.find(t => t.referenceId === referenceId && t.type === 'HOLD');
+    if (!hold || hold.status !== 'PENDING') {
+        throw new Error('Hold not found or no longer open');
+    }
+
+    const extra = roundMoney(amount - hold.amount);
+    if (extra === 0) return current;
     const updatedWallet = await this.constructor.findOneAndUpdate(
         {
             _id: this._id,
-            balance: { $gte: amount }
+            transactions: { $elemMatch: { referenceId, type: 'HOLD', status: 'PENDING', amount: hold.amount } },
+            ...(extra > 0 ? availableAtLeast(extra) : {})
         },
         {
-            $inc: { balance: -amount },
-            $push: {
-                transactions: {
-                    type: 'CASHOUT',
-                    amount,
-                    status: 'PENDING',
-                    referenceId: refId,
-                    description: transactionData.description,
-                    metadata: transactionData.metadata
-                }
+            $inc: { heldBalance: extra },
+            $set: {
+                'transactions.$.amount': amount,
+                'transactions.$.metadata.heldAmount': amount
             }
         },
         { new: true }
     );
 
     if (!updatedWallet) {
-        throw new Error('Insufficient balance');
+        if (extra > 0) {
+            throw new Error(`Insufficient wallet balance. Required: ₱${extra.toFixed(2)} more than the ₱${hold.amount.toFixed(2)} held`);
+        }
+        throw new Error('Hold not found or changed meanwhile');
     }
-
     return updatedWallet;
 };
 
+/**
+ * RELEASE HOLD
+ * Frees an open hold without moving money. Returns null if the hold was already closed.
+ */
+walletSchema.methods.releaseHold = async function (referenceId, transactionData = {}) {
+    const session = transactionData.session || null;
+    const current = await this.constructor.findById(this._id).session(session);
+    const hold = current && current.transactions.find(t => t.referenceId === referenceId && t.type === 'HOLD');
+    if (!hold || hold.status !== 'PENDING') return null;
+
+    return this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            transactions: { $elemMatch: { referenceId, type: 'HOLD', status: 'PENDING' } }
+        },
+        {
+            $inc: { heldBalance: -hold.amount },
+            $set: {
+                'transactions.$.status': 'CANCELLED',
+                'transactions.$.metadata.releasedAt': new Date()
+            }
+        },
+        { new: true, session }
+    );
+};
+
 /* -------------------- STATICS -------------------- */
 walletSchema.statics.findByUserId = function (userId) {
     return this.findOne({ user: userId });
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A provider callback as received, and the state of processing it (see services/webhookInbox.js)
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'xendit'
+  },
+  // Which endpoint received it, and so which processor handles it
+  source: {
+    type: String,
+    enum: ['topup', 'cashout', 'payment'],
+    required: true
+  },
+  // Provider event ID used for deduplication
+  eventId: {
+    type: String,
+    required: true
+  },
+  headers: mongoose.Schema.Types.Mixed,
+  payload: mongoose.Schema.Types.Mixed,
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+  // How it was authenticated: provider token or signed local test delivery
+  authMethod: {
+    type: String,
+    enum: ['token', 'test-signature']
+  },
+  // rejected: bad signature, never processed; dead: out of retries, needs an admin replay
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed', 'dead', 'rejected'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lockedAt: Date,
+  lastError: String,
+  // Processor outcome, e.g. { status: 'payment_completed' }
+  result: mongoose.Schema.Types.Mixed,
+  // Repeat deliveries of the same event
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date,
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+webhookEventSchema.index({ provider: 1, source: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ receivedAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const CommissionRule = require('../models/CommissionRule');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const commission = require('../services/commission');
+
+const EDITABLE_FIELDS = ['name', 'city', 'driverTier', 'paymentMethod', 'rate', 'validFrom', 'validTo', 'priority', 'isActive'];
+
+function pickEditable(body) {
+  const patch = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) patch[field] = body[field] === '' ? null : body[field];
+  }
+  return patch;
+}
+
+router.use(auth, requireRole('admin'));
+
+// Admin: list commission rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await CommissionRule.find({}).sort({ city: 1, driverTier: 1, paymentMethod: 1, priority: -1 });
+    res.json({ defaultRate: commission.DEFAULT_RATE, rules });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: which rule and rate would apply (?city=&driverTier=&paymentMethod=&at=)
+router.get('/resolve', async (req, res) => {
+  try {
+    const { city, driverTier, paymentMethod, at } = req.query;
+    const rule = await commission.findRule({ city, driverTier, paymentMethod, at: at ? new Date(at) : new Date() });
+    res.json({ rate: rule ? rule.rate : commission.DEFAULT_RATE, rule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: create a rule
+router.post('/', async (req, res) => {
+  try {
+    const rule = await CommissionRule.create({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await AuditLog.create({ resourceType: 'CommissionRule', resourceId: rule._id.toString(), actorId: req.user._id.toString(), action: 'create', changes: pickEditable(req.body) });
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: update a rule (rides already completed keep the rate they were charged)
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Commission rule not found' });
+    const patch = pickEditable(req.body);
+    rule.set({ ...patch, updatedBy: req.user._id });
+    await rule.save();
+    await AuditLog.create({ resourceType: 'CommissionRule', resourceId: rule._id.toString(), actorId: req.user._id.toString(), action: 'update', changes: patch });
+    res.json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: delete a rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Commission rule not found' });
+    await AuditLog.create({ resourceType: 'CommissionRule', resourceId: rule._id.toString(), actorId: req.user._id.toString(), action: 'delete', changes: {} });
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
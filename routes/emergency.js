@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const webhookAuth = require('../middleware/webhookAuth');
 const EmergencyContact = require('../models/EmergencyContact');
 const EmergencyAlert = require('../models/EmergencyAlert');
 const { encrypt, decrypt } = require('../services/encryption');
@@ -195,8 +196,8 @@ router.post('/accident', auth, async (req, res) => {
   }
 });
 
-// Delivery status callback (if provider supports)
-router.post('/dlr', async (req, res) => {
+// Delivery status callback (if provider supports); authenticated with SMS_DLR_TOKEN
+router.post('/dlr', webhookAuth('sms'), async (req, res) => {
   try {
     const { message_id, status } = req.body || {};
     if (!message_id) return res.status(200).json({ ok: true });
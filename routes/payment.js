@@ -3,12 +3,19 @@ const router = express.Router();
 const Payment = require('../models/Payment');
 const Ride = require('../models/Ride');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const webhookAuth = require('../middleware/webhookAuth');
 const { encrypt } = require('../services/encryption');
 const AuditLog = require('../models/AuditLog');
-const xendit = require('../services/xendit');
+const payments = require('../services/payments');
+const ledger = require('../services/ledger');
+const webhookInbox = require('../services/webhookInbox');
+const paymentStatus = require('../services/paymentStatus');
+const refunds = require('../services/refunds');
+const { roundMoney } = require('../utils/money');
 
-// Initiate a payment via Xendit
-router.post('/', auth, async (req, res) => {
+// Initiate a payment with the configured provider
+router.post('/', auth, idempotency, async (req, res) => {
   try {
     const { amount, currency = 'PHP', method = 'invoice', channel, description, ride, wallet, metadata = {} } = req.body || {}
     if (!amount || amount <= 0) return res.status(400).json({ error: 'Invalid amount' })
@@ -19,22 +26,22 @@ router.post('/', auth, async (req, res) => {
     const externalId = `eyy_${req.user._id}_${Date.now()}`
 
     if (method === 'invoice') {
-      const inv = await xendit.createInvoice({ amount, currency, description, external_id: externalId, customer: { email: req.user.email, given_names: req.user.firstName, surname: req.user.lastName } })
+      const inv = await payments.createInvoice({ amount, currency, description, external_id: externalId, customer: { email: req.user.email, given_names: req.user.firstName, surname: req.user.lastName } })
       providerId = inv.id
       providerPayload = inv
-      status = inv.status === 'PAID' ? 'PAID' : inv.status === 'EXPIRED' ? 'EXPIRED' : 'PENDING'
+      status = paymentStatus.paymentStatusFor(method, inv.status, 'PENDING')
     } else if (method === 'ewallet') {
       if (!channel) return res.status(400).json({ error: 'channel_code required for ewallet' })
-      const ch = await xendit.createEwalletCharge({ reference_id: externalId, amount, channel_code: channel, currency })
+      const ch = await payments.createEwalletCharge({ reference_id: externalId, amount, channel_code: channel, currency })
       providerId = ch.id
       providerPayload = ch
-      status = ch.status === 'SUCCEEDED' ? 'PAID' : ch.status === 'FAILED' ? 'FAILED' : 'PENDING'
+      status = paymentStatus.paymentStatusFor(method, ch.status, 'PENDING')
     } else if (method === 'credit_card') {
       if (!req.body.token_id) return res.status(400).json({ error: 'token_id required for credit_card' })
-      const cc = await xendit.createCardCharge({ token_id: req.body.token_id, amount, currency, external_id: externalId })
+      const cc = await payments.createCardCharge({ token_id: req.body.token_id, amount, currency, external_id: externalId })
       providerId = cc.id
       providerPayload = cc
-      status = cc.status === 'CAPTURED' || cc.status === 'AUTHORIZED' ? 'PAID' : cc.status === 'FAILED' ? 'FAILED' : 'PENDING'
+      status = paymentStatus.paymentStatusFor(method, cc.status, 'PENDING')
     } else {
       return res.status(400).json({ error: 'Unsupported method' })
     }
@@ -48,6 +55,7 @@ router.post('/', auth, async (req, res) => {
       method,
       channel,
       status,
+      provider: payments.providerName(),
       providerId,
       description,
       metadata,
@@ -198,33 +206,45 @@ router.get('/admin/earnings', auth, auth.requireRole('admin'), async (req, res)
     // Calculate total top-ups
     const totalTopUps = walletTransactions.reduce((sum, tx) => sum + (tx.amount || 0), 0);
     
-    // Calculate earnings by driver (from rides)
-    const driverEarnings = {};
-    const rideIds = payments.filter(p => p.ride).map(p => p.ride);
-    const rides = await Ride.find({ _id: { $in: rideIds } }).populate('driver', 'firstName lastName');
-    const rideMap = {};
-    rides.forEach(ride => {
-      rideMap[ride._id.toString()] = ride;
-    });
-    
-    payments.forEach(payment => {
-      if (payment.ride) {
-        const ride = rideMap[payment.ride.toString()] || payment.ride;
-        if (ride && ride.driver) {
-          const driverId = ride.driver._id ? ride.driver._id.toString() : ride.driver.toString();
-          if (!driverEarnings[driverId]) {
-            const driver = ride.driver._id ? ride.driver : null;
-            driverEarnings[driverId] = {
-              driverId,
-              driverName: driver ? `${driver.firstName} ${driver.lastName}` : 'Unknown',
-              total: 0,
-              rides: 0
-            };
-          }
-          driverEarnings[driverId].total += ride.fare || payment.amount || 0;
-          driverEarnings[driverId].rides += 1;
+    // Earnings by driver, from the commission split recorded on each completed ride
+    const rideMatch = { status: 'completed', 'commission.rate': { $exists: true } };
+    if (start || end) {
+      rideMatch.completedAt = {};
+      if (start) rideMatch.completedAt.$gte = start;
+      if (end) rideMatch.completedAt.$lte = end;
+    }
+    const byDriver = await Ride.aggregate([
+      { $match: rideMatch },
+      {
+        $group: {
+          _id: '$driver',
+          fares: { $sum: '$fare' },
+          total: { $sum: '$driverEarnings' },
+          tips: { $sum: { $cond: [{ $eq: ['$tip.status', 'paid'] }, '$tip.amount', 0] } },
+          commission: { $sum: '$commission.amount' },
+          uncollectedCommission: { $sum: { $cond: [{ $eq: ['$commission.status', 'uncollected'] }, '$commission.amount', 0] } },
+          owedCommission: { $sum: { $cond: [{ $eq: ['$commission.status', 'owed'] }, '$commission.amount', 0] } },
+          rides: { $sum: 1 }
         }
       }
+    ]);
+    const drivers = await User.find({ _id: { $in: byDriver.map(row => row._id) } }).select('firstName lastName');
+    const driverNames = new Map(drivers.map(d => [d._id.toString(), `${d.firstName} ${d.lastName}`]));
+    const driverEarnings = {};
+    byDriver.forEach(row => {
+      const driverId = row._id ? row._id.toString() : 'unknown';
+      driverEarnings[driverId] = {
+        driverId,
+        driverName: driverNames.get(driverId) || 'Unknown',
+        // Tips are paid to the driver in full and included in the total
+        total: roundMoney(row.total + row.tips),
+        fares: roundMoney(row.fares),
+        tips: roundMoney(row.tips),
+        commission: roundMoney(row.commission),
+        uncollectedCommission: roundMoney(row.uncollectedCommission),
+        owedCommission: roundMoney(row.owedCommission),
+        rides: row.rides
+      };
     });
     
     // Group by time period (include both payments and top-ups)
@@ -253,15 +273,18 @@ router.get('/admin/earnings', auth, auth.requireRole('admin'), async (req, res)
       }
     });
     
-    // Calculate platform commission (assuming 20% commission on ride payments only)
-    const commissionRate = 0.20;
-    const platformEarnings = totalEarnings * commissionRate;
-    const driverTotalEarnings = totalEarnings - platformEarnings;
+    // Platform earnings are what actually reached the revenue account; commission on
+    // cash/card rides that drivers have not paid yet is reported separately
+    const platformEarnings = await ledger.balanceOf(ledger.ACCOUNTS.REVENUE, { from: start, to: end });
+    const driverRows = Object.values(driverEarnings);
+    const driverTotalEarnings = roundMoney(driverRows.reduce((sum, row) => sum + row.total, 0));
+    const uncollectedCommission = roundMoney(driverRows.reduce((sum, row) => sum + row.uncollectedCommission, 0));
     
     res.json({
       totalEarnings,
       totalTopUps,
       platformEarnings,
+      uncollectedCommission,
       driverTotalEarnings,
       totalTransactions: payments.length + walletTransactions.length,
       totalPayments: payments.length,
@@ -282,26 +305,28 @@ router.post('/:id/reconcile', auth, auth.requireRole('admin'), async (req, res)
   try {
     const payment = await Payment.findById(req.params.id)
     if (!payment) return res.status(404).json({ error: 'Payment not found' })
-    let latest = null
-    if (payment.method === 'invoice') latest = await xendit.getInvoice(payment.providerId)
-    if (payment.method === 'ewallet') latest = await xendit.getEwalletCharge(payment.providerId)
-    if (payment.method === 'credit_card') latest = await xendit.getCardCharge(payment.providerId)
+    const latest = await paymentStatus.fetchProviderPayment(payment)
     if (!latest) return res.status(400).json({ error: 'Unsupported method for reconciliation' })
-    const before = payment.status
-    let status = before
-    if (payment.method === 'invoice') status = latest.status === 'PAID' ? 'PAID' : latest.status === 'EXPIRED' ? 'EXPIRED' : before
-    if (payment.method === 'ewallet') status = latest.status === 'SUCCEEDED' ? 'PAID' : latest.status === 'FAILED' ? 'FAILED' : before
-    if (payment.method === 'credit_card') status = ['CAPTURED','AUTHORIZED'].includes(latest.status) ? 'PAID' : latest.status === 'FAILED' ? 'FAILED' : before
-    payment.status = status
-    payment.webhookPayloadEnc = encrypt(JSON.stringify(latest))
-    await payment.save()
-    await AuditLog.create({ resourceType: 'Payment', resourceId: payment._id.toString(), actorId: req.user._id.toString(), action: 'update', changes: { from: before, to: status } })
+    await paymentStatus.applyPaymentStatus(payment, { status: latest.data.status, data: latest.data }, { method: latest.method, actorId: req.user._id, io: req.app.get('io') })
     res.json(payment)
   } catch (err) {
     res.status(400).json({ error: err.message })
   }
 })
 
+// Admin: refund all or part of a paid payment through the provider ({ amount?, reason })
+router.post('/:id/refund', auth, auth.requireRole('admin'), idempotency, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+    if (!payment) return res.status(404).json({ error: 'Payment not found' })
+    const { amount, reason } = req.body || {}
+    const result = await refunds.refundPayment(payment, { amount, reason, actor: req.user, io: req.app.get('io') })
+    res.status(201).json(result)
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message, code: err.code })
+  }
+})
+
 // Get a payment by ID (only if owned by user) - MUST be after admin routes
 router.get('/:id', auth, async (req, res) => {
     try {
@@ -324,37 +349,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
-// Webhook endpoint for Xendit
-router.post('/webhook', async (req, res) => {
-  try {
-    if (!xendit.verifyWebhook(req)) return res.status(401).json({ error: 'Invalid callback token' })
-    const payload = req.body || {}
-    const type = (payload.event || payload.status || '').toString().toUpperCase()
-    const providerId = payload.id || payload.data?.id || payload.invoice?.id || payload.charge?.id
-    if (!providerId) return res.status(400).json({ error: 'Missing provider id' })
-    const payment = await Payment.findOne({ providerId })
-    if (!payment) return res.status(404).json({ error: 'Payment not found' })
-    const before = payment.status
-    let status = before
-    if (payment.method === 'invoice') {
-      status = payload.status === 'PAID' ? 'PAID' : payload.status === 'EXPIRED' ? 'EXPIRED' : before
-    } else if (payment.method === 'ewallet') {
-      status = payload.status === 'SUCCEEDED' ? 'PAID' : payload.status === 'FAILED' ? 'FAILED' : before
-    } else if (payment.method === 'credit_card') {
-      status = ['CAPTURED','AUTHORIZED'].includes(payload.status) ? 'PAID' : payload.status === 'FAILED' ? 'FAILED' : before
-    }
-    payment.status = status
-    payment.webhookPayloadEnc = encrypt(JSON.stringify(payload))
-    await payment.save()
-    await AuditLog.create({ resourceType: 'Payment', resourceId: payment._id.toString(), actorId: 'xendit', action: 'update', changes: { from: before, to: status } })
-    const Notification = require('../models/Notification');
-    const io = req.app.get('io');
-    const note = await Notification.create({ user: payment.user, type: 'payment', title: 'Payment update', body: `${payment.method} ${status}`, data: { paymentId: payment._id } })
-    io.to(`user_${payment.user}`).emit('notification', note)
-    res.json({ ok: true })
-  } catch (err) {
-    res.status(400).json({ error: err.message })
-  }
-})
+// Webhook endpoint for Xendit: recorded in the webhook inbox and processed from there
+router.post('/webhook', webhookAuth('xendit', { passRejected: true }), webhookInbox.handler('payment'))
 
 module.exports = router;
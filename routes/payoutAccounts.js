@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const payoutAccounts = require('../services/payoutAccounts');
+
+function sendError(res, error) {
+  res.status(error.status || 400).json({ error: error.message, code: error.code });
+}
+
+router.use(auth, requireRole('driver'));
+
+// Driver: saved payout accounts (default first)
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await payoutAccounts.listAccounts(req.user._id);
+    res.json({ coolingOffHours: payoutAccounts.COOLING_OFF_HOURS, accounts });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Driver: save a bank or e-wallet destination ({ bankCode, accountNumber, accountHolderName, label?, isDefault? })
+router.post('/', async (req, res) => {
+  try {
+    const account = await payoutAccounts.addAccount(req.user, req.body || {}, { io: req.app.get('io') });
+    res.status(201).json(account);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Driver: make an account the default cash-out destination
+router.patch('/:id/default', async (req, res) => {
+  try {
+    res.json(await payoutAccounts.setDefault(req.user, req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Driver: remove a saved account
+router.delete('/:id', async (req, res) => {
+  try {
+    await payoutAccounts.removeAccount(req.user, req.params.id);
+    res.json({ message: 'Payout account removed' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const PayoutRun = require('../models/PayoutRun');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const autoPayout = require('../services/autoPayout');
+
+router.use(auth, requireRole('admin'));
+
+// Admin: automatic payout runs, newest first (?page=&limit=&status=)
+router.get('/runs', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    const [runs, total] = await Promise.all([
+      PayoutRun.find(query).select('-items').sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      PayoutRun.countDocuments(query)
+    ]);
+    res.json({ runs, total, page, limit });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: one run with its per-wallet items
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await PayoutRun.findById(req.params.id)
+      .populate('items.user', 'firstName lastName email')
+      .populate('triggeredBy', 'firstName lastName email');
+    if (!run) return res.status(404).json({ error: 'Payout run not found' });
+    res.json(run);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: run automatic payouts now (only wallets that are due are paid)
+router.post('/runs', async (req, res) => {
+  try {
+    const run = await autoPayout.runExclusive({ io: req.app.get('io'), trigger: 'manual', triggeredBy: req.user._id });
+    if (!run) return res.status(409).json({ error: 'A payout run is already in progress' });
+    await AuditLog.create({ resourceType: 'PayoutRun', resourceId: run._id.toString(), actorId: req.user._id.toString(), action: 'create', changes: run.toObject().totals });
+    res.status(201).json(run);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const Promo = require('../models/Promo');
+const PromoRedemption = require('../models/PromoRedemption');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const promos = require('../services/promos');
+
+const EDITABLE_FIELDS = ['code', 'description', 'discountType', 'value', 'maxDiscount', 'usageLimit', 'perUserLimit', 'validFrom', 'validTo', 'cities', 'firstRideOnly', 'isActive'];
+
+function pickEditable(body) {
+  const patch = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) patch[field] = body[field] === '' ? null : body[field];
+  }
+  return patch;
+}
+
+function sendError(res, error) {
+  if (error && error.code === 11000) return res.status(409).json({ error: 'A promo with this code already exists', code: 'promo-code-taken' });
+  const body = { error: error.message };
+  if (error.code && typeof error.code === 'string') body.code = error.code;
+  res.status(error.status || 400).json(body);
+}
+
+// The authenticated user's referral code (created on first request)
+router.get('/referral', auth, async (req, res) => {
+  try {
+    const promo = await promos.referralCodeFor(req.user);
+    const redeemed = await PromoRedemption.countDocuments({ promo: promo._id, status: 'redeemed' });
+    res.json({ code: promo.code, discount: promo.value, reward: promos.REFERRAL_REWARD, redeemed });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admin: promos, newest first (?page=&limit=&kind=&isActive=&code=)
+router.get('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = {};
+    if (req.query.kind) query.kind = req.query.kind;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+    if (req.query.code) query.code = promos.normalizeCode(req.query.code);
+    const [items, total] = await Promise.all([
+      Promo.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Promo.countDocuments(query)
+    ]);
+    res.json({ promos: items, total, page, limit });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admin: one promo's redemptions, newest first (?page=&limit=&status=)
+router.get('/:id/redemptions', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = { promo: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    const [redemptions, total] = await Promise.all([
+      PromoRedemption.find(query).populate('user', 'firstName lastName email').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      PromoRedemption.countDocuments(query)
+    ]);
+    res.json({ redemptions, total, page, limit });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admin: create a promo
+router.post('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const promo = await Promo.create({ ...pickEditable(req.body), kind: 'promo', updatedBy: req.user._id });
+    await AuditLog.create({ resourceType: 'Promo', resourceId: promo._id.toString(), actorId: req.user._id.toString(), action: 'create', changes: pickEditable(req.body) });
+    res.status(201).json(promo);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admin: update a promo (rides already booked keep the discount they got)
+router.put('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const promo = await Promo.findById(req.params.id);
+    if (!promo) return res.status(404).json({ error: 'Promo not found' });
+    const patch = pickEditable(req.body);
+    promo.set({ ...patch, updatedBy: req.user._id });
+    await promo.save();
+    await AuditLog.create({ resourceType: 'Promo', resourceId: promo._id.toString(), actorId: req.user._id.toString(), action: 'update', changes: patch });
+    res.json(promo);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admin: deactivate a promo (kept for its redemption history)
+router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const promo = await Promo.findByIdAndUpdate(req.params.id, { $set: { isActive: false, updatedBy: req.user._id } }, { new: true });
+    if (!promo) return res.status(404).json({ error: 'Promo not found' });
+    await AuditLog.create({ resourceType: 'Promo', resourceId: promo._id.toString(), actorId: req.user._id.toString(), action: 'delete', changes: { isActive: false } });
+    res.json(promo);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const ReconciliationReport = require('../models/ReconciliationReport');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const reconciliation = require('../services/reconciliation');
+const { toCsv } = require('../utils/csv');
+
+router.use(auth, requireRole('admin'));
+
+const CSV_COLUMNS = ['kind', 'resolution', 'resourceId', 'referenceId', 'providerId', 'user', 'amount', 'localStatus', 'providerStatus', 'newStatus', 'message'];
+
+// Admin: reconciliation reports, newest first (?page=&limit=&status=)
+router.get('/reports', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(query).select('-discrepancies').sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ReconciliationReport.countDocuments(query)
+    ]);
+    res.json({ reports, total, page, limit });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: one report with its discrepancies
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('discrepancies.user', 'firstName lastName email')
+      .populate('triggeredBy', 'firstName lastName email');
+    if (!report) return res.status(404).json({ error: 'Reconciliation report not found' });
+    res.json(report);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: download a report's discrepancies (?format=csv|json, csv by default)
+router.get('/reports/:id/export', async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Reconciliation report not found' });
+    const filename = `reconciliation-${report.startedAt.toISOString().slice(0, 10)}-${report._id}`;
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(report);
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(toCsv(report.discrepancies, CSV_COLUMNS));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: reconcile now ({ olderThanMinutes } optional)
+router.post('/reports', async (req, res) => {
+  try {
+    const options = { io: req.app.get('io'), trigger: 'manual', triggeredBy: req.user._id };
+    if (req.body && req.body.olderThanMinutes !== undefined) {
+      const minutes = Number(req.body.olderThanMinutes);
+      if (!Number.isFinite(minutes) || minutes < 0) return res.status(400).json({ error: 'olderThanMinutes must be a non-negative number' });
+      options.olderThanMinutes = minutes;
+    }
+    const report = await reconciliation.runExclusive(options);
+    if (!report) return res.status(409).json({ error: 'A reconciliation is already in progress' });
+    await AuditLog.create({ resourceType: 'ReconciliationReport', resourceId: report._id.toString(), actorId: req.user._id.toString(), action: 'create', changes: report.toObject().totals });
+    res.status(201).json(report);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
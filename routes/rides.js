@@ -3,25 +3,125 @@ const router = express.Router();
 const Ride = require('../models/Ride');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const fareService = require('../services/fare');
+const lifecycle = require('../services/rideLifecycle');
+const cancellation = require('../services/rideCancellation');
+const dispatch = require('../services/dispatch');
+const acceptance = require('../services/rideAcceptance');
+const ridePayment = require('../services/ridePayment');
+const refunds = require('../services/refunds');
+const promos = require('../services/promos');
+const tips = require('../services/tips');
+const scheduledRides = require('../services/scheduledRides');
+const rideStops = require('../services/rideStops');
+const pooling = require('../services/pooling');
+const tripTrace = require('../services/tripTrace');
+const tripPin = require('../services/tripPin');
+const rideSettlement = require('../services/rideSettlement');
+const idempotency = require('../middleware/idempotency');
+const { roundMoney } = require('../utils/money');
+
+// Error responses for lifecycle violations carry a machine-readable code
+function sendError(res, error) {
+  const body = { error: error.message };
+  if (error.code && typeof error.code === 'string') body.code = error.code;
+  res.status(error.status || 400).json(body);
+}
+
+// Quote a fare before booking (server-side pricing, client values are ignored)
+router.post('/quote', auth, async (req, res) => {
+  try {
+    const { pickupLocation, dropoffLocation, scheduledTime, promoCode } = req.body;
+    const at = scheduledTime ? new Date(scheduledTime) : new Date();
+    const stops = rideStops.normalizeStops(req.body.stops);
+    const pool = pooling.poolOptions({ pool: req.body.pool, seats: req.body.seats, stops });
+    const quote = await fareService.quote({
+      pickupLocation,
+      dropoffLocation,
+      stops,
+      city: req.user.address?.city,
+      at
+    });
+    if (pool.requested) {
+      const pooled = pooling.pooledFare(quote.fare);
+      quote.pool = { seats: pool.seats, soloFare: quote.fare, discount: pooled.discount };
+      quote.fare = pooled.fare;
+    }
+    if (promoCode) {
+      const { promo, discount } = await promos.checkPromo(promoCode, { user: req.user, city: req.user.address?.city, fare: quote.fare, at });
+      quote.promo = { code: promo.code, discount, originalFare: quote.fare };
+      quote.fare = roundMoney(quote.fare - discount);
+    }
+    res.json(quote);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
 // Create new ride request
 router.post('/', auth, async (req, res) => {
   try {
+    const { pickupLocation, dropoffLocation, paymentMethod, notes, isScheduled, scheduledTime, promoCode } = req.body;
+    const scheduled = isScheduled === true || isScheduled === 'true';
+    // Scheduled pickups must fall inside the booking window (400 scheduled-time-*)
+    const pickupAt = scheduled ? scheduledRides.validateScheduledTime(scheduledTime) : null;
+    // Optional ordered stops between pickup and dropoff (400 too-many-stops past RIDE_MAX_STOPS)
+    const stops = rideStops.normalizeStops(req.body.stops);
+    // Pooled rides ({ pool: true, seats }) share the vehicle for a discounted fare
+    const pool = pooling.poolOptions({ pool: req.body.pool, seats: req.body.seats, stops });
+    // Fare, distance and duration are always computed here; client-supplied values are ignored
+    const quote = await fareService.quote({
+      pickupLocation,
+      dropoffLocation,
+      stops,
+      city: req.user.address?.city,
+      at: pickupAt || new Date()
+    });
+    if (pool.requested) {
+      const pooled = pooling.pooledFare(quote.fare);
+      pool.soloFare = quote.fare;
+      pool.discount = pooled.discount;
+      quote.fare = pooled.fare;
+      quote.breakdown.poolDiscount = pooled.discount;
+    }
     const ride = new Ride({
-      ...req.body,
-      passenger: req.user._id
+      passenger: req.user._id,
+      pickupLocation,
+      dropoffLocation,
+      stops,
+      pool,
+      paymentMethod,
+      notes,
+      isScheduled: scheduled,
+      scheduledTime: pickupAt || undefined,
+      fare: quote.fare,
+      distance: quote.distance,
+      duration: quote.duration,
+      fareBreakdown: quote.breakdown,
+      statusHistory: [lifecycle.buildHistoryEntry(null, 'pending', { actor: req.user, role: 'passenger' })]
     });
-    await ride.save();
+    if (promoCode) {
+      await promos.applyPromo(ride, promoCode, { user: req.user, city: req.user.address?.city });
+    }
+    try {
+      await ride.save();
+    } catch (saveError) {
+      await promos.releasePromo(ride);
+      throw saveError;
+    }
     
-    // Notify available drivers
-    req.app.get('io').emit('newRideRequest', ride);
+    // Offer the ride to the nearest available drivers, wave by wave. Scheduled rides are
+    // held until shortly before pickup and dispatched by the scheduler
+    if (!scheduledRides.shouldHold(ride)) {
+      await dispatch.startDispatch(req.app.get('io'), ride);
+    }
     
     // Return ride with 'id' property for frontend compatibility
     const rideObj = ride.toObject();
     rideObj.id = rideObj._id;
     res.status(201).json(rideObj);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -77,10 +177,12 @@ router.get('/nearby', auth, async (req, res) => {
       return res.status(403).json({ error: 'Only drivers can view nearby rides' });
     }
 
-    const { latitude, longitude, maxDistance = 5000 } = req.query;
-    
-    const rides = await Ride.find({
+    const { latitude, longitude, maxDistance = 5000, maxStops } = req.query;
+
+    const query = {
       status: 'pending',
+      // Held scheduled rides are listed under /scheduled
+      $nor: [{ isScheduled: true, 'dispatch.startedAt': null }],
       pickupLocation: {
         $near: {
           $geometry: {
@@ -90,14 +192,81 @@ router.get('/nearby', auth, async (req, res) => {
           $maxDistance: parseInt(maxDistance)
         }
       }
-    }).populate('passenger', 'firstName lastName phoneNumber');
-    
+    };
+    // ?maxStops=0 leaves out multi-stop rides
+    if (maxStops !== undefined && Number.isInteger(Number(maxStops)) && Number(maxStops) >= 0) {
+      query[`stops.${Number(maxStops)}`] = { $exists: false };
+    }
+    const rides = await Ride.find(query).populate('passenger', 'firstName lastName phoneNumber');
+
     res.json(rides);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Open ride offers for the authenticated driver
+router.get('/offers', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers have ride offers' });
+    }
+    const offers = await dispatch.openOffersFor(req.user._id);
+    res.json(offers);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Upcoming scheduled rides a driver can commit to, soonest first (?page=&limit=)
+router.get('/scheduled', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can view scheduled rides' });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const [rides, total] = await scheduledRides.upcomingRides({ page, limit });
+    res.json({ rides, total, page, limit });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Scheduled rides the authenticated driver committed to
+router.get('/scheduled/committed', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers commit to scheduled rides' });
+    }
+    const rides = await scheduledRides.commitmentsFor(req.user._id);
+    res.json(rides);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// The authenticated driver's current pooled trip: its rides and the pickup/dropoff order
+router.get('/pool/current', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers have pooled trips' });
+    }
+    const trip = await pooling.currentTripFor(req.user._id);
+    if (!trip) {
+      return res.status(404).json({ error: 'No active pooled trip' });
+    }
+    res.json(trip);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancellation reason catalogue (optionally filtered by ?role=passenger|driver|admin)
+router.get('/cancellation-reasons', auth, (req, res) => {
+  res.json({ reasons: cancellation.reasonsFor(req.query.role) });
+});
+
 // Get ride by ID (restrict to ObjectId format)
 router.get('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
   try {
@@ -122,48 +291,35 @@ router.get('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
   }
 });
 
-// Accept ride request
-  router.patch('/:id/accept', auth, async (req, res) => {
+// Passenger: the trip PIN to give the driver, and whether this city requires it
+router.get('/:id/pin', auth, async (req, res) => {
   try {
-    if (req.user.role !== 'driver') {
-      return res.status(403).json({ error: 'Only drivers can accept rides' });
-    }
-
-    const ride = await Ride.findById(req.params.id)
-      .populate('passenger', '_id');
-    
+    const ride = await Ride.findById(req.params.id);
     if (!ride) {
       return res.status(404).json({ error: 'Ride not found' });
     }
-
-    if (ride.status !== 'pending') {
-      return res.status(400).json({ error: 'Ride is no longer available' });
+    if (req.user._id.toString() !== ride.passenger.toString()) {
+      return res.status(403).json({ error: 'Only the passenger can see the trip PIN' });
     }
+    res.json(await tripPin.pinForPassenger(ride));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    // If ride payment is via wallet, validate passenger has sufficient balance
-    if (ride.paymentMethod === 'wallet') {
-      try {
-        const Wallet = require('../models/Wallet');
-        const passengerWallet = await Wallet.findByUserId(ride.passenger._id);
-        
-        if (!passengerWallet) {
-          return res.status(400).json({ error: 'Passenger wallet not found' });
-        }
-
-        if (passengerWallet.balance < ride.fare) {
-          return res.status(400).json({ error: 'Passenger has insufficient wallet balance for this ride' });
-        }
-      } catch (walletError) {
-        console.error('Error validating passenger wallet:', walletError);
-        return res.status(400).json({ error: 'Failed to validate passenger wallet' });
-      }
+// Accept ride request
+  router.patch('/:id/accept', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can accept rides' });
     }
 
-    ride.driver = req.user._id;
-    ride.status = 'accepted';
-    await ride.save();
-
+    // Conditional update: concurrent accepts get 409 ride-already-taken.
+    // Wallet rides also hold the fare on the passenger's wallet (400 insufficient-balance)
     const io = req.app.get('io');
+    const ride = await acceptance.acceptRide({ rideId: req.params.id, driver: req.user, location: req.body.location, io });
+    await dispatch.onRideAccepted(io, ride, req.user._id);
+
     // Ensure conversation exists and notify both parties
     const Conversation = require('../models/Conversation');
     const conversation = await Conversation.findOrCreateConversation(ride.passenger, ride.driver, ride._id);
@@ -172,18 +328,110 @@ router.get('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
     io.to(`user_${ride.driver}`).emit('conversationCreated', { rideId: ride._id, conversationId: conversation._id });
     const Notification = require('../models/Notification');
     const passNote = await Notification.create({ user: ride.passenger, type: 'ride', title: 'Ride accepted', body: 'A driver accepted your ride', data: { rideId: ride._id } });
-    const drvNote = await Notification.create({ user: ride.driver, type: 'ride', title: 'Ride assigned', body: 'You accepted a ride', data: { rideId: ride._id } });
+    const stopsText = ride.stops.length ? ` with ${ride.stops.length} stop${ride.stops.length > 1 ? 's' : ''}` : '';
+    const drvNote = await Notification.create({ user: ride.driver, type: 'ride', title: 'Ride assigned', body: `You accepted a ride${stopsText}`, data: { rideId: ride._id } });
     req.app.get('io').to(`user_${ride.passenger}`).emit('notification', passNote);
     req.app.get('io').to(`user_${ride.driver}`).emit('notification', drvNote);
     
     // Re-populate driver fields before responding
     await ride.populate('driver', 'firstName lastName phoneNumber rating');
     res.json(ride);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Decline a ride offer
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can decline rides' });
+    }
+    const offer = await dispatch.declineOffer(req.app.get('io'), req.params.id, req.user._id);
+    if (!offer) {
+      return res.status(404).json({ error: 'No open offer for this ride' });
+    }
+    res.json({ ok: true });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Commit to a scheduled ride in advance; it is assigned to this driver when it is dispatched
+router.post('/:id/commit', auth, async (req, res) => {
+  try {
+    const ride = await scheduledRides.commitDriver(req.params.id, req.user, { io: req.app.get('io') });
+    res.json(ride);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Withdraw a commitment to a scheduled ride that has not been dispatched yet
+router.delete('/:id/commit', auth, async (req, res) => {
+  try {
+    const ride = await scheduledRides.withdrawCommitment(req.params.id, req.user._id, { io: req.app.get('io') });
+    res.json(ride);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Add a stop ({ location: { coordinates | latitude, longitude, address }, index? }); re-quotes the fare
+router.post('/:id/stops', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+    const role = lifecycle.resolveActorRole(ride, req.user);
+    if (role !== 'passenger' && role !== 'admin') {
+      return res.status(403).json({ error: 'Only the passenger can change stops' });
+    }
+    const { location, index } = req.body || {};
+    await rideStops.addStop(ride, { location, index, actor: req.user, io: req.app.get('io') });
+    res.status(201).json(ride);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Remove a stop the driver has not reached yet; re-quotes the fare
+router.delete('/:id/stops/:stopId', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+    const role = lifecycle.resolveActorRole(ride, req.user);
+    if (role !== 'passenger' && role !== 'admin') {
+      return res.status(403).json({ error: 'Only the passenger can change stops' });
+    }
+    await rideStops.removeStop(ride, req.params.stopId, { io: req.app.get('io') });
+    res.json(ride);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Driver reports arriving at / leaving a stop, in order, during the ride
+router.post('/:id/stops/:stopId/:event(arrive|depart)', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+    if (!ride.driver || req.user._id.toString() !== ride.driver.toString()) {
+      return res.status(403).json({ error: 'Only the ride\'s driver can report stops' });
+    }
+    const report = req.params.event === 'arrive' ? rideStops.arriveAtStop : rideStops.departStop;
+    await report(ride, req.params.stopId, { io: req.app.get('io') });
+    res.json(ride);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Update ride status
   router.patch('/:id/status', auth, async (req, res) => {
   try {
@@ -195,19 +443,29 @@ router.get('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
       return res.status(404).json({ error: 'Ride not found' });
     }
 
-    const isDriver = ride.driver && req.user._id.toString() === ride.driver._id.toString();
-    const isPassenger = ride.passenger && req.user._id.toString() === ride.passenger._id.toString();
-    if (!isDriver && !isPassenger) {
+    const role = lifecycle.resolveActorRole(ride, req.user);
+    if (!role || (role === 'driver' && !ride.driver)) {
       return res.status(403).json({ error: 'Not authorized to update this ride' });
     }
 
-    ride.status = req.body.status;
-    await ride.save();
+    // Acceptance, completion and cancellation move money, so they only happen through their own routes
+    const { status } = req.body;
+    const dedicatedRoutes = { accepted: 'accept', completed: 'complete', cancelled: 'cancel' };
+    if (dedicatedRoutes[status]) {
+      return res.status(400).json({ error: `Use the /${dedicatedRoutes[status]} endpoint to move a ride to ${status}` });
+    }
+
+    // Drivers start the ride with the passenger's trip PIN (required or optional per city)
+    if (status === 'in-progress' && role === 'driver') {
+      lifecycle.assertTransition(ride.status, status, role);
+      await tripPin.verifyStart(ride, req.body.pin, { io: req.app.get('io') });
+    }
+
+    await lifecycle.transitionRide(ride, status, { actor: req.user, role, location: req.body.location, note: req.body.note, io: req.app.get('io') });
 
     // Notify all parties involved
-    req.app.get('io').to(`ride_${ride._id}`).emit('rideStatusChanged', ride);
     const Notification = require('../models/Notification');
-    const targets = [ride.passenger._id, ride.driver._id].filter(Boolean);
+    const targets = [ride.passenger?._id, ride.driver?._id].filter(Boolean);
     for (const u of targets) {
       const note = await Notification.create({ user: u, type: 'ride', title: 'Ride status updated', body: `Status: ${ride.status}`, data: { rideId: ride._id } });
       req.app.get('io').to(`user_${u}`).emit('notification', note);
@@ -215,7 +473,43 @@ router.get('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
     
     res.json(ride);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Cancel ride with a reason code; applies the cancellation-fee policy
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    const role = lifecycle.resolveActorRole(ride, req.user);
+    if (!role || (role === 'driver' && !ride.driver)) {
+      return res.status(403).json({ error: 'Not authorized to cancel this ride' });
+    }
+
+    const { reasonCode, note, location } = req.body;
+    await cancellation.cancelRide(ride, { actor: req.user, role, reasonCode, note, location, io: req.app.get('io') });
+    res.json(ride);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admin: refund all or part of a ride's fare ({ amount?, reason })
+router.post('/:id/refund', auth, auth.requireRole('admin'), idempotency, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+    const { amount, reason } = req.body || {};
+    const result = await refunds.refundRide(ride, { amount, reason, actor: req.user, io: req.app.get('io') });
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -241,115 +535,44 @@ router.get('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
       return res.status(403).json({ error: 'Only drivers can complete rides' });
     }
 
-    if (ride.status !== 'accepted') {
+    if (!lifecycle.canTransition(ride.status, 'completed', 'driver')) {
       console.warn(`⚠️  Cannot complete ride with status: ${ride.status}`);
-      return res.status(400).json({ error: `Can only complete accepted rides. Current status: ${ride.status}` });
-    }
-
-    // Process payment if using wallet
-    if (ride.paymentMethod === 'wallet' && ride.paymentStatus === 'pending') {
-      try {
-        const Wallet = require('../models/Wallet');
-        const crypto = require('crypto');
-        
-        console.log(`💰 Processing payment for ride ${ride._id}`);
-        console.log(`   Fare: ₱${ride.fare}`);
-        console.log(`   Passenger ID: ${ride.passenger._id}`);
-        console.log(`   Driver ID: ${ride.driver._id}`);
-        
-        // Get passenger's wallet
-        let passengerWallet = await Wallet.findByUserId(ride.passenger._id);
-        if (!passengerWallet) {
-          console.warn('❌ Passenger wallet not found - creating new wallet');
-          passengerWallet = new Wallet({
-            user: ride.passenger._id,
-            balance: 0,
-            currency: 'PHP',
-            transactions: []
-          });
-          await passengerWallet.saveWithRepair();
-          console.log('✅ New passenger wallet created');
-          ride.paymentStatus = 'pending';
-        } else if (passengerWallet.balance < ride.fare) {
-          console.warn(`❌ Insufficient balance. Required: ₱${ride.fare}, Available: ₱${passengerWallet.balance}`);
-          ride.paymentStatus = 'pending';
-        } else {
-          try {
-            const referenceId = `ride_${ride._id}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
-            console.log(`   Deducting ₱${ride.fare} from passenger...`);
-            const deductResult = await passengerWallet.deductFunds(ride.fare, {
-              type: 'PAYMENT',
-              referenceId: referenceId,
-              description: `Payment for ride from ${ride.pickupLocation.address} to ${ride.dropoffLocation.address}`,
-              metadata: {
-                rideId: ride._id.toString(),
-                driverId: ride.driver._id.toString(),
-                distance: ride.distance,
-                duration: ride.duration
-              }
-            });
-            console.log(`✅ Passenger deducted. New balance: ₱${deductResult.balance}`);
-
-            // Add funds to driver's wallet
-            let driverWallet = await Wallet.findByUserId(ride.driver._id);
-            if (!driverWallet) {
-              console.log('📝 Driver wallet not found - creating new wallet');
-              driverWallet = new Wallet({
-                user: ride.driver._id,
-                balance: 0,
-                currency: 'PHP',
-                transactions: []
-              });
-              const saved = await driverWallet.saveWithRepair();
-              console.log(`✅ New driver wallet created with ID: ${saved._id}`);
-            }
-
-            const driverReferenceId = `ride_income_${ride._id}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
-            console.log(`   Adding ₱${ride.fare} to driver wallet...`);
-            const addResult = await driverWallet.addFunds(ride.fare, {
-              type: 'TOPUP',
-              referenceId: driverReferenceId,
-              xenditId: null,
-              paymentMethod: 'RIDE_PAYMENT',
-              description: `Income from ride to ${ride.dropoffLocation.address}`,
-              metadata: {
-                rideId: ride._id.toString(),
-                passengerId: ride.passenger._id.toString(),
-                distance: ride.distance,
-                duration: ride.duration
-              }
-            });
-            console.log(`✅ Driver credited. New balance: ₱${addResult.balance}`);
-            ride.paymentStatus = 'completed';
-          } catch (transactionError) {
-            console.error('❌ Transaction error:', transactionError.message);
-            console.error(transactionError);
-            ride.paymentStatus = 'pending';
-            throw transactionError;
-          }
-        }
-      } catch (walletError) {
-        console.error('❌ Wallet error:', walletError.message);
-        console.error(walletError);
-        console.warn('⚠️  Continuing with ride completion despite wallet error');
-      }
+      return res.status(409).json({ error: `Can only complete rides that are in progress. Current status: ${ride.status}`, code: 'invalid-transition' });
+    }
+
+    // Multi-stop rides: every stop must have been reached (409 stops-not-visited), and the
+    // waiting time at stops is added to the fare before it is settled
+    const waitingCharge = await rideStops.finishStops(ride);
+    if (waitingCharge > 0) console.log(`⏱️  Ride ${ride._id}: waiting charge ₱${waitingCharge} at ${ride.stops.length} stop(s)`);
+
+    // Rebuild the driven route from the driver's GPS fixes; the fare is re-priced when the
+    // driven distance or time is off the estimate beyond the tolerance
+    try {
+      const route = await tripTrace.applyTrace(ride);
+      if (route.repriced) console.log(`🛣️  Ride ${ride._id}: re-priced from ₱${route.estimatedFare} to ₱${ride.fare} (${route.distance} km, ${route.duration} min driven)`);
+    } catch (traceError) {
+      console.error('❌ Trip trace error:', traceError.message);
+      console.warn('⚠️  Completing ride with the estimated fare');
+    }
+
+    // Wallet rides: capture the hold, pay the driver and take the commission.
+    // Cash rides: add the commission to the driver's debt. Card rides: record the split.
+    // A settlement that fails is recorded on the ride and retried in the background.
+    const settlementError = await rideSettlement.settleCompletion(ride, { io: req.app.get('io') });
+    if (settlementError) {
+      console.error('❌ Wallet error:', settlementError.message);
+      console.warn('⚠️  Completing the ride; its settlement will be retried');
     }
 
-    ride.status = 'completed';
     if (req.body.rating) {
       ride.rating = req.body.rating;
     }
-    await ride.save();
+    await lifecycle.transitionRide(ride, 'completed', { actor: req.user, role: 'driver', location: req.body.location, io: req.app.get('io') });
 
     // Set TTL for messages in this conversation (24h retention)
     const Conversation = require('../models/Conversation');
-    const Message = require('../models/Message');
-    const conversation = await Conversation.findOne({ rideId: ride._id });
+    const conversation = await Conversation.closeForRide(ride._id);
     if (conversation) {
-      const expiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
-      await Message.updateMany({ conversationId: conversation._id }, { expiresAt: expiry });
-      conversation.isActive = false;
-      await conversation.save();
       // Notify passenger
       req.app.get('io').to(`user_${ride.passenger}`).emit('rideCompleted', { ride, conversationId: conversation._id });
     } else {
@@ -365,12 +588,12 @@ router.get('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
     await ride.populate('driver', 'firstName lastName phoneNumber rating');
     res.json(ride);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Rate ride
-router.post('/:id/rate', auth, async (req, res) => {
+router.post('/:id/rate', auth, idempotency, async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id);
     
@@ -401,24 +624,25 @@ router.post('/:id/rate', auth, async (req, res) => {
     // Basic sanitization: strip HTML tags and escape angle brackets
     const sanitized = feedbackText.replace(/<[^>]*>?/gm, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
-    ride.rating = rating;
-    ride.feedback = sanitized;
-    ride.feedbackStatus = 'pending';
-
     // Lightweight moderation: auto-approve if no banned words
     const banned = ['spam', 'scam', 'hate'];
     const containsBanned = banned.some(w => sanitized.toLowerCase().includes(w));
-    if (!containsBanned) {
-      ride.feedbackStatus = 'approved';
+    const feedbackStatus = containsBanned ? 'pending' : 'approved';
+
+    // Save only the rating and feedback, so a tip being settled on the ride is not written over
+    let rated = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: 'completed' },
+      { $set: { rating, feedback: sanitized, feedbackStatus } },
+      { new: true }
+    );
+    if (!rated) {
+      return res.status(404).json({ error: 'Ride not found' });
     }
 
-    // Save the ride with rating and feedback
-    await ride.save();
-
     // Update driver's average rating (approved only)
-    const driver = await User.findById(ride.driver);
+    const driver = await User.findById(rated.driver);
     if (driver) {
-      const driverRides = await Ride.find({ driver: ride.driver, rating: { $exists: true }, feedbackStatus: { $ne: 'rejected' } });
+      const driverRides = await Ride.find({ driver: rated.driver, rating: { $exists: true }, feedbackStatus: { $ne: 'rejected' } });
       if (driverRides.length > 0) {
         const averageRating = driverRides.reduce((acc, ride) => acc + ride.rating, 0) / driverRides.length;
         driver.rating = averageRating;
@@ -426,9 +650,34 @@ router.post('/:id/rate', auth, async (req, res) => {
       }
     }
 
-    res.json(ride);
+    // Optional tip with the rating ({ amount, method: wallet|card, token_id }), paid once the
+    // rating is saved; a failed tip can be retried on its own through /tip
+    if (req.body.tip) {
+      const { amount, method, token_id: tokenId } = req.body.tip;
+      rated = await tips.addTip(rated, { amount, method, tokenId, passenger: req.user, io: req.app.get('io') });
+    }
+
+    res.json(rated);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Tip the driver of a completed ride within the tip window ({ amount, method: wallet|card, token_id })
+router.post('/:id/tip', auth, idempotency, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+    if (!ride.passenger || req.user._id.toString() !== ride.passenger.toString()) {
+      return res.status(403).json({ error: 'Only the passenger can tip this ride' });
+    }
+    const { amount, method, token_id: tokenId } = req.body || {};
+    const updated = await tips.addTip(ride, { amount, method, tokenId, passenger: req.user, io: req.app.get('io') });
+    res.status(201).json(updated);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const Tariff = require('../models/Tariff');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+
+const EDITABLE_FIELDS = ['city', 'name', 'currency', 'flagDown', 'perKm', 'perMinute', 'minimumFare', 'cancellationFee', 'perStop', 'waitingPerMinute', 'freeWaitingMinutes', 'tripPin', 'nightSurcharge', 'timezone', 'isActive'];
+
+function pickEditable(body) {
+  const patch = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) patch[field] = body[field];
+  }
+  if (patch.city === '') patch.city = null;
+  return patch;
+}
+
+router.use(auth, requireRole('admin'));
+
+// Admin: list tariff tables
+router.get('/', async (req, res) => {
+  try {
+    const tariffs = await Tariff.find({}).sort({ city: 1 });
+    res.json(tariffs);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: create a tariff (omit city for the default tariff)
+router.post('/', async (req, res) => {
+  try {
+    const tariff = await Tariff.create({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await AuditLog.create({ resourceType: 'Tariff', resourceId: tariff._id.toString(), actorId: req.user._id.toString(), action: 'create', changes: pickEditable(req.body) });
+    res.status(201).json(tariff);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A tariff for this city already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: update rates
+router.put('/:id', async (req, res) => {
+  try {
+    const patch = pickEditable(req.body);
+    const tariff = await Tariff.findByIdAndUpdate(req.params.id, { ...patch, updatedBy: req.user._id }, { new: true, runValidators: true });
+    if (!tariff) return res.status(404).json({ error: 'Tariff not found' });
+    await AuditLog.create({ resourceType: 'Tariff', resourceId: tariff._id.toString(), actorId: req.user._id.toString(), action: 'update', changes: patch });
+    res.json(tariff);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A tariff for this city already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: delete a city override (rides fall back to the default tariff)
+router.delete('/:id', async (req, res) => {
+  try {
+    const tariff = await Tariff.findByIdAndDelete(req.params.id);
+    if (!tariff) return res.status(404).json({ error: 'Tariff not found' });
+    await AuditLog.create({ resourceType: 'Tariff', resourceId: tariff._id.toString(), actorId: req.user._id.toString(), action: 'delete', changes: {} });
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
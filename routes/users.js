@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Wallet = require('../models/Wallet');
 const auth = require('../middleware/auth');
 const { requireRole } = require('../middleware/auth');
+const commission = require('../services/commission');
 
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
@@ -69,6 +71,17 @@ router.patch('/driver/availability', auth, async (req, res) => {
     if (desired === true && req.user.approvalStatus !== 'approved') {
       return res.status(403).json({ error: 'Driver not approved by admin' });
     }
+    if (desired === true) {
+      const wallet = await Wallet.findByUserId(req.user._id);
+      if (wallet && commission.isOverDebtLimit(wallet.commissionDebt)) {
+        return res.status(403).json({
+          error: 'Outstanding cash ride commission is over the limit; pay it from your wallet to go available',
+          code: 'commission-debt-limit',
+          commissionDebt: wallet.commissionDebt,
+          limit: commission.DRIVER_DEBT_LIMIT
+        });
+      }
+    }
 
     req.user.isAvailable = desired;
     await req.user.save();
@@ -381,6 +394,8 @@ router.put('/:id', auth, requireRole('admin'), async (req, res) => {
       role,
       approvalStatus,
       licenseNumber,
+      driverTier,
+      seatCapacity,
       address,
       isActive
     } = req.body;
@@ -399,6 +414,8 @@ router.put('/:id', auth, requireRole('admin'), async (req, res) => {
     if (role !== undefined) user.role = role;
     if (approvalStatus !== undefined) user.approvalStatus = approvalStatus;
     if (licenseNumber !== undefined) user.licenseNumber = licenseNumber;
+    if (driverTier !== undefined) user.driverTier = driverTier;
+    if (seatCapacity !== undefined) user.seatCapacity = seatCapacity;
     if (address !== undefined) user.address = address;
     if (isActive !== undefined) user.isActive = isActive;
 
@@ -425,7 +442,7 @@ router.patch('/:id', auth, requireRole('admin'), async (req, res) => {
     const updates = Object.keys(req.body);
     const allowedUpdates = [
       'firstName', 'lastName', 'middleName', 'email', 'phoneNumber', 
-      'role', 'approvalStatus', 'licenseNumber', 'address', 'isActive'
+      'role', 'approvalStatus', 'licenseNumber', 'driverTier', 'seatCapacity', 'address', 'isActive'
     ];
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
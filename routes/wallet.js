@@ -4,6 +4,8 @@ const { body, param } = require('express-validator');
 const walletController = require('../controllers/walletController');
 const auth = require('../middleware/auth');
 const { requireRole } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const webhookAuth = require('../middleware/webhookAuth');
 
 // Validation middleware
 const validateTopUp = [
@@ -13,9 +15,7 @@ const validateTopUp = [
 
 const validateCashOut = [
   body('amount').isNumeric().withMessage('Amount must be a number').isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
-  body('bankCode').isString().withMessage('Bank code is required'),
-  body('accountNumber').isString().withMessage('Account number is required'),
-  body('accountHolderName').isString().withMessage('Account holder name is required')
+  body('payoutAccountId').optional().isMongoId().withMessage('payoutAccountId must be a saved payout account id')
 ];
 
 // Get wallet balance
@@ -25,19 +25,26 @@ router.get('/', auth, walletController.getWallet);
 router.post('/init', auth, walletController.initializeWallet);
 
 // Top-up wallet
-router.post('/topup', auth, validateTopUp, walletController.initiateTopUp);
+router.post('/topup', auth, idempotency, validateTopUp, walletController.initiateTopUp);
 
-// Handle Xendit top-up webhook (no auth required)
-router.post('/webhook/topup', walletController.handleTopUpCallback);
+// Handle Xendit top-up webhook (callback token, no user auth)
+router.post('/webhook/topup', webhookAuth('xendit', { passRejected: true }), walletController.handleTopUpCallback);
 
 // Get list of supported banks for cashout
 router.get('/banks/supported', walletController.getSupportedBanks);
 
-// Cash-out from wallet
-router.post('/cashout', auth, validateCashOut, walletController.initiateCashOut);
+// Saved cash-out destinations
+router.use('/payout-accounts', require('./payoutAccounts'));
 
-// Handle Xendit cash-out webhook (no auth required)
-router.post('/webhook/cashout', walletController.handleCashOutCallback);
+// Automatic payout settings
+router.get('/auto-payout', auth, walletController.getAutoPayout);
+router.put('/auto-payout', auth, walletController.updateAutoPayout);
+
+// Cash-out from wallet to a saved payout account
+router.post('/cashout', auth, idempotency, validateCashOut, walletController.initiateCashOut);
+
+// Handle Xendit cash-out webhook (callback token, no user auth)
+router.post('/webhook/cashout', webhookAuth('xendit', { passRejected: true }), walletController.handleCashOutCallback);
 
 // Get transaction history
 router.get('/transactions', auth, [
@@ -45,6 +52,12 @@ router.get('/transactions', auth, [
   param('limit').optional().isInt({ min: 1, max: 100 }).toInt()
 ], walletController.getTransactionHistory);
 
+// Driver earnings after platform commission
+router.get('/earnings', auth, walletController.getEarnings);
+
+// Pay cash-ride commission debt from the wallet balance
+router.post('/commission-debt/pay', auth, walletController.payCommissionDebt);
+
 // Verify and update pending transaction (manual check)
 router.post('/verify-transaction', auth, walletController.verifyTransaction);
 
@@ -53,17 +66,4 @@ if (process.env.NODE_ENV !== 'production') {
   router.get('/debug/earnings', auth, walletController.debugDriverEarnings);
 }
 
-// ⚠️ DEVELOPMENT ONLY: Test endpoint to simulate cashout callback
-if (process.env.NODE_ENV !== 'production') {
-  router.post('/test/simulate-cashout-callback', [
-    body('referenceId').isString().withMessage('Reference ID is required'),
-    body('status').optional().isIn(['COMPLETED', 'FAILED']).withMessage('Status must be COMPLETED or FAILED')
-  ], walletController.testSimulateCashoutCallback);
-
-  router.post('/test/simulate-topup-callback', [
-    body('referenceId').isString().withMessage('Reference ID is required'),
-    body('status').optional().isIn(['PAID', 'FAILED']).withMessage('Status must be PAID or FAILED')
-  ], walletController.testSimulateTopupCallback);
-}
-
 module.exports = router;
\ No newline at end of file
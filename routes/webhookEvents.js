@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const WebhookEvent = require('../models/WebhookEvent');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const webhookInbox = require('../services/webhookInbox');
+
+router.use(auth, requireRole('admin'));
+
+// Admin: received webhooks, newest first (?page=&limit=&status=&source=&eventId=)
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.source) query.source = req.query.source;
+    if (req.query.eventId) query.eventId = req.query.eventId;
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query).select('-payload -headers').sort({ receivedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      WebhookEvent.countDocuments(query)
+    ]);
+    res.json({ events, total, page, limit });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: one event with its headers and raw payload
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id).populate('replayedBy', 'firstName lastName email');
+    if (!event) return res.status(404).json({ error: 'Webhook event not found' });
+    res.json(event);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: process a failed or dead-lettered event again now
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const before = await WebhookEvent.findById(req.params.id).select('status');
+    const event = await webhookInbox.replay(req.params.id, { io: req.app.get('io'), actorId: req.user._id });
+    if (!event) return res.status(404).json({ error: 'Webhook event not found' });
+    await AuditLog.create({ resourceType: 'WebhookEvent', resourceId: event._id.toString(), actorId: req.user._id.toString(), action: 'update', changes: { replay: true, from: before && before.status, to: event.status } });
+    res.json(event);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Migration script: backfill_ledger_opening_balances.js
+ *
+ * - Posts an OPENING_BALANCE ledger entry for every wallet that has a balance
+ *   but no ledger history yet (wallets created before the ledger existed)
+ * - Safe to re-run; the server also runs it on startup
+ *
+ * Usage: set MONGO_URI if needed, then run:
+ *   npm run migrate:backfill-ledger
+ */
+
+const mongoose = require('mongoose');
+require('../../models/Wallet');
+const ledger = require('../../services/ledger');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://localhost:27017/test';
+
+(async () => {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const posted = await ledger.backfillOpeningBalances();
+    console.log(`Posted ${posted} opening balance entr${posted === 1 ? 'y' : 'ies'}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,69 @@
+/**
+ * send-test-webhook.js
+ *
+ * - Sends a Xendit-style callback to a local server, signed with WEBHOOK_TEST_SECRET
+ *   (the server must have the same secret and must not run with NODE_ENV=production)
+ * - Replaces the old /api/wallet/test/simulate-*-callback routes
+ *
+ * Usage:
+ *   node scripts/send-test-webhook.js topup <externalId> [PAID|EXPIRED|FAILED]
+ *   node scripts/send-test-webhook.js cashout <referenceId> [COMPLETED|FAILED|REVERSED]
+ *   node scripts/send-test-webhook.js payment <providerId> [PAID|SUCCEEDED|FAILED|EXPIRED]
+ *
+ * WEBHOOK_TEST_URL overrides the server address (default http://localhost:$PORT).
+ */
+
+const axios = require('axios');
+require('dotenv').config();
+const { testSignature, TEST_SIGNATURE_HEADER } = require('../middleware/webhookAuth');
+
+const BASE_URL = process.env.WEBHOOK_TEST_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const SOURCES = {
+  topup: {
+    path: '/api/wallet/webhook/topup',
+    status: 'PAID',
+    payload: (reference, status) => ({ id: `test_invoice_${Date.now()}`, external_id: reference, status, currency: 'PHP' })
+  },
+  cashout: {
+    path: '/api/wallet/webhook/cashout',
+    status: 'COMPLETED',
+    payload: (reference, status) => ({ id: `test_payout_${Date.now()}`, reference_id: reference, status, currency: 'PHP' })
+  },
+  payment: {
+    path: '/api/payments/webhook',
+    status: 'PAID',
+    payload: (reference, status) => ({ id: reference, status })
+  }
+};
+
+(async () => {
+  const [source, reference, status] = process.argv.slice(2);
+  const config = SOURCES[source];
+  if (!config || !reference) {
+    console.error('Usage: node scripts/send-test-webhook.js <topup|cashout|payment> <reference> [status]');
+    process.exit(1);
+  }
+  const secret = process.env.WEBHOOK_TEST_SECRET;
+  if (!secret) {
+    console.error('WEBHOOK_TEST_SECRET is not set');
+    process.exit(1);
+  }
+
+  // Sign exactly the bytes that are sent
+  const body = JSON.stringify(config.payload(reference, status || config.status));
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const res = await axios.post(BASE_URL + config.path, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        [TEST_SIGNATURE_HEADER]: `t=${timestamp},v1=${testSignature(secret, timestamp, body)}`
+      },
+      timeout: 10000
+    });
+    console.log(`${res.status}`, res.data);
+  } catch (err) {
+    console.error('Webhook failed:', err.response ? `${err.response.status} ${JSON.stringify(err.response.data)}` : err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,48 @@
+/**
+ * verify-ledger.js
+ *
+ * - Recomputes every wallet balance from the LedgerEntry collection
+ * - Reports wallets whose stored balance drifted from the ledger, unbalanced
+ *   entries, ledger accounts without a wallet, and money stuck in ride clearing
+ * - Exits with code 1 when anything is off
+ *
+ * Usage: set MONGODB_URI (or MONGO_URI) if needed, then run:
+ *   npm run ledger:verify
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+require('../models/Wallet');
+const ledger = require('../services/ledger');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://localhost:27017/test';
+
+(async () => {
+  try {
+    await mongoose.connect(MONGO_URI);
+    const report = await ledger.verify();
+
+    console.log(`Checked ${report.checkedWallets} wallet(s)`);
+    console.log('Platform accounts:', report.platform);
+    console.log(`Trial balance (should be 0): ${report.trialBalance}`);
+    if (report.rideClearing !== 0) {
+      console.log(`Ride clearing is not empty: ${report.rideClearing}`);
+    }
+    for (const row of report.drift) {
+      console.log(`DRIFT wallet ${row.walletId} (user ${row.user}): balance=${row.balance} ledger=${row.ledgerBalance} difference=${row.difference}`);
+    }
+    for (const account of report.orphanAccounts) {
+      console.log(`ORPHAN ledger account without a wallet: ${account}`);
+    }
+    for (const journalId of report.unbalancedEntries) {
+      console.log(`UNBALANCED entry: ${journalId}`);
+    }
+    console.log(report.ok ? 'Ledger OK' : 'Ledger verification FAILED');
+
+    await mongoose.disconnect();
+    process.exit(report.ok ? 0 : 1);
+  } catch (err) {
+    console.error('Ledger verification error:', err);
+    process.exit(1);
+  }
+})();
@@ -6,7 +6,10 @@ const jwt = require('jsonwebtoken');
 const http = require('http');
 const socketIo = require('socket.io');
 const User = require('./models/User');
+const Ride = require('./models/Ride');
 const DriverLocation = require('./models/DriverLocation');
+const { ACTIVE_STATUSES } = require('./services/rideLifecycle');
+const { redactUrl } = require('./utils/redact');
 require('dotenv').config();
 
 
@@ -34,15 +37,24 @@ app.set('io', io);
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI;
 
+// Behind a load balancer, TRUST_PROXY makes req.ip the client address (needed for webhook IP allow-lists)
+// (a hop count, `true`, or addresses/subnets such as `loopback`)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Keep the raw body for verifying signed webhook deliveries
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(bodyParser.json({ verify: keepRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Simple request logger to help debug routing issues (prints method and full path)
 app.use((req, res, next) => {
   try {
-    console.log(`Incoming request: ${req.method} ${req.originalUrl}`);
+    console.log(`Incoming request: ${req.method} ${redactUrl(req.originalUrl)}`);
   } catch (e) {
     // ignore logging errors
   }
@@ -75,6 +87,13 @@ connectMongoDB();
 // and ensure the proper partial unique index is present. This will attempt the
 // migration once the MongoDB connection is open and will not crash the server.
 mongoose.connection.on('connected', async () => {
+  // Wallet and ledger writes need transactions; refuse to run without them
+  try {
+    await require('./services/ledger').checkTransactionSupport();
+  } catch (err) {
+    console.error('Startup ledger check failed:', err.message);
+    process.exit(1);
+  }
   try {
     console.log('MongoDB connection open — running wallet migration & index sync');
     const Wallet = require('./models/Wallet');
@@ -85,6 +104,24 @@ mongoose.connection.on('connected', async () => {
   } catch (err) {
     console.warn('Startup wallet migration/index sync failed:', err.message);
   }
+  try {
+    const posted = await require('./services/ledger').backfillOpeningBalances();
+    console.log(`Startup: posted ${posted} ledger opening balance(s)`);
+  } catch (err) {
+    console.warn('Startup ledger backfill failed:', err.message);
+  }
+  try {
+    const resumed = await require('./services/dispatch').resumeDispatches(io);
+    console.log(`Startup: resumed dispatch for ${resumed} pending ride(s)`);
+  } catch (err) {
+    console.warn('Startup dispatch resume failed:', err.message);
+  }
+  require('./services/cashOut').startCashOutReconciler(io);
+  require('./services/autoPayout').startAutoPayoutScheduler(io);
+  require('./services/webhookInbox').startWebhookWorker(io);
+  require('./services/reconciliation').startReconciliationScheduler(io);
+  require('./services/scheduledRides').startScheduledRideScheduler(io);
+  require('./services/rideSettlement').startSettlementRetrier(io);
 });
 
 // Import routes
@@ -96,6 +133,12 @@ const walletRoutes = require('./routes/wallet');
 const messagingRoutes = require('./routes/messaging');
 const notificationRoutes = require('./routes/notifications');
 const contactsV1Routes = require('./routes/v1/contacts');
+const tariffRoutes = require('./routes/tariffs');
+const commissionRuleRoutes = require('./routes/commissionRules');
+const payoutRoutes = require('./routes/payouts');
+const webhookEventRoutes = require('./routes/webhookEvents');
+const reconciliationRoutes = require('./routes/reconciliation');
+const promoRoutes = require('./routes/promos');
 const swaggerUi = require('swagger-ui-express');
 const openapi = require('./docs/openapi.json');
 
@@ -128,6 +171,12 @@ app.use('/api/wallet', walletRoutes);
 app.use('/api/messaging', messagingRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/v1/contacts', contactsV1Routes);
+app.use('/api/tariffs', tariffRoutes);
+app.use('/api/commission-rules', commissionRuleRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/webhook-events', webhookEventRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/promos', promoRoutes);
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openapi));
 
 // Backwards-compatible aliases for clients that use legacy paths (avoid 404s when client uses /wallet)
@@ -160,7 +209,7 @@ app.get('/wallet', authMiddleware, walletController.getWallet);
 })();
 // Catch-all 404 handler to log unmatched requests and return a helpful JSON error
 app.use((req, res) => {
-  console.warn(`Unhandled route: ${req.method} ${req.originalUrl}`);
+  console.warn(`Unhandled route: ${req.method} ${redactUrl(req.originalUrl)}`);
   res.status(404).json({ error: 'Not Found', path: req.originalUrl });
 });
 
@@ -191,14 +240,37 @@ io.on('connection', (socket) => {
     return;
   }
 
+  // Personal rooms carry ride offers and notifications, so a socket may only join its own
+  socket.join(`user_${socket.data.userId}`);
   socket.on('joinUserRoom', (userId) => {
+    if (String(userId) !== String(socket.data.userId)) {
+      console.warn(`Socket ${socket.id} tried to join room of user ${userId}`);
+      return;
+    }
     socket.join(`user_${userId}`);
     console.log(`User ${userId} joined their room`);
   });
 
-  socket.on('joinRideRoom', (rideId) => {
-    socket.join(`ride_${rideId}`);
-    console.log(`User joined ride room: ${rideId}`);
+  // Ride rooms carry the whole ride and the driver's position, so only the ride's passenger,
+  // its driver or an admin may join
+  socket.on('joinRideRoom', async (rideId) => {
+    try {
+      if (!mongoose.isValidObjectId(rideId)) return;
+      const userId = String(socket.data.userId);
+      const ride = await Ride.findById(rideId).select('passenger driver');
+      const isParty = ride && [ride.passenger, ride.driver].some(id => id && id.toString() === userId);
+      if (!isParty) {
+        const user = await User.findById(userId).select('role');
+        if (!ride || !user || user.role !== 'admin') {
+          console.warn(`Socket ${socket.id} tried to join room of ride ${rideId}`);
+          return;
+        }
+      }
+      socket.join(`ride_${rideId}`);
+      console.log(`User joined ride room: ${rideId}`);
+    } catch (err) {
+      console.error('Error joining ride room:', err.message);
+    }
   });
 
   socket.on('joinConversationRoom', (conversationId) => {
@@ -227,10 +299,19 @@ io.on('connection', (socket) => {
     });
   });
 
+  // Fixes tagged with a ride re-price its fare (see services/tripTrace.js), so the driver is
+  // the socket's user and a rideId is only taken for their own active ride
   socket.on('driverLocationUpdate', async (data) => {
     try {
-      const { driverId, location, rideId, hasPassenger, status } = data;
-      
+      const { location, rideId: requestedRideId, hasPassenger, status } = data || {};
+      const driverId = socket.data.userId;
+      if (!location || !Number.isFinite(Number(location.longitude)) || !Number.isFinite(Number(location.latitude))) return;
+      const ride = requestedRideId && mongoose.isValidObjectId(requestedRideId)
+        ? await Ride.findOne({ _id: requestedRideId, driver: driverId, status: { $in: ACTIVE_STATUSES } }).select('status')
+        : null;
+      if (requestedRideId && !ride) console.warn(`Socket ${socket.id} sent a location for ride ${requestedRideId} it is not driving`);
+      const rideId = ride ? ride._id.toString() : null;
+
       // Update driver location in database
       await User.findByIdAndUpdate(driverId, {
         location: {
@@ -239,13 +320,13 @@ io.on('connection', (socket) => {
         }
       });
 
-      // Store location history
+      // Store location history; only fixes during the trip count towards its route
       await DriverLocation.create({
         driver: driverId,
         location: { type: 'Point', coordinates: [location.longitude, location.latitude] },
         status: status || (rideId ? 'on-trip' : 'available'),
         hasPassenger: typeof hasPassenger === 'boolean' ? hasPassenger : !!rideId,
-        rideId: rideId || null,
+        rideId: ride && ride.status === 'in-progress' ? ride._id : null,
       });
 
       const payload = {
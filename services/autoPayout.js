@@ -0,0 +1,172 @@
+const Wallet = require('../models/Wallet');
+const PayoutRun = require('../models/PayoutRun');
+const cashOut = require('./cashOut');
+const payoutAccounts = require('./payoutAccounts');
+const ridePayment = require('./ridePayment');
+const { roundMoney } = require('../utils/money');
+
+const INTERVAL_MINUTES = Number(process.env.AUTO_PAYOUT_INTERVAL_MINUTES || 60);
+// Smallest automatic payout; same as the manual cash-out minimum by default
+const MINIMUM = Number(process.env.AUTO_PAYOUT_MINIMUM || 100);
+// Wallets loaded from the database at a time
+const BATCH_SIZE = Number(process.env.AUTO_PAYOUT_BATCH_SIZE || 100);
+
+const FREQUENCIES = ['daily', 'weekly', 'threshold'];
+
+/**
+ * Whether a wallet's automatic payout is due at `at`: daily and weekly payouts run at most
+ * once a day (weekly ones on their weekday), threshold payouts whenever the available
+ * balance has reached the threshold.
+ */
+function isDue(settings, availableBalance, at = new Date()) {
+  if (!settings || !settings.enabled) return false;
+  const attemptedToday = settings.lastAttemptAt && new Date(settings.lastAttemptAt) >= cashOut.startOfDay(at);
+  switch (settings.frequency) {
+    case 'daily':
+      return !attemptedToday;
+    case 'weekly':
+      return at.getDay() === settings.weekday && !attemptedToday;
+    case 'threshold':
+      return settings.threshold > 0 && availableBalance >= Math.max(settings.threshold, MINIMUM);
+    default:
+      return false;
+  }
+}
+
+// Amount to pay out: everything available, within the payout limits, in whole centavos
+function payoutAmount(availableBalance, remainingLimit) {
+  return Math.floor(Math.min(availableBalance, remainingLimit) * 100) / 100;
+}
+
+// What the driver owes the platform: cash-ride commission and refunded fares
+function debtOf(wallet) {
+  return roundMoney((wallet.commissionDebt || 0) + (wallet.refundDebt || 0));
+}
+
+/**
+ * Pay out one due wallet. Commission and refund debt are settled from the balance first;
+ * the rest (capped by the payout limits) goes to the configured or default payout account.
+ * Returns the run item.
+ */
+async function payOutWallet(wallet, run, { io } = {}) {
+  const item = { wallet: wallet._id, user: wallet.user };
+  const settings = wallet.autoPayout;
+
+  if (debtOf(wallet) > 0) {
+    const before = debtOf(wallet);
+    wallet = await ridePayment.netDriverDebt(wallet, wallet.availableBalance);
+    item.debtSettled = roundMoney(before - debtOf(wallet));
+  }
+
+  const amount = payoutAmount(wallet.availableBalance, cashOut.remainingPayoutLimit(wallet.transactions));
+  if (amount < MINIMUM) {
+    return { ...item, status: 'skipped', amount, reason: amount < wallet.availableBalance ? 'payout-limit' : 'below-minimum' };
+  }
+
+  let destination;
+  try {
+    destination = await payoutAccounts.resolveForCashOut(wallet.user, settings.payoutAccount);
+  } catch (err) {
+    if (!(err instanceof payoutAccounts.PayoutAccountError)) throw err;
+    return { ...item, status: 'skipped', amount, reason: err.code };
+  }
+
+  try {
+    const { transaction, payout } = await cashOut.startCashOut({
+      wallet,
+      amount,
+      bank: destination.bank,
+      io,
+      metadata: { autoPayout: true, payoutRun: run._id.toString() }
+    });
+    await Wallet.updateOne({ _id: wallet._id }, { $set: { 'autoPayout.lastPayoutAt': new Date() } });
+    return { ...item, status: 'requested', amount, referenceId: transaction.referenceId, payoutId: payout ? payout.id : undefined };
+  } catch (err) {
+    return { ...item, status: 'failed', amount, reason: err.code || err.message };
+  }
+}
+
+/**
+ * One pass over wallets with automatic payouts enabled. Each due wallet is claimed with a
+ * conditional update on its last attempt, so a wallet is never paid twice for one slot even
+ * if two servers run at once. Returns the saved PayoutRun report.
+ */
+async function runAutoPayouts({ io, trigger = 'scheduled', triggeredBy, at = new Date() } = {}) {
+  const run = await PayoutRun.create({ trigger, triggeredBy, startedAt: at });
+  const items = [];
+  try {
+    const cursor = Wallet.find({ 'autoPayout.enabled': true, isActive: true }).batchSize(BATCH_SIZE).cursor();
+    for (let wallet = await cursor.next(); wallet; wallet = await cursor.next()) {
+      if (!isDue(wallet.autoPayout, wallet.availableBalance, at)) continue;
+
+      const claimed = await Wallet.findOneAndUpdate(
+        { _id: wallet._id, 'autoPayout.lastAttemptAt': wallet.autoPayout.lastAttemptAt || null },
+        { $set: { 'autoPayout.lastAttemptAt': at } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        items.push(await payOutWallet(claimed, run, { io }));
+      } catch (err) {
+        console.error(`Auto payout for wallet ${wallet._id} failed:`, err.message);
+        items.push({ wallet: wallet._id, user: wallet.user, status: 'failed', reason: err.message });
+      }
+    }
+    run.status = 'completed';
+  } catch (err) {
+    console.error('Auto payout run failed:', err.message);
+    run.status = 'failed';
+    run.error = err.message;
+  }
+
+  run.items = items;
+  run.totals = {
+    due: items.length,
+    requested: items.filter(item => item.status === 'requested').length,
+    skipped: items.filter(item => item.status === 'skipped').length,
+    failed: items.filter(item => item.status === 'failed').length,
+    amount: roundMoney(items.filter(item => item.status === 'requested').reduce((sum, item) => sum + item.amount, 0))
+  };
+  run.finishedAt = new Date();
+  await run.save();
+  return run;
+}
+
+let schedulerTimer = null;
+let running = false;
+
+// Run unless a run is already in progress in this process; returns the run or null
+async function runExclusive(options) {
+  if (running) return null;
+  running = true;
+  try {
+    return await runAutoPayouts(options);
+  } finally {
+    running = false;
+  }
+}
+
+// Run automatic payouts every INTERVAL_MINUTES (once per process)
+function startAutoPayoutScheduler(io) {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(async () => {
+    try {
+      const run = await runExclusive({ io });
+      if (run && run.totals.due) console.log(`Auto payout run ${run._id}:`, run.totals);
+    } catch (err) {
+      console.warn('Auto payout run failed:', err.message);
+    }
+  }, INTERVAL_MINUTES * 60000);
+  schedulerTimer.unref();
+}
+
+module.exports = {
+  FREQUENCIES,
+  MINIMUM,
+  isDue,
+  payoutAmount,
+  runAutoPayouts,
+  runExclusive,
+  startAutoPayoutScheduler
+};
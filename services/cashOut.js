@@ -0,0 +1,311 @@
+const Wallet = require('../models/Wallet');
+const payments = require('./payments');
+const { notifyUser } = require('./notify');
+const { roundMoney } = require('../utils/money');
+
+// Pending cash-outs older than this are checked against the provider by the reconciler
+const RECONCILE_AFTER_MINUTES = Number(process.env.CASHOUT_RECONCILE_AFTER_MINUTES || 30);
+const RECONCILE_INTERVAL_MINUTES = Number(process.env.CASHOUT_RECONCILE_INTERVAL_MINUTES || 10);
+// Per-driver caps over all cash-outs, manual and automatic, by calendar day and month
+const DAILY_LIMIT = Number(process.env.PAYOUT_DAILY_LIMIT || 50000);
+const MONTHLY_LIMIT = Number(process.env.PAYOUT_MONTHLY_LIMIT || 200000);
+
+class CashOutError extends Error {
+  constructor(message, { status = 400, code = 'cashout-failed', details } = {}) {
+    super(message);
+    this.name = 'CashOutError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Provider payout statuses by the wallet status they settle to; anything else is still in flight
+const PROVIDER_STATUSES = {
+  COMPLETED: 'COMPLETED',
+  SUCCEEDED: 'COMPLETED',
+  SUCCESS: 'COMPLETED',
+  FAILED: 'FAILED',
+  REJECTED: 'FAILED',
+  CANCELLED: 'FAILED',
+  VOIDED: 'FAILED',
+  EXPIRED: 'FAILED',
+  REVERSED: 'REVERSED'
+};
+
+function walletStatusFor(providerStatus) {
+  return PROVIDER_STATUSES[(providerStatus || '').toString().toUpperCase()] || null;
+}
+
+const MESSAGES = {
+  PENDING: amount => ({ title: 'Cash-out requested', body: `Your ₱${amount.toFixed(2)} cash-out is being processed.` }),
+  COMPLETED: amount => ({ title: 'Cash-out completed', body: `₱${amount.toFixed(2)} has been sent to your bank account.` }),
+  FAILED: amount => ({ title: 'Cash-out failed', body: `Your ₱${amount.toFixed(2)} cash-out could not be completed and was returned to your wallet.` }),
+  REVERSED: amount => ({ title: 'Cash-out reversed', body: `Your bank returned a ₱${amount.toFixed(2)} cash-out. The amount is back in your wallet.` })
+};
+
+function notifyCashOut(io, userId, status, txn, data = {}) {
+  return notifyUser(io, userId, {
+    type: 'payment',
+    ...MESSAGES[status](txn.amount),
+    data: { referenceId: txn.referenceId, amount: txn.amount, status, ...data }
+  });
+}
+
+function startOfDay(at) {
+  const day = new Date(at);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function startOfMonth(at) {
+  const day = startOfDay(at);
+  day.setDate(1);
+  return day;
+}
+
+// The daily and monthly windows as `[{ since, max }]` limits for Wallet#requestCashOut
+function payoutLimitWindows(at = new Date(), { daily = DAILY_LIMIT, monthly = MONTHLY_LIMIT } = {}) {
+  return [{ since: startOfDay(at), max: daily }, { since: startOfMonth(at), max: monthly }];
+}
+
+/**
+ * How much more can be cashed out at `at` under the daily and monthly limits, counting
+ * the wallet's pending and completed cash-outs.
+ */
+function remainingPayoutLimit(transactions, at = new Date(), { daily = DAILY_LIMIT, monthly = MONTHLY_LIMIT } = {}) {
+  const counted = (transactions || []).filter(t => t.type === 'CASHOUT' && ['PENDING', 'COMPLETED'].includes(t.status));
+  const paidSince = since => counted
+    .filter(t => new Date(t.createdAt) >= since)
+    .reduce((sum, t) => sum + t.amount, 0);
+  const remaining = Math.min(daily - paidSince(startOfDay(at)), monthly - paidSince(startOfMonth(at)));
+  return Math.max(0, roundMoney(remaining));
+}
+
+function findCashOut(wallet, referenceId) {
+  return wallet.transactions.find(t => t.referenceId === referenceId && t.type === 'CASHOUT');
+}
+
+function payoutLimitError(transactions) {
+  const remaining = remainingPayoutLimit(transactions);
+  return new CashOutError(`Cash-out limit reached: you can cash out up to ₱${remaining.toFixed(2)} more for now`, {
+    code: 'payout-limit',
+    details: { remaining, dailyLimit: DAILY_LIMIT, monthlyLimit: MONTHLY_LIMIT }
+  });
+}
+
+/**
+ * Reserve `amount` on the driver's wallet as a PENDING cash-out and ask the provider to
+ * pay it to `bank` (a saved payout account, see services/payoutAccounts.resolveForCashOut).
+ * The cash-out stays PENDING until the provider's callback (or the reconciler)
+ * settles it; if the provider refuses the request (4xx) it is failed and refunded right
+ * away and the error is thrown. Any other error (timeout, 5xx, network) may hide a payout
+ * that went through, so the cash-out stays PENDING for the reconciler and payout is null.
+ * Throws CashOutError (code `payout-limit`) when the amount is over the daily/monthly limits.
+ * Returns { wallet, transaction, payout }.
+ */
+async function startCashOut({ wallet, amount, bank, io, metadata = {} }) {
+  if (amount > remainingPayoutLimit(wallet.transactions)) throw payoutLimitError(wallet.transactions);
+
+  const referenceId = payments.generateReferenceId('payout_');
+  const last4 = bank.accountNumber.slice(-4);
+  // The limits are checked again in the atomic update, against cash-outs made meanwhile
+  let updated;
+  try {
+    updated = await wallet.requestCashOut(amount, {
+      referenceId,
+      limits: payoutLimitWindows(),
+      description: `Cash out to ${bank.bankCode} ${last4}`,
+      metadata: {
+        ...metadata,
+        payoutAccountId: bank.payoutAccountId,
+        bankCode: bank.bankCode,
+        accountNumber: last4,
+        accountHolderName: bank.accountHolderName,
+        provider: payments.providerName(),
+        initiatedAt: new Date()
+      }
+    });
+  } catch (err) {
+    if (err.code !== 'payout-limit') throw err;
+    const current = await Wallet.findById(wallet._id);
+    throw payoutLimitError(current ? current.transactions : wallet.transactions);
+  }
+  let transaction = findCashOut(updated, referenceId);
+  await notifyCashOut(io, wallet.user, 'PENDING', transaction);
+
+  let payout;
+  try {
+    payout = await payments.createPayout({
+      referenceId,
+      amount,
+      bankCode: bank.channelCode,
+      accountNumber: bank.accountNumber,
+      accountHolderName: bank.accountHolderName,
+      description: `Cash out to ${bank.accountHolderName} (${bank.bankCode})`,
+      metadata: {
+        userId: wallet.user.toString(),
+        type: 'WALLET_CASHOUT',
+        bankCode: bank.bankCode,
+        payoutAccountId: bank.payoutAccountId && bank.payoutAccountId.toString(),
+        xenditChannelCode: bank.channelCode,
+        accountNumber: last4
+      }
+    });
+  } catch (err) {
+    if (payments.isRejection(err)) {
+      console.error(`Cash-out ${referenceId}: payout request refused:`, err.message);
+      await applyPayoutStatus({ referenceId, providerStatus: 'FAILED', failureReason: err.message, io });
+      throw err;
+    }
+    console.error(`Cash-out ${referenceId}: payout request outcome unknown, left pending for reconciliation:`, err.message);
+    updated = await Wallet.findOneAndUpdate(
+      { _id: wallet._id, 'transactions.referenceId': referenceId },
+      { $set: { 'transactions.$.metadata.payoutRequestError': err.message } },
+      { new: true }
+    ) || updated;
+    return { wallet: updated, transaction: findCashOut(updated, referenceId), payout: null };
+  }
+
+  updated = await Wallet.findOneAndUpdate(
+    { _id: wallet._id, 'transactions.referenceId': referenceId },
+    {
+      $set: {
+        'transactions.$.xenditId': payout.id,
+        'transactions.$.metadata.payoutId': payout.id
+      }
+    },
+    { new: true }
+  ) || updated;
+  transaction = findCashOut(updated, referenceId);
+  return { wallet: updated, transaction, payout };
+}
+
+/**
+ * Apply a payout status reported by the provider to the CASHOUT with `referenceId`:
+ * completed, or failed/reversed with the money returned to the wallet. The driver is
+ * notified of every change. In-flight statuses and repeated reports change nothing.
+ * Returns { wallet, transaction, applied } (applied is the new wallet status or null),
+ * or null when there is no such cash-out.
+ */
+async function applyPayoutStatus({ referenceId, providerStatus, payoutId, failureReason, io }) {
+  const wallet = await Wallet.findOne({ transactions: { $elemMatch: { referenceId, type: 'CASHOUT' } } });
+  if (!wallet) return null;
+  const transaction = findCashOut(wallet, referenceId);
+
+  const status = walletStatusFor(providerStatus);
+  if (!status) return { wallet, transaction, applied: null };
+
+  const metadata = { providerStatus };
+  if (payoutId) metadata.payoutId = payoutId;
+  if (status === 'COMPLETED') metadata.completedAt = new Date();
+  if (status === 'FAILED') metadata.failedAt = new Date();
+  if (status === 'REVERSED') metadata.reversedAt = new Date();
+  if (status !== 'COMPLETED') metadata.failureReason = failureReason || `Payout ${providerStatus.toString().toLowerCase()}`;
+
+  const updated = await wallet.settleCashOut(referenceId, status, metadata);
+  if (!updated) return { wallet, transaction, applied: null };
+
+  await notifyCashOut(io, wallet.user, status, transaction, status === 'COMPLETED' ? {} : { reason: metadata.failureReason });
+  return { wallet: updated, transaction: findCashOut(updated, referenceId), applied: status };
+}
+
+// Look a payout up by id; mock payouts only live in memory and are gone after a restart
+async function findPayout(provider, payoutId) {
+  try {
+    return await provider.getPayout(payoutId);
+  } catch (err) {
+    if (provider === payments.PROVIDERS.mock && (err.status || err.response?.status) === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Look a PENDING cash-out up at the provider that made it and apply what it reports. A
+ * payout the provider does not have was never sent (the request failed before reaching it,
+ * it was simulated by the old CASHOUT_SIMULATION mode, or the mock provider lost it on a
+ * restart), so the cash-out is failed and the money returned to the wallet.
+ * Returns { providerStatus, payoutId, applied, missing }.
+ */
+async function checkPayout(txn, { io } = {}) {
+  const provider = payments.PROVIDERS[txn.metadata?.provider] || payments.getProvider();
+  let payout = null;
+  if (!txn.metadata?.simulated) {
+    const payoutId = txn.xenditId || txn.metadata?.payoutId;
+    payout = payoutId ? await findPayout(provider, payoutId) : await provider.findPayoutByReference(txn.referenceId);
+  }
+  if (!payout) {
+    const result = await applyPayoutStatus({ referenceId: txn.referenceId, providerStatus: 'FAILED', failureReason: 'Payout was never sent', io });
+    return { providerStatus: null, payoutId: null, applied: result && result.applied, missing: true };
+  }
+  const result = await applyPayoutStatus({
+    referenceId: txn.referenceId,
+    providerStatus: payout.status,
+    payoutId: payout.id,
+    failureReason: payout.failure_code || payout.failure_reason,
+    io
+  });
+  return { providerStatus: payout.status, payoutId: payout.id, applied: result && result.applied, missing: false };
+}
+
+/**
+ * Ask the provider about PENDING cash-outs older than `olderThanMinutes` and apply what it
+ * reports (see checkPayout), for callbacks that never arrived.
+ */
+async function reconcilePendingCashOuts({ io, olderThanMinutes = RECONCILE_AFTER_MINUTES } = {}) {
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60000);
+  const wallets = await Wallet.find({
+    transactions: { $elemMatch: { type: 'CASHOUT', status: 'PENDING', createdAt: { $lte: cutoff } } }
+  });
+
+  const summary = { checked: 0, settled: 0, missingPayout: 0, errors: 0 };
+  for (const wallet of wallets) {
+    const stale = wallet.transactions.filter(t => t.type === 'CASHOUT' && t.status === 'PENDING' && t.createdAt <= cutoff);
+    for (const txn of stale) {
+      summary.checked++;
+      try {
+        const result = await checkPayout(txn, { io });
+        if (result.missing) {
+          summary.missingPayout++;
+          console.warn(`Cash-out reconcile: ${txn.referenceId} was never sent; refunded`);
+        }
+        if (result.applied) summary.settled++;
+      } catch (err) {
+        summary.errors++;
+        console.warn(`Cash-out reconcile: could not check ${txn.referenceId}:`, err.message);
+      }
+    }
+  }
+  return summary;
+}
+
+let reconcileTimer = null;
+
+// Run the reconciler every RECONCILE_INTERVAL_MINUTES (once per process)
+function startCashOutReconciler(io) {
+  if (reconcileTimer) return;
+  reconcileTimer = setInterval(async () => {
+    try {
+      const summary = await reconcilePendingCashOuts({ io });
+      if (summary.checked || summary.missingPayout) console.log('Cash-out reconcile:', summary);
+    } catch (err) {
+      console.warn('Cash-out reconcile failed:', err.message);
+    }
+  }, RECONCILE_INTERVAL_MINUTES * 60000);
+  reconcileTimer.unref();
+}
+
+module.exports = {
+  DAILY_LIMIT,
+  MONTHLY_LIMIT,
+  CashOutError,
+  startOfDay,
+  payoutLimitWindows,
+  remainingPayoutLimit,
+  walletStatusFor,
+  startCashOut,
+  checkPayout,
+  applyPayoutStatus,
+  reconcilePendingCashOuts,
+  startCashOutReconciler
+};
@@ -0,0 +1,79 @@
+const CommissionRule = require('../models/CommissionRule');
+const User = require('../models/User');
+const { roundMoney } = require('../utils/money');
+
+// Rate used when no rule matches
+const DEFAULT_RATE = Number(process.env.COMMISSION_DEFAULT_RATE || 0.2);
+// Drivers owing more than this in cash-ride commission cannot go available
+const DRIVER_DEBT_LIMIT = Number(process.env.DRIVER_DEBT_LIMIT || 500);
+
+const DIMENSIONS = ['city', 'driverTier', 'paymentMethod'];
+
+function normalize(value) {
+  return value ? value.toString().trim().toLowerCase() : null;
+}
+
+function specificity(rule) {
+  return DIMENSIONS.filter(dimension => rule[dimension]).length;
+}
+
+/**
+ * Pick the rule for a ride from candidate rules: every set dimension must match, the
+ * validity window must contain `at`, then most specific, highest priority, newest wins.
+ */
+function pickRule(rules, { city, driverTier, paymentMethod, at = new Date() }) {
+  const ride = { city: normalize(city), driverTier: normalize(driverTier), paymentMethod: normalize(paymentMethod) };
+  const matching = rules.filter(rule =>
+    rule.isActive !== false &&
+    DIMENSIONS.every(dimension => !rule[dimension] || rule[dimension] === ride[dimension]) &&
+    (!rule.validFrom || new Date(rule.validFrom) <= at) &&
+    (!rule.validTo || new Date(rule.validTo) > at)
+  );
+  matching.sort((a, b) =>
+    specificity(b) - specificity(a) ||
+    (b.priority || 0) - (a.priority || 0) ||
+    new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0)
+  );
+  return matching[0] || null;
+}
+
+// Split a collected amount between the platform and the driver
+function splitFare(amount, rate) {
+  const commission = roundMoney(amount * rate);
+  return { rate, commission, driverEarnings: roundMoney(amount - commission) };
+}
+
+async function findRule(criteria) {
+  const rules = await CommissionRule.find({ isActive: true }).lean();
+  return pickRule(rules, criteria);
+}
+
+/**
+ * Commission rate for a ride: { rule, rate } using the ride's tariff city, the driver's
+ * tier and the payment method, as of completion time.
+ */
+async function rateForRide(ride, { at = new Date() } = {}) {
+  const driverId = ride.driver && ride.driver._id ? ride.driver._id : ride.driver;
+  const driver = driverId ? await User.findById(driverId).select('driverTier') : null;
+  const rule = await findRule({
+    city: ride.fareBreakdown?.city,
+    driverTier: driver?.driverTier,
+    paymentMethod: ride.paymentMethod,
+    at
+  });
+  return { rule: rule ? rule._id : null, rate: rule ? rule.rate : DEFAULT_RATE };
+}
+
+function isOverDebtLimit(debt, limit = DRIVER_DEBT_LIMIT) {
+  return roundMoney(debt || 0) > limit;
+}
+
+module.exports = {
+  DEFAULT_RATE,
+  DRIVER_DEBT_LIMIT,
+  isOverDebtLimit,
+  pickRule,
+  splitFare,
+  findRule,
+  rateForRide
+};
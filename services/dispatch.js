@@ -0,0 +1,217 @@
+const Ride = require('../models/Ride');
+const RideOffer = require('../models/RideOffer');
+const User = require('../models/User');
+const lifecycle = require('./rideLifecycle');
+const promos = require('./promos');
+const pooling = require('./pooling');
+const { haversineMeters } = require('./fare');
+const { notifyUser } = require('./notify');
+
+// Drivers offered a ride per wave, how long each offer stays open, and how many waves before giving up
+const WAVE_SIZE = Number(process.env.DISPATCH_WAVE_SIZE || 3);
+const OFFER_TIMEOUT_SECONDS = Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || 20);
+const MAX_WAVES = Number(process.env.DISPATCH_MAX_WAVES || 4);
+const SEARCH_RADIUS_METERS = Number(process.env.DISPATCH_RADIUS_METERS || 5000);
+
+// rideId -> pending wave timer (in-process; resumeDispatches() rebuilds them after a restart)
+const timers = new Map();
+
+function clearTimer(rideId) {
+  const key = rideId.toString();
+  const timer = timers.get(key);
+  if (timer) clearTimeout(timer);
+  timers.delete(key);
+}
+
+function scheduleWave(io, rideId, delayMs) {
+  clearTimer(rideId);
+  const timer = setTimeout(() => {
+    timers.delete(rideId.toString());
+    runWave(io, rideId).catch(err => console.error(`Dispatch wave failed for ride ${rideId}:`, err.message));
+  }, Math.max(0, delayMs));
+  timers.set(rideId.toString(), timer);
+}
+
+// Nearest approved, available drivers who were not offered this ride yet and are not on another
+// trip. Pooled rides also go to drivers on a pooled trip the ride fits into.
+async function findCandidates(ride, limit) {
+  const alreadyOffered = await RideOffer.distinct('driver', { ride: ride._id });
+  let busy = await Ride.distinct('driver', { status: { $in: lifecycle.ACTIVE_STATUSES }, driver: { $ne: null } });
+  if (ride.pool?.requested) {
+    const pooled = (await pooling.activeTripDrivers()).map(String);
+    busy = busy.filter(id => !pooled.includes(String(id)));
+  }
+  const drivers = await User.find({
+    _id: { $nin: [...alreadyOffered, ...busy] },
+    role: 'driver',
+    approvalStatus: 'approved',
+    isAvailable: true,
+    isActive: true,
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: ride.pickupLocation.coordinates },
+        $maxDistance: SEARCH_RADIUS_METERS
+      }
+    }
+  }).select('location seatCapacity').limit(limit);
+  if (!ride.pool?.requested) return drivers;
+
+  const fitting = [];
+  for (const driver of drivers) {
+    if (await pooling.fitsDriver(driver, ride)) fitting.push(driver);
+  }
+  return fitting;
+}
+
+// Close every open offer for a ride and tell those drivers to drop it
+async function closeOpenOffers(io, rideId, status) {
+  const open = await RideOffer.find({ ride: rideId, status: 'offered' }).select('driver');
+  if (!open.length) return;
+  await RideOffer.updateMany({ _id: { $in: open.map(o => o._id) }, status: 'offered' }, { $set: { status, respondedAt: new Date() } });
+  if (io) {
+    for (const offer of open) {
+      io.to(`user_${offer.driver}`).emit('rideOfferWithdrawn', { rideId, offerId: offer._id, reason: status });
+    }
+  }
+}
+
+async function expireRide(io, ride) {
+  clearTimer(ride._id);
+  lifecycle.assertTransition(ride.status, 'expired', 'system');
+  const entry = lifecycle.buildHistoryEntry(ride.status, 'expired', { role: 'system', note: 'no-drivers' });
+  // Conditional on pending so a driver accepting at the last moment still wins
+  const expired = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'pending' },
+    {
+      $set: { status: 'expired', expiredAt: entry.at, 'dispatch.outcome': 'no-drivers', 'dispatch.endedAt': entry.at },
+      $push: { statusHistory: entry }
+    },
+    { new: true }
+  );
+  if (!expired) return;
+  await closeOpenOffers(io, ride._id, 'expired');
+  try {
+    await promos.releasePromo(expired);
+  } catch (err) {
+    console.error(`Failed to release promo for ride ${ride._id}:`, err.message);
+  }
+  lifecycle.emitTransition(io, expired, entry);
+  await notifyUser(io, expired.passenger, {
+    type: 'ride',
+    title: 'No drivers available',
+    body: 'We could not find a driver for your ride. Please try again.',
+    data: { rideId: expired._id, outcome: 'no-drivers' }
+  });
+}
+
+/**
+ * Offer the ride to the next wave of drivers, or expire it once all waves are used up.
+ * Offers left unanswered from the previous wave expire here.
+ */
+async function runWave(io, rideId) {
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'pending' || ride.dispatch?.outcome) return;
+
+  await closeOpenOffers(io, ride._id, 'expired');
+  // Scheduled rides keep looking until pickup time, when the scheduler cancels them
+  const beforePickup = ride.isScheduled && ride.scheduledTime > new Date();
+  if ((ride.dispatch.wave || 0) >= MAX_WAVES && !beforePickup) {
+    return expireRide(io, ride);
+  }
+
+  // Claim the next wave number only if the ride is still pending
+  const wave = (ride.dispatch.wave || 0) + 1;
+  const claimed = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'pending', 'dispatch.wave': ride.dispatch.wave || 0 },
+    { $set: { 'dispatch.wave': wave } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  const drivers = await findCandidates(claimed, WAVE_SIZE);
+  const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_SECONDS * 1000);
+  for (const driver of drivers) {
+    const offer = await RideOffer.create({
+      ride: claimed._id,
+      driver: driver._id,
+      wave,
+      expiresAt,
+      distanceMeters: Math.round(haversineMeters(driver.location.coordinates, claimed.pickupLocation.coordinates))
+    });
+    if (io) {
+      io.to(`user_${driver._id}`).emit('rideOffer', { offerId: offer._id, wave, expiresAt, distanceMeters: offer.distanceMeters, ride: claimed });
+    }
+  }
+
+  // An empty wave still waits out the timeout: drivers may come online in the meantime
+  scheduleWave(io, claimed._id, OFFER_TIMEOUT_SECONDS * 1000);
+}
+
+// Begin matching a newly created ride
+async function startDispatch(io, ride) {
+  ride.dispatch = { wave: 0, startedAt: new Date() };
+  await ride.save();
+  await runWave(io, ride._id);
+}
+
+// A driver declined; move on immediately once nobody in the current wave is left to answer
+async function declineOffer(io, rideId, driverId) {
+  const offer = await RideOffer.findOneAndUpdate(
+    { ride: rideId, driver: driverId, status: 'offered' },
+    { $set: { status: 'declined', respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!offer) return null;
+  const stillOpen = await RideOffer.countDocuments({ ride: rideId, status: 'offered' });
+  if (stillOpen === 0) {
+    scheduleWave(io, rideId, 0);
+  }
+  return offer;
+}
+
+// The ride was taken: record the winning offer and withdraw the rest
+async function onRideAccepted(io, ride, driverId) {
+  clearTimer(ride._id);
+  await RideOffer.updateOne(
+    { ride: ride._id, driver: driverId, status: 'offered' },
+    { $set: { status: 'accepted', respondedAt: new Date() } }
+  );
+  await closeOpenOffers(io, ride._id, 'withdrawn');
+  await Ride.updateOne({ _id: ride._id }, { $set: { 'dispatch.outcome': 'matched', 'dispatch.endedAt': new Date() } });
+}
+
+// The ride was cancelled while still being matched
+async function stopDispatch(io, ride) {
+  clearTimer(ride._id);
+  await closeOpenOffers(io, ride._id, 'withdrawn');
+  if (ride.dispatch?.startedAt && !ride.dispatch.outcome) {
+    await Ride.updateOne({ _id: ride._id }, { $set: { 'dispatch.outcome': 'cancelled', 'dispatch.endedAt': new Date() } });
+  }
+}
+
+// Open offers for a driver (for clients reconnecting mid-offer)
+function openOffersFor(driverId) {
+  return RideOffer.find({ driver: driverId, status: 'offered', expiresAt: { $gt: new Date() } })
+    .populate('ride')
+    .sort({ offeredAt: -1 });
+}
+
+// Rebuild wave timers for rides that were being matched when the process stopped
+async function resumeDispatches(io) {
+  const rides = await Ride.find({ status: 'pending', 'dispatch.startedAt': { $ne: null }, 'dispatch.outcome': null }).select('_id');
+  for (const ride of rides) {
+    const latest = await RideOffer.findOne({ ride: ride._id }).sort({ expiresAt: -1 }).select('expiresAt');
+    scheduleWave(io, ride._id, latest ? latest.expiresAt - Date.now() : 0);
+  }
+  return rides.length;
+}
+
+module.exports = {
+  startDispatch,
+  runWave,
+  declineOffer,
+  onRideAccepted,
+  stopDispatch,
+  openOffersFor,
+  resumeDispatches
+};
@@ -1,7 +1,14 @@
 const crypto = require('crypto');
 
-const keyHex = process.env.EMERGENCY_ENC_KEY || '';
-const key = keyHex && keyHex.length >= 32 ? Buffer.from(keyHex.replace(/[^0-9a-f]/gi,''), 'hex') : crypto.randomBytes(32);
+// AES-256 key: 64 hex characters. Production refuses to start without one; elsewhere a
+// per-process key is used and encrypted data does not survive a restart.
+const keyHex = (process.env.EMERGENCY_ENC_KEY || '').trim();
+const validKey = /^[0-9a-f]{64}$/i.test(keyHex);
+if (!validKey && process.env.NODE_ENV === 'production') {
+  throw new Error('EMERGENCY_ENC_KEY must be set to 64 hex characters (32 bytes) in production');
+}
+if (!validKey) console.warn('EMERGENCY_ENC_KEY is not set or not 64 hex characters: using a per-process key, encrypted data will not survive a restart');
+const key = validKey ? Buffer.from(keyHex, 'hex') : crypto.randomBytes(32);
 
 function encrypt(text) {
   const iv = crypto.randomBytes(12);
@@ -22,4 +29,9 @@ function decrypt(b64) {
   return dec.toString('utf8');
 }
 
-module.exports = { encrypt, decrypt };
\ No newline at end of file
+// Keyed hash for matching encrypted values without decrypting them
+function fingerprint(text) {
+  return crypto.createHmac('sha256', key).update(String(text)).digest('hex');
+}
+
+module.exports = { encrypt, decrypt, fingerprint };
\ No newline at end of file
@@ -0,0 +1,163 @@
+const Tariff = require('../models/Tariff');
+const { roundMoney } = require('../utils/money');
+
+// Straight-line distance is stretched by this factor to approximate the road path
+const ROUTE_FACTOR = Number(process.env.FARE_ROUTE_FACTOR || 1.3);
+// Average tricycle speed used to estimate trip duration
+const AVG_SPEED_KPH = Number(process.env.FARE_AVG_SPEED_KPH || 18);
+
+// Used only until ops configure a default tariff in the database
+const FALLBACK_TARIFF = {
+  city: null,
+  name: 'Built-in default',
+  currency: 'PHP',
+  flagDown: 40,
+  perKm: 10,
+  perMinute: 1,
+  minimumFare: 40,
+  cancellationFee: 20,
+  perStop: 0,
+  waitingPerMinute: 1,
+  freeWaitingMinutes: 3,
+  nightSurcharge: { enabled: true, startHour: 22, endHour: 5, percent: 20 },
+  timezone: 'Asia/Manila'
+};
+
+// Accepts GeoJSON ({ coordinates: [lng, lat] }) or { latitude, longitude }
+function toCoordinates(location) {
+  if (!location) throw new Error('Location is required');
+  let lng;
+  let lat;
+  if (Array.isArray(location.coordinates)) {
+    [lng, lat] = location.coordinates.map(Number);
+  } else {
+    lng = Number(location.longitude);
+    lat = Number(location.latitude);
+  }
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error('Invalid location coordinates');
+  }
+  return [lng, lat];
+}
+
+function haversineMeters([lng1, lat1], [lng2, lat2]) {
+  const R = 6371000;
+  const toRad = d => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// Estimated road distance (km) and duration (minutes) between two points
+function estimateTrip(pickup, dropoff) {
+  const km = (haversineMeters(toCoordinates(pickup), toCoordinates(dropoff)) / 1000) * ROUTE_FACTOR;
+  const distance = Math.round(km * 100) / 100;
+  const duration = Math.max(1, Math.round((km / AVG_SPEED_KPH) * 60));
+  return { distance, duration };
+}
+
+// Estimate each leg of pickup -> stops... -> dropoff; `distance` and `duration` are the totals
+function estimateRoute(points) {
+  const legs = [];
+  for (let i = 1; i < points.length; i++) {
+    legs.push(estimateTrip(points[i - 1], points[i]));
+  }
+  const distance = Math.round(legs.reduce((sum, leg) => sum + leg.distance, 0) * 100) / 100;
+  const duration = legs.reduce((sum, leg) => sum + leg.duration, 0);
+  return { distance, duration, legs };
+}
+
+// Minutes waited at stops beyond the free allowance per stop
+function billableWaitingMinutes(stops, freeMinutes = 0) {
+  return (stops || []).reduce((sum, stop) => sum + Math.max(0, (stop.waitingMinutes || 0) - freeMinutes), 0);
+}
+
+function localHour(date, timezone) {
+  const hour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone || 'Asia/Manila' }).format(date);
+  return Number(hour) % 24;
+}
+
+function isNightTime(date, tariff) {
+  const night = tariff.nightSurcharge;
+  if (!night || !night.enabled || !night.percent) return false;
+  const hour = localHour(date, tariff.timezone);
+  if (night.startHour === night.endHour) return true;
+  return night.startHour < night.endHour
+    ? hour >= night.startHour && hour < night.endHour
+    : hour >= night.startHour || hour < night.endHour;
+}
+
+/**
+ * Pure fare calculation. `distance` is in km, `duration` in minutes; `stops` is the number of
+ * intermediate stops and `waitingMinutes` the billable waiting time at them.
+ */
+function computeFare(tariff, { distance, duration, stops = 0, waitingMinutes = 0, at = new Date() }) {
+  const flagDown = roundMoney(tariff.flagDown);
+  const distanceCharge = roundMoney(distance * tariff.perKm);
+  const timeCharge = roundMoney(duration * (tariff.perMinute || 0));
+  const stopCharge = roundMoney(stops * (tariff.perStop || 0));
+  const waitingCharge = roundMoney(waitingMinutes * (tariff.waitingPerMinute || 0));
+  const subtotal = roundMoney(flagDown + distanceCharge + timeCharge + stopCharge + waitingCharge);
+  const nightSurcharge = isNightTime(at, tariff) ? roundMoney(subtotal * tariff.nightSurcharge.percent / 100) : 0;
+  const computed = roundMoney(subtotal + nightSurcharge);
+  const minimumFare = roundMoney(tariff.minimumFare || 0);
+  const fare = Math.max(computed, minimumFare);
+
+  return {
+    fare,
+    breakdown: {
+      tariffId: tariff._id || null,
+      city: tariff.city || null,
+      currency: tariff.currency || 'PHP',
+      flagDown,
+      distanceCharge,
+      timeCharge,
+      stopCharge,
+      waitingCharge,
+      nightSurcharge,
+      minimumFareApplied: fare > computed
+    }
+  };
+}
+
+// City override first, then the default (city: null) tariff, then the built-in fallback
+async function findTariff(city) {
+  const key = (city || '').toString().trim().toLowerCase();
+  if (key) {
+    const override = await Tariff.findOne({ city: key, isActive: true });
+    if (override) return override;
+  }
+  const fallback = await Tariff.findOne({ city: null, isActive: true });
+  return fallback || FALLBACK_TARIFF;
+}
+
+/**
+ * Quote a ride from pickup through the ordered `stops` to dropoff. Waiting already done at
+ * stops (ride.stops[].waitingMinutes) is charged beyond the tariff's free minutes per stop.
+ * `breakdown.legs` holds each leg's distance, duration and distance/time charge.
+ */
+async function quote({ pickupLocation, dropoffLocation, stops = [], city, at = new Date() }) {
+  const { distance, duration, legs } = estimateRoute([pickupLocation, ...stops, dropoffLocation]);
+  const tariff = await findTariff(city);
+  const waitingMinutes = billableWaitingMinutes(stops, tariff.freeWaitingMinutes || 0);
+  const { fare, breakdown } = computeFare(tariff, { distance, duration, stops: stops.length, waitingMinutes, at });
+  breakdown.legs = legs.map(leg => ({
+    ...leg,
+    charge: roundMoney(leg.distance * tariff.perKm + leg.duration * (tariff.perMinute || 0))
+  }));
+  return { fare, distance, duration, currency: breakdown.currency, breakdown };
+}
+
+module.exports = {
+  FALLBACK_TARIFF,
+  toCoordinates,
+  haversineMeters,
+  estimateTrip,
+  estimateRoute,
+  billableWaitingMinutes,
+  isNightTime,
+  computeFare,
+  findTariff,
+  quote
+};
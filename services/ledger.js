@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+const { roundMoney } = require('../utils/money');
+
+// Platform accounts. Every account's balance is credits minus debits, so wallet accounts
+// (money owed to users) are positive and the platform's side mirrors them.
+const ACCOUNTS = {
+  // Money received through / paid out via the payment provider
+  PROVIDER_CLEARING: 'platform:provider-clearing',
+  // Cash-outs sent to the provider and not yet confirmed
+  PAYOUT_CLEARING: 'platform:payout-clearing',
+  // Ride money between the passenger's debit and the driver's credit; nets to zero per ride
+  RIDE_CLEARING: 'platform:ride-clearing',
+  REVENUE: 'platform:revenue',
+  // Wallet balances that existed before the ledger
+  OPENING_BALANCE: 'platform:opening-balance'
+};
+
+function walletAccount(walletId) {
+  return `wallet:${walletId}`;
+}
+
+// What a wallet's owner owes the platform (cash-ride commission). Its balance is negative
+// while something is owed.
+function receivableAccount(walletId) {
+  return `receivable:${walletId}`;
+}
+
+// Refunded fares a wallet's owner could not give back (see Wallet#accrueRefundDebt). Its
+// balance is negative while something is owed.
+function clawbackAccount(walletId) {
+  return `clawback:${walletId}`;
+}
+
+function newJournalId(kind) {
+  return `${kind.toLowerCase()}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Legs moving `amount` out of `from` (debit) into `to` (credit)
+function transferLegs(amount, from, to) {
+  amount = roundMoney(amount);
+  return [
+    { account: from, debit: amount },
+    { account: to, credit: amount }
+  ];
+}
+
+/**
+ * Append a balanced journal entry. Pass the session when the entry must commit
+ * together with other writes (e.g. the wallet update it describes).
+ */
+async function post({ journalId, kind, legs, referenceId, ride, currency, metadata }, { session } = {}) {
+  const [entry] = await LedgerEntry.create([{
+    journalId: journalId || newJournalId(kind),
+    kind,
+    legs,
+    referenceId,
+    ride,
+    currency,
+    metadata
+  }], { session: session || undefined });
+  return entry;
+}
+
+// Standalone servers (no replica set) cannot run transactions. Wallet and ledger writes are
+// then refused, unless non-atomic writes are explicitly allowed (local development only).
+const ALLOW_NON_ATOMIC = process.env.LEDGER_ALLOW_NON_ATOMIC === 'true';
+
+let transactionsSupported = true;
+
+class LedgerConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LedgerConfigError';
+    this.status = 503;
+    this.code = 'transactions-unavailable';
+  }
+}
+
+function isTransactionUnsupported(err) {
+  return !!err && (err.code === 20 || /Transaction numbers are only allowed/.test(err.message || ''));
+}
+
+function transactionsUnavailable() {
+  return new LedgerConfigError('MongoDB transactions are unavailable (standalone server); run MongoDB as a replica set or set LEDGER_ALLOW_NON_ATOMIC=true for local development');
+}
+
+/**
+ * Run fn(session) inside a MongoDB multi-document transaction. Throws a LedgerConfigError
+ * when the server cannot run transactions, unless LEDGER_ALLOW_NON_ATOMIC is set: then fn
+ * runs once with a null session and `npm run ledger:verify` is the only safety net.
+ */
+async function runInTransaction(fn) {
+  if (!transactionsSupported) {
+    if (!ALLOW_NON_ATOMIC) throw transactionsUnavailable();
+    return fn(null);
+  }
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+    transactionsSupported = false;
+    if (!ALLOW_NON_ATOMIC) throw transactionsUnavailable();
+    console.warn('Ledger: MongoDB transactions are unavailable and LEDGER_ALLOW_NON_ATOMIC is set; wallet and ledger writes are not atomic');
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Startup check: run an empty transaction against the connected server. Resolves true when
+ * transactions work, false when they do not but non-atomic writes are allowed, and throws a
+ * LedgerConfigError otherwise.
+ */
+async function checkTransactionSupport() {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await LedgerEntry.findOne().session(session);
+    });
+    transactionsSupported = true;
+    return true;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+    transactionsSupported = false;
+    if (!ALLOW_NON_ATOMIC) throw transactionsUnavailable();
+    console.warn('Ledger: MongoDB transactions are unavailable and LEDGER_ALLOW_NON_ATOMIC is set; wallet and ledger writes are not atomic');
+    return false;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Join the caller's transaction if there is one, otherwise start a new one
+function withSession(session, fn) {
+  return session ? fn(session) : runInTransaction(fn);
+}
+
+// Derived balance of every account (or of accounts matching `prefix`)
+async function balances(prefix) {
+  const pipeline = [{ $unwind: '$legs' }];
+  if (prefix) pipeline.push({ $match: { 'legs.account': { $regex: `^${prefix}` } } });
+  pipeline.push({
+    $group: {
+      _id: '$legs.account',
+      credit: { $sum: '$legs.credit' },
+      debit: { $sum: '$legs.debit' }
+    }
+  });
+  const rows = await LedgerEntry.aggregate(pipeline);
+  const result = new Map();
+  for (const row of rows) result.set(row._id, roundMoney(row.credit - row.debit));
+  return result;
+}
+
+// Derived balance of one account, optionally only from entries posted in [from, to]
+async function balanceOf(account, { from, to } = {}) {
+  const match = { 'legs.account': account };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: '$legs' },
+    { $match: { 'legs.account': account } },
+    { $group: { _id: null, credit: { $sum: '$legs.credit' }, debit: { $sum: '$legs.debit' } } }
+  ]);
+  return rows.length ? roundMoney(rows[0].credit - rows[0].debit) : 0;
+}
+
+/**
+ * Recompute every wallet balance from the ledger and compare it with the stored balance.
+ * Also reports unbalanced entries, money stuck in ride clearing, and ledger accounts for
+ * wallets that no longer exist.
+ */
+async function verify() {
+  const Wallet = mongoose.model('Wallet');
+  const derived = await balances();
+  const wallets = await Wallet.find({}).select('user balance commissionDebt refundDebt').lean();
+
+  const drift = [];
+  const seen = new Set();
+  for (const wallet of wallets) {
+    const account = walletAccount(wallet._id);
+    seen.add(account);
+    const ledgerBalance = derived.get(account) || 0;
+    const difference = roundMoney((wallet.balance || 0) - ledgerBalance);
+    if (difference !== 0) {
+      drift.push({ walletId: wallet._id.toString(), user: wallet.user?.toString(), balance: wallet.balance || 0, ledgerBalance, difference });
+    }
+    const ledgerDebt = -(derived.get(receivableAccount(wallet._id)) || 0);
+    const debtDifference = roundMoney((wallet.commissionDebt || 0) - ledgerDebt);
+    if (debtDifference !== 0) {
+      drift.push({ walletId: wallet._id.toString(), user: wallet.user?.toString(), commissionDebt: wallet.commissionDebt || 0, ledgerDebt, difference: debtDifference });
+    }
+    const ledgerClawback = -(derived.get(clawbackAccount(wallet._id)) || 0);
+    const clawbackDifference = roundMoney((wallet.refundDebt || 0) - ledgerClawback);
+    if (clawbackDifference !== 0) {
+      drift.push({ walletId: wallet._id.toString(), user: wallet.user?.toString(), refundDebt: wallet.refundDebt || 0, ledgerDebt: ledgerClawback, difference: clawbackDifference });
+    }
+  }
+
+  const orphanAccounts = [...derived.keys()].filter(account => account.startsWith('wallet:') && !seen.has(account));
+  const trialBalance = roundMoney([...derived.values()].reduce((sum, value) => sum + value, 0));
+  const unbalancedEntries = (await LedgerEntry.find({}).select('journalId legs').lean())
+    .filter(entry => !LedgerEntry.isBalanced(entry.legs))
+    .map(entry => entry.journalId);
+  const platform = {};
+  for (const [account, value] of derived) {
+    if (account.startsWith('platform:')) platform[account] = value;
+  }
+  const rideClearing = platform[ACCOUNTS.RIDE_CLEARING] || 0;
+
+  return {
+    ok: drift.length === 0 && orphanAccounts.length === 0 && unbalancedEntries.length === 0 && trialBalance === 0 && rideClearing === 0,
+    checkedWallets: wallets.length,
+    drift,
+    orphanAccounts,
+    unbalancedEntries,
+    trialBalance,
+    rideClearing,
+    platform
+  };
+}
+
+/**
+ * Post an opening-balance entry for every wallet that has a balance but no ledger history
+ * (wallets created before the ledger). Safe to re-run: one opening entry per wallet.
+ */
+async function backfillOpeningBalances() {
+  const Wallet = mongoose.model('Wallet');
+  const derived = await balances('wallet:');
+  const wallets = await Wallet.find({ balance: { $gt: 0 } }).select('balance').lean();
+  let posted = 0;
+  for (const wallet of wallets) {
+    if (derived.has(walletAccount(wallet._id))) continue;
+    try {
+      await postOpeningBalance(wallet._id, wallet.balance);
+      posted++;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return posted;
+}
+
+function postOpeningBalance(walletId, amount, { session } = {}) {
+  return post({
+    journalId: `opening_${walletId}`,
+    kind: 'OPENING_BALANCE',
+    legs: transferLegs(amount, ACCOUNTS.OPENING_BALANCE, walletAccount(walletId))
+  }, { session });
+}
+
+module.exports = {
+  ACCOUNTS,
+  walletAccount,
+  receivableAccount,
+  clawbackAccount,
+  transferLegs,
+  post,
+  LedgerConfigError,
+  runInTransaction,
+  checkTransactionSupport,
+  withSession,
+  balances,
+  balanceOf,
+  verify,
+  backfillOpeningBalances,
+  postOpeningBalance
+};
@@ -0,0 +1,11 @@
+const Notification = require('../models/Notification');
+
+// Persist an in-app notification and push it to the user's socket room
+async function notifyUser(io, userId, { type = 'system', title, body, data = {} }) {
+  if (!userId) return null;
+  const note = await Notification.create({ user: userId._id || userId, type, title, body, data });
+  if (io) io.to(`user_${userId._id || userId}`).emit('notification', note);
+  return note;
+}
+
+module.exports = { notifyUser };
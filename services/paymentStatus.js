@@ -0,0 +1,76 @@
+const AuditLog = require('../models/AuditLog');
+const payments = require('./payments');
+const { encrypt } = require('./encryption');
+const { notifyUser } = require('./notify');
+
+// Xendit payment request IDs; everything else is looked up by the payment's method
+const PAYMENT_REQUEST_PREFIX = 'pr-';
+
+/**
+ * Payment status for a provider status, by how the payment was made. Statuses that do not
+ * settle the payment keep `current`.
+ */
+function paymentStatusFor(method, providerStatus, current) {
+  const status = String(providerStatus || '').toUpperCase();
+  switch (method) {
+    case 'invoice':
+      return ['PAID', 'SETTLED'].includes(status) ? 'PAID' : status === 'EXPIRED' ? 'EXPIRED' : current;
+    case 'ewallet':
+      return status === 'SUCCEEDED' ? 'PAID' : status === 'FAILED' ? 'FAILED' : current;
+    case 'credit_card':
+      return ['CAPTURED', 'AUTHORIZED'].includes(status) ? 'PAID' : status === 'FAILED' ? 'FAILED' : current;
+    case 'payment_request':
+      return status === 'SUCCEEDED' ? 'PAID' : ['FAILED', 'EXPIRED'].includes(status) ? status : current;
+    default:
+      return current;
+  }
+}
+
+// How to read the payment back from the provider; null for methods that cannot be looked up
+function lookupMethod(payment) {
+  if (!payment.providerId) return null;
+  if (payment.providerId.startsWith(PAYMENT_REQUEST_PREFIX)) return 'payment_request';
+  return ['invoice', 'ewallet', 'credit_card'].includes(payment.method) ? payment.method : null;
+}
+
+/**
+ * The provider's current view of a payment, as `{ method, data }` (method as used by
+ * paymentStatusFor), or null when the payment cannot be looked up.
+ */
+async function fetchProviderPayment(payment) {
+  const method = lookupMethod(payment);
+  if (!method) return null;
+  const fetchers = {
+    invoice: payments.getInvoice,
+    ewallet: payments.getEwalletCharge,
+    credit_card: payments.getCardCharge,
+    payment_request: payments.getPaymentRequest
+  };
+  return { method, data: await fetchers[method](payment.providerId) };
+}
+
+/**
+ * Apply a provider status to a payment: the mapped status is saved with the encrypted
+ * provider payload (`data`) and audited, and the payer is notified when the status
+ * changed (a card tip is then settled too). Used by the payment webhook and by reconciliation. Returns `{ payment, from, to }`.
+ */
+async function applyPaymentStatus(payment, { status, data }, { method = payment.method, actorId = payment.provider || 'xendit', io } = {}) {
+  const from = payment.status;
+  const to = paymentStatusFor(method, status, from);
+  payment.status = to;
+  payment.webhookPayloadEnc = encrypt(JSON.stringify(data || {}));
+  await payment.save();
+  await AuditLog.create({ resourceType: 'Payment', resourceId: payment._id.toString(), actorId: String(actorId), action: 'update', changes: { from, to } });
+  if (to !== from) {
+    await notifyUser(io, payment.user, { type: 'payment', title: 'Payment update', body: `${payment.method} ${to}`, data: { paymentId: payment._id } });
+    // Loaded here because tips records its card charges through this module
+    if (payment.metadata && payment.metadata.kind === 'TIP') await require('./tips').applyCardTipStatus(payment, { io });
+  }
+  return { payment, from, to };
+}
+
+module.exports = {
+  paymentStatusFor,
+  fetchProviderPayment,
+  applyPaymentStatus
+};
@@ -0,0 +1,72 @@
+const xendit = require('./xendit');
+const mock = require('./mock');
+
+/**
+ * Payment providers. Each one implements the same interface, with request and response
+ * bodies in Xendit's format (the first provider):
+ *
+ * - createInvoice / getInvoice: hosted checkout invoices (wallet top-ups, payments)
+ * - createEwalletCharge / getEwalletCharge, createCardCharge / getCardCharge
+ * - createPaymentRequest / getPaymentRequest
+ * - createPayout / getPayout: bank and e-wallet cash-outs; findPayoutByReference(referenceId)
+ *   finds a payout by our reference (null when there is none)
+ * - createRefund({ method, providerId, amount, currency, reason, referenceId }): refund
+ *   (part of) a paid invoice, e-wallet or card payment; idempotent on referenceId
+ * - getRefund({ method, providerId, refundId }): a refund's current state
+ * - parseWebhook(source, body): `{ objectId, referenceId, status, failureReason }` for a
+ *   callback to our `topup`, `cashout` or `payment` webhook
+ * - generateReferenceId(prefix)
+ */
+const PROVIDERS = { xendit, mock };
+
+const METHODS = [
+  'createInvoice',
+  'getInvoice',
+  'createEwalletCharge',
+  'getEwalletCharge',
+  'createCardCharge',
+  'getCardCharge',
+  'createPaymentRequest',
+  'getPaymentRequest',
+  'createPayout',
+  'getPayout',
+  'findPayoutByReference',
+  'createRefund',
+  'getRefund',
+  'parseWebhook',
+  'generateReferenceId'
+];
+
+// The configured provider's name (PAYMENT_GATEWAY, xendit by default)
+function providerName() {
+  return (process.env.PAYMENT_GATEWAY || 'xendit').toLowerCase();
+}
+
+// A request the provider refused outright (4xx), so nothing was created. Timeouts (408) and
+// duplicates (409) are not refusals, nor are 5xx and network errors: the request may have
+// gone through.
+function isRejection(err) {
+  const status = err && (err.status || err.response?.status);
+  return status >= 400 && status < 500 && ![408, 409].includes(status);
+}
+
+function getProvider(name = providerName()) {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  if (provider === mock && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  return provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  providerName,
+  getProvider,
+  isRejection
+};
+
+// Each interface method calls the configured provider, e.g. payments.getPayout(id)
+for (const method of METHODS) {
+  module.exports[method] = (...args) => getProvider()[method](...args);
+}
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const xendit = require('./xendit');
+const { testSignature, TEST_SIGNATURE_HEADER } = require('../../middleware/webhookAuth');
+
+// Local stand-in for Xendit: objects live in memory, settle after a delay and call our own
+// webhook endpoints with Xendit-shaped bodies, so the whole flow runs offline.
+
+// How long a created object stays PENDING before it settles and its webhook is sent
+const DELAY_MS = Number(process.env.MOCK_PAYMENT_DELAY_MS || 2000);
+// Outcome for objects without a queued one (see queueOutcome)
+const DEFAULT_OUTCOME = process.env.MOCK_PAYMENT_OUTCOME || 'success';
+const WEBHOOK_ATTEMPTS = 3;
+
+/**
+ * success / failure: settles to the kind's final status and sends the webhook
+ * pending: never settles; no-webhook: settles without a callback (for reconciliation)
+ * error: the create call itself fails, like a provider outage
+ */
+const OUTCOMES = ['success', 'failure', 'pending', 'no-webhook', 'error'];
+
+// Final provider statuses by kind
+const FINAL_STATUSES = {
+  invoice: { success: 'PAID', failure: 'EXPIRED' },
+  ewallet: { success: 'SUCCEEDED', failure: 'FAILED' },
+  card: { success: 'CAPTURED', failure: 'FAILED' },
+  payment_request: { success: 'SUCCEEDED', failure: 'FAILED' },
+  payout: { success: 'COMPLETED', failure: 'FAILED' }
+};
+
+const objects = new Map();
+const timers = new Set();
+let queuedOutcomes = [];
+let webhookHandler = null;
+
+class MockProviderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MockProviderError';
+    this.status = status;
+    // Same shape as an axios error from the real API
+    this.response = { status, data: { error_code: status === 404 ? 'DATA_NOT_FOUND' : 'API_VALIDATION_ERROR', message } };
+  }
+}
+
+function nextOutcome() {
+  const outcome = queuedOutcomes.length ? queuedOutcomes.shift() : DEFAULT_OUTCOME;
+  if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown mock payment outcome: ${outcome}`);
+  return outcome;
+}
+
+// Webhook endpoint for an object: payouts go to cash-outs, top-up references to the wallet
+function webhookPath(kind, object) {
+  if (kind === 'payout') return '/api/wallet/webhook/cashout';
+  const reference = object.external_id || object.reference_id || '';
+  return reference.startsWith('topup_') ? '/api/wallet/webhook/topup' : '/api/payments/webhook';
+}
+
+// Callback body in Xendit's format (e-wallet callbacks wrap the charge in an event)
+function webhookBody(kind, object) {
+  return kind === 'ewallet' ? { event: 'ewallet.capture', data: object } : object;
+}
+
+function webhookHeaders(body) {
+  const headers = { 'Content-Type': 'application/json', 'webhook-id': `mock_wh_${crypto.randomBytes(8).toString('hex')}` };
+  if (process.env.WEBHOOK_TEST_SECRET && process.env.NODE_ENV !== 'production') {
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers[TEST_SIGNATURE_HEADER] = `t=${timestamp},v1=${testSignature(process.env.WEBHOOK_TEST_SECRET, timestamp, body)}`;
+  } else {
+    headers['x-callback-token'] = process.env.XENDIT_CALLBACK_TOKEN || process.env.XENDIT_WEBHOOK_TOKEN || '';
+  }
+  return headers;
+}
+
+function later(fn, ms) {
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    fn();
+  }, ms);
+  timer.unref();
+  timers.add(timer);
+}
+
+/**
+ * Send an object's webhook: to the handler set with setWebhookHandler when there is one,
+ * otherwise over HTTP to MOCK_WEBHOOK_URL (default this server). Failed deliveries are
+ * retried a few times, like the real provider does.
+ */
+async function deliverWebhook(kind, object, attempt = 1) {
+  const path = webhookPath(kind, object);
+  const body = JSON.stringify(webhookBody(kind, object));
+  const headers = webhookHeaders(body);
+  try {
+    if (webhookHandler) {
+      await webhookHandler({ path, headers, body: JSON.parse(body) });
+    } else {
+      const baseUrl = process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}`;
+      await axios.post(baseUrl + path, body, { headers, timeout: 10000 });
+    }
+  } catch (err) {
+    console.warn(`[MOCK PAYMENTS] Webhook ${path} for ${object.id} failed (attempt ${attempt}):`, err.message);
+    if (attempt < WEBHOOK_ATTEMPTS) later(() => deliverWebhook(kind, object, attempt + 1), DELAY_MS * 2 ** attempt);
+  }
+}
+
+function store(kind, fields, outcome) {
+  if (outcome === 'error') throw new MockProviderError(`Mock ${kind} request failed`, 503);
+  // Payment request ids keep Xendit's `pr-` prefix, which is how they are told apart from invoices
+  const prefix = kind === 'payment_request' ? 'pr-mock_' : `mock_${kind}_`;
+  const object = {
+    id: `${prefix}${Date.now()}${crypto.randomBytes(4).toString('hex')}`,
+    status: 'PENDING',
+    created: new Date().toISOString(),
+    ...fields
+  };
+  objects.set(object.id, { kind, object, outcome });
+  if (outcome !== 'pending') later(() => settle(object.id, outcome === 'no-webhook' ? 'success' : outcome, { webhook: outcome !== 'no-webhook' }), DELAY_MS);
+  return { ...object };
+}
+
+function find(kind, id) {
+  const entry = objects.get(id);
+  if (!entry || entry.kind !== kind) throw new MockProviderError(`Mock ${kind} ${id} not found`, 404);
+  return { ...entry.object };
+}
+
+/**
+ * Settle a mock object now: `result` is an outcome (`success`/`failure`) or a provider
+ * status (e.g. `REVERSED` for a completed payout). Sends its webhook unless
+ * `webhook: false`. Returns the updated object.
+ */
+function settle(id, result = 'success', { webhook = true } = {}) {
+  const entry = objects.get(id);
+  if (!entry) throw new MockProviderError(`Mock object ${id} not found`, 404);
+  const status = FINAL_STATUSES[entry.kind][result] || String(result).toUpperCase();
+  entry.object = { ...entry.object, status, updated: new Date().toISOString() };
+  if (status === 'FAILED' && entry.kind === 'payout') entry.object.failure_code = 'MOCK_FAILURE';
+  if (webhook) deliverWebhook(entry.kind, entry.object);
+  return { ...entry.object };
+}
+
+async function createInvoice({ amount, currency = 'PHP', description, external_id, customer }) {
+  const invoice = store('invoice', { external_id, amount, currency, description, customer }, nextOutcome());
+  return { ...invoice, invoice_url: `${process.env.APP_URL || 'http://localhost:3000'}/mock-checkout/${invoice.id}` };
+}
+
+async function getInvoice(id) {
+  return find('invoice', id);
+}
+
+async function createEwalletCharge({ reference_id, amount, channel_code, currency = 'PHP', checkout_method = 'ONE_TIME_PAYMENT' }) {
+  const charge = store('ewallet', { reference_id, charge_amount: amount, currency, channel_code, checkout_method }, nextOutcome());
+  return { ...charge, actions: { desktop_web_checkout_url: `${process.env.APP_URL || 'http://localhost:3000'}/mock-checkout/${charge.id}` } };
+}
+
+async function getEwalletCharge(id) {
+  return find('ewallet', id);
+}
+
+// Card charges settle in the request, as with the real API
+async function createCardCharge({ token_id, amount, currency = 'PHP', capture = true, external_id }) {
+  const outcome = nextOutcome();
+  const charge = store('card', { token_id, amount, currency, capture, external_id }, outcome === 'error' ? outcome : 'pending');
+  if (outcome === 'pending') return charge;
+  return settle(charge.id, outcome === 'failure' ? 'failure' : 'success', { webhook: false });
+}
+
+async function getCardCharge(id) {
+  return find('card', id);
+}
+
+async function createPaymentRequest({ amount, currency = 'PHP', paymentMethod, user, metadata = {} }) {
+  const referenceId = xendit.generateReferenceId('topup_');
+  const request = store('payment_request', {
+    reference_id: referenceId,
+    amount,
+    currency,
+    payment_method: paymentMethod,
+    metadata: { ...metadata, userId: user._id.toString(), type: 'WALLET_TOPUP' }
+  }, nextOutcome());
+  return { ...request, referenceId, paymentUrl: `${process.env.APP_URL || 'http://localhost:3000'}/mock-checkout/${request.id}` };
+}
+
+async function getPaymentRequest(id) {
+  return find('payment_request', id);
+}
+
+async function createPayout({ amount, accountHolderName, accountNumber, bankCode, description, metadata = {}, referenceId = xendit.generateReferenceId('payout_') }) {
+  const payout = store('payout', {
+    reference_id: referenceId,
+    amount,
+    currency: 'PHP',
+    channel_code: bankCode,
+    channel_properties: { account_holder_name: accountHolderName, account_number: accountNumber },
+    description: description || 'Cash out from wallet',
+    metadata: { ...metadata, type: 'WALLET_CASHOUT' }
+  }, nextOutcome());
+  return { ...payout, referenceId };
+}
+
+async function getPayout(id) {
+  return find('payout', id);
+}
+
+async function findPayoutByReference(referenceId) {
+  for (const entry of objects.values()) {
+    if (entry.kind === 'payout' && entry.object.reference_id === referenceId) return { ...entry.object };
+  }
+  return null;
+}
+
+// Refunds settle in the request: `failure` gives a FAILED refund, anything else SUCCEEDED.
+// A repeat of a referenceId returns the refund it made.
+async function createRefund({ providerId, amount, currency = 'PHP', reason, referenceId }) {
+  for (const existing of objects.values()) {
+    if (existing.kind === 'refund' && referenceId && existing.object.reference_id === referenceId) return { ...existing.object };
+  }
+  const entry = objects.get(providerId);
+  if (!entry) throw new MockProviderError(`Mock payment ${providerId} not found`, 404);
+  if (entry.object.status !== FINAL_STATUSES[entry.kind].success) {
+    throw new MockProviderError(`Mock ${entry.kind} ${providerId} is ${entry.object.status} and cannot be refunded`);
+  }
+  const remaining = (entry.object.amount || entry.object.charge_amount) - (entry.refunded || 0);
+  if (amount > remaining + 0.001) throw new MockProviderError(`Refund amount exceeds the remaining ${remaining}`);
+
+  const outcome = nextOutcome();
+  if (outcome === 'error') throw new MockProviderError('Mock refund request failed', 503);
+  const status = outcome === 'failure' ? 'FAILED' : 'SUCCEEDED';
+  if (status === 'SUCCEEDED') entry.refunded = (entry.refunded || 0) + amount;
+  const refund = {
+    id: `mock_refund_${Date.now()}${crypto.randomBytes(4).toString('hex')}`,
+    payment_id: providerId,
+    reference_id: referenceId,
+    amount,
+    currency,
+    reason,
+    status,
+    created: new Date().toISOString()
+  };
+  objects.set(refund.id, { kind: 'refund', object: refund });
+  return { ...refund };
+}
+
+async function getRefund({ refundId }) {
+  return find('refund', refundId);
+}
+
+// Outcomes for the next objects created, in order (then MOCK_PAYMENT_OUTCOME again)
+function queueOutcome(...outcomes) {
+  for (const outcome of outcomes) {
+    if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown mock payment outcome: ${outcome}`);
+  }
+  queuedOutcomes.push(...outcomes);
+}
+
+// Deliver webhooks to `handler({ path, headers, body })` instead of over HTTP (null to undo)
+function setWebhookHandler(handler) {
+  webhookHandler = handler;
+}
+
+// Forget every object, queued outcome and pending timer
+function reset() {
+  for (const timer of timers) clearTimeout(timer);
+  timers.clear();
+  objects.clear();
+  queuedOutcomes = [];
+  webhookHandler = null;
+}
+
+module.exports = {
+  name: 'mock',
+  createInvoice,
+  getInvoice,
+  createEwalletCharge,
+  getEwalletCharge,
+  createCardCharge,
+  getCardCharge,
+  createPaymentRequest,
+  getPaymentRequest,
+  createPayout,
+  getPayout,
+  findPayoutByReference,
+  createRefund,
+  getRefund,
+  // The mock sends Xendit-shaped callbacks
+  parseWebhook: xendit.parseWebhook,
+  generateReferenceId: xendit.generateReferenceId,
+  // Test controls
+  OUTCOMES,
+  MockProviderError,
+  settle,
+  queueOutcome,
+  setWebhookHandler,
+  reset
+};
@@ -1,5 +1,4 @@
 const axios = require('axios')
-const crypto = require('crypto')
 
 const base = 'https://api.xendit.co'
 
@@ -57,12 +56,6 @@ async function getCardCharge(id) {
   return res.data
 }
 
-function verifyWebhook(req) {
-  const token = req.headers['x-callback-token'] || ''
-  const expected = process.env.XENDIT_CALLBACK_TOKEN || ''
-  return expected && token && token === expected
-}
-
 // Helper to generate unique IDs
 function generateReferenceId(prefix = '') {
   const timestamp = Date.now();
@@ -70,14 +63,6 @@ function generateReferenceId(prefix = '') {
   return `${prefix}${timestamp}${random}`;
 }
 
-// Generate Xendit callback signature
-function generateCallbackSignature(secret, payload) {
-  return crypto
-    .createHmac('sha256', secret)
-    .update(payload, 'utf8')
-    .digest('hex');
-}
-
 // Get authentication headers
 function getAuthHeaders() {
   const key = process.env.XENDIT_API_KEY || '';
@@ -128,46 +113,7 @@ async function createPaymentRequest({ amount, currency = 'PHP', paymentMethod, u
 }
 
 // Create a payout to a bank account
-async function createPayout({ amount, accountHolderName, accountNumber, bankCode, description, metadata = {} }) {
-  const referenceId = generateReferenceId('payout_');
-  
-  // Check if simulation mode is enabled (for development/testing)
-  // Priority: CASHOUT_SIMULATION=true overrides everything
-  const isSimulationMode = process.env.CASHOUT_SIMULATION === 'true';
-  
-  console.log(`[PAYOUT] Environment check: CASHOUT_SIMULATION=${process.env.CASHOUT_SIMULATION}, isSimulationMode=${isSimulationMode}`);
-  
-  // In simulation mode, return a mock payout object without calling real Xendit API
-  if (isSimulationMode) {
-    console.log(`🎭 SIMULATION MODE: Creating mock payout (no real Xendit call)...`, {
-      amount,
-      bankCode,
-      accountNumber: accountNumber.slice(-4) + '****',
-      referenceId
-    });
-    
-    return {
-      id: `sim_payout_${Date.now()}`,
-      reference_id: referenceId,
-      referenceId,
-      amount,
-      currency: 'PHP',
-      channel_code: bankCode,
-      channel_properties: {
-        account_holder_name: accountHolderName,
-        account_number: accountNumber
-      },
-      status: 'PENDING',
-      description: description || 'Cash out from wallet',
-      created: new Date().toISOString(),
-      metadata: {
-        ...metadata,
-        type: 'WALLET_CASHOUT',
-        simulated: true
-      }
-    };
-  }
-  
+async function createPayout({ amount, accountHolderName, accountNumber, bankCode, description, metadata = {}, referenceId = generateReferenceId('payout_') }) {
   const payload = {
     reference_id: referenceId,
     amount,
@@ -205,6 +151,8 @@ async function createPayout({ amount, accountHolderName, accountNumber, bankCode
   } catch (error) {
     // Log detailed error information for debugging
     console.error(`❌ Payout creation failed:`, error.message);
+    // Keep the HTTP status: callers tell a refused request (4xx) from one that may have gone through
+    const failure = message => Object.assign(new Error(message), { status: error.response?.status, response: error.response });
     
     if (error.response) {
       console.error(`   Status: ${error.response.status}`);
@@ -213,15 +161,15 @@ async function createPayout({ amount, accountHolderName, accountNumber, bankCode
       // Provide detailed error messages for common issues
       if (error.response.status === 401 || error.response.status === 403) {
         console.error(`   Issue: Authentication failed - Check XENDIT_API_KEY`);
-        throw new Error(`Xendit API authentication failed. Check your API key is valid and has payout permissions.`);
+        throw failure(`Xendit API authentication failed. Check your API key is valid and has payout permissions.`);
       } else if (error.response.status === 400) {
         console.error(`   Issue: Invalid request - ${JSON.stringify(error.response.data)}`);
-        throw new Error(`Xendit validation error: ${error.response.data.message || error.message}`);
+        throw failure(`Xendit validation error: ${error.response.data.message || error.message}`);
       }
     }
     
     // Always throw real errors - no simulation fallback
-    throw new Error(`Xendit payout failed: ${error.message}`);
+    throw failure(`Xendit payout failed: ${error.message}`);
   }
 }
 
@@ -243,57 +191,99 @@ async function getPayout(id) {
   return response.data;
 }
 
-// Verify webhook signature
-function verifyWebhookSignature(signature, payload, secret) {
-  const expectedSignature = generateCallbackSignature(secret, JSON.stringify(payload));
-  return signature === expectedSignature;
+// Find the payout made for our `referenceId`, or null when the provider has none
+async function findPayoutByReference(referenceId) {
+  const response = await axios.get(
+    `${base}/payouts`,
+    { headers: getAuthHeaders(), params: { reference_id: referenceId }, timeout: 5000 }
+  );
+  const payouts = Array.isArray(response.data) ? response.data : response.data?.data || [];
+  return payouts[0] || null;
+}
+
+/**
+ * Refund `amount` of a paid payment. Card and e-wallet charges are refunded on the charge;
+ * invoices and payment requests through the Refunds API. `referenceId` makes the request
+ * idempotent at Xendit. Returns the refund, whose status is PENDING, SUCCEEDED or FAILED
+ * (card refunds: REQUESTED, COMPLETED or FAILED).
+ */
+async function createRefund({ method, providerId, amount, currency = 'PHP', reason, referenceId }) {
+  const headers = { ...getAuthHeaders(), 'X-IDEMPOTENCY-KEY': referenceId };
+  let response;
+  if (method === 'credit_card') {
+    response = await axios.post(
+      `${base}/credit_card/charges/${providerId}/refunds`,
+      { amount, external_id: referenceId },
+      { headers, timeout: 15000 }
+    );
+  } else if (method === 'ewallet') {
+    response = await axios.post(
+      `${base}/ewallets/charges/${providerId}/refunds`,
+      { amount, reason: 'REQUESTED_BY_CUSTOMER', metadata: { note: reason } },
+      { headers, timeout: 15000 }
+    );
+  } else {
+    const target = providerId.startsWith('pr-') ? { payment_request_id: providerId } : { invoice_id: providerId };
+    response = await axios.post(
+      `${base}/refunds`,
+      { ...target, reference_id: referenceId, amount, currency, reason: 'REQUESTED_BY_CUSTOMER', metadata: { note: reason } },
+      { headers, timeout: 15000 }
+    );
+  }
+  return response.data;
 }
 
-// Handle payment callback
-async function handlePaymentCallback(payload) {
-  const { id, status, reference_id: referenceId, metadata } = payload;
-  
-  // Get the full payment details
-  const payment = await getPaymentRequest(id);
-  
-  return {
-    success: status === 'PAID',
-    referenceId: payment.reference_id,
-    amount: payment.amount,
-    currency: payment.currency,
-    status: payment.status,
-    paymentMethod: payment.payment_method?.type,
-    metadata: payment.metadata,
-    paymentDetails: payment
-  };
+// A refund's current state, looked up on the charge it refunds (cards and e-wallets) or
+// through the Refunds API
+async function getRefund({ method, providerId, refundId }) {
+  const path = method === 'credit_card'
+    ? `/credit_card/charges/${providerId}/refunds/${refundId}`
+    : method === 'ewallet'
+      ? `/ewallets/charges/${providerId}/refunds/${refundId}`
+      : `/refunds/${refundId}`;
+  const response = await axios.get(`${base}${path}`, { headers: getAuthHeaders(), timeout: 5000 });
+  return response.data;
 }
 
-// Handle payout callback
-async function handlePayoutCallback(payload) {
-  const { id, status, reference_id: referenceId } = payload;
-  
-  // Get the full payout details
-  const payout = await getPayout(id);
-  
-  return {
-    success: status === 'COMPLETED',
-    referenceId: payout.reference_id,
-    amount: payout.amount,
-    currency: payout.currency,
-    status: payout.status,
-    metadata: payout.metadata,
-    payoutDetails: payout
-  };
+/**
+ * Read a callback body from one of our webhook endpoints (`topup`, `cashout` or
+ * `payment`) into `{ objectId, referenceId, status, failureReason }`.
+ */
+function parseWebhook(source, payload = {}) {
+  const data = payload.data || {};
+  switch (source) {
+    case 'topup':
+      return {
+        objectId: payload.id || payload.invoice_id || data.id,
+        referenceId: payload.external_id || payload.reference_id || data.reference_id,
+        status: payload.status || payload.payment_status || data.status
+      };
+    case 'cashout':
+      return {
+        objectId: payload.id || payload.payout_id,
+        referenceId: payload.reference_id || payload.referenceId,
+        status: payload.status || payload.payout_status,
+        failureReason: payload.failure_code || payload.failure_reason
+      };
+    case 'payment':
+      return {
+        objectId: payload.id || data.id || payload.invoice?.id || payload.charge?.id,
+        referenceId: payload.external_id || payload.reference_id || data.reference_id,
+        status: payload.status || data.status
+      };
+    default:
+      throw new Error(`Unknown webhook source: ${source}`);
+  }
 }
 
 module.exports = {
+  name: 'xendit',
   createInvoice,
   getInvoice,
   createEwalletCharge,
   getEwalletCharge,
   createCardCharge,
   getCardCharge,
-  verifyWebhook,
   // Payment methods
   createPaymentRequest,
   getPaymentRequest,
@@ -301,12 +291,15 @@ module.exports = {
   // Payout methods
   createPayout,
   getPayout,
+  findPayoutByReference,
+
+  // Refunds
+  createRefund,
+  getRefund,
   
-  // Callback handlers
-  handlePaymentCallback,
-  handlePayoutCallback,
+  // Callbacks
+  parseWebhook,
   
   // Utility
-  verifyWebhookSignature,
   generateReferenceId
 };
@@ -0,0 +1,171 @@
+const PayoutAccount = require('../models/PayoutAccount');
+const AuditLog = require('../models/AuditLog');
+const { encrypt, decrypt, fingerprint } = require('./encryption');
+const { notifyUser } = require('./notify');
+const { validateBankDetails, isEwalletChannel } = require('../utils/bankCodes');
+
+// Cash-outs to a newly added destination are refused for this long
+const COOLING_OFF_HOURS = Number(process.env.PAYOUT_ACCOUNT_COOLING_OFF_HOURS || 24);
+
+class PayoutAccountError extends Error {
+  constructor(message, { status = 400, code = 'invalid-payout-account' } = {}) {
+    super(message);
+    this.name = 'PayoutAccountError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Name suffixes and titles that banks print inconsistently
+const IGNORED_NAME_TOKENS = new Set(['JR', 'SR', 'II', 'III', 'IV', 'MR', 'MRS', 'MS', 'DR']);
+
+function nameTokens(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !IGNORED_NAME_TOKENS.has(token));
+}
+
+/**
+ * Whether an account holder name belongs to the user: it must contain the user's first
+ * given name and every part of the last name, in any order ("DELA CRUZ, JUAN P." matches
+ * Juan Pablo dela Cruz). Accents, punctuation, case, titles and suffixes are ignored.
+ */
+function namesMatch(accountHolderName, user) {
+  const holder = new Set(nameTokens(accountHolderName));
+  const [firstGiven] = nameTokens(user.firstName);
+  const last = nameTokens(user.lastName);
+  if (!firstGiven || !last.length) return false;
+  return holder.has(firstGiven) && last.every(token => holder.has(token));
+}
+
+function accountFingerprint(userId, channelCode, accountNumber) {
+  return fingerprint(`${userId}:${channelCode}:${accountNumber}`);
+}
+
+function listAccounts(userId) {
+  return PayoutAccount.find({ user: userId, status: 'active' }).sort({ isDefault: -1, createdAt: -1 });
+}
+
+async function findAccount(userId, accountId) {
+  const account = await PayoutAccount.findOne({ _id: accountId, user: userId, status: 'active' });
+  if (!account) {
+    throw new PayoutAccountError('Payout account not found', { status: 404, code: 'payout-account-not-found' });
+  }
+  return account;
+}
+
+async function makeDefault(account) {
+  await PayoutAccount.updateMany(
+    { user: account.user, isDefault: true, _id: { $ne: account._id } },
+    { $set: { isDefault: false } }
+  );
+  account.isDefault = true;
+  await account.save();
+  return account;
+}
+
+/**
+ * Save a new destination for `user`. The holder name must match the user's name. The
+ * account can be used for cash-outs once the cooling-off period is over; the user is
+ * notified so an unexpected addition stands out. The first account becomes the default.
+ */
+async function addAccount(user, { bankCode, accountNumber, accountHolderName, label, isDefault }, { io } = {}) {
+  const number = typeof accountNumber === 'string' ? accountNumber.replace(/[\s-]/g, '') : accountNumber;
+  const validation = validateBankDetails({ bankCode, accountNumber: number, accountHolderName });
+  if (!validation.valid) throw new PayoutAccountError(validation.error);
+  if (!namesMatch(accountHolderName, user)) {
+    throw new PayoutAccountError('Account holder name does not match your name', { code: 'name-mismatch' });
+  }
+
+  const print = accountFingerprint(user._id, validation.channelCode, number);
+  if (await PayoutAccount.exists({ user: user._id, fingerprint: print, status: 'active' })) {
+    throw new PayoutAccountError('This payout account is already saved', { status: 409, code: 'payout-account-exists' });
+  }
+  const first = !(await PayoutAccount.exists({ user: user._id, status: 'active' }));
+
+  const account = await PayoutAccount.create({
+    user: user._id,
+    type: isEwalletChannel(validation.channelCode) ? 'ewallet' : 'bank',
+    bankCode: bankCode.trim().toUpperCase(),
+    channelCode: validation.channelCode,
+    accountNumberEnc: encrypt(number),
+    accountNumberLast4: number.slice(-4),
+    fingerprint: print,
+    accountHolderName: accountHolderName.trim(),
+    label,
+    usableFrom: new Date(Date.now() + COOLING_OFF_HOURS * 3600000)
+  });
+  if (first || isDefault) await makeDefault(account);
+
+  await AuditLog.create({ resourceType: 'PayoutAccount', resourceId: account._id.toString(), actorId: user._id.toString(), action: 'create', changes: { bankCode: account.bankCode, last4: account.accountNumberLast4 } });
+  await notifyUser(io, user._id, {
+    type: 'payment',
+    title: 'Payout account added',
+    body: `${account.bankCode} account ending ${account.accountNumberLast4} was added. It can receive cash-outs from ${account.usableFrom.toLocaleString()}. If this wasn't you, remove it and contact support.`,
+    data: { payoutAccountId: account._id, usableFrom: account.usableFrom }
+  });
+  return account;
+}
+
+async function setDefault(user, accountId) {
+  const account = await findAccount(user._id, accountId);
+  await makeDefault(account);
+  await AuditLog.create({ resourceType: 'PayoutAccount', resourceId: account._id.toString(), actorId: user._id.toString(), action: 'update', changes: { isDefault: true } });
+  return account;
+}
+
+async function removeAccount(user, accountId) {
+  const account = await findAccount(user._id, accountId);
+  account.status = 'removed';
+  account.isDefault = false;
+  account.removedAt = new Date();
+  await account.save();
+  await AuditLog.create({ resourceType: 'PayoutAccount', resourceId: account._id.toString(), actorId: user._id.toString(), action: 'delete', changes: { status: 'removed' } });
+  return account;
+}
+
+/**
+ * The destination for a cash-out: the given saved account, or the user's default one.
+ * Throws PayoutAccountError when there is none or it is still cooling off.
+ * Returns { account, bank } where bank holds the decrypted details for the payout.
+ */
+async function resolveForCashOut(userId, accountId) {
+  let account;
+  if (accountId) {
+    account = await findAccount(userId, accountId);
+  } else {
+    account = await PayoutAccount.findOne({ user: userId, status: 'active', isDefault: true });
+    if (!account) {
+      throw new PayoutAccountError('Add a payout account before cashing out', { code: 'payout-account-required' });
+    }
+  }
+  if (account.isCoolingOff()) {
+    throw new PayoutAccountError(`This payout account can receive cash-outs from ${account.usableFrom.toISOString()}`, { status: 403, code: 'payout-account-cooling-off' });
+  }
+  return {
+    account,
+    bank: {
+      payoutAccountId: account._id,
+      bankCode: account.bankCode,
+      channelCode: account.channelCode,
+      accountNumber: decrypt(account.accountNumberEnc),
+      accountHolderName: account.accountHolderName
+    }
+  };
+}
+
+module.exports = {
+  COOLING_OFF_HOURS,
+  PayoutAccountError,
+  namesMatch,
+  listAccounts,
+  findAccount,
+  addAccount,
+  setDefault,
+  removeAccount,
+  resolveForCashOut
+};
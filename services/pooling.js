@@ -0,0 +1,288 @@
+const PoolTrip = require('../models/PoolTrip');
+const User = require('../models/User');
+const { haversineMeters } = require('./fare');
+const { roundMoney } = require('../utils/money');
+
+// Pooled fares are this much below the solo fare
+const DISCOUNT_PERCENT = Number(process.env.POOL_DISCOUNT_PERCENT || 25);
+// How much longer than the direct route a pooled passenger may ride because of other pickups
+// and dropoffs, with a flat allowance so very short rides are not impossible to pool
+const MAX_DETOUR_PERCENT = Number(process.env.POOL_MAX_DETOUR_PERCENT || 50);
+const DETOUR_ALLOWANCE_METERS = Number(process.env.POOL_DETOUR_ALLOWANCE_METERS || 500);
+// Seats for drivers whose vehicle capacity was not set, and the most one booking can take
+const DEFAULT_SEAT_CAPACITY = Number(process.env.POOL_DEFAULT_SEAT_CAPACITY || 3);
+const MAX_SEATS_PER_RIDE = Number(process.env.POOL_MAX_SEATS_PER_RIDE || 2);
+// Times a ride's update to its trip is retried when the trip changed under it
+const SYNC_ATTEMPTS = 5;
+
+// Ride statuses that end a passenger's part of the trip other than completing it
+const ABANDONED_STATUSES = ['cancelled', 'no-show', 'expired'];
+
+class PoolError extends Error {
+  constructor(message, { status = 400, code = 'pool-invalid' } = {}) {
+    super(message);
+    this.name = 'PoolError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function seatCapacityOf(driver) {
+  return (driver && driver.seatCapacity) || DEFAULT_SEAT_CAPACITY;
+}
+
+/**
+ * Pooling options for a new ride: `{ requested, seats }`. Pooled rides take 1 to
+ * MAX_SEATS_PER_RIDE seats and cannot have intermediate stops.
+ */
+function poolOptions({ pool, seats, stops }) {
+  const requested = pool === true || pool === 'true';
+  if (!requested) return { requested: false, seats: 1 };
+  const count = seats === undefined || seats === null || seats === '' ? 1 : Number(seats);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SEATS_PER_RIDE) {
+    throw new PoolError(`Pooled rides take 1 to ${MAX_SEATS_PER_RIDE} seats`, { code: 'invalid-seats' });
+  }
+  if (stops && stops.length) {
+    throw new PoolError('Pooled rides cannot have stops', { code: 'pool-stops-not-supported' });
+  }
+  return { requested: true, seats: count };
+}
+
+// The pooled fare for a solo `fare`, and the discount
+function pooledFare(fare) {
+  const discount = roundMoney(fare * DISCOUNT_PERCENT / 100);
+  return { fare: roundMoney(fare - discount), discount };
+}
+
+// Whether `travelled` meters stays within the detour limit of a `direct` route
+function withinDetour(travelled, direct) {
+  return travelled <= direct * (1 + MAX_DETOUR_PERCENT / 100) + DETOUR_ALLOWANCE_METERS;
+}
+
+/**
+ * Walk `plan` from `start` and return its length in meters, or null if it ever needs more
+ * than `capacity` seats, or a passenger waits or rides more than the detour limit beyond
+ * their direct route (to their pickup from `start`, and from pickup to dropoff). `onboard`
+ * are passengers already in the vehicle ({ ride, seats }); their ride is measured from `start`.
+ */
+function evaluatePlan(start, plan, { onboard = [], capacity }) {
+  let seats = onboard.reduce((sum, rider) => sum + rider.seats, 0);
+  if (seats > capacity) return null;
+  const pickups = new Map();
+  let travelled = 0;
+  let position = start;
+  for (const waypoint of plan) {
+    travelled += haversineMeters(position, waypoint.coordinates);
+    position = waypoint.coordinates;
+    const key = String(waypoint.ride);
+    if (waypoint.kind === 'pickup') {
+      seats += waypoint.seats || 1;
+      if (seats > capacity) return null;
+      if (!withinDetour(travelled, haversineMeters(start, waypoint.coordinates))) return null;
+      pickups.set(key, { at: travelled, coordinates: waypoint.coordinates });
+    } else {
+      seats -= waypoint.seats || 1;
+      const pickup = pickups.get(key) || { at: 0, coordinates: start };
+      const direct = haversineMeters(pickup.coordinates, waypoint.coordinates);
+      if (!withinDetour(travelled - pickup.at, direct)) return null;
+    }
+  }
+  return travelled;
+}
+
+/**
+ * Best place among the `pending` waypoints for `ride`'s pickup and dropoff: the insertion
+ * that keeps every passenger within the seat and detour limits with the shortest route.
+ * Returns `{ plan, meters, addedMeters }` or null when the ride does not fit.
+ */
+function planInsertion(start, pending, ride, { onboard = [], capacity }) {
+  const seats = ride.pool?.seats || 1;
+  const pickup = { ride: ride._id, kind: 'pickup', type: 'Point', coordinates: ride.pickupLocation.coordinates, address: ride.pickupLocation.address, seats, status: 'pending' };
+  const dropoff = { ride: ride._id, kind: 'dropoff', type: 'Point', coordinates: ride.dropoffLocation.coordinates, address: ride.dropoffLocation.address, seats, status: 'pending' };
+  const base = evaluatePlan(start, pending, { onboard, capacity });
+
+  let best = null;
+  for (let i = 0; i <= pending.length; i++) {
+    for (let j = i; j <= pending.length; j++) {
+      const plan = [...pending.slice(0, i), pickup, ...pending.slice(i, j), dropoff, ...pending.slice(j)];
+      const meters = evaluatePlan(start, plan, { onboard, capacity });
+      if (meters !== null && (!best || meters < best.meters)) best = { plan, meters };
+    }
+  }
+  if (!best) return null;
+  return { ...best, addedMeters: Math.round(best.meters - (base === null ? 0 : base)) };
+}
+
+// Where detours are measured from: the driver's last position, else their next waypoint
+function startPoint(driver, pending) {
+  const coords = driver?.location?.coordinates;
+  if (coords && coords.length === 2 && !(coords[0] === 0 && coords[1] === 0)) return coords;
+  return pending.length ? pending[0].coordinates : null;
+}
+
+// Passengers picked up but not dropped off yet
+function onboardRiders(trip) {
+  const pickedUp = trip.waypoints.filter(w => w.kind === 'pickup' && w.status === 'done');
+  return pickedUp
+    .filter(p => trip.waypoints.some(w => w.kind === 'dropoff' && w.status === 'pending' && String(w.ride) === String(p.ride)))
+    .map(p => ({ ride: p.ride, seats: p.seats || 1 }));
+}
+
+// Fit `ride` into the driver's active `trip`; returns the insertion or null
+function fitRide(trip, ride, driver) {
+  const pending = trip.waypoints.filter(w => w.status === 'pending').map(w => (w.toObject ? w.toObject() : w));
+  const start = startPoint(driver, pending) || ride.pickupLocation.coordinates;
+  return planInsertion(start, pending, ride, { onboard: onboardRiders(trip), capacity: trip.seatCapacity });
+}
+
+function activeTripFor(driverId) {
+  return PoolTrip.findOne({ driver: driverId, status: 'active' });
+}
+
+function activeTripDrivers() {
+  return PoolTrip.distinct('driver', { status: 'active' });
+}
+
+/**
+ * Whether a pooled `ride` can be offered to `driver`: drivers without an active trip can
+ * always start one; drivers on one only if the ride fits it.
+ */
+async function fitsDriver(driver, ride) {
+  const trip = await activeTripFor(driver._id);
+  if (!trip) return seatCapacityOf(driver) >= (ride.pool?.seats || 1);
+  return Boolean(fitRide(trip, ride, driver));
+}
+
+/**
+ * Reserve `ride`'s seats in the driver's active pooled trip, re-sequencing its waypoints.
+ * Throws a PoolError (409) when the driver has no active trip or the ride does not fit.
+ * Returns the updated trip; undo with leaveTrip if the ride is then not accepted.
+ */
+async function joinTrip(driverId, ride) {
+  const trip = await activeTripFor(driverId);
+  if (!trip) throw new PoolError('You already have an active ride', { status: 409, code: 'driver-has-active-ride' });
+  const driver = await User.findById(driverId).select('location seatCapacity');
+  const fit = fitRide(trip, ride, driver);
+  if (!fit) {
+    throw new PoolError('This ride does not fit your current pooled trip', { status: 409, code: 'pool-not-compatible' });
+  }
+  const finished = trip.waypoints.filter(w => w.status !== 'pending');
+  // Conditional on the revision so a concurrent join or progress update is not overwritten
+  const updated = await PoolTrip.findOneAndUpdate(
+    { _id: trip._id, status: 'active', revision: trip.revision },
+    { $set: { waypoints: [...finished, ...fit.plan] }, $push: { rides: ride._id }, $inc: { revision: 1 } },
+    { new: true }
+  );
+  if (!updated) throw new PoolError('Your pooled trip changed, please try again', { status: 409, code: 'pool-trip-changed' });
+  return updated;
+}
+
+// Take a ride back out of a trip (its acceptance failed)
+async function leaveTrip(tripId, rideId) {
+  await PoolTrip.updateOne(
+    { _id: tripId },
+    { $pull: { rides: rideId, waypoints: { ride: rideId } }, $inc: { revision: 1 } }
+  );
+}
+
+// Open a pooled trip around the first pooled ride a driver accepts
+async function startTrip(driverId, ride) {
+  const driver = await User.findById(driverId).select('seatCapacity');
+  const seats = ride.pool?.seats || 1;
+  try {
+    return await PoolTrip.create({
+      driver: driverId,
+      seatCapacity: seatCapacityOf(driver),
+      rides: [ride._id],
+      waypoints: [
+        { ride: ride._id, kind: 'pickup', coordinates: ride.pickupLocation.coordinates, address: ride.pickupLocation.address, seats },
+        { ride: ride._id, kind: 'dropoff', coordinates: ride.dropoffLocation.coordinates, address: ride.dropoffLocation.address, seats }
+      ]
+    });
+  } catch (err) {
+    // A trip opened concurrently for this driver: join it instead
+    if (err && err.code === 11000) return joinTrip(driverId, ride);
+    throw err;
+  }
+}
+
+// How a ride's status moves its pending waypoints: `{ kinds, status }`, or null when it does not
+function waypointChange(ride) {
+  if (ABANDONED_STATUSES.includes(ride.status)) return { kinds: ['pickup', 'dropoff'], status: 'cancelled' };
+  if (ride.status === 'completed') return { kinds: ['pickup', 'dropoff'], status: 'done' };
+  if (ride.status === 'in-progress') return { kinds: ['pickup'], status: 'done' };
+  return null;
+}
+
+/**
+ * Keep a pooled trip in step with one of its rides: starting the ride completes its pickup,
+ * completing it its dropoff, and ending it any other way drops its waypoints. The trip
+ * completes once nothing is left to do; until then the driver's activeRide slot points at
+ * one of its live rides. The waypoints are matched by ride and kind in one update
+ * conditional on the trip's revision, retried up to SYNC_ATTEMPTS times when a join or
+ * leave changed the trip first (then PoolError 409 `pool-trip-changed`). No-op for rides
+ * that are not pooled.
+ */
+async function syncRide(ride) {
+  const tripId = ride.pool?.trip;
+  const change = waypointChange(ride);
+  if (!tripId || !change) return null;
+
+  const rideKey = String(ride._id);
+  const touched = w => String(w.ride) === rideKey && change.kinds.includes(w.kind);
+  for (let attempt = 0; attempt < SYNC_ATTEMPTS; attempt++) {
+    const trip = await PoolTrip.findById(tripId);
+    if (!trip || trip.status !== 'active') return trip;
+
+    const now = new Date();
+    const set = { 'waypoints.$[w].status': change.status };
+    if (change.status === 'done') set['waypoints.$[w].doneAt'] = now;
+    if (!trip.waypoints.some(w => w.status === 'pending' && !touched(w))) {
+      set.status = 'completed';
+      set.completedAt = now;
+    }
+    const updated = await PoolTrip.findOneAndUpdate(
+      { _id: trip._id, status: 'active', revision: trip.revision },
+      { $set: set, $inc: { revision: 1 } },
+      { new: true, arrayFilters: [{ 'w.ride': ride._id, 'w.kind': { $in: change.kinds }, 'w.status': 'pending' }] }
+    );
+    if (!updated) continue;
+
+    if (updated.status === 'active') {
+      const next = updated.waypoints.find(w => w.status === 'pending');
+      if (next) await User.updateOne({ _id: updated.driver, activeRide: null }, { $set: { activeRide: next.ride } });
+    }
+    return updated;
+  }
+  throw new PoolError('The pooled trip kept changing, please try again', { status: 409, code: 'pool-trip-changed' });
+}
+
+// The driver's active trip with its rides, for the driver app
+async function currentTripFor(driverId) {
+  const trip = await activeTripFor(driverId);
+  if (!trip) return null;
+  await trip.populate({
+    path: 'rides',
+    select: 'passenger status pickupLocation dropoffLocation fare paymentMethod paymentStatus pool',
+    populate: { path: 'passenger', select: 'firstName lastName phoneNumber' }
+  });
+  return trip;
+}
+
+module.exports = {
+  PoolError,
+  DISCOUNT_PERCENT,
+  MAX_DETOUR_PERCENT,
+  MAX_SEATS_PER_RIDE,
+  poolOptions,
+  pooledFare,
+  evaluatePlan,
+  planInsertion,
+  activeTripDrivers,
+  fitsDriver,
+  joinTrip,
+  leaveTrip,
+  startTrip,
+  syncRide,
+  currentTripFor
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const Promo = require('../models/Promo');
+const PromoRedemption = require('../models/PromoRedemption');
+const Ride = require('../models/Ride');
+const ledger = require('./ledger');
+const ridePayment = require('./ridePayment');
+const { notifyUser } = require('./notify');
+const { roundMoney } = require('../utils/money');
+
+// Referral codes: pesos off the new rider's first ride, and what the code's owner is
+// credited when that ride completes
+const REFERRAL_DISCOUNT = Number(process.env.REFERRAL_DISCOUNT || 50);
+const REFERRAL_REWARD = Number(process.env.REFERRAL_REWARD || 50);
+
+class PromoError extends Error {
+  constructor(message, { status = 400, code = 'promo-invalid' } = {}) {
+    super(message);
+    this.name = 'PromoError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function normalizeCity(city) {
+  return String(city || '').trim().toLowerCase();
+}
+
+/**
+ * Discount off `fare`: a percentage of it or a fixed amount, capped by maxDiscount and
+ * never more than the fare itself.
+ */
+function computeDiscount(promo, fare) {
+  let discount = promo.discountType === 'percentage' ? fare * promo.value / 100 : promo.value;
+  if (promo.maxDiscount !== null && promo.maxDiscount !== undefined) discount = Math.min(discount, promo.maxDiscount);
+  return roundMoney(Math.max(0, Math.min(discount, fare)));
+}
+
+/**
+ * Why `promo` cannot be used on a ride, as a PromoError, or null when it can. `redemptions`
+ * is how many rides of this user already hold or used it.
+ */
+function eligibilityError(promo, { userId, city, at = new Date(), isFirstRide = false, redemptions = 0 }) {
+  if (!promo.isActive) return new PromoError('This promo code is no longer active', { code: 'promo-inactive' });
+  if (promo.validFrom && at < promo.validFrom) return new PromoError('This promo code is not valid yet', { code: 'promo-not-started' });
+  if (promo.validTo && at > promo.validTo) return new PromoError('This promo code has expired', { code: 'promo-expired' });
+  if (promo.referrer && userId && idOf(promo.referrer).toString() === idOf(userId).toString()) {
+    return new PromoError('You cannot use your own referral code', { code: 'promo-own-referral' });
+  }
+  if (promo.cities && promo.cities.length && !promo.cities.includes(normalizeCity(city))) {
+    return new PromoError('This promo code is not valid in your city', { code: 'promo-not-valid-in-city' });
+  }
+  if (promo.firstRideOnly && !isFirstRide) {
+    return new PromoError('This promo code is only valid on your first ride', { code: 'promo-first-ride-only' });
+  }
+  if (promo.usageLimit !== null && promo.usageLimit !== undefined && promo.usedCount >= promo.usageLimit) {
+    return new PromoError('This promo code has been fully used', { status: 409, code: 'promo-usage-limit' });
+  }
+  if (redemptions >= (promo.perUserLimit || 1)) {
+    return new PromoError('You have already used this promo code', { status: 409, code: 'promo-already-used' });
+  }
+  return null;
+}
+
+/**
+ * Look up `code` and check it for `user` on a ride of `fare` in `city`.
+ * Returns `{ promo, discount }`; throws a PromoError if it cannot be used.
+ */
+async function checkPromo(code, { user, city, fare, at = new Date() }) {
+  const promo = await Promo.findOne({ code: normalizeCode(code) });
+  if (!promo) throw new PromoError('Promo code not found', { status: 404, code: 'promo-not-found' });
+
+  const userId = idOf(user);
+  const [completedRide, redemptions] = await Promise.all([
+    promo.firstRideOnly ? Ride.exists({ passenger: userId, status: 'completed' }) : null,
+    PromoRedemption.countDocuments({ promo: promo._id, user: userId, status: { $ne: 'released' } })
+  ]);
+  const error = eligibilityError(promo, { userId, city, at, isFirstRide: !completedRide, redemptions });
+  if (error) throw error;
+
+  const discount = computeDiscount(promo, fare);
+  if (!(discount > 0)) throw new PromoError('This promo code gives no discount on this fare', { code: 'promo-no-discount' });
+  return { promo, discount };
+}
+
+// Record a use of `promo` in one of the user's perUserLimit slots. Slots are unique per
+// promo and user, so concurrent bookings cannot go over the limit.
+async function redeemForUser(promo, userId, rideId, discount) {
+  for (let slot = 1; slot <= (promo.perUserLimit || 1); slot++) {
+    try {
+      return await PromoRedemption.create({ promo: promo._id, code: promo.code, user: userId, ride: rideId, discount, slot });
+    } catch (err) {
+      if (!err || err.code !== 11000 || !(err.keyPattern && err.keyPattern.slot)) throw err;
+    }
+  }
+  throw new PromoError('You have already used this promo code', { status: 409, code: 'promo-already-used' });
+}
+
+/**
+ * Apply `code` to a new (unsaved) ride: takes one use of the promo, records the redemption
+ * and the discount on the ride, and lowers ride.fare by it. Call releasePromo if the ride
+ * is then not saved. Throws a PromoError if the code cannot be used.
+ */
+async function applyPromo(ride, code, { user, city, at = new Date() }) {
+  const { promo, discount } = await checkPromo(code, { user, city, fare: ride.fare, at });
+
+  // Taken atomically so concurrent rides cannot exceed the global limit
+  const taken = await Promo.findOneAndUpdate(
+    { _id: promo._id, isActive: true, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!taken) throw new PromoError('This promo code has been fully used', { status: 409, code: 'promo-usage-limit' });
+
+  let redemption;
+  try {
+    redemption = await redeemForUser(promo, idOf(user), ride._id, discount);
+  } catch (err) {
+    await Promo.updateOne({ _id: promo._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    throw err;
+  }
+
+  ride.promo = {
+    promo: promo._id,
+    redemption: redemption._id,
+    code: promo.code,
+    kind: promo.kind,
+    discount,
+    originalFare: ride.fare
+  };
+  ride.fare = roundMoney(ride.fare - discount);
+  return redemption;
+}
+
+/**
+ * Re-price a ride's promo for a new fare (before the discount), as when stops or the
+ * driven route change it: the discount is recomputed from the promo's terms, so a
+ * percentage promo follows the fare both ways and a fixed one recovers after the fare
+ * shrank below it. Updates ride.promo (not saved) and returns the fare to charge; a ride
+ * without an open promo is charged `fare`.
+ */
+async function repricePromo(ride, fare) {
+  if (!ride.promo || !ride.promo.redemption || ride.promo.creditedAt) return fare;
+  const promo = await Promo.findById(ride.promo.promo);
+  // A promo deleted since booking keeps the booked discount
+  ride.promo.discount = promo ? computeDiscount(promo, fare) : roundMoney(Math.min(ride.promo.discount, fare));
+  ride.promo.originalFare = fare;
+  return roundMoney(fare - ride.promo.discount);
+}
+
+// Give back the promo use of a ride that ended without completing (no-op if there is none)
+async function releasePromo(ride) {
+  if (!ride.promo || !ride.promo.redemption) return false;
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { _id: ride.promo.redemption, status: 'reserved' },
+    { $set: { status: 'released', releasedAt: new Date() }, $unset: { slot: 1 } }
+  );
+  if (!redemption) return false;
+  await Promo.updateOne({ _id: redemption.promo, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  return true;
+}
+
+// Credit a referral code's owner for a referred rider's first completed ride
+async function rewardReferrer(promo, redemption, session) {
+  if (!(REFERRAL_REWARD > 0)) return 0;
+  const wallet = await ridePayment.findOrCreateWallet(promo.referrer);
+  await wallet.addFunds(REFERRAL_REWARD, {
+    type: 'REFERRAL',
+    referenceId: `referral_${redemption._id}`,
+    paymentMethod: 'REFERRAL',
+    description: 'Referral reward',
+    metadata: { kind: 'REFERRAL_REWARD', promoCode: promo.code, referredUser: redemption.user.toString(), rideId: redemption.ride.toString() },
+    session,
+    counterAccount: ledger.ACCOUNTS.REVENUE
+  });
+  return REFERRAL_REWARD;
+}
+
+/**
+ * Settle a completed promo ride: the redemption is marked redeemed, the discount is
+ * credited to the driver from platform revenue so they still get the full fare, and a
+ * referral code's owner gets their reward, all in one transaction. Runs once per ride, and
+ * can be retried after a failure. Updates ride.promo (not saved); returns the amount
+ * credited to the driver.
+ */
+async function settlePromo(ride, { io } = {}) {
+  if (!ride.promo || !ride.promo.redemption || ride.promo.creditedAt) return 0;
+  const promo = ride.promo.kind === 'referral' ? await Promo.findById(ride.promo.promo) : null;
+  const credit = ride.driver ? roundMoney(ride.promo.discount) : 0;
+
+  const redemption = await ledger.runInTransaction(async (session) => {
+    const claimed = await PromoRedemption.findOneAndUpdate(
+      { _id: ride.promo.redemption, status: 'reserved' },
+      { $set: { status: 'redeemed', redeemedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+    if (credit > 0) {
+      await ridePayment.creditDriver(ride, credit, {
+        paymentMethod: 'PROMO',
+        description: `Promo ${ride.promo.code} discount paid by the platform`,
+        metadata: { kind: 'PROMO_CREDIT', promoCode: ride.promo.code },
+        session,
+        counterAccount: ledger.ACCOUNTS.REVENUE
+      });
+    }
+    if (promo && promo.referrer) {
+      claimed.referrerCredit = await rewardReferrer(promo, claimed, session);
+      await claimed.save({ session });
+    }
+    return claimed;
+  });
+  if (!redemption) return 0;
+
+  if (credit > 0) ride.promo.driverCredit = credit;
+  ride.promo.creditedAt = new Date();
+  if (redemption.referrerCredit > 0) {
+    await notifyUser(io, promo.referrer, {
+      type: 'payment',
+      title: 'Referral reward',
+      body: `₱${redemption.referrerCredit.toFixed(2)} was added to your wallet because someone you referred took their first ride.`,
+      data: { promoCode: promo.code, amount: redemption.referrerCredit }
+    });
+  }
+  return ride.promo.driverCredit || 0;
+}
+
+function newReferralCode(user) {
+  const prefix = String(user.firstName || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6);
+  return `${prefix || 'EYY'}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * The user's referral code, created on first request: REFERRAL_DISCOUNT off a new rider's
+ * first ride, and REFERRAL_REWARD for the user when that ride completes.
+ */
+async function referralCodeFor(user) {
+  const existing = await Promo.findOne({ referrer: user._id });
+  if (existing) return existing;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await Promo.create({
+        code: newReferralCode(user),
+        kind: 'referral',
+        description: `Referral code of ${user.firstName} ${user.lastName}`,
+        discountType: 'fixed',
+        value: REFERRAL_DISCOUNT,
+        firstRideOnly: true,
+        perUserLimit: 1,
+        referrer: user._id
+      });
+    } catch (err) {
+      if (!err || err.code !== 11000) throw err;
+      // Created by a concurrent request, or the random code was taken: look again
+      const created = await Promo.findOne({ referrer: user._id });
+      if (created) return created;
+    }
+  }
+  throw new PromoError('Could not create a referral code, please retry', { status: 503, code: 'referral-code-unavailable' });
+}
+
+module.exports = {
+  PromoError,
+  REFERRAL_DISCOUNT,
+  REFERRAL_REWARD,
+  normalizeCode,
+  computeDiscount,
+  eligibilityError,
+  checkPromo,
+  applyPromo,
+  repricePromo,
+  releasePromo,
+  settlePromo,
+  referralCodeFor
+};
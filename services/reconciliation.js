@@ -0,0 +1,209 @@
+const Payment = require('../models/Payment');
+const Wallet = require('../models/Wallet');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const payments = require('./payments');
+const cashOut = require('./cashOut');
+const topUp = require('./topUp');
+const refunds = require('./refunds');
+const paymentStatus = require('./paymentStatus');
+const { roundMoney } = require('../utils/money');
+
+// Records pending for longer than this are checked against the provider
+const RECONCILE_AFTER_MINUTES = Number(process.env.RECONCILIATION_AFTER_MINUTES || 60);
+const INTERVAL_HOURS = Number(process.env.RECONCILIATION_INTERVAL_HOURS || 24);
+// Documents loaded from the database at a time
+const BATCH_SIZE = 100;
+const PAYMENT_REQUEST_PREFIX = 'pr-';
+
+const KINDS = ['payment', 'topup', 'cashout', 'refund'];
+
+/**
+ * Per-kind counts and amounts for a list of outcomes
+ * (`{ kind, resolution: matched|fixed|unresolved|unsupported|error, amount }`).
+ * Everything not matched or fixed counts as unresolved.
+ */
+function summarize(outcomes) {
+  const totals = {};
+  for (const kind of KINDS) {
+    totals[kind] = { checked: 0, matched: 0, fixed: 0, unresolved: 0, amountFixed: 0, amountUnresolved: 0 };
+  }
+  for (const { kind, resolution, amount = 0 } of outcomes) {
+    const row = totals[kind];
+    row.checked++;
+    if (resolution === 'matched') {
+      row.matched++;
+    } else if (resolution === 'fixed') {
+      row.fixed++;
+      row.amountFixed = roundMoney(row.amountFixed + amount);
+    } else {
+      row.unresolved++;
+      row.amountUnresolved = roundMoney(row.amountUnresolved + amount);
+    }
+  }
+  return totals;
+}
+
+// Pending payments: look each up by method and apply the provider status
+async function reconcilePayment(payment, item, { io }) {
+  const latest = await paymentStatus.fetchProviderPayment(payment);
+  if (!latest) return { ...item, resolution: 'unsupported', message: `Cannot look up ${payment.method} payments` };
+
+  const providerStatus = latest.data && latest.data.status;
+  if (paymentStatus.paymentStatusFor(latest.method, providerStatus, payment.status) === payment.status) {
+    return { ...item, resolution: 'matched', providerStatus };
+  }
+  const { to } = await paymentStatus.applyPaymentStatus(payment, { status: providerStatus, data: latest.data }, { method: latest.method, actorId: 'reconciliation', io });
+  return { ...item, resolution: 'fixed', providerStatus, newStatus: to };
+}
+
+// Pending top-ups: invoices (or Xendit payment requests) that were paid or expired without a callback
+async function reconcileTopUp(wallet, txn, item) {
+  if (!txn.xenditId) return { ...item, resolution: 'unresolved', message: 'No provider id on the transaction' };
+
+  const latest = txn.xenditId.startsWith(PAYMENT_REQUEST_PREFIX)
+    ? await payments.getPaymentRequest(txn.xenditId)
+    : await payments.getInvoice(txn.xenditId);
+  const providerStatus = latest && latest.status;
+  if (!topUp.walletStatusFor(providerStatus)) return { ...item, resolution: 'matched', providerStatus };
+
+  const { applied } = await topUp.applyTopUpStatus({ wallet, transaction: txn, providerStatus });
+  // Not applied: settled by a callback in the meantime
+  return applied
+    ? { ...item, resolution: 'fixed', providerStatus, newStatus: applied }
+    : { ...item, resolution: 'matched', providerStatus };
+}
+
+// Pending cash-outs: payouts that settled without a callback, or were never sent
+async function reconcileCashOut(wallet, txn, item, { io }) {
+  const { providerStatus, applied, missing } = await cashOut.checkPayout(txn, { io });
+  if (!applied) return { ...item, resolution: 'matched', providerStatus };
+  return { ...item, resolution: 'fixed', providerStatus, newStatus: applied, message: missing ? 'The payout was never sent' : undefined };
+}
+
+// Open refunds: the provider's answer was lost, or the request itself may never have arrived
+async function reconcileRefund(payment, refund, item, { io }) {
+  const { providerStatus, applied } = await refunds.reconcileRefund(payment, refund, { io });
+  return applied
+    ? { ...item, resolution: 'fixed', providerStatus, newStatus: applied }
+    : { ...item, resolution: 'matched', providerStatus };
+}
+
+// Check one record; a provider or database error is recorded instead of stopping the run
+async function check(item, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    return { ...item, resolution: 'error', message: err.message };
+  }
+}
+
+/**
+ * One batch reconciliation: every PENDING payment, top-up and cash-out older than
+ * `olderThanMinutes` is looked up at the provider and settled through the same path as
+ * its callback when the statuses differ; cash-outs whose payout was never sent are failed
+ * and refunded, and open payment refunds get the provider's final answer. Returns the
+ * saved ReconciliationReport, which keeps every record that was fixed or needs a look.
+ */
+async function runReconciliation({ io, trigger = 'scheduled', triggeredBy, olderThanMinutes = RECONCILE_AFTER_MINUTES } = {}) {
+  const report = await ReconciliationReport.create({ trigger, triggeredBy, olderThanMinutes, startedAt: new Date() });
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60000);
+  const outcomes = [];
+  try {
+    const payments = Payment.find({ status: 'PENDING', createdAt: { $lte: cutoff } }).batchSize(BATCH_SIZE).cursor();
+    for (let payment = await payments.next(); payment; payment = await payments.next()) {
+      const item = { kind: 'payment', resourceId: payment._id.toString(), providerId: payment.providerId, user: payment.user, amount: payment.amount, localStatus: payment.status };
+      outcomes.push(await check(item, () => reconcilePayment(payment, item, { io })));
+    }
+
+    const wallets = Wallet.find({
+      transactions: { $elemMatch: { type: { $in: ['TOPUP', 'CASHOUT'] }, status: 'PENDING', createdAt: { $lte: cutoff } } }
+    }).batchSize(BATCH_SIZE).cursor();
+    for (let wallet = await wallets.next(); wallet; wallet = await wallets.next()) {
+      const stale = wallet.transactions.filter(t => ['TOPUP', 'CASHOUT'].includes(t.type) && t.status === 'PENDING' && t.createdAt <= cutoff);
+      for (const txn of stale) {
+        // Reload so one settlement does not leave the next with a stale copy of the wallet
+        const current = await Wallet.findById(wallet._id);
+        const currentTxn = current && current.transactions.id(txn._id);
+        if (!currentTxn || currentTxn.status !== 'PENDING') continue;
+        const item = {
+          kind: txn.type === 'TOPUP' ? 'topup' : 'cashout',
+          resourceId: wallet._id.toString(),
+          referenceId: txn.referenceId,
+          providerId: txn.xenditId || txn.metadata?.payoutId,
+          user: wallet.user,
+          amount: txn.amount,
+          localStatus: txn.status
+        };
+        outcomes.push(await check(item, () => (item.kind === 'topup'
+          ? reconcileTopUp(current, currentTxn, item)
+          : reconcileCashOut(current, currentTxn, item, { io }))));
+      }
+    }
+
+    const refunded = Payment.find({
+      refunds: { $elemMatch: { status: { $in: refunds.OPEN_REFUND_STATUSES }, createdAt: { $lte: cutoff } } }
+    }).batchSize(BATCH_SIZE).cursor();
+    for (let payment = await refunded.next(); payment; payment = await refunded.next()) {
+      const stale = payment.refunds.filter(r => refunds.OPEN_REFUND_STATUSES.includes(r.status) && r.createdAt <= cutoff);
+      for (const refund of stale) {
+        const item = {
+          kind: 'refund',
+          resourceId: payment._id.toString(),
+          referenceId: refund.referenceId,
+          providerId: refund.providerRefundId || payment.providerId,
+          user: payment.user,
+          amount: refund.amount,
+          localStatus: refund.status
+        };
+        outcomes.push(await check(item, () => reconcileRefund(payment, refund, item, { io })));
+      }
+    }
+    report.status = 'completed';
+  } catch (err) {
+    console.error('Reconciliation run failed:', err.message);
+    report.status = 'failed';
+    report.error = err.message;
+  }
+
+  report.totals = summarize(outcomes);
+  report.discrepancies = outcomes.filter(outcome => outcome.resolution !== 'matched');
+  report.finishedAt = new Date();
+  await report.save();
+  return report;
+}
+
+let schedulerTimer = null;
+let running = false;
+
+// Run unless a reconciliation is already in progress in this process; returns the report or null
+async function runExclusive(options) {
+  if (running) return null;
+  running = true;
+  try {
+    return await runReconciliation(options);
+  } finally {
+    running = false;
+  }
+}
+
+// Reconcile every INTERVAL_HOURS (once per process)
+function startReconciliationScheduler(io) {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(async () => {
+    try {
+      const report = await runExclusive({ io });
+      if (report && report.discrepancies.length) console.log(`Reconciliation ${report._id}:`, report.toObject().totals);
+    } catch (err) {
+      console.warn('Reconciliation run failed:', err.message);
+    }
+  }, INTERVAL_HOURS * 3600000);
+  schedulerTimer.unref();
+}
+
+module.exports = {
+  KINDS,
+  summarize,
+  runReconciliation,
+  runExclusive,
+  startReconciliationScheduler
+};
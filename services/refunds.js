@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const Wallet = require('../models/Wallet');
+const AuditLog = require('../models/AuditLog');
+const payments = require('./payments');
+const ledger = require('./ledger');
+const ridePayment = require('./ridePayment');
+const { notifyUser } = require('./notify');
+const { roundMoney } = require('../utils/money');
+
+const MAX_REASON_LENGTH = 500;
+// Payment methods the provider can refund
+const REFUNDABLE_METHODS = ['invoice', 'ewallet', 'credit_card'];
+// Slack for floating point sums when comparing refunded totals with the amount paid
+const EPSILON = 0.001;
+
+class RefundError extends Error {
+  constructor(message, { status = 400, code = 'refund-failed' } = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+function newReferenceId(prefix, id) {
+  return `${prefix}_${id}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * How much to refund of `paid` when `refunded` already was: the whole remainder when no
+ * amount is requested, otherwise the requested amount if it fits. Throws a RefundError.
+ */
+function refundAmount(paid, refunded, requested) {
+  const remaining = roundMoney(paid - (refunded || 0));
+  if (!(remaining > 0)) throw new RefundError('Nothing left to refund', { status: 409, code: 'already-refunded' });
+  if (requested === undefined || requested === null || requested === '') return remaining;
+
+  const value = Number(requested);
+  const amount = roundMoney(value);
+  if (!Number.isFinite(value) || !(amount > 0)) {
+    throw new RefundError('amount must be a positive number', { code: 'invalid-amount' });
+  }
+  if (amount > remaining) {
+    throw new RefundError(`amount exceeds the refundable ₱${remaining.toFixed(2)}`, { code: 'amount-exceeds-refundable' });
+  }
+  return amount;
+}
+
+function validateReason(reason) {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) throw new RefundError('A reason is required', { code: 'reason-required' });
+  if (text.length > MAX_REASON_LENGTH) {
+    throw new RefundError(`reason must be at most ${MAX_REASON_LENGTH} characters`, { code: 'invalid-reason' });
+  }
+  return text;
+}
+
+// A provider refund status in our terms
+function refundStatusFor(providerStatus) {
+  const status = String(providerStatus || '').toUpperCase();
+  if (['SUCCEEDED', 'COMPLETED'].includes(status)) return 'SUCCEEDED';
+  if (status === 'FAILED') return 'FAILED';
+  return 'PENDING';
+}
+
+// What was collected for a wallet ride: the captured hold, or the fare for rides paid directly
+function collectedAmount(ride) {
+  const hold = ride.paymentHold;
+  return hold && hold.status === 'captured' ? hold.capturedAmount : ride.fare;
+}
+
+// The driver's part of a refund, in proportion to what they kept of the collected fare.
+// The rest is the platform's commission.
+function driverShare(ride, collected, amount) {
+  if (!ride.commission || ride.commission.status !== 'collected' || !(collected > 0)) return amount;
+  const earnings = ride.driverEarnings === undefined || ride.driverEarnings === null ? collected : ride.driverEarnings;
+  return Math.min(amount, roundMoney(amount * earnings / collected));
+}
+
+// Payment refunds the provider has not given a final answer for
+const OPEN_REFUND_STATUSES = ['REQUESTED', 'PENDING'];
+
+// Card fare payments carry the ride they paid for; tips do too, but are not part of the fare
+function isFarePayment(payment) {
+  return Boolean(payment.ride) && !(payment.metadata && payment.metadata.kind === 'TIP');
+}
+
+// What the provider has actually refunded of a payment
+function succeededAmount(payment) {
+  return roundMoney((payment.refunds || [])
+    .filter(refund => refund.status === 'SUCCEEDED')
+    .reduce((sum, refund) => sum + refund.amount, 0));
+}
+
+function notifyDriverOfRefund(io, ride, refund) {
+  const fromDriver = roundMoney((refund.driverAmount || 0) + (refund.driverDebt || 0));
+  if (!ride.driver || !(fromDriver > 0)) return null;
+  return notifyUser(io, ride.driver, {
+    type: 'payment',
+    title: 'Ride fare refunded',
+    body: `₱${fromDriver.toFixed(2)} of your earnings for a ride was refunded to the passenger.`,
+    data: { rideId: ride._id, amount: fromDriver, debt: refund.driverDebt || 0 }
+  });
+}
+
+/**
+ * The ride side of a payment refund that got its final answer. A failed refund stops
+ * counting towards the ride's refundedAmount. A succeeded one takes the driver's share back
+ * when the driver was paid from the card payment (the platform's commission share comes out
+ * of revenue), all in one transaction. Returns the updated ride, or null.
+ */
+async function settleRideRefund(payment, refund, status, { io } = {}) {
+  const open = { _id: payment.ride, refunds: { $elemMatch: { referenceId: refund.referenceId, status: 'pending' } } };
+  if (status === 'FAILED') {
+    return Ride.findOneAndUpdate(open, { $set: { 'refunds.$.status': 'failed' }, $inc: { refundedAmount: -refund.amount } }, { new: true });
+  }
+  const ride = await Ride.findOne(open);
+  if (!ride) return null;
+
+  const paidDriver = ride.commission && ride.commission.status === 'collected';
+  const collected = roundMoney(Math.min(payment.amount, ride.fare));
+  const fromDriver = paidDriver && ride.driver ? driverShare(ride, collected, refund.amount) : 0;
+  const fromPlatform = paidDriver ? roundMoney(refund.amount - fromDriver) : 0;
+  const updated = await ledger.runInTransaction(async (session) => {
+    const claimed = await Ride.findOneAndUpdate(open, { $set: { 'refunds.$.status': 'succeeded' } }, { new: true, session });
+    if (!claimed) return null;
+    const { taken, debt } = fromDriver > 0
+      ? await reverseDriverShare(ride, fromDriver, refund.referenceId, session, ledger.ACCOUNTS.PROVIDER_CLEARING)
+      : { taken: 0, debt: 0 };
+    if (fromPlatform > 0) {
+      await ledger.post({
+        kind: 'REFUND',
+        referenceId: refund.referenceId,
+        ride: ride._id,
+        legs: ledger.transferLegs(fromPlatform, ledger.ACCOUNTS.REVENUE, ledger.ACCOUNTS.PROVIDER_CLEARING),
+        metadata: { kind: 'COMMISSION_REFUND' }
+      }, { session });
+    }
+    const entry = claimed.refunds.find(r => r.referenceId === refund.referenceId);
+    entry.driverAmount = taken;
+    entry.driverDebt = debt;
+    if (payment.status === 'REFUNDED') claimed.paymentStatus = 'refunded';
+    await claimed.save({ session });
+    return claimed;
+  });
+  if (updated) await notifyDriverOfRefund(io, updated, updated.refunds.find(r => r.referenceId === refund.referenceId));
+  return updated;
+}
+
+/**
+ * Record the provider's answer for an open payment refund. FAILED gives the reserved amount
+ * back to the payment; SUCCEEDED makes the payment REFUNDED once succeeded refunds cover it.
+ * A final answer also settles the ride's side (see settleRideRefund) and is applied once.
+ * Returns the updated payment, or null when the refund is no longer open.
+ */
+async function applyRefundStatus(paymentId, refund, status, { providerRefundId, failureReason, io } = {}) {
+  const set = { 'refunds.$.status': status };
+  if (providerRefundId) set['refunds.$.providerRefundId'] = providerRefundId;
+  if (failureReason) set['refunds.$.failureReason'] = failureReason;
+  const update = { $set: set };
+  if (status === 'FAILED') update.$inc = { refundedAmount: -refund.amount };
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refund._id, status: { $in: OPEN_REFUND_STATUSES } } } },
+    update,
+    { new: true }
+  );
+  if (!updated) return null;
+  if (status === 'SUCCEEDED' && succeededAmount(updated) >= updated.amount - EPSILON) {
+    updated.status = 'REFUNDED';
+    await updated.save();
+  }
+  if (isFarePayment(updated) && status !== 'PENDING') await settleRideRefund(updated, refund, status, { io });
+  return updated;
+}
+
+function providerFailure(result) {
+  return result.failure_code || result.failure_reason || 'Refund failed at the provider';
+}
+
+/**
+ * Refund all or part of a paid invoice, e-wallet or card payment through the provider.
+ * The amount is reserved on the payment (and on its ride) first, so concurrent refunds
+ * cannot exceed it. A refusal fails the refund and throws; a timeout, 5xx or network error
+ * leaves it open, to be asked about again with the same referenceId (see reconcileRefund).
+ * The payment becomes REFUNDED only once the provider reports refunds covering it.
+ * Audited, and the payer is notified. Returns `{ payment, refund }`.
+ */
+async function refundPayment(payment, { amount: requested, reason, actor, io } = {}) {
+  reason = validateReason(reason);
+  if (payment.status !== 'PAID') {
+    throw new RefundError(`Only paid payments can be refunded (this one is ${payment.status})`, { status: 409, code: 'payment-not-refundable' });
+  }
+  if (!REFUNDABLE_METHODS.includes(payment.method) || !payment.providerId) {
+    throw new RefundError(`${payment.method} payments cannot be refunded through the provider`, { code: 'method-not-refundable' });
+  }
+  const amount = refundAmount(payment.amount, payment.refundedAmount, requested);
+  const refund = {
+    _id: new mongoose.Types.ObjectId(),
+    amount,
+    reason,
+    status: 'REQUESTED',
+    referenceId: newReferenceId('refund', payment._id),
+    requestedBy: actor ? idOf(actor) : undefined
+  };
+
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'PAID',
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, { $add: ['$amount', EPSILON] }] }
+    },
+    { $inc: { refundedAmount: amount }, $push: { refunds: refund } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new RefundError('The payment was refunded or changed meanwhile; reload it and retry', { status: 409, code: 'refund-conflict' });
+  }
+  if (isFarePayment(payment)) {
+    const rideRefund = { amount, reason, by: refund.requestedBy, payment: payment._id, referenceId: refund.referenceId, status: 'pending' };
+    await Ride.updateOne({ _id: payment.ride }, { $inc: { refundedAmount: amount }, $push: { refunds: rideRefund } });
+  }
+
+  let result = null;
+  try {
+    result = await payments.createRefund({
+      method: payment.method,
+      providerId: payment.providerId,
+      amount,
+      currency: payment.currency,
+      reason,
+      referenceId: refund.referenceId
+    });
+  } catch (err) {
+    const message = err.response?.data?.message || err.message;
+    if (payments.isRejection(err)) {
+      await applyRefundStatus(payment._id, refund, 'FAILED', { failureReason: message, io });
+      throw new RefundError(`The provider rejected the refund: ${message}`, { status: 502, code: 'provider-refund-failed' });
+    }
+    console.error(`Refund ${refund.referenceId}: outcome unknown, left pending for reconciliation:`, message);
+  }
+  const status = result ? refundStatusFor(result.status) : 'PENDING';
+  if (status === 'FAILED') {
+    const message = providerFailure(result);
+    await applyRefundStatus(payment._id, refund, 'FAILED', { providerRefundId: result.id, failureReason: message, io });
+    throw new RefundError(`The provider rejected the refund: ${message}`, { status: 502, code: 'provider-refund-failed' });
+  }
+
+  const updated = await applyRefundStatus(payment._id, refund, status, { providerRefundId: result && result.id, io }) ||
+    await Payment.findById(payment._id);
+  const from = reserved.status;
+
+  await AuditLog.create({
+    resourceType: 'Payment',
+    resourceId: updated._id.toString(),
+    actorId: actor ? idOf(actor).toString() : 'system',
+    action: 'update',
+    changes: { refund: { amount, reason, status, providerRefundId: result && result.id }, refundedAmount: updated.refundedAmount, from, to: updated.status }
+  });
+  await notifyUser(io, updated.user, {
+    type: 'payment',
+    title: 'Refund issued',
+    body: `₱${amount.toFixed(2)} of your ${updated.method} payment is being refunded.`,
+    data: { paymentId: updated._id, amount }
+  });
+  return { payment: updated, refund: updated.refunds.id(refund._id) };
+}
+
+/**
+ * Ask the provider about an open payment refund and apply its answer (see
+ * applyRefundStatus). A refund that never got a provider id back is requested again with
+ * the same referenceId, which the provider treats as the same request.
+ * Returns { providerStatus, applied } (applied is the final status recorded, or null).
+ */
+async function reconcileRefund(payment, refund, { io } = {}) {
+  let result;
+  try {
+    result = refund.providerRefundId
+      ? await payments.getRefund({ method: payment.method, providerId: payment.providerId, refundId: refund.providerRefundId })
+      : await payments.createRefund({
+        method: payment.method,
+        providerId: payment.providerId,
+        amount: refund.amount,
+        currency: payment.currency,
+        reason: refund.reason,
+        referenceId: refund.referenceId
+      });
+  } catch (err) {
+    if (refund.providerRefundId || !payments.isRejection(err)) throw err;
+    // The repeated request was refused, so the first one never created a refund either
+    const message = err.response?.data?.message || err.message;
+    const updated = await applyRefundStatus(payment._id, refund, 'FAILED', { failureReason: message, io });
+    return { providerStatus: null, applied: updated ? 'FAILED' : null };
+  }
+  const status = refundStatusFor(result && result.status);
+  const updated = await applyRefundStatus(payment._id, refund, status, {
+    providerRefundId: result && result.id,
+    failureReason: status === 'FAILED' ? providerFailure(result) : undefined,
+    io
+  });
+  return { providerStatus: result && result.status, applied: updated && status !== 'PENDING' ? status : null };
+}
+
+// Take a ride's refund back from the driver: what their available balance covers, the rest
+// as refund debt that is netted from future earnings. `counterAccount` is where the
+// driver's money came from (ride clearing for wallet rides). Returns { taken, debt }.
+async function reverseDriverShare(ride, amount, referenceId, session, counterAccount = ledger.ACCOUNTS.RIDE_CLEARING) {
+  const wallet = await ridePayment.findOrCreateWallet(idOf(ride.driver));
+  const current = await Wallet.findById(wallet._id).session(session);
+  const taken = roundMoney(Math.min(amount, Math.max(current.availableBalance, 0)));
+  const metadata = { rideId: ride._id.toString(), kind: 'FARE_REFUND' };
+  if (taken > 0) {
+    await wallet.deductFunds(taken, {
+      type: 'REFUND',
+      referenceId: `${referenceId}_driver`,
+      description: `Fare refunded to passenger for ride to ${ride.dropoffLocation.address}`,
+      metadata,
+      session,
+      counterAccount
+    });
+  }
+  const debt = roundMoney(amount - taken);
+  if (debt > 0) {
+    await wallet.accrueRefundDebt(debt, { metadata, session, counterAccount });
+  }
+  return { taken, debt };
+}
+
+// Wallet rides: credit the passenger and take the refund back from the driver and, for
+// the commission's share, from platform revenue, all in one transaction
+async function refundWalletRide(ride, { amount: requested, reason, actor }) {
+  if (ride.paymentStatus !== 'completed') {
+    throw new RefundError(`Only paid rides can be refunded (payment is ${ride.paymentStatus})`, { status: 409, code: 'ride-not-refundable' });
+  }
+  const collected = collectedAmount(ride);
+  const amount = refundAmount(collected, ride.refundedAmount, requested);
+  const fromDriver = driverShare(ride, collected, amount);
+  const fromPlatform = roundMoney(amount - fromDriver);
+  const referenceId = newReferenceId('ride_refund', ride._id);
+  const refund = { _id: new mongoose.Types.ObjectId(), amount, reason, by: actor ? idOf(actor) : undefined };
+
+  const updated = await ledger.runInTransaction(async (session) => {
+    const reserved = await Ride.findOneAndUpdate(
+      {
+        _id: ride._id,
+        paymentStatus: 'completed',
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, collected + EPSILON] }
+      },
+      { $inc: { refundedAmount: amount }, $push: { refunds: refund } },
+      { new: true, session }
+    );
+    if (!reserved) {
+      throw new RefundError('The ride was refunded or changed meanwhile; reload it and retry', { status: 409, code: 'refund-conflict' });
+    }
+
+    const passengerWallet = await ridePayment.findOrCreateWallet(idOf(ride.passenger));
+    await passengerWallet.addFunds(amount, {
+      type: 'REFUND',
+      referenceId,
+      description: `Refund for ride to ${ride.dropoffLocation.address}`,
+      metadata: { rideId: ride._id.toString(), kind: 'FARE_REFUND', reason },
+      session,
+      counterAccount: ledger.ACCOUNTS.RIDE_CLEARING
+    });
+    const { taken, debt } = fromDriver > 0 && ride.driver
+      ? await reverseDriverShare(ride, fromDriver, referenceId, session)
+      : { taken: 0, debt: 0 };
+    if (fromPlatform > 0) {
+      await ledger.post({
+        kind: 'REFUND',
+        referenceId,
+        ride: ride._id,
+        legs: ledger.transferLegs(fromPlatform, ledger.ACCOUNTS.REVENUE, ledger.ACCOUNTS.RIDE_CLEARING),
+        metadata: { kind: 'COMMISSION_REFUND' }
+      }, { session });
+    }
+
+    const entry = reserved.refunds.id(refund._id);
+    entry.driverAmount = taken;
+    entry.driverDebt = debt;
+    if (reserved.refundedAmount >= collected - EPSILON) reserved.paymentStatus = 'refunded';
+    await reserved.save({ session });
+    return reserved;
+  });
+  return { ride: updated, refund: updated.refunds.id(refund._id) };
+}
+
+// Card rides: refund the ride's paid card payment, which records the refund on the ride
+async function refundCardRide(ride, { amount, reason, actor, io }) {
+  const payment = await ridePayment.findFarePayment(ride._id);
+  if (!payment) throw new RefundError('No paid card payment found for this ride', { status: 404, code: 'payment-not-found' });
+  const result = await refundPayment(payment, { amount, reason, actor, io });
+  const updated = await Ride.findById(ride._id);
+  const refund = updated.refunds.find(r => r.referenceId === result.refund.referenceId);
+  return { ride: updated, refund, payment: result.payment };
+}
+
+/**
+ * Refund all or part of a ride's fare. Wallet rides are reversed between the passenger's
+ * and driver's wallets; card rides go through the provider. Cash rides cannot be refunded
+ * here. Audited; the passenger (and for wallet rides the driver) is notified.
+ * Returns `{ ride, refund, payment }` (payment only for card rides).
+ */
+async function refundRide(ride, { amount, reason, actor, io } = {}) {
+  reason = validateReason(reason);
+  let result;
+  if (ride.paymentMethod === 'wallet') {
+    result = await refundWalletRide(ride, { amount, reason, actor });
+  } else if (ride.paymentMethod === 'card') {
+    result = await refundCardRide(ride, { amount, reason, actor, io });
+  } else {
+    throw new RefundError('Cash rides were paid to the driver directly and cannot be refunded', { code: 'method-not-refundable' });
+  }
+
+  const { refund } = result;
+  await AuditLog.create({
+    resourceType: 'Ride',
+    resourceId: ride._id.toString(),
+    actorId: actor ? idOf(actor).toString() : 'system',
+    action: 'update',
+    changes: { refund: { amount: refund.amount, reason, driverAmount: refund.driverAmount, driverDebt: refund.driverDebt }, refundedAmount: result.ride.refundedAmount, paymentStatus: result.ride.paymentStatus }
+  });
+  // Card refunds already notified the payer about their payment
+  if (ride.paymentMethod === 'wallet') {
+    await notifyUser(io, ride.passenger, {
+      type: 'payment',
+      title: 'Ride refunded',
+      body: `₱${refund.amount.toFixed(2)} was refunded to your wallet for your ride to ${ride.dropoffLocation.address}.`,
+      data: { rideId: ride._id, amount: refund.amount }
+    });
+    await notifyDriverOfRefund(io, ride, refund);
+  }
+  return result;
+}
+
+module.exports = {
+  RefundError,
+  REFUNDABLE_METHODS,
+  OPEN_REFUND_STATUSES,
+  refundAmount,
+  refundStatusFor,
+  succeededAmount,
+  driverShare,
+  refundPayment,
+  reconcileRefund,
+  refundRide
+};
@@ -0,0 +1,139 @@
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const RideOffer = require('../models/RideOffer');
+const lifecycle = require('./rideLifecycle');
+const ridePayment = require('./ridePayment');
+const pooling = require('./pooling');
+const tripPin = require('./tripPin');
+
+const { RideTransitionError, releaseDriver } = lifecycle;
+
+// Claim the driver's single activeRide slot; returns how to give it back
+async function claimActiveRide(driverId, rideId) {
+  const claimed = await User.findOneAndUpdate(
+    { _id: driverId, activeRide: null },
+    { $set: { activeRide: rideId } }
+  );
+  if (!claimed) {
+    throw new RideTransitionError('You already have an active ride', { code: 'driver-has-active-ride' });
+  }
+  return { trip: null, release: () => releaseDriver(driverId, rideId) };
+}
+
+// A driver on a pooled trip takes another pooled ride by reserving its seats in the trip
+async function claimPoolSeat(driverId, ride) {
+  const trip = await pooling.joinTrip(driverId, ride);
+  return { trip, release: () => pooling.leaveTrip(trip._id, ride._id) };
+}
+
+/**
+ * Accept a pending ride for `driver` as a single conditional update, so that of
+ * several drivers accepting at once exactly one wins. The driver's activeRide slot
+ * is claimed first, which also stops one driver from accepting two rides at once;
+ * the exception is a pooled ride that fits the pooled trip the driver is already on.
+ * For wallet rides the fare is held on the passenger's wallet before the update and
+ * released again if this driver loses.
+ * Only a driver with an open offer for the ride (or the driver committed to a scheduled ride)
+ * can accept it. Throws RideTransitionError (403) `no-open-offer` otherwise, and (409) with
+ * code `ride-already-taken`, `driver-has-active-ride` or `ride-not-dispatched` (a held
+ * scheduled ride), PoolError (409) `pool-not-compatible`
+ * when a pooled ride does not fit the driver's trip, or RidePaymentError (400) when the
+ * fare cannot be held.
+ */
+async function acceptRide({ rideId, driver, location, io }) {
+  const driverId = driver._id || driver;
+
+  const pending = await Ride.findById(rideId);
+  if (!pending) {
+    throw new RideTransitionError('Ride not found', { status: 404, code: 'ride-not-found' });
+  }
+  if (pending.status !== 'pending' || pending.driver) {
+    throw new RideTransitionError('Ride has already been taken by another driver', { code: 'ride-already-taken' });
+  }
+  // Held scheduled rides are committed to through /commit, not accepted
+  if (pending.isScheduled && !pending.dispatch?.startedAt) {
+    throw new RideTransitionError('This scheduled ride has not been dispatched yet', { code: 'ride-not-dispatched' });
+  }
+
+  // Rides go to the drivers dispatch offered them to (or a scheduled ride's committed driver)
+  const committed = pending.schedule?.driver && pending.schedule.driver.toString() === driverId.toString();
+  if (!committed) {
+    const offered = await RideOffer.exists({ ride: rideId, driver: driverId, status: 'offered', expiresAt: { $gt: new Date() } });
+    if (!offered) {
+      throw new RideTransitionError('This ride was not offered to you, or the offer has expired', { status: 403, code: 'no-open-offer' });
+    }
+  }
+
+  // Rides accepted before the activeRide slot existed are caught by this check
+  const busy = await Ride.exists({ driver: driverId, status: { $in: lifecycle.ACTIVE_STATUSES }, _id: { $ne: rideId } });
+  if (busy && !pending.pool?.requested) {
+    throw new RideTransitionError('You already have an active ride', { code: 'driver-has-active-ride' });
+  }
+  const slot = busy ? await claimPoolSeat(driverId, pending) : await claimActiveRide(driverId, rideId);
+
+  let hold;
+  try {
+    hold = await ridePayment.placeFareHold(pending);
+  } catch (err) {
+    await slot.release();
+    throw err;
+  }
+  // Undo the slot claim and the hold when this driver does not get the ride
+  const rollback = async () => {
+    await slot.release();
+    if (hold) await ridePayment.releaseWalletHold(pending.passenger, hold.referenceId);
+  };
+
+  const entry = lifecycle.buildHistoryEntry('pending', 'accepted', { actor: driverId, role: 'driver', location });
+  // The trip PIN goes only to the passenger; the driver needs it from them to start the ride
+  const pin = tripPin.generatePin();
+  const update = { driver: driverId, status: 'accepted', acceptedAt: entry.at, tripPin: { code: pin, attempts: 0, lockouts: 0 } };
+  if (hold) update.paymentHold = hold;
+  if (slot.trip) update['pool.trip'] = slot.trip._id;
+  let ride;
+  try {
+    ride = await Ride.findOneAndUpdate(
+      { _id: rideId, status: 'pending', driver: null },
+      {
+        $set: update,
+        $push: { statusHistory: entry }
+      },
+      { new: true }
+    );
+  } catch (err) {
+    await rollback();
+    throw err;
+  }
+
+  if (!ride) {
+    await rollback();
+    const exists = await Ride.exists({ _id: rideId });
+    if (!exists) {
+      throw new RideTransitionError('Ride not found', { status: 404, code: 'ride-not-found' });
+    }
+    // Tell the losing driver's app to drop the offer
+    if (io) io.to(`user_${driverId}`).emit('rideOfferWithdrawn', { rideId, reason: 'ride-already-taken' });
+    throw new RideTransitionError('Ride has already been taken by another driver', { code: 'ride-already-taken' });
+  }
+
+  // The first pooled ride a free driver takes opens a trip others can join
+  if (ride.pool?.requested && !slot.trip) {
+    try {
+      const trip = await pooling.startTrip(driverId, ride);
+      ride.pool.trip = trip._id;
+      await Ride.updateOne({ _id: ride._id }, { $set: { 'pool.trip': trip._id } });
+    } catch (err) {
+      console.error(`Failed to open a pooled trip for ride ${ride._id}:`, err.message);
+    }
+  }
+
+  lifecycle.emitTransition(io, ride, entry);
+  try {
+    await tripPin.sendPinToPassenger(io, ride, pin);
+  } catch (err) {
+    console.error(`Failed to send the trip PIN for ride ${ride._id}:`, err.message);
+  }
+  return ride;
+}
+
+module.exports = { acceptRide };
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const ridePayment = require('./ridePayment');
+const Conversation = require('../models/Conversation');
+const lifecycle = require('./rideLifecycle');
+const dispatch = require('./dispatch');
+const ledger = require('./ledger');
+const promos = require('./promos');
+const rideSettlement = require('./rideSettlement');
+const { findTariff, haversineMeters } = require('./fare');
+const { notifyUser } = require('./notify');
+const { roundMoney } = require('../utils/money');
+
+// Passenger cancellations inside this window after acceptance are free
+const GRACE_MINUTES = Number(process.env.CANCELLATION_GRACE_MINUTES || 3);
+// ...and so are cancellations while the driver is still farther than this from the pickup
+const PROXIMITY_METERS = Number(process.env.CANCELLATION_PROXIMITY_METERS || 500);
+
+// Fixed catalogue of reason codes, by the role allowed to use them
+const REASONS = {
+  'changed-mind': { label: 'Changed my mind', roles: ['passenger'] },
+  'driver-too-far': { label: 'Driver is too far away', roles: ['passenger'] },
+  'driver-not-moving': { label: 'Driver is not moving', roles: ['passenger'] },
+  'wrong-pickup': { label: 'Wrong pickup location', roles: ['passenger'] },
+  'found-other-ride': { label: 'Found another ride', roles: ['passenger'] },
+  'asked-by-driver': { label: 'Driver asked me to cancel', roles: ['passenger'] },
+  'passenger-unreachable': { label: 'Passenger cannot be reached', roles: ['driver'] },
+  'vehicle-problem': { label: 'Vehicle problem', roles: ['driver'] },
+  'unsafe-pickup': { label: 'Pickup location is unsafe', roles: ['driver'] },
+  'asked-by-passenger': { label: 'Passenger asked me to cancel', roles: ['driver'] },
+  'admin-override': { label: 'Cancelled by support', roles: ['admin'] },
+  'no-driver-assigned': { label: 'No driver was found before pickup time', roles: ['system'] },
+  'other': { label: 'Other', roles: ['passenger', 'driver', 'admin'] }
+};
+
+function reasonsFor(role) {
+  return Object.entries(REASONS)
+    .filter(([, reason]) => !role || reason.roles.includes(role))
+    .map(([code, reason]) => ({ code, label: reason.label }));
+}
+
+function validateReason(reasonCode, role) {
+  const reason = REASONS[reasonCode];
+  if (!reason) {
+    throw new lifecycle.RideTransitionError('A valid reasonCode is required', { status: 400, code: 'invalid-reason' });
+  }
+  if (!reason.roles.includes(role)) {
+    throw new lifecycle.RideTransitionError(`Reason ${reasonCode} cannot be used by a ${role}`, { status: 400, code: 'invalid-reason' });
+  }
+}
+
+/**
+ * Pure fee policy. Only passengers pay, and only when they cancel after the grace
+ * period AND the driver has arrived or is already close to the pickup.
+ */
+function computeCancellationFee(ride, { role, fee, now = new Date(), driverDistanceMeters = null }) {
+  if (role !== 'passenger' || !fee || !ride.acceptedAt) return 0;
+  const minutesSinceAccept = (now - new Date(ride.acceptedAt)) / 60000;
+  if (minutesSinceAccept < GRACE_MINUTES) return 0;
+  const driverIsClose = ride.status === 'arrived' ||
+    (driverDistanceMeters !== null && driverDistanceMeters <= PROXIMITY_METERS);
+  return driverIsClose ? roundMoney(Math.min(fee, ride.fare)) : 0;
+}
+
+// Distance from the driver's last known position to the pickup, or null if unknown
+async function driverDistanceToPickup(ride) {
+  if (!ride.driver) return null;
+  const driver = await User.findById(ride.driver._id || ride.driver).select('location');
+  const coords = driver?.location?.coordinates;
+  if (!coords || coords.length !== 2 || (coords[0] === 0 && coords[1] === 0)) return null;
+  return Math.round(haversineMeters(coords, ride.pickupLocation.coordinates));
+}
+
+function walletSuffix(ride) {
+  return `${ride._id}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+const FEE_PAYMENT = {
+  paymentMethod: 'CANCELLATION_FEE',
+  description: 'Cancellation fee from passenger',
+  passengerDescription: 'Ride cancellation fee',
+  metadata: { kind: 'CANCELLATION_FEE' }
+};
+
+// Return an already-collected fare to the passenger, minus the fee which goes to the driver.
+// The fare was collected outside the wallets, so both come out of provider clearing.
+async function refundPrepaidFare(ride, fee) {
+  const amount = roundMoney(ride.fare - fee);
+  const passengerId = ride.passenger._id || ride.passenger;
+  const wallet = amount > 0 ? await ridePayment.findOrCreateWallet(passengerId) : null;
+  await ledger.runInTransaction(async (session) => {
+    if (wallet) {
+      await wallet.addFunds(amount, {
+        type: 'REFUND',
+        referenceId: `ride_refund_${walletSuffix(ride)}`,
+        description: 'Refund for cancelled ride',
+        metadata: { rideId: ride._id.toString(), kind: 'CANCELLATION_REFUND', fee },
+        session,
+        counterAccount: ledger.ACCOUNTS.PROVIDER_CLEARING
+      });
+    }
+    if (fee > 0) {
+      await ridePayment.creditDriver(ride, fee, { ...FEE_PAYMENT, session, counterAccount: ledger.ACCOUNTS.PROVIDER_CLEARING });
+    }
+  });
+  return Math.max(amount, 0);
+}
+
+/**
+ * Move the money of a cancelled ride: refund a prepaid fare minus the fee (which goes to the
+ * driver), or take the fee from the fare hold or the wallet and release the rest of the hold.
+ * Updates ride.cancellation and ride.paymentStatus (not saved). Returns false when there was
+ * nothing to settle; throws when the money could not be moved (nothing moved then).
+ */
+async function settleCancellation(ride) {
+  const fee = ride.cancellation.fee || 0;
+  if (ride.paymentStatus === 'completed') {
+    // Fare was collected up front: the fee is kept out of the refund and passed to the driver
+    ride.cancellation.refundAmount = await refundPrepaidFare(ride, fee);
+    if (fee > 0) ride.cancellation.feeStatus = 'charged';
+    ride.paymentStatus = 'refunded';
+    return true;
+  }
+  if (fee > 0 || ride.paymentHold?.status === 'held') {
+    // The fee comes out of the fare hold (the rest of it is released) or the wallet balance
+    const { collected } = await ridePayment.chargeRide(ride, fee, FEE_PAYMENT);
+    if (collected > 0) ride.cancellation.feeStatus = 'charged';
+    return true;
+  }
+  return false;
+}
+
+// Retry the settlement of a cancelled ride that failed; returns the error, or null (not saved)
+async function retryCancellationSettlement(ride, { at = new Date() } = {}) {
+  try {
+    await settleCancellation(ride);
+    rideSettlement.markSettled(ride, at);
+    if (ride.cancellation.feeStatus === 'charged') console.log(`Ride ${ride._id}: cancellation fee ₱${ride.cancellation.fee} charged on retry`);
+    return null;
+  } catch (err) {
+    rideSettlement.markFailed(ride, err, at);
+    return err;
+  }
+}
+
+/**
+ * Cancel a ride on behalf of `actor` in `role`: validates the transition and reason,
+ * applies the fee policy, settles money, closes the conversation and notifies both parties.
+ */
+async function cancelRide(ride, { actor, role, reasonCode, note, location, io }) {
+  lifecycle.assertTransition(ride.status, 'cancelled', role);
+  validateReason(reasonCode, role);
+
+  const driverDistanceMeters = role === 'passenger' ? await driverDistanceToPickup(ride) : null;
+  const tariff = await findTariff(ride.fareBreakdown?.city);
+  const fee = computeCancellationFee(ride, { role, fee: tariff.cancellationFee, driverDistanceMeters });
+
+  const entry = lifecycle.applyTransition(ride, 'cancelled', { actor, role, location, note: reasonCode });
+  ride.cancellation = {
+    by: actor ? actor._id || actor : undefined,
+    byRole: role,
+    reasonCode,
+    note: note ? note.toString().slice(0, 500) : undefined,
+    fee,
+    feeStatus: fee > 0 ? 'unpaid' : 'none',
+    refundAmount: 0,
+    driverDistanceMeters: driverDistanceMeters === null ? undefined : driverDistanceMeters
+  };
+  // Throws 409 ride-status-changed if the ride moved (e.g. was accepted) since it was read
+  await lifecycle.saveTransition(ride, entry);
+
+  // Money moves only after the cancellation itself is persisted; a failure is retried later
+  try {
+    if (await settleCancellation(ride)) rideSettlement.markSettled(ride);
+  } catch (walletError) {
+    console.error(`Cancellation settlement failed for ride ${ride._id}:`, walletError.message);
+    rideSettlement.markFailed(ride, walletError);
+  }
+  try {
+    await promos.releasePromo(ride);
+  } catch (promoError) {
+    console.error(`Failed to release promo for ride ${ride._id}:`, promoError.message);
+  }
+  await ride.save();
+
+  await lifecycle.releaseDriver(ride.driver, ride._id);
+  await lifecycle.syncPoolTrip(ride);
+  await dispatch.stopDispatch(io, ride);
+  await Conversation.closeForRide(ride._id);
+  lifecycle.emitTransition(io, ride, entry);
+
+  const reason = REASONS[reasonCode].label;
+  const feeText = ride.cancellation.fee > 0 ? ` A cancellation fee of ₱${ride.cancellation.fee.toFixed(2)} applies.` : '';
+  await notifyUser(io, ride.passenger, {
+    type: 'ride',
+    title: 'Ride cancelled',
+    body: role === 'passenger' ? `You cancelled your ride.${feeText}` : `Your ride was cancelled: ${reason}`,
+    data: { rideId: ride._id, reasonCode, fee: ride.cancellation.fee }
+  });
+  if (ride.driver) {
+    await notifyUser(io, ride.driver, {
+      type: 'ride',
+      title: 'Ride cancelled',
+      body: role === 'driver' ? 'You cancelled the ride' : `The ride was cancelled: ${reason}`,
+      data: { rideId: ride._id, reasonCode, fee: ride.cancellation.feeStatus === 'charged' ? ride.cancellation.fee : 0 }
+    });
+  }
+  // A driver committed to a scheduled ride that was not handed to them yet
+  const committed = ride.schedule?.driver;
+  if (committed && !ride.driver) {
+    await notifyUser(io, committed, {
+      type: 'ride',
+      title: 'Scheduled ride cancelled',
+      body: `A scheduled ride you committed to was cancelled: ${reason}`,
+      data: { rideId: ride._id, reasonCode }
+    });
+  }
+
+  return ride;
+}
+
+module.exports = {
+  REASONS,
+  reasonsFor,
+  computeCancellationFee,
+  cancelRide,
+  retryCancellationSettlement
+};
@@ -0,0 +1,236 @@
+const User = require('../models/User');
+const { toCoordinates } = require('./fare');
+const ridePayment = require('./ridePayment');
+const promos = require('./promos');
+const pooling = require('./pooling');
+
+const STATUSES = ['pending', 'accepted', 'driver-arriving', 'arrived', 'in-progress', 'completed', 'cancelled', 'no-show', 'expired'];
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'no-show', 'expired'];
+const ACTIVE_STATUSES = ['accepted', 'driver-arriving', 'arrived', 'in-progress'];
+const ROLES = ['passenger', 'driver', 'admin', 'system'];
+
+const ANY_PARTY = ['passenger', 'driver', 'admin', 'system'];
+
+// from -> to -> roles allowed to perform the transition
+const TRANSITIONS = {
+  pending: {
+    accepted: ['driver'],
+    cancelled: ['passenger', 'admin', 'system'],
+    expired: ['system']
+  },
+  accepted: {
+    'driver-arriving': ['driver'],
+    arrived: ['driver'],
+    cancelled: ANY_PARTY
+  },
+  'driver-arriving': {
+    arrived: ['driver'],
+    cancelled: ANY_PARTY
+  },
+  arrived: {
+    'in-progress': ['driver'],
+    'no-show': ['driver', 'admin'],
+    cancelled: ANY_PARTY
+  },
+  'in-progress': {
+    completed: ['driver', 'admin'],
+    cancelled: ['admin', 'system']
+  },
+  completed: {},
+  cancelled: {},
+  'no-show': {},
+  expired: {}
+};
+
+// Timestamp field stamped on the ride when it enters a status
+const TIMESTAMP_FIELDS = {
+  accepted: 'acceptedAt',
+  arrived: 'arrivedAt',
+  'in-progress': 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  'no-show': 'cancelledAt',
+  expired: 'expiredAt'
+};
+
+// Typed socket event emitted to ride_<id> for each status
+const EVENTS = {
+  accepted: 'rideAccepted',
+  'driver-arriving': 'rideDriverArriving',
+  arrived: 'rideDriverArrived',
+  'in-progress': 'rideStarted',
+  completed: 'rideCompleted',
+  cancelled: 'rideCancelled',
+  'no-show': 'ridePassengerNoShow',
+  expired: 'rideExpired'
+};
+
+class RideTransitionError extends Error {
+  constructor(message, { status = 409, code = 'invalid-transition' } = {}) {
+    super(message);
+    this.name = 'RideTransitionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function idOf(ref) {
+  if (!ref) return null;
+  return ref._id ? ref._id : ref;
+}
+
+function sameId(a, b) {
+  return !!a && !!b && idOf(a).toString() === idOf(b).toString();
+}
+
+// How the given user relates to the ride: admin, the ride's driver/passenger,
+// or a driver who could pick up an unassigned ride. Returns null otherwise.
+function resolveActorRole(ride, user) {
+  if (!user) return null;
+  if (user.role === 'admin') return 'admin';
+  if (sameId(ride.driver, user)) return 'driver';
+  if (sameId(ride.passenger, user)) return 'passenger';
+  if (user.role === 'driver' && !ride.driver) return 'driver';
+  return null;
+}
+
+function canTransition(from, to, role) {
+  const allowed = (TRANSITIONS[from] || {})[to];
+  return !!allowed && allowed.includes(role);
+}
+
+function assertTransition(from, to, role) {
+  if (!STATUSES.includes(to)) {
+    throw new RideTransitionError(`Unknown ride status: ${to}`, { status: 400, code: 'unknown-status' });
+  }
+  if (!ROLES.includes(role)) {
+    throw new RideTransitionError('Not authorized to update this ride', { status: 403, code: 'not-a-party' });
+  }
+  const allowed = (TRANSITIONS[from] || {})[to];
+  if (!allowed) {
+    throw new RideTransitionError(`Cannot move ride from ${from} to ${to}`);
+  }
+  if (!allowed.includes(role)) {
+    throw new RideTransitionError(`A ${role} cannot move a ride from ${from} to ${to}`, { status: 403, code: 'role-not-allowed' });
+  }
+}
+
+function toPoint(location) {
+  if (!location) return undefined;
+  return { type: 'Point', coordinates: toCoordinates(location) };
+}
+
+function buildHistoryEntry(from, to, { actor, role, location, note, at = new Date() } = {}) {
+  return { from, to, actor: idOf(actor), actorRole: role, at, location: toPoint(location), note };
+}
+
+/**
+ * Validate and apply a status change to a ride document (does not save).
+ * Returns the statusHistory entry that was recorded.
+ */
+function applyTransition(ride, to, ctx = {}) {
+  const from = ride.status;
+  assertTransition(from, to, ctx.role);
+  const entry = buildHistoryEntry(from, to, ctx);
+  ride.status = to;
+  const field = TIMESTAMP_FIELDS[to];
+  if (field) ride[field] = entry.at;
+  ride.statusHistory.push(entry);
+  return entry;
+}
+
+function emitTransition(io, ride, entry) {
+  if (!io) return;
+  const payload = {
+    rideId: ride._id,
+    from: entry.from,
+    to: entry.to,
+    actor: entry.actor,
+    actorRole: entry.actorRole,
+    at: entry.at,
+    location: entry.location,
+    ride
+  };
+  io.to(`ride_${ride._id}`).emit(EVENTS[entry.to], payload);
+  // Generic event kept for clients that predate the typed events
+  io.to(`ride_${ride._id}`).emit('rideStatusChanged', ride);
+}
+
+// Free the driver's single active-ride slot (no-op if it points at another ride)
+async function releaseDriver(driver, rideId) {
+  if (!driver) return;
+  await User.updateOne({ _id: idOf(driver), activeRide: idOf(rideId) }, { $set: { activeRide: null } });
+}
+
+// Pooled rides: a ride starting or ending moves its shared trip along
+async function syncPoolTrip(ride) {
+  try {
+    await pooling.syncRide(ride);
+  } catch (err) {
+    console.error(`Failed to update the pooled trip of ride ${ride._id}:`, err.message);
+  }
+}
+
+/**
+ * Persist a ride whose transition `entry` has been applied, as one write conditional on the
+ * ride still being in `entry.from` (the same { _id, status } guard acceptRide uses), so a
+ * request that read the ride before another moved it cannot overwrite that move. The other
+ * pending changes on the document go in the same write. Throws RideTransitionError (409)
+ * `ride-status-changed` when the ride moved in the meantime; nothing is written then.
+ */
+async function saveTransition(ride, entry) {
+  ride.$where = { status: entry.from };
+  try {
+    await ride.save();
+  } catch (err) {
+    if (err.name !== 'DocumentNotFoundError') throw err;
+    throw new RideTransitionError(`Ride is no longer ${entry.from}; reload it and try again`, { code: 'ride-status-changed' });
+  } finally {
+    ride.$where = undefined;
+  }
+}
+
+// Apply, persist and broadcast a transition. Ending a ride any way other than
+// completion releases its wallet hold and gives back its promo use, once the
+// transition itself has been written.
+async function transitionRide(ride, to, ctx = {}) {
+  const entry = applyTransition(ride, to, ctx);
+  await saveTransition(ride, entry);
+  if (TERMINAL_STATUSES.includes(to) && to !== 'completed') {
+    try {
+      if (await ridePayment.releaseRideHold(ride)) await ride.save();
+    } catch (err) {
+      console.error(`Failed to release wallet hold for ride ${ride._id}:`, err.message);
+    }
+    try {
+      await promos.releasePromo(ride);
+    } catch (err) {
+      console.error(`Failed to release promo for ride ${ride._id}:`, err.message);
+    }
+  }
+  if (TERMINAL_STATUSES.includes(to)) {
+    await releaseDriver(ride.driver, ride._id);
+  }
+  await syncPoolTrip(ride);
+  emitTransition(ctx.io, ride, entry);
+  return entry;
+}
+
+module.exports = {
+  STATUSES,
+  TERMINAL_STATUSES,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  EVENTS,
+  RideTransitionError,
+  resolveActorRole,
+  canTransition,
+  assertTransition,
+  buildHistoryEntry,
+  applyTransition,
+  emitTransition,
+  syncPoolTrip,
+  releaseDriver,
+  saveTransition,
+  transitionRide
+};
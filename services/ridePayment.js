@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const ledger = require('./ledger');
+const commission = require('./commission');
+const { notifyUser } = require('./notify');
+const { roundMoney } = require('../utils/money');
+
+class RidePaymentError extends Error {
+  constructor(message, { status = 400, code = 'payment-failed' } = {}) {
+    super(message);
+    this.name = 'RidePaymentError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+function uniqueSuffix(ride) {
+  return `${ride._id}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+async function findOrCreateWallet(userId) {
+  let wallet = await Wallet.findByUserId(userId);
+  if (!wallet) {
+    wallet = new Wallet({ user: userId, balance: 0, currency: 'PHP', transactions: [] });
+    await wallet.saveWithRepair();
+  }
+  return wallet;
+}
+
+/**
+ * Reserve the fare on the passenger's wallet for a wallet ride.
+ * Returns the paymentHold to store on the ride, or null for cash/card rides.
+ */
+async function placeFareHold(ride) {
+  if (ride.paymentMethod !== 'wallet') return null;
+
+  const wallet = await Wallet.findByUserId(idOf(ride.passenger));
+  if (!wallet) {
+    throw new RidePaymentError('Passenger wallet not found', { code: 'wallet-not-found' });
+  }
+  const referenceId = `ride_hold_${uniqueSuffix(ride)}`;
+  try {
+    await wallet.placeHold(ride.fare, {
+      referenceId,
+      description: `Fare reserved for ride to ${ride.dropoffLocation.address}`,
+      metadata: { rideId: ride._id.toString() }
+    });
+  } catch (err) {
+    if (/Insufficient/.test(err.message)) {
+      throw new RidePaymentError('Passenger has insufficient wallet balance for this ride', { code: 'insufficient-balance' });
+    }
+    throw err;
+  }
+  return { referenceId, amount: ride.fare, status: 'held', heldAt: new Date() };
+}
+
+// Release a hold by reference (used when the ride never got it, e.g. a lost accept race)
+async function releaseWalletHold(passengerId, referenceId) {
+  const wallet = await Wallet.findByUserId(passengerId);
+  if (wallet) await wallet.releaseHold(referenceId);
+}
+
+// Release the ride's open hold; updates ride.paymentHold but does not save the ride
+async function releaseRideHold(ride) {
+  const hold = ride.paymentHold;
+  if (!hold || hold.status !== 'held') return false;
+  await releaseWalletHold(idOf(ride.passenger), hold.referenceId);
+  hold.status = 'released';
+  hold.releasedAt = new Date();
+  return true;
+}
+
+// Capture `amount` against the ride's open hold within `session`. If the passenger cannot
+// cover more than was held, only the held amount is captured. Returns the amount captured.
+async function captureFromHold(wallet, hold, amount, session) {
+  if (amount <= 0) {
+    await wallet.releaseHold(hold.referenceId, { session });
+    return 0;
+  }
+  try {
+    await wallet.captureHold(hold.referenceId, amount, { session, counterAccount: ledger.ACCOUNTS.RIDE_CLEARING });
+    return amount;
+  } catch (err) {
+    if (!/Insufficient/.test(err.message)) throw err;
+    await wallet.captureHold(hold.referenceId, hold.amount, { session, counterAccount: ledger.ACCOUNTS.RIDE_CLEARING });
+    return hold.amount;
+  }
+}
+
+// Pay down the driver's debts from up to `amount` of new earnings: cash-ride commission
+// first, then refunded fares they could not give back
+async function netDriverDebt(wallet, amount, { ride, session } = {}) {
+  const metadata = ride ? { rideId: ride._id.toString() } : {};
+  if (amount > 0 && wallet.commissionDebt > 0) {
+    const { wallet: updated, settled } = await wallet.settleCommissionDebt(amount, {
+      session,
+      description: 'Cash ride commission deducted from earnings',
+      metadata
+    });
+    wallet = updated;
+    amount = roundMoney(amount - settled);
+  }
+  if (amount > 0 && wallet.refundDebt > 0) {
+    const { wallet: updated } = await wallet.settleRefundDebt(amount, {
+      session,
+      description: 'Refunded fare deducted from earnings',
+      metadata
+    });
+    wallet = updated;
+  }
+  return wallet;
+}
+
+// Credit the driver's wallet with money collected for a ride (from ride clearing by default).
+// Any driver debt is netted from the credit unless `netDebt` is false.
+async function creditDriver(ride, amount, { paymentMethod = 'RIDE_PAYMENT', description, metadata = {}, session, counterAccount = ledger.ACCOUNTS.RIDE_CLEARING, netDebt = true } = {}) {
+  if (amount <= 0) return null;
+  const wallet = await findOrCreateWallet(idOf(ride.driver));
+  return ledger.withSession(session, async (session) => {
+    const credited = await wallet.addFunds(amount, {
+      type: 'TOPUP',
+      referenceId: `ride_income_${uniqueSuffix(ride)}`,
+      xenditId: null,
+      paymentMethod,
+      description: description || `Income from ride to ${ride.dropoffLocation.address}`,
+      metadata: { rideId: ride._id.toString(), passengerId: idOf(ride.passenger).toString(), ...metadata },
+      session,
+      counterAccount
+    });
+    return netDebt ? netDriverDebt(credited, amount, { ride, session }) : credited;
+  });
+}
+
+// Take the platform's cut of `taken` from the driver's fresh credit as a COMMISSION
+// transaction, then net driver debt from the rest. Returns the cut.
+async function takeCommission(driverWallet, ride, taken, rate, session) {
+  const cut = taken > 0 ? commission.splitFare(taken, rate).commission : 0;
+  if (cut > 0) {
+    await driverWallet.deductFunds(cut, {
+      type: 'COMMISSION',
+      referenceId: `commission_${uniqueSuffix(ride)}`,
+      description: `Platform commission (${Math.round(rate * 1000) / 10}%)`,
+      metadata: { rideId: ride._id.toString(), rate, fare: taken },
+      session,
+      counterAccount: ledger.ACCOUNTS.REVENUE
+    });
+  }
+  if (driverWallet) await netDriverDebt(driverWallet, roundMoney(taken - cut), { ride, session });
+  return cut;
+}
+
+/**
+ * Take `amount` from the passenger and pay it to the driver as one transaction: from the
+ * ride's open hold if there is one (the rest of the hold is released), otherwise from the
+ * wallet's available balance (nothing is taken if it does not cover the amount).
+ * With `commissionRate`, the platform's cut of what was collected is then taken from the
+ * driver as a COMMISSION transaction in the same transaction.
+ * Records the capture on ride.paymentHold (not saved); returns { collected, commission }.
+ */
+async function chargeRide(ride, amount, { paymentMethod = 'RIDE_PAYMENT', description, passengerDescription, metadata = {}, commissionRate = 0 } = {}) {
+  amount = roundMoney(amount);
+  const hold = ride.paymentHold && ride.paymentHold.status === 'held' ? ride.paymentHold : null;
+  if (!hold && amount <= 0) return { collected: 0, commission: 0 };
+
+  const passengerWallet = await Wallet.findByUserId(idOf(ride.passenger));
+  if (!passengerWallet) {
+    if (hold) throw new RidePaymentError('Passenger wallet not found', { code: 'wallet-not-found' });
+    return { collected: 0, commission: 0 };
+  }
+
+  const result = await ledger.runInTransaction(async (session) => {
+    let taken = 0;
+    if (hold) {
+      taken = await captureFromHold(passengerWallet, hold, amount, session);
+    } else {
+      const current = await Wallet.findById(passengerWallet._id).session(session);
+      if (current.availableBalance < amount) return { collected: 0, commission: 0 };
+      await passengerWallet.deductFunds(amount, {
+        type: 'PAYMENT',
+        referenceId: `ride_${uniqueSuffix(ride)}`,
+        description: passengerDescription || `Payment for ride from ${ride.pickupLocation.address} to ${ride.dropoffLocation.address}`,
+        metadata: { rideId: ride._id.toString(), driverId: idOf(ride.driver).toString(), ...metadata },
+        session,
+        counterAccount: ledger.ACCOUNTS.RIDE_CLEARING
+      });
+      taken = amount;
+    }
+    const driverWallet = await creditDriver(ride, taken, { paymentMethod, description, metadata, session, netDebt: false });
+
+    const cut = await takeCommission(driverWallet, ride, taken, commissionRate, session);
+    return { collected: taken, commission: cut };
+  });
+  const collected = result.collected;
+
+  if (hold) {
+    hold.status = collected > 0 ? 'captured' : 'released';
+    hold.capturedAmount = collected;
+    hold.capturedAt = new Date();
+    if (collected === 0) hold.releasedAt = hold.capturedAt;
+    hold.shortfall = roundMoney(amount - collected);
+  }
+  return result;
+}
+
+/**
+ * Record the commission on a cash ride as debt on the driver's wallet. A driver who goes
+ * over the debt limit is made unavailable until the debt is paid down.
+ */
+async function accrueCommissionDebt(ride, amount, { io } = {}) {
+  const driverId = idOf(ride.driver);
+  const wallet = await findOrCreateWallet(driverId);
+  const updated = await wallet.accrueCommissionDebt(amount, {
+    metadata: { rideId: ride._id.toString(), fare: ride.fare }
+  });
+  if (commission.isOverDebtLimit(updated.commissionDebt)) {
+    const result = await User.updateOne({ _id: driverId, isAvailable: true }, { $set: { isAvailable: false } });
+    if (result.modifiedCount > 0) {
+      await notifyUser(io, driverId, {
+        type: 'payment',
+        title: 'Commission balance due',
+        body: `You owe ₱${updated.commissionDebt.toFixed(2)} in cash ride commission. Top up your wallet to go online again.`,
+        data: { commissionDebt: updated.commissionDebt, limit: commission.DRIVER_DEBT_LIMIT }
+      });
+    }
+  }
+  return updated;
+}
+
+// The paid card payment for a ride's fare (card tips are paid for the same ride)
+function findFarePayment(rideId) {
+  return Payment.findOne({ ride: rideId, status: 'PAID', 'metadata.kind': { $ne: 'TIP' } });
+}
+
+/**
+ * Pay the driver of a card ride from the ride's captured card payment: the fare (up to what
+ * was paid) comes out of provider clearing and the commission goes to revenue, in one
+ * transaction. Returns { collected, commission }, with nothing collected when the ride has
+ * no paid card payment.
+ */
+async function payCardFare(ride, rate) {
+  const payment = await findFarePayment(ride._id);
+  if (!payment || !ride.driver) return { collected: 0, commission: 0 };
+  const amount = roundMoney(Math.min(payment.amount, ride.fare));
+  return ledger.runInTransaction(async (session) => {
+    const driverWallet = await creditDriver(ride, amount, {
+      paymentMethod: 'CARD_RIDE_PAYMENT',
+      metadata: { paymentId: payment._id.toString(), distance: ride.distance, duration: ride.duration },
+      session,
+      counterAccount: ledger.ACCOUNTS.PROVIDER_CLEARING,
+      netDebt: false
+    });
+    const cut = await takeCommission(driverWallet, ride, amount, rate, session);
+    return { collected: amount, commission: cut };
+  });
+}
+
+/**
+ * Settle a completed ride. Wallet rides: capture the hold (or, for rides accepted before
+ * holds existed, deduct directly), pay the driver and take the commission. Cash rides were
+ * paid to the driver directly, so the commission becomes debt on the driver's wallet.
+ * Card rides pay the driver from the ride's paid card payment; without one the commission
+ * is recorded as uncollected and the driver has no earnings yet.
+ * Updates ride.paymentStatus, ride.commission and ride.driverEarnings (not saved). Throws
+ * RidePaymentError `fare-shortfall` when the wallet did not cover the whole fare, after
+ * recording what was collected in ride.fareCollected, so a retry charges only the rest.
+ */
+async function settleFare(ride, { io } = {}) {
+  const { rule, rate } = await commission.rateForRide(ride);
+
+  if (ride.paymentMethod === 'wallet' && ride.paymentStatus === 'pending') {
+    // A retry only charges what an earlier attempt could not collect
+    const before = ride.fareCollected || 0;
+    const cutBefore = before > 0 && ride.commission ? ride.commission.amount : 0;
+    const { collected, commission: cut } = await chargeRide(ride, roundMoney(ride.fare - before), {
+      commissionRate: rate,
+      metadata: { distance: ride.distance, duration: ride.duration }
+    });
+    const paid = roundMoney(before + collected);
+    const taken = roundMoney(cutBefore + cut);
+    ride.fareCollected = paid;
+    ride.paymentStatus = paid >= roundMoney(ride.fare) ? 'completed' : 'pending';
+    if (paid > 0 || ride.paymentStatus === 'completed') {
+      ride.commission = { rule, rate, amount: taken, status: 'collected' };
+      ride.driverEarnings = roundMoney(paid - taken);
+    } else {
+      ride.commission = { rule, rate, amount: commission.splitFare(ride.fare, rate).commission, status: 'uncollected' };
+      ride.driverEarnings = 0;
+    }
+    // Left failed so the settlement retrier (and admins) see the unpaid part
+    if (ride.paymentStatus !== 'completed') {
+      throw new RidePaymentError(`Collected ₱${paid} of the ₱${roundMoney(ride.fare)} fare from the passenger's wallet`, { code: 'fare-shortfall' });
+    }
+    return collected;
+  }
+
+  if (ride.paymentMethod === 'card') {
+    const { collected, commission: cut } = await payCardFare(ride, rate);
+    if (collected > 0) {
+      ride.paymentStatus = collected >= roundMoney(ride.fare) ? 'completed' : 'pending';
+      ride.commission = { rule, rate, amount: cut, status: 'collected' };
+      ride.driverEarnings = roundMoney(collected - cut);
+      return collected;
+    }
+    // Nothing was paid by card: the driver has earned nothing through the platform yet
+    const split = commission.splitFare(ride.fare, rate);
+    ride.commission = { rule, rate, amount: split.commission, status: 'uncollected' };
+    ride.driverEarnings = 0;
+    return 0;
+  }
+
+  const split = commission.splitFare(ride.fare, rate);
+  let status = 'uncollected';
+  if (ride.paymentMethod === 'cash' && ride.driver && split.commission > 0) {
+    await accrueCommissionDebt(ride, split.commission, { io });
+    status = 'owed';
+  }
+  ride.commission = { rule, rate, amount: split.commission, status };
+  ride.driverEarnings = split.driverEarnings;
+  return 0;
+}
+
+module.exports = {
+  RidePaymentError,
+  findOrCreateWallet,
+  placeFareHold,
+  releaseWalletHold,
+  releaseRideHold,
+  chargeRide,
+  creditDriver,
+  findFarePayment,
+  netDriverDebt,
+  accrueCommissionDebt,
+  settleFare
+};
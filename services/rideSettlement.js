@@ -0,0 +1,154 @@
+const Ride = require('../models/Ride');
+const ridePayment = require('./ridePayment');
+const promos = require('./promos');
+const { notifyUser } = require('./notify');
+
+// Failed ride settlements are retried every interval, up to MAX_ATTEMPTS times in all
+const RETRY_INTERVAL_MINUTES = Number(process.env.SETTLEMENT_RETRY_INTERVAL_MINUTES || 5);
+const MAX_ATTEMPTS = Number(process.env.SETTLEMENT_MAX_ATTEMPTS || 10);
+
+// Rides whose money is settled when they end: completion pays the fare, cancellation the fee
+const SETTLED_STATUSES = ['completed', 'cancelled'];
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+function settlementOf(ride) {
+  if (!ride.settlement) ride.settlement = {};
+  return ride.settlement;
+}
+
+// Record a settlement attempt that went through (not saved)
+function markSettled(ride, at = new Date()) {
+  const settlement = settlementOf(ride);
+  settlement.status = 'settled';
+  settlement.attempts = (settlement.attempts || 0) + 1;
+  settlement.lastAttemptAt = at;
+  settlement.lastError = undefined;
+  settlement.settledAt = at;
+}
+
+// Record a settlement attempt that failed, so the retry job picks the ride up (not saved)
+function markFailed(ride, error, at = new Date()) {
+  const settlement = settlementOf(ride);
+  settlement.status = 'failed';
+  settlement.attempts = (settlement.attempts || 0) + 1;
+  settlement.lastAttemptAt = at;
+  settlement.lastError = String(error && error.message ? error.message : error).slice(0, 500);
+}
+
+/**
+ * Move the money of a completed ride: settle the fare (capture the hold and pay the driver,
+ * or book the commission), then pay the driver the promo discount. Each step runs once and
+ * is tried even when the other fails, so a retry only redoes what did not go through.
+ * Records the outcome on ride.settlement (not saved) and returns the first error, or null
+ * when everything settled.
+ */
+async function settleCompletion(ride, { io, at = new Date() } = {}) {
+  const settlement = settlementOf(ride);
+  let error = null;
+  if (!settlement.fareSettledAt) {
+    try {
+      const collected = await ridePayment.settleFare(ride, { io });
+      settlement.fareSettledAt = at;
+      console.log(`💰 Ride ${ride._id}: collected ₱${collected} of ₱${ride.fare}, commission ₱${ride.commission?.amount}, paymentStatus=${ride.paymentStatus}`);
+    } catch (err) {
+      error = err;
+    }
+  }
+  try {
+    const promoCredit = await promos.settlePromo(ride, { io });
+    if (promoCredit > 0) console.log(`🎟️  Ride ${ride._id}: promo ${ride.promo.code} credited ₱${promoCredit} to the driver`);
+  } catch (err) {
+    error = error || err;
+  }
+  if (error) {
+    markFailed(ride, error, at);
+    return error;
+  }
+  markSettled(ride, at);
+  return null;
+}
+
+// Settle one ride left `failed`; returns true when it went through this time
+async function retryRide(rideId, { io, now }) {
+  const ride = await Ride.findOne({ _id: rideId, status: { $in: SETTLED_STATUSES }, 'settlement.status': 'failed' });
+  if (!ride) return false;
+  let error;
+  if (ride.status === 'completed') {
+    error = await settleCompletion(ride, { io, at: now });
+  } else {
+    // Loaded here because rideCancellation records its own failures through this module
+    error = await require('./rideCancellation').retryCancellationSettlement(ride, { at: now });
+  }
+  await ride.save();
+  if (!error) return true;
+
+  console.error(`Settlement retry ${ride.settlement.attempts}/${MAX_ATTEMPTS} failed for ride ${ride._id}:`, error.message);
+  if (ride.settlement.attempts >= MAX_ATTEMPTS && ride.driver) {
+    await notifyUser(io, idOf(ride.driver), {
+      type: 'payment',
+      title: 'Ride payment delayed',
+      body: 'We could not settle the payment for one of your rides. Support has been alerted and will sort it out.',
+      data: { rideId: ride._id }
+    });
+  }
+  return false;
+}
+
+/**
+ * Retry every ride whose settlement failed and still has attempts left.
+ * Returns { retried, settled }.
+ */
+async function retryFailedSettlements({ io, now = new Date() } = {}) {
+  const failed = await Ride.find({ status: { $in: SETTLED_STATUSES }, 'settlement.status': 'failed', 'settlement.attempts': { $lt: MAX_ATTEMPTS } })
+    .select('_id')
+    .sort({ 'settlement.lastAttemptAt': 1 });
+  const result = { retried: 0, settled: 0 };
+  for (const { _id } of failed) {
+    result.retried++;
+    try {
+      if (await retryRide(_id, { io, now })) result.settled++;
+    } catch (err) {
+      console.error(`Settlement retry for ride ${_id} failed:`, err.message);
+    }
+  }
+  return result;
+}
+
+let retryTimer = null;
+let running = false;
+
+async function runExclusive(options) {
+  if (running) return null;
+  running = true;
+  try {
+    return await retryFailedSettlements(options);
+  } finally {
+    running = false;
+  }
+}
+
+// Retry failed settlements every RETRY_INTERVAL_MINUTES
+function startSettlementRetrier(io) {
+  if (retryTimer) return;
+  retryTimer = setInterval(async () => {
+    try {
+      const result = await runExclusive({ io });
+      if (result && result.retried) console.log('Ride settlement retries:', result);
+    } catch (err) {
+      console.error('Ride settlement retry pass failed:', err.message);
+    }
+  }, RETRY_INTERVAL_MINUTES * 60000);
+  retryTimer.unref();
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  markSettled,
+  markFailed,
+  settleCompletion,
+  retryFailedSettlements,
+  startSettlementRetrier
+};
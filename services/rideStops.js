@@ -0,0 +1,254 @@
+const Wallet = require('../models/Wallet');
+const fareService = require('./fare');
+const lifecycle = require('./rideLifecycle');
+const promos = require('./promos');
+const { notifyUser } = require('./notify');
+const { roundMoney } = require('../utils/money');
+
+// Most intermediate stops a ride can have
+const MAX_STOPS = Number(process.env.RIDE_MAX_STOPS || 3);
+// Stops can be added or removed until the ride ends
+const EDITABLE_STATUSES = ['pending', ...lifecycle.ACTIVE_STATUSES];
+
+class RideStopError extends Error {
+  constructor(message, { status = 400, code = 'invalid-stop' } = {}) {
+    super(message);
+    this.name = 'RideStopError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+// A stop from the client ({ coordinates } or { latitude, longitude }, plus address) as a GeoJSON point
+function normalizeStop(stop) {
+  let coordinates;
+  try {
+    coordinates = fareService.toCoordinates(stop);
+  } catch (err) {
+    throw new RideStopError(`Invalid stop: ${err.message}`);
+  }
+  const address = String(stop.address || '').trim();
+  if (!address) throw new RideStopError('Every stop needs an address');
+  return { type: 'Point', coordinates, address };
+}
+
+// Stops for a new ride, in order; none when omitted
+function normalizeStops(stops) {
+  if (stops === undefined || stops === null) return [];
+  if (!Array.isArray(stops)) throw new RideStopError('stops must be an array');
+  if (stops.length > MAX_STOPS) {
+    throw new RideStopError(`A ride can have at most ${MAX_STOPS} stops`, { code: 'too-many-stops' });
+  }
+  return stops.map(normalizeStop);
+}
+
+// The stop the driver is at or heading to, or null once every stop has been left
+function currentStop(ride) {
+  return (ride.stops || []).find(stop => stop.status !== 'departed') || null;
+}
+
+// Minutes between arriving at and leaving a stop, to a tenth of a minute
+function waitingMinutes(arrivedAt, departedAt) {
+  return Math.max(0, Math.round((departedAt - arrivedAt) / 6000) / 10);
+}
+
+/**
+ * Re-price the ride for its current stops (and the waiting done so far). A promo's discount
+ * is recomputed for the new fare. Updates fare, distance, duration, fareBreakdown and
+ * promo (not saved).
+ */
+async function requote(ride) {
+  const quote = await fareService.quote({
+    pickupLocation: ride.pickupLocation,
+    dropoffLocation: ride.dropoffLocation,
+    stops: ride.stops,
+    city: ride.fareBreakdown?.city,
+    at: ride.scheduledTime || ride.createdAt || new Date()
+  });
+  ride.fare = await promos.repricePromo(ride, quote.fare);
+  ride.distance = quote.distance;
+  ride.duration = quote.duration;
+  ride.fareBreakdown = quote.breakdown;
+  return quote;
+}
+
+// Once the fare is held, the hold follows the fare: an increase is held too (so the
+// passenger must have it available) and a decrease frees the difference. Updates
+// ride.paymentHold (not saved).
+async function adjustFareHold(ride) {
+  const hold = ride.paymentHold;
+  if (ride.paymentMethod !== 'wallet' || !hold || hold.status !== 'held') return;
+  const increase = roundMoney(ride.fare - hold.amount);
+  if (increase === 0) return;
+  const wallet = await Wallet.findByUserId(idOf(ride.passenger));
+  if (!wallet) throw new RideStopError('Passenger wallet not found', { code: 'wallet-not-found' });
+  try {
+    await wallet.adjustHold(hold.referenceId, ride.fare);
+  } catch (err) {
+    if (/Insufficient/.test(err.message)) {
+      throw new RideStopError(`This change raises the fare by ₱${increase.toFixed(2)}, which is more than your available wallet balance`, { code: 'insufficient-balance' });
+    }
+    throw err;
+  }
+  hold.amount = ride.fare;
+}
+
+function emitStops(io, ride, event, stop) {
+  if (!io) return;
+  const payload = { rideId: ride._id, event, stop, stops: ride.stops, fare: ride.fare };
+  io.to(`user_${idOf(ride.passenger)}`).emit('rideStopsUpdated', payload);
+  if (ride.driver) io.to(`user_${idOf(ride.driver)}`).emit('rideStopsUpdated', payload);
+}
+
+function assertEditable(ride) {
+  if (!EDITABLE_STATUSES.includes(ride.status)) {
+    throw new RideStopError(`Stops cannot be changed on a ${ride.status} ride`, { status: 409, code: 'ride-not-editable' });
+  }
+}
+
+/**
+ * Insert a stop at `index` (default: just before the dropoff), re-quote the fare and hold
+ * the increase. Stops cannot be inserted before ones the driver already reached. Saves the ride.
+ */
+async function addStop(ride, { location, index, actor, io }) {
+  assertEditable(ride);
+  if (ride.pool?.requested) {
+    throw new RideStopError('Pooled rides cannot have stops', { status: 409, code: 'pool-stops-not-supported' });
+  }
+  if (ride.stops.length >= MAX_STOPS) {
+    throw new RideStopError(`A ride can have at most ${MAX_STOPS} stops`, { code: 'too-many-stops' });
+  }
+  const stop = normalizeStop(location || {});
+  const reached = ride.stops.filter(s => s.status !== 'pending').length;
+  const position = index === undefined || index === null || index === '' ? ride.stops.length : Number(index);
+  if (!Number.isInteger(position) || position < reached || position > ride.stops.length) {
+    throw new RideStopError(`Stop index must be between ${reached} and ${ride.stops.length}`, { code: 'invalid-stop-index' });
+  }
+
+  ride.stops.splice(position, 0, { ...stop, addedBy: idOf(actor) });
+  await requote(ride);
+  await adjustFareHold(ride);
+  await ride.save();
+
+  const added = ride.stops[position];
+  emitStops(io, ride, 'added', added);
+  if (ride.driver) {
+    await notifyUser(io, ride.driver, {
+      type: 'ride',
+      title: 'Stop added',
+      body: `The passenger added a stop at ${added.address}. New fare: ₱${ride.fare.toFixed(2)}.`,
+      data: { rideId: ride._id, stopId: added._id, fare: ride.fare }
+    });
+  }
+  return ride;
+}
+
+// Remove a stop the driver has not reached yet, re-quote the fare and shrink the hold. Saves the ride.
+async function removeStop(ride, stopId, { io }) {
+  assertEditable(ride);
+  const stop = ride.stops.id(stopId);
+  if (!stop) throw new RideStopError('Stop not found', { status: 404, code: 'stop-not-found' });
+  if (stop.status !== 'pending') {
+    throw new RideStopError('This stop has already been reached', { status: 409, code: 'stop-already-visited' });
+  }
+
+  const removed = stop.toObject();
+  stop.deleteOne();
+  await requote(ride);
+  await adjustFareHold(ride);
+  await ride.save();
+
+  emitStops(io, ride, 'removed', removed);
+  if (ride.driver) {
+    await notifyUser(io, ride.driver, {
+      type: 'ride',
+      title: 'Stop removed',
+      body: `The passenger removed the stop at ${removed.address}. New fare: ₱${ride.fare.toFixed(2)}.`,
+      data: { rideId: ride._id, stopId: removed._id, fare: ride.fare }
+    });
+  }
+  return ride;
+}
+
+// Stops are reached in order while the ride is in progress
+function findStopForEvent(ride, stopId) {
+  if (ride.status !== 'in-progress') {
+    throw new RideStopError('Stops are reported while the ride is in progress', { status: 409, code: 'ride-not-in-progress' });
+  }
+  const stop = ride.stops.id(stopId);
+  if (!stop) throw new RideStopError('Stop not found', { status: 404, code: 'stop-not-found' });
+  const current = currentStop(ride);
+  if (!current || current._id.toString() !== stop._id.toString()) {
+    throw new RideStopError('Stops must be visited in order', { status: 409, code: 'stop-out-of-order' });
+  }
+  return stop;
+}
+
+// Driver reached the next stop; waiting time runs until they leave it. Saves the ride.
+async function arriveAtStop(ride, stopId, { io, at = new Date() } = {}) {
+  const stop = findStopForEvent(ride, stopId);
+  if (stop.status !== 'pending') {
+    throw new RideStopError('Arrival at this stop was already reported', { status: 409, code: 'stop-already-arrived' });
+  }
+  stop.status = 'arrived';
+  stop.arrivedAt = at;
+  await ride.save();
+  emitStops(io, ride, 'arrived', stop);
+  return ride;
+}
+
+// Driver left the stop they are at; records the waiting time there. Saves the ride.
+async function departStop(ride, stopId, { io, at = new Date() } = {}) {
+  const stop = findStopForEvent(ride, stopId);
+  if (stop.status !== 'arrived') {
+    throw new RideStopError('Arrival at this stop has not been reported', { status: 409, code: 'stop-not-arrived' });
+  }
+  stop.status = 'departed';
+  stop.departedAt = at;
+  stop.waitingMinutes = waitingMinutes(stop.arrivedAt, at);
+  await ride.save();
+  emitStops(io, ride, 'departed', stop);
+  return ride;
+}
+
+/**
+ * Close out the stops of a ride being completed: every stop must have been reached (the
+ * passenger removes the ones they skip), a stop the driver is still at is left now, and the
+ * ride is re-quoted with the final waiting times, so the minimum fare and surcharges apply
+ * to the waiting charge too. Updates the ride (not saved); returns the waiting charge.
+ */
+async function finishStops(ride, { at = new Date() } = {}) {
+  if (!ride.stops || !ride.stops.length) return 0;
+  const skipped = ride.stops.find(stop => stop.status === 'pending');
+  if (skipped) {
+    throw new RideStopError(`The stop at ${skipped.address} was not visited; remove it before completing the ride`, { status: 409, code: 'stops-not-visited' });
+  }
+  for (const stop of ride.stops) {
+    if (stop.status === 'arrived') {
+      stop.status = 'departed';
+      stop.departedAt = at;
+      stop.waitingMinutes = waitingMinutes(stop.arrivedAt, at);
+    }
+  }
+
+  await requote(ride);
+  return ride.fareBreakdown.waitingCharge || 0;
+}
+
+module.exports = {
+  RideStopError,
+  MAX_STOPS,
+  normalizeStops,
+  currentStop,
+  waitingMinutes,
+  requote,
+  addStop,
+  removeStop,
+  arriveAtStop,
+  departStop,
+  finishStops
+};
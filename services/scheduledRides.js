@@ -0,0 +1,318 @@
+const Ride = require('../models/Ride');
+const Conversation = require('../models/Conversation');
+const lifecycle = require('./rideLifecycle');
+const dispatch = require('./dispatch');
+const acceptance = require('./rideAcceptance');
+const cancellation = require('./rideCancellation');
+const { notifyUser } = require('./notify');
+
+// Scheduled rides are held until this long before pickup, then dispatched (or handed to
+// the driver who committed to them)
+const LEAD_MINUTES = Number(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES || 15);
+// Both parties are reminded this long before pickup
+const REMINDER_MINUTES = Number(process.env.SCHEDULED_RIDE_REMINDER_MINUTES || 30);
+// How far ahead a ride can be booked
+const MIN_ADVANCE_MINUTES = Number(process.env.SCHEDULED_RIDE_MIN_ADVANCE_MINUTES || 30);
+const MAX_ADVANCE_DAYS = Number(process.env.SCHEDULED_RIDE_MAX_ADVANCE_DAYS || 7);
+// A driver cannot commit to two rides picking up closer together than this
+const COMMIT_GAP_MINUTES = Number(process.env.SCHEDULED_RIDE_COMMIT_GAP_MINUTES || 60);
+const CHECK_INTERVAL_SECONDS = Number(process.env.SCHEDULED_RIDE_CHECK_SECONDS || 60);
+
+class ScheduleError extends Error {
+  constructor(message, { status = 400, code = 'schedule-invalid' } = {}) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Check a requested pickup time for a new scheduled ride. Returns it as a Date;
+ * throws a ScheduleError when it is missing or outside the booking window.
+ */
+function validateScheduledTime(value, now = new Date()) {
+  const at = value ? new Date(value) : null;
+  if (!at || Number.isNaN(at.getTime())) {
+    throw new ScheduleError('scheduledTime is required for scheduled rides', { code: 'scheduled-time-required' });
+  }
+  if (at - now < MIN_ADVANCE_MINUTES * 60000) {
+    throw new ScheduleError(`Scheduled rides must be booked at least ${MIN_ADVANCE_MINUTES} minutes ahead`, { code: 'scheduled-time-too-soon' });
+  }
+  if (at - now > MAX_ADVANCE_DAYS * 86400000) {
+    throw new ScheduleError(`Scheduled rides can be booked at most ${MAX_ADVANCE_DAYS} days ahead`, { code: 'scheduled-time-too-far' });
+  }
+  return at;
+}
+
+// When a scheduled ride leaves the hold and is dispatched
+function dispatchTimeFor(scheduledTime) {
+  return new Date(new Date(scheduledTime).getTime() - LEAD_MINUTES * 60000);
+}
+
+// A scheduled ride that has not been dispatched yet
+function isHeld(ride) {
+  return Boolean(ride.isScheduled && ride.status === 'pending' && !ride.dispatch?.startedAt);
+}
+
+// Whether a new ride should wait for the scheduler instead of being dispatched right away
+function shouldHold(ride, now = new Date()) {
+  return Boolean(ride.isScheduled && ride.scheduledTime && dispatchTimeFor(ride.scheduledTime) > now);
+}
+
+// Held scheduled rides drivers can commit to, soonest first
+function upcomingRides({ page = 1, limit = 20, now = new Date() } = {}) {
+  const query = { isScheduled: true, status: 'pending', 'dispatch.startedAt': null, 'schedule.driver': null, scheduledTime: { $gt: now } };
+  return Promise.all([
+    Ride.find(query)
+      .populate('passenger', 'firstName lastName rating')
+      .sort({ scheduledTime: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Ride.countDocuments(query)
+  ]);
+}
+
+// Scheduled rides the driver committed to that have not been handed over yet
+function commitmentsFor(driverId) {
+  return Ride.find({ 'schedule.driver': driverId, isScheduled: true, status: 'pending' })
+    .populate('passenger', 'firstName lastName phoneNumber rating')
+    .sort({ scheduledTime: 1 });
+}
+
+/**
+ * Commit `driver` to a held scheduled ride. They are assigned automatically when the ride
+ * is dispatched. One driver per ride, and commitments must be COMMIT_GAP_MINUTES apart.
+ */
+async function commitDriver(rideId, driver, { io } = {}) {
+  if (driver.role !== 'driver' || driver.approvalStatus !== 'approved') {
+    throw new ScheduleError('Only approved drivers can commit to scheduled rides', { status: 403, code: 'driver-not-approved' });
+  }
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new ScheduleError('Ride not found', { status: 404, code: 'ride-not-found' });
+  if (!isHeld(ride)) {
+    throw new ScheduleError('Only scheduled rides that have not been dispatched yet take commitments', { status: 409, code: 'ride-not-schedulable' });
+  }
+
+  const gap = COMMIT_GAP_MINUTES * 60000;
+  const clash = await Ride.exists({
+    _id: { $ne: ride._id },
+    'schedule.driver': driver._id,
+    status: { $in: ['pending', ...lifecycle.ACTIVE_STATUSES] },
+    scheduledTime: { $gt: new Date(ride.scheduledTime.getTime() - gap), $lt: new Date(ride.scheduledTime.getTime() + gap) }
+  });
+  if (clash) {
+    throw new ScheduleError(`You already committed to a ride within ${COMMIT_GAP_MINUTES} minutes of this one`, { status: 409, code: 'commitment-conflict' });
+  }
+
+  // Conditional so two drivers committing at once cannot both get it
+  const committed = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'pending', 'dispatch.startedAt': null, 'schedule.driver': null },
+    { $set: { 'schedule.driver': driver._id, 'schedule.committedAt': new Date() } },
+    { new: true }
+  );
+  if (!committed) {
+    throw new ScheduleError('Another driver already committed to this ride', { status: 409, code: 'ride-already-committed' });
+  }
+  await notifyUser(io, committed.passenger, {
+    type: 'ride',
+    title: 'Driver confirmed',
+    body: `${driver.firstName} will pick you up at ${committed.scheduledTime.toISOString()}.`,
+    data: { rideId: committed._id, driverId: driver._id, scheduledTime: committed.scheduledTime }
+  });
+  return committed;
+}
+
+/**
+ * Withdraw a driver's commitment before the ride is dispatched; the ride goes back to the
+ * pool of upcoming rides and the passenger is told.
+ */
+async function withdrawCommitment(rideId, driverId, { io, reason } = {}) {
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, status: 'pending', 'schedule.driver': driverId },
+    { $set: { 'schedule.driver': null, 'schedule.committedAt': null, 'schedule.driverRemindedAt': null } },
+    { new: true }
+  );
+  if (!ride) {
+    throw new ScheduleError('You are not committed to this ride', { status: 404, code: 'commitment-not-found' });
+  }
+  await notifyUser(io, ride.passenger, {
+    type: 'ride',
+    title: 'Driver no longer available',
+    body: reason || 'Your driver can no longer make your scheduled ride. We will find you another one.',
+    data: { rideId: ride._id, scheduledTime: ride.scheduledTime }
+  });
+  return ride;
+}
+
+// Remind the passenger and the committed driver once, REMINDER_MINUTES before pickup
+async function sendReminders(io, now) {
+  const upcoming = { isScheduled: true, status: { $in: ['pending', ...lifecycle.ACTIVE_STATUSES] }, scheduledTime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_MINUTES * 60000) } };
+  let sent = 0;
+
+  const forPassengers = await Ride.find({ ...upcoming, 'schedule.passengerRemindedAt': null }).select('_id');
+  for (const { _id } of forPassengers) {
+    const ride = await Ride.findOneAndUpdate({ _id, 'schedule.passengerRemindedAt': null }, { $set: { 'schedule.passengerRemindedAt': now } }, { new: true });
+    if (!ride) continue;
+    const assigned = ride.driver || ride.schedule?.driver;
+    await notifyUser(io, ride.passenger, {
+      type: 'ride',
+      title: 'Upcoming ride',
+      body: `Your ride to ${ride.dropoffLocation.address} is at ${ride.scheduledTime.toISOString()}.${assigned ? '' : ' We are still looking for a driver.'}`,
+      data: { rideId: ride._id, scheduledTime: ride.scheduledTime }
+    });
+    sent++;
+  }
+
+  const forDrivers = await Ride.find({ ...upcoming, 'schedule.driver': { $ne: null }, 'schedule.driverRemindedAt': null }).select('_id');
+  for (const { _id } of forDrivers) {
+    const ride = await Ride.findOneAndUpdate({ _id, 'schedule.driverRemindedAt': null }, { $set: { 'schedule.driverRemindedAt': now } }, { new: true });
+    if (!ride || !ride.schedule?.driver) continue;
+    await notifyUser(io, ride.schedule.driver, {
+      type: 'ride',
+      title: 'Upcoming scheduled ride',
+      body: `You are picking up at ${ride.pickupLocation.address} at ${ride.scheduledTime.toISOString()}.`,
+      data: { rideId: ride._id, scheduledTime: ride.scheduledTime }
+    });
+    sent++;
+  }
+  return sent;
+}
+
+// Tell both parties a released ride was handed to its committed driver
+async function announceAssignment(io, ride) {
+  const conversation = await Conversation.findOrCreateConversation(ride.passenger, ride.driver, ride._id);
+  if (io) {
+    io.to(`user_${ride.passenger}`).emit('rideAccepted', { ride, conversationId: conversation._id });
+    io.to(`user_${ride.driver}`).emit('conversationCreated', { rideId: ride._id, conversationId: conversation._id });
+  }
+  await notifyUser(io, ride.passenger, { type: 'ride', title: 'Driver assigned', body: 'Your driver is assigned to your scheduled ride', data: { rideId: ride._id } });
+  await notifyUser(io, ride.driver, { type: 'ride', title: 'Ride assigned', body: 'Your scheduled ride is now assigned to you', data: { rideId: ride._id } });
+}
+
+/**
+ * Release a held ride at its dispatch time: the committed driver gets it directly, as if
+ * they had accepted it; without one, or if they cannot take it now (on another trip, or
+ * the fare cannot be held), it is offered to nearby drivers like any other ride.
+ * Returns false when another process already released it.
+ */
+async function releaseRide(io, rideId, now = new Date()) {
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, isScheduled: true, status: 'pending', 'dispatch.startedAt': null },
+    { $set: { 'schedule.releasedAt': now, 'dispatch.startedAt': now } },
+    { new: true }
+  );
+  if (!ride) return false;
+
+  const driverId = ride.schedule?.driver;
+  if (driverId) {
+    let accepted = null;
+    try {
+      accepted = await acceptance.acceptRide({ rideId: ride._id, driver: driverId, io });
+    } catch (err) {
+      console.warn(`Committed driver could not take scheduled ride ${ride._id}:`, err.message);
+      await withdrawCommitment(ride._id, driverId, {
+        io,
+        reason: 'Your driver is not available right now. We are finding you another one.'
+      }).catch(() => null);
+      await notifyUser(io, driverId, {
+        type: 'ride',
+        title: 'Scheduled ride reassigned',
+        body: `We could not assign your scheduled ride to you (${err.message}), so it was offered to other drivers.`,
+        data: { rideId: ride._id }
+      });
+    }
+    if (accepted) {
+      await dispatch.onRideAccepted(io, accepted, driverId);
+      await announceAssignment(io, accepted);
+      return true;
+    }
+  }
+  const fresh = await Ride.findById(ride._id);
+  if (fresh && fresh.status === 'pending') await dispatch.startDispatch(io, fresh);
+  return true;
+}
+
+// Cancel a scheduled ride nobody took by its pickup time
+async function cancelUnassigned(io, rideId) {
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'pending') return false;
+  await cancellation.cancelRide(ride, { role: 'system', reasonCode: 'no-driver-assigned', io });
+  return true;
+}
+
+/**
+ * One scheduler pass: cancel scheduled rides still without a driver at pickup time,
+ * release rides whose dispatch time has come, then send due reminders.
+ */
+async function runScheduler({ io, now = new Date() } = {}) {
+  const result = { cancelled: 0, released: 0, reminded: 0 };
+
+  const overdue = await Ride.find({ isScheduled: true, status: 'pending', scheduledTime: { $lte: now } }).select('_id');
+  for (const { _id } of overdue) {
+    try {
+      if (await cancelUnassigned(io, _id)) result.cancelled++;
+    } catch (err) {
+      console.error(`Failed to cancel unassigned scheduled ride ${_id}:`, err.message);
+    }
+  }
+
+  const due = await Ride.find({ isScheduled: true, status: 'pending', 'dispatch.startedAt': null, scheduledTime: { $lte: new Date(now.getTime() + LEAD_MINUTES * 60000) } }).select('_id');
+  for (const { _id } of due) {
+    try {
+      if (await releaseRide(io, _id, now)) result.released++;
+    } catch (err) {
+      console.error(`Failed to release scheduled ride ${_id}:`, err.message);
+    }
+  }
+
+  result.reminded = await sendReminders(io, now);
+  return result;
+}
+
+let running = false;
+let schedulerTimer = null;
+
+// Run unless a pass is already in progress in this process; returns its result or null
+async function runExclusive(options) {
+  if (running) return null;
+  running = true;
+  try {
+    return await runScheduler(options);
+  } finally {
+    running = false;
+  }
+}
+
+// Check held scheduled rides every CHECK_INTERVAL_SECONDS
+function startScheduledRideScheduler(io) {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(async () => {
+    try {
+      const result = await runExclusive({ io });
+      if (result && (result.cancelled || result.released)) console.log('Scheduled rides:', result);
+    } catch (err) {
+      console.error('Scheduled ride pass failed:', err.message);
+    }
+  }, CHECK_INTERVAL_SECONDS * 1000);
+  schedulerTimer.unref();
+}
+
+module.exports = {
+  ScheduleError,
+  LEAD_MINUTES,
+  REMINDER_MINUTES,
+  MIN_ADVANCE_MINUTES,
+  MAX_ADVANCE_DAYS,
+  validateScheduledTime,
+  dispatchTimeFor,
+  isHeld,
+  shouldHold,
+  upcomingRides,
+  commitmentsFor,
+  commitDriver,
+  withdrawCommitment,
+  releaseRide,
+  runScheduler,
+  startScheduledRideScheduler
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const Wallet = require('../models/Wallet');
+const Payment = require('../models/Payment');
+const AuditLog = require('../models/AuditLog');
+const payments = require('./payments');
+const ledger = require('./ledger');
+const ridePayment = require('./ridePayment');
+const paymentStatus = require('./paymentStatus');
+const refunds = require('./refunds');
+const { encrypt } = require('./encryption');
+const { notifyUser } = require('./notify');
+const { roundMoney } = require('../utils/money');
+
+// Passengers can tip for this long after the ride completes
+const TIP_WINDOW_HOURS = Number(process.env.TIP_WINDOW_HOURS || 24);
+const TIP_MAX = Number(process.env.TIP_MAX || 1000);
+const METHODS = ['wallet', 'card'];
+
+class TipError extends Error {
+  constructor(message, { status = 400, code = 'tip-invalid' } = {}) {
+    super(message);
+    this.name = 'TipError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+/**
+ * Check a tip of `amount` by `method` on `ride` at `now`. Returns the rounded amount;
+ * throws a TipError when the ride cannot take it.
+ */
+function validateTip(ride, { amount, method }, now = new Date()) {
+  if (ride.status !== 'completed' || !ride.driver) {
+    throw new TipError('Only completed rides can be tipped', { status: 409, code: 'ride-not-completed' });
+  }
+  if (ride.tip && ['pending', 'paid'].includes(ride.tip.status)) {
+    throw new TipError('This ride has already been tipped', { status: 409, code: 'already-tipped' });
+  }
+  const completedAt = ride.completedAt || ride.updatedAt;
+  if (completedAt && now - completedAt > TIP_WINDOW_HOURS * 3600000) {
+    throw new TipError(`Tips can only be added within ${TIP_WINDOW_HOURS} hours of the ride`, { status: 409, code: 'tip-window-closed' });
+  }
+  if (!METHODS.includes(method)) {
+    throw new TipError(`Tip method must be one of: ${METHODS.join(', ')}`, { code: 'invalid-tip-method' });
+  }
+  const value = Number(amount);
+  const rounded = roundMoney(value);
+  if (!Number.isFinite(value) || !(rounded > 0)) throw new TipError('Tip amount must be a positive number', { code: 'invalid-tip-amount' });
+  if (rounded > TIP_MAX) throw new TipError(`Tips are limited to ₱${TIP_MAX.toFixed(2)}`, { code: 'tip-too-large' });
+  return rounded;
+}
+
+// Credit the whole tip to the driver as a TIP transaction: no commission, no debt netting
+async function creditDriverTip(ride, amount, referenceId, { session, counterAccount }) {
+  const wallet = await ridePayment.findOrCreateWallet(idOf(ride.driver));
+  return wallet.addFunds(amount, {
+    type: 'TIP',
+    referenceId: `${referenceId}_driver`,
+    paymentMethod: 'TIP',
+    description: `Tip for ride to ${ride.dropoffLocation.address}`,
+    metadata: { rideId: ride._id.toString(), passengerId: idOf(ride.passenger).toString() },
+    session,
+    counterAccount
+  });
+}
+
+// Wallet tips move from the passenger's available balance to the driver in one transaction
+async function payFromWallet(ride, amount, referenceId) {
+  const wallet = await Wallet.findByUserId(idOf(ride.passenger));
+  if (!wallet) throw new TipError('Passenger wallet not found', { code: 'wallet-not-found' });
+  await ledger.runInTransaction(async (session) => {
+    try {
+      await wallet.deductFunds(amount, {
+        type: 'TIP',
+        referenceId,
+        description: `Tip for ride to ${ride.dropoffLocation.address}`,
+        metadata: { rideId: ride._id.toString(), driverId: idOf(ride.driver).toString() },
+        session,
+        counterAccount: ledger.ACCOUNTS.RIDE_CLEARING
+      });
+    } catch (err) {
+      if (/Insufficient/.test(err.message)) throw new TipError('Insufficient wallet balance for this tip', { code: 'insufficient-balance' });
+      throw err;
+    }
+    await creditDriverTip(ride, amount, referenceId, { session, counterAccount: ledger.ACCOUNTS.RIDE_CLEARING });
+  });
+}
+
+// Audit a paid tip and let the driver know
+async function announceTip(ride, { io }) {
+  await AuditLog.create({ resourceType: 'Ride', resourceId: ride._id.toString(), actorId: idOf(ride.passenger).toString(), action: 'update', changes: { tip: { amount: ride.tip.amount, method: ride.tip.method } } });
+  await notifyUser(io, ride.driver, {
+    type: 'payment',
+    title: 'You received a tip',
+    body: `Your passenger tipped you ₱${ride.tip.amount.toFixed(2)} for the ride to ${ride.dropoffLocation.address}.`,
+    data: { rideId: ride._id, amount: ride.tip.amount }
+  });
+}
+
+/**
+ * Pay a captured card tip to the driver, once: the ride's tip is marked paid in the same
+ * transaction as the credit. If the driver cannot be credited, the tip fails and the
+ * charge is refunded, so the passenger does not pay for a tip the driver never got.
+ * Returns the updated ride, or null when the tip is no longer pending.
+ */
+async function settleCardTip(payment, { io } = {}) {
+  const pending = { _id: payment.ride, 'tip.payment': payment._id, 'tip.status': 'pending' };
+  try {
+    const updated = await ledger.runInTransaction(async (session) => {
+      const paid = await Ride.findOneAndUpdate(pending, { $set: { 'tip.status': 'paid', 'tip.paidAt': new Date() } }, { new: true, session });
+      if (!paid) return null;
+      await creditDriverTip(paid, paid.tip.amount, paid.tip.referenceId, { session, counterAccount: ledger.ACCOUNTS.PROVIDER_CLEARING });
+      return paid;
+    });
+    if (updated) await announceTip(updated, { io });
+    return updated;
+  } catch (err) {
+    console.error(`Card tip ${payment._id} could not be credited to the driver:`, err.message);
+    const failed = await Ride.findOneAndUpdate(pending, { $set: { 'tip.status': 'failed', 'tip.failureReason': err.message } });
+    if (failed) {
+      try {
+        await refunds.refundPayment(payment, { reason: 'The tip could not be credited to the driver', io });
+      } catch (refundError) {
+        console.error(`Refund of card tip ${payment._id} failed:`, refundError.message);
+      }
+    }
+    throw new TipError('The tip could not be credited to the driver; the card charge is being refunded', { status: 502, code: 'tip-credit-failed' });
+  }
+}
+
+/**
+ * Settle a pending card tip when its charge gets a final status from the provider (see
+ * paymentStatus.applyPaymentStatus): a captured charge pays the driver, a failed one fails
+ * the tip so the passenger can try again. Errors are logged, not thrown.
+ */
+async function applyCardTipStatus(payment, { io } = {}) {
+  try {
+    if (payment.status === 'PAID') {
+      await settleCardTip(payment, { io });
+    } else if (payment.status !== 'PENDING') {
+      await Ride.updateOne(
+        { _id: payment.ride, 'tip.payment': payment._id, 'tip.status': 'pending' },
+        { $set: { 'tip.status': 'failed', 'tip.failureReason': `The card charge for the tip is ${payment.status}` } }
+      );
+    }
+  } catch (err) {
+    console.error(`Card tip ${payment._id} could not be settled:`, err.message);
+  }
+}
+
+// Card tips are charged in the request. A captured charge is paid to the driver at once; a
+// pending one keeps the tip pending until the provider reports it (applyCardTipStatus).
+// Returns the updated ride.
+async function payByCard(ride, amount, referenceId, { tokenId, passenger, io }) {
+  if (!tokenId) throw new TipError('token_id is required for card tips', { code: 'token-required' });
+  let charge;
+  try {
+    charge = await payments.createCardCharge({ token_id: tokenId, amount, currency: 'PHP', external_id: referenceId });
+  } catch (err) {
+    throw new TipError(`Card charge failed: ${err.response?.data?.message || err.message}`, { status: 402, code: 'tip-payment-failed' });
+  }
+  const status = paymentStatus.paymentStatusFor('credit_card', charge.status, 'PENDING');
+  const payment = await Payment.create({
+    user: idOf(passenger),
+    ride: ride._id,
+    amount,
+    currency: 'PHP',
+    method: 'credit_card',
+    status,
+    provider: payments.providerName(),
+    providerId: charge.id,
+    description: 'Ride tip',
+    metadata: { kind: 'TIP', rideId: ride._id.toString() },
+    webhookPayloadEnc: encrypt(JSON.stringify(charge || {}))
+  });
+  if (status === 'FAILED') {
+    throw new TipError('The card charge for the tip was not captured', { status: 402, code: 'tip-payment-failed' });
+  }
+  const pending = await Ride.findOneAndUpdate({ _id: ride._id, 'tip.referenceId': referenceId }, { $set: { 'tip.payment': payment._id } }, { new: true });
+  if (status !== 'PAID') return pending;
+  return (await settleCardTip(payment, { io })) || Ride.findById(ride._id);
+}
+
+/**
+ * Tip the driver of a completed ride, from the passenger's wallet or by card (`tokenId`),
+ * within TIP_WINDOW_HOURS of completion. One tip per ride; a failed tip can be retried.
+ * The driver gets all of it as a TIP transaction. A card tip whose charge is still
+ * processing stays pending. Returns the updated ride.
+ */
+async function addTip(ride, { amount, method, tokenId, passenger, io }) {
+  amount = validateTip(ride, { amount, method });
+  const referenceId = `ride_tip_${ride._id}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+  // Claimed atomically so a double submit cannot tip twice
+  const claimed = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'completed', 'tip.status': { $nin: ['pending', 'paid'] } },
+    { $set: { tip: { amount, method, status: 'pending', referenceId } } },
+    { new: true }
+  );
+  if (!claimed) throw new TipError('This ride has already been tipped', { status: 409, code: 'already-tipped' });
+
+  try {
+    if (method === 'card') return await payByCard(claimed, amount, referenceId, { tokenId, passenger, io });
+    await payFromWallet(claimed, amount, referenceId);
+  } catch (err) {
+    await Ride.updateOne({ _id: ride._id, 'tip.referenceId': referenceId, 'tip.status': 'pending' }, { $set: { 'tip.status': 'failed', 'tip.failureReason': err.message } });
+    throw err;
+  }
+
+  const updated = await Ride.findOneAndUpdate({ _id: ride._id, 'tip.referenceId': referenceId }, { $set: { 'tip.status': 'paid', 'tip.paidAt': new Date() } }, { new: true });
+  await announceTip(updated, { io });
+  return updated;
+}
+
+module.exports = {
+  TipError,
+  TIP_WINDOW_HOURS,
+  TIP_MAX,
+  validateTip,
+  addTip,
+  applyCardTipStatus
+};
@@ -0,0 +1,43 @@
+const Wallet = require('../models/Wallet');
+
+// Provider invoice and payment request statuses by the wallet status they settle to;
+// anything else is still waiting for the payer
+const PROVIDER_STATUSES = {
+  PAID: 'COMPLETED',
+  SETTLED: 'COMPLETED',
+  COMPLETED: 'COMPLETED',
+  SUCCEEDED: 'COMPLETED',
+  EXPIRED: 'FAILED',
+  FAILED: 'FAILED'
+};
+
+function walletStatusFor(providerStatus) {
+  return PROVIDER_STATUSES[String(providerStatus || '').toUpperCase()] || null;
+}
+
+/**
+ * Settle a PENDING top-up from the provider's status: paid top-ups are credited (with
+ * their ledger entry), expired or failed ones are marked FAILED. Returns
+ * `{ wallet, applied }` where `applied` is the new status, or null when nothing changed
+ * (still unpaid, or already settled by someone else).
+ */
+async function applyTopUpStatus({ wallet, transaction, providerStatus }) {
+  const status = walletStatusFor(providerStatus);
+  if (!status || transaction.status !== 'PENDING') return { wallet, applied: null };
+
+  if (status === 'COMPLETED') {
+    const updated = await wallet.completeTopUp(transaction.referenceId);
+    return { wallet: updated || wallet, applied: updated ? status : null };
+  }
+  const updated = await Wallet.findOneAndUpdate(
+    { _id: wallet._id, transactions: { $elemMatch: { _id: transaction._id, status: 'PENDING' } } },
+    { $set: { 'transactions.$.status': 'FAILED' } },
+    { new: true }
+  );
+  return { wallet: updated || wallet, applied: updated ? status : null };
+}
+
+module.exports = {
+  walletStatusFor,
+  applyTopUpStatus
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const fareService = require('./fare');
+const { notifyUser } = require('./notify');
+
+// Wrong PINs a driver may submit before starting the ride is locked, and for how long
+const MAX_ATTEMPTS = Number(process.env.TRIP_PIN_MAX_ATTEMPTS || 5);
+const LOCKOUT_MINUTES = Number(process.env.TRIP_PIN_LOCKOUT_MINUTES || 10);
+
+const MODES = ['optional', 'mandatory'];
+
+// A configured PIN mode; a typo is an error rather than a silently optional PIN
+function parseMode(value) {
+  const mode = String(value || 'mandatory').trim().toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`TRIP_PIN_DEFAULT_MODE must be one of: ${MODES.join(', ')} (got "${value}")`);
+  return mode;
+}
+
+// Whether the PIN is needed to start a ride in cities whose tariff does not set `tripPin`
+const DEFAULT_MODE = parseMode(process.env.TRIP_PIN_DEFAULT_MODE);
+
+class TripPinError extends Error {
+  constructor(message, { status = 400, code = 'pin-invalid' } = {}) {
+    super(message);
+    this.name = 'TripPinError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+// A random 4-digit PIN, leading zeros included
+function generatePin() {
+  return String(crypto.randomInt(0, 10000)).padStart(4, '0');
+}
+
+// Constant-time comparison, so response times do not leak matching digits
+function pinMatches(expected, submitted) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(submitted ?? '').trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// `optional` or `mandatory` for the ride's city
+async function modeFor(ride) {
+  const tariff = await fareService.findTariff(ride.fareBreakdown?.city);
+  return MODES.includes(tariff.tripPin) ? tariff.tripPin : DEFAULT_MODE;
+}
+
+// Send the PIN of a just-accepted ride to its passenger (never to the driver)
+async function sendPinToPassenger(io, ride, pin) {
+  await notifyUser(io, ride.passenger, {
+    type: 'ride',
+    title: 'Your trip PIN',
+    body: `Your trip PIN is ${pin}. Tell it to your driver when you get in, not before.`,
+    data: { rideId: ride._id, pin }
+  });
+}
+
+// The PIN of the passenger's own ride, with whether the driver needs it to start
+async function pinForPassenger(ride) {
+  const withPin = await Ride.findById(ride._id).select('+tripPin.code');
+  const code = withPin?.tripPin?.code;
+  if (!code) throw new TripPinError('This ride has no trip PIN', { status: 404, code: 'pin-not-found' });
+  return { pin: code, mode: await modeFor(ride), verifiedAt: withPin.tripPin.verifiedAt || null };
+}
+
+/**
+ * Check the PIN a driver submits to start `ride`. In `mandatory` cities it must be given
+ * (400 pin-required); in `optional` cities it may be left out, but a given PIN must still be
+ * right. Each wrong PIN uses one of MAX_ATTEMPTS; the last one locks starting the ride for
+ * LOCKOUT_MINUTES (429 pin-locked) and tells the passenger. Rides accepted before PINs
+ * existed have none and are not checked. On success marks the ride verified (not saved).
+ */
+async function verifyStart(ride, submitted, { io, at = new Date() } = {}) {
+  const given = submitted !== undefined && submitted !== null && String(submitted).trim() !== '';
+  const mode = await modeFor(ride);
+  if (!given) {
+    if (mode === 'mandatory' && await Ride.exists({ _id: ride._id, 'tripPin.code': { $exists: true } })) {
+      throw new TripPinError('Ask the passenger for their trip PIN to start the ride', { code: 'pin-required' });
+    }
+    return false;
+  }
+
+  // The attempt is counted before the PIN is compared, so concurrent guesses cannot get
+  // around the limit
+  const locked = { 'tripPin.lockedUntil': { $gt: at } };
+  const counted = await Ride.findOneAndUpdate(
+    { _id: ride._id, $nor: [locked] },
+    { $inc: { 'tripPin.attempts': 1 } },
+    { new: true }
+  ).select('+tripPin.code');
+  if (!counted) {
+    const current = await Ride.findById(ride._id).select('tripPin.lockedUntil');
+    throw lockedError(current?.tripPin?.lockedUntil);
+  }
+  if (!counted.tripPin?.code) return false;
+  if (counted.tripPin.attempts > MAX_ATTEMPTS) throw lockedError(counted.tripPin.lockedUntil);
+
+  if (pinMatches(counted.tripPin.code, submitted)) {
+    ride.set('tripPin.attempts', 0);
+    ride.set('tripPin.verifiedAt', at);
+    return true;
+  }
+
+  const left = MAX_ATTEMPTS - counted.tripPin.attempts;
+  if (left > 0) {
+    throw new TripPinError(`Wrong trip PIN, ${left} attempt${left === 1 ? '' : 's'} left`, { status: 403, code: 'pin-invalid' });
+  }
+  const lockedUntil = new Date(at.getTime() + LOCKOUT_MINUTES * 60000);
+  await Ride.updateOne(
+    { _id: ride._id },
+    { $set: { 'tripPin.attempts': 0, 'tripPin.lockedUntil': lockedUntil }, $inc: { 'tripPin.lockouts': 1 } }
+  );
+  await notifyUser(io, idOf(ride.passenger), {
+    type: 'ride',
+    title: 'Wrong trip PIN entered',
+    body: `Your driver entered a wrong trip PIN ${MAX_ATTEMPTS} times. Starting the ride is locked for ${LOCKOUT_MINUTES} minutes.`,
+    data: { rideId: ride._id, lockedUntil }
+  });
+  throw lockedError(lockedUntil);
+}
+
+function lockedError(lockedUntil) {
+  const minutes = lockedUntil ? Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000)) : LOCKOUT_MINUTES;
+  return new TripPinError(`Too many wrong trip PINs; try again in ${minutes} minute${minutes === 1 ? '' : 's'}`, { status: 429, code: 'pin-locked' });
+}
+
+module.exports = {
+  TripPinError,
+  MODES,
+  MAX_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  parseMode,
+  generatePin,
+  pinMatches,
+  modeFor,
+  sendPinToPassenger,
+  pinForPassenger,
+  verifyStart
+};
@@ -0,0 +1,143 @@
+const DriverLocation = require('../models/DriverLocation');
+const fareService = require('./fare');
+const promos = require('./promos');
+const { encodePolyline } = require('../utils/polyline');
+const { roundMoney } = require('../utils/money');
+
+// GPS fixes implying a faster move than this from the last good fix are treated as outliers
+const MAX_SPEED_KPH = Number(process.env.TRACE_MAX_SPEED_KPH || 60);
+// Moves shorter than this are jitter around a standing vehicle and add no distance
+const MIN_MOVE_METERS = Number(process.env.TRACE_MIN_MOVE_METERS || 15);
+// Fewer good fixes than this are not enough to price from
+const MIN_POINTS = Number(process.env.TRACE_MIN_POINTS || 5);
+// The fare is re-priced when the driven distance or time differs from the estimate by more than this
+const REPRICE_TOLERANCE_PERCENT = Number(process.env.TRACE_REPRICE_TOLERANCE_PERCENT || 15);
+// A re-priced fare is never more than this percent above the quoted one
+const MAX_INCREASE_PERCENT = Number(process.env.TRACE_MAX_INCREASE_PERCENT || 50);
+
+function isValidFix(coords) {
+  if (!Array.isArray(coords) || coords.length !== 2) return false;
+  const [lng, lat] = coords.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return false;
+  return !(lng === 0 && lat === 0);
+}
+
+/**
+ * Clean a time-ordered GPS trace ([{ coordinates: [lng, lat], at }]): drops invalid fixes,
+ * fixes implying more than MAX_SPEED_KPH from the last kept one, and moves under
+ * MIN_MOVE_METERS. Returns the kept path and its length in meters.
+ */
+function cleanTrace(points) {
+  const path = [];
+  let meters = 0;
+  let last = null;
+  for (const point of points) {
+    if (!isValidFix(point.coordinates)) continue;
+    const coords = point.coordinates.map(Number);
+    const at = new Date(point.at);
+    if (!last) {
+      last = { coordinates: coords, at };
+      path.push(coords);
+      continue;
+    }
+    const step = fareService.haversineMeters(last.coordinates, coords);
+    if (step < MIN_MOVE_METERS) continue;
+    const hours = (at - last.at) / 3600000;
+    if (hours <= 0 || step / 1000 / hours > MAX_SPEED_KPH) continue;
+    meters += step;
+    path.push(coords);
+    last = { coordinates: coords, at };
+  }
+  return { path, meters };
+}
+
+// Whether the driven value is off the estimate by more than the tolerance
+function beyondTolerance(actual, estimate) {
+  if (!(estimate > 0)) return actual > 0;
+  return Math.abs(actual - estimate) / estimate * 100 > REPRICE_TOLERANCE_PERCENT;
+}
+
+// The ride's driver fixes from the start of the trip until `until`, oldest first
+async function loadTrace(ride, until) {
+  const from = ride.startedAt || ride.acceptedAt;
+  const query = { rideId: ride._id, driver: ride.driver._id || ride.driver, createdAt: { $lte: until } };
+  if (from) query.createdAt.$gte = from;
+  const fixes = await DriverLocation.find(query).sort({ createdAt: 1 }).select('location createdAt');
+  return fixes.map(fix => ({ coordinates: fix.location.coordinates, at: fix.createdAt }));
+}
+
+// Minutes the driver waited at the ride's stops; charged as waiting, not as driving time
+function stopWaitingMinutes(ride) {
+  return (ride.stops || []).reduce((sum, stop) => sum + (stop.waitingMinutes || 0), 0);
+}
+
+// Fare for the driven distance and time, with the ride's stops, waiting and promo (its
+// discount recomputed for the new fare).
+// The fare before the promo is capped at `maxFare`.
+async function priceActual(ride, { distance, duration, maxFare }) {
+  const tariff = await fareService.findTariff(ride.fareBreakdown?.city);
+  const waitingMinutes = fareService.billableWaitingMinutes(ride.stops, tariff.freeWaitingMinutes || 0);
+  const computed = fareService.computeFare(tariff, {
+    distance,
+    duration,
+    stops: (ride.stops || []).length,
+    waitingMinutes,
+    at: ride.scheduledTime || ride.createdAt || new Date()
+  });
+  const { breakdown } = computed;
+  const capped = computed.fare > maxFare;
+  const fare = capped ? maxFare : computed.fare;
+  breakdown.legs = ride.fareBreakdown?.legs;
+  const charged = await promos.repricePromo(ride, fare);
+  return { fare: charged, breakdown, capped };
+}
+
+/**
+ * Rebuild the trip from the driver's GPS fixes for a ride being completed: store the cleaned
+ * path as an encoded polyline with the driven distance (km) and driving time (minutes since
+ * the start, less the waiting at stops) on ride.route, and re-price the fare from them when
+ * either is off the estimate by more than TRACE_REPRICE_TOLERANCE_PERCENT. A re-priced fare
+ * is capped TRACE_MAX_INCREASE_PERCENT above the quote. Pooled rides are not re-priced, since
+ * their driven route includes other passengers' detours. Updates the ride (not saved);
+ * returns ride.route.
+ */
+async function applyTrace(ride, { at = new Date() } = {}) {
+  const { path, meters } = cleanTrace(await loadTrace(ride, at));
+  const start = ride.startedAt || ride.acceptedAt;
+  const distance = Math.round(meters / 10) / 100;
+  const duration = start ? Math.max(1, Math.round((at - start) / 60000 - stopWaitingMinutes(ride))) : ride.duration;
+
+  ride.route = {
+    polyline: encodePolyline(path),
+    points: path.length,
+    distance,
+    duration,
+    estimatedDistance: ride.distance,
+    estimatedDuration: ride.duration,
+    estimatedFare: ride.fare,
+    repriced: false,
+    computedAt: at
+  };
+  if (path.length < MIN_POINTS || ride.pool?.requested) return ride.route;
+  if (!beyondTolerance(distance, ride.distance) && !beyondTolerance(duration, ride.duration)) return ride.route;
+
+  const quoted = ride.promo && ride.promo.redemption && !ride.promo.creditedAt ? ride.promo.originalFare : ride.fare;
+  const maxFare = roundMoney(quoted * (1 + MAX_INCREASE_PERCENT / 100));
+  const { fare, breakdown, capped } = await priceActual(ride, { distance, duration, maxFare });
+  ride.fare = fare;
+  ride.fareBreakdown = breakdown;
+  ride.distance = distance;
+  ride.duration = duration;
+  ride.route.repriced = true;
+  ride.route.capped = capped;
+  return ride.route;
+}
+
+module.exports = {
+  MIN_POINTS,
+  REPRICE_TOLERANCE_PERCENT,
+  MAX_INCREASE_PERCENT,
+  cleanTrace,
+  beyondTolerance,
+  applyTrace
+};
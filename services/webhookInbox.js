@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const Wallet = require('../models/Wallet');
+const Payment = require('../models/Payment');
+const cashOutService = require('./cashOut');
+const topUp = require('./topUp');
+const paymentStatus = require('./paymentStatus');
+const payments = require('./payments');
+const { stableStringify } = require('../middleware/idempotency');
+
+// Processing attempts before an event is dead-lettered
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+// Retry delay doubles from the base up to the cap
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30);
+const RETRY_MAX_SECONDS = Number(process.env.WEBHOOK_RETRY_MAX_SECONDS || 3600);
+const WORKER_INTERVAL_SECONDS = Number(process.env.WEBHOOK_WORKER_INTERVAL_SECONDS || 30);
+// Events left in processing this long (e.g. the server restarted) are picked up again
+const STALE_LOCK_MINUTES = 10;
+const BATCH_SIZE = 50;
+
+// Never stored with the event
+const SECRET_HEADERS = ['x-callback-token', 'authorization', 'cookie'];
+
+// A processing failure that retrying cannot fix; the event goes straight to dead
+class WebhookError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = 'WebhookError';
+    this.permanent = permanent;
+  }
+}
+
+/**
+ * Provider event ID used to dedupe deliveries: the `webhook-id` header when the provider
+ * sends one, otherwise the object ID and status (one event per status change), otherwise
+ * a hash of the body.
+ */
+function eventIdFor(headers = {}, payload = {}) {
+  if (headers['webhook-id']) return String(headers['webhook-id']);
+  const data = payload.data || {};
+  const objectId = payload.id || data.id || payload.external_id || payload.reference_id || data.reference_id;
+  const status = payload.status || data.status || payload.event;
+  if (objectId) return `${objectId}:${status || ''}`;
+  return `sha256:${crypto.createHash('sha256').update(stableStringify(payload)).digest('hex')}`;
+}
+
+// Seconds to wait before the next attempt, after `attempts` failed ones
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+}
+
+function storedHeaders(headers = {}) {
+  const kept = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!SECRET_HEADERS.includes(name.toLowerCase())) kept[name] = value;
+  }
+  return kept;
+}
+
+// Top-up invoice callback: credit the wallet on PAID, fail the top-up on EXPIRED/FAILED
+async function processTopUp(payload, { provider }) {
+  const { objectId: invoiceId, referenceId: externalId, status } = provider.parseWebhook('topup', payload);
+  if (!invoiceId && !externalId) throw new WebhookError('Missing invoice ID or external ID', { permanent: true });
+
+  let wallet = invoiceId && await Wallet.findOne({ 'transactions.xenditId': invoiceId });
+  let transaction = wallet && wallet.transactions.find(t => t.xenditId === invoiceId);
+  if (!transaction && externalId) {
+    wallet = await Wallet.findOne({ 'transactions.referenceId': externalId });
+    transaction = wallet && wallet.transactions.find(t => t.referenceId === externalId);
+  }
+  // The callback can beat the pending transaction being saved; a retry will find it
+  if (!transaction) throw new WebhookError(`Top-up transaction not found for ${invoiceId || externalId}`);
+  if (transaction.status !== 'PENDING') return { status: 'already_processed' };
+
+  const { applied } = await topUp.applyTopUpStatus({ wallet, transaction, providerStatus: status });
+  if (applied) return { status: applied === 'COMPLETED' ? 'payment_completed' : 'payment_failed' };
+  return { status: topUp.walletStatusFor(status) ? 'already_processed' : 'ignored', providerStatus: status };
+}
+
+// Payout callback: complete the cash-out, or refund it when it FAILED or was REVERSED
+async function processCashOut(payload, { provider, io }) {
+  const { objectId, referenceId, status, failureReason } = provider.parseWebhook('cashout', payload);
+  if (!referenceId) throw new WebhookError('Missing reference ID', { permanent: true });
+
+  const result = await cashOutService.applyPayoutStatus({ referenceId, providerStatus: status, payoutId: objectId, failureReason, io });
+  if (!result) throw new WebhookError(`CASHOUT transaction not found for ${referenceId}`);
+  if (result.applied) return { status: `cashout_${result.applied.toLowerCase()}` };
+  return { status: result.transaction.status === 'PENDING' ? 'pending' : 'already_processed' };
+}
+
+// Payment callback: map the provider status for the payment's method
+async function processPayment(payload, { provider, io }) {
+  const { objectId: providerId, status } = provider.parseWebhook('payment', payload);
+  if (!providerId) throw new WebhookError('Missing provider id', { permanent: true });
+  const payment = await Payment.findOne({ providerId });
+  if (!payment) throw new WebhookError(`Payment not found for ${providerId}`);
+
+  const { from, to } = await paymentStatus.applyPaymentStatus(payment, { status, data: payload }, { io });
+  return { status: to, previousStatus: from };
+}
+
+// Processors by source
+const SOURCES = {
+  topup: processTopUp,
+  cashout: processCashOut,
+  payment: processPayment
+};
+
+/**
+ * Record a callback in the inbox, authenticated beforehand by middleware/webhookAuth
+ * (`req.webhookAuth`). Returns `{ event, duplicate, accepted }`; `accepted` is false when
+ * authentication failed and the event was stored as rejected. A repeat of a known event
+ * is only counted, unless it now passes a check the first delivery failed.
+ */
+async function receive(source, { headers = {}, body = {}, webhookAuth } = {}, { provider = payments.providerName() } = {}) {
+  if (!SOURCES[source]) throw new Error(`Unknown webhook source: ${source}`);
+
+  const accepted = Boolean(webhookAuth && webhookAuth.valid);
+  const fields = {
+    headers: storedHeaders(headers),
+    payload: body,
+    signatureValid: accepted,
+    authMethod: accepted ? webhookAuth.method : null,
+    status: accepted ? 'received' : 'rejected',
+    lastError: accepted ? null : `Authentication failed: ${(webhookAuth && webhookAuth.reason) || 'not-checked'}`,
+    nextAttemptAt: accepted ? new Date() : null
+  };
+  const eventId = eventIdFor(headers, body);
+
+  try {
+    const event = await WebhookEvent.create({ provider, source, eventId, ...fields });
+    return { event, duplicate: false, accepted };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const key = { provider, source, eventId };
+  if (accepted) {
+    const upgraded = await WebhookEvent.findOneAndUpdate(
+      { ...key, status: 'rejected' },
+      { $set: { ...fields, receivedAt: new Date() } },
+      { new: true }
+    );
+    if (upgraded) return { event: upgraded, duplicate: false, accepted };
+  }
+  const event = await WebhookEvent.findOneAndUpdate(key, { $inc: { duplicates: 1 } }, { new: true });
+  return { event, duplicate: true, accepted };
+}
+
+/**
+ * Run one processing attempt for an event, if it is waiting and due (or `force`d by a
+ * replay). Failures are retried with exponential backoff until MAX_ATTEMPTS, then the
+ * event is dead-lettered. Returns the updated event, or null if it was not claimed.
+ */
+async function processEvent(eventId, { io, force = false } = {}) {
+  const now = new Date();
+  const waiting = force
+    ? { status: { $in: ['received', 'failed', 'dead'] } }
+    : {
+      $or: [
+        { status: { $in: ['received', 'failed'] }, nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MINUTES * 60000) } }
+      ]
+    };
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, ...waiting },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!event) return null;
+
+  try {
+    const result = await SOURCES[event.source](event.payload || {}, { provider: payments.getProvider(event.provider), io });
+    return await WebhookEvent.findByIdAndUpdate(event._id, {
+      $set: { status: 'processed', result, processedAt: new Date(), lastError: null },
+      $unset: { lockedAt: '', nextAttemptAt: '' }
+    }, { new: true });
+  } catch (err) {
+    const dead = err.permanent || event.attempts >= MAX_ATTEMPTS;
+    console.error(`Webhook event ${event._id} (${event.source}) attempt ${event.attempts} failed:`, err.message);
+    return await WebhookEvent.findByIdAndUpdate(event._id, {
+      $set: {
+        status: dead ? 'dead' : 'failed',
+        lastError: err.message,
+        nextAttemptAt: dead ? null : new Date(Date.now() + retryDelaySeconds(event.attempts) * 1000)
+      },
+      $unset: { lockedAt: '' }
+    }, { new: true });
+  }
+}
+
+// Process an accepted event after the response has gone out
+function processSoon(event, io) {
+  setImmediate(() => {
+    processEvent(event._id, { io }).catch(err => console.error(`Webhook event ${event._id} processing failed:`, err.message));
+  });
+}
+
+/**
+ * Express handler for a provider callback endpoint, mounted after
+ * `webhookAuth('xendit', { passRejected: true })`. The callback is stored and
+ * acknowledged straight away; processing happens afterwards with retries.
+ */
+function handler(source) {
+  return async (req, res) => {
+    try {
+      const { event, duplicate, accepted } = await receive(source, req);
+      if (!accepted) {
+        return res.status(401).json({ error: 'Unauthorized webhook', code: req.webhookAuth && req.webhookAuth.reason });
+      }
+      if (!duplicate) processSoon(event, req.app && req.app.get('io'));
+      res.json({ received: true, eventId: event._id, duplicate, status: event.status });
+    } catch (err) {
+      // Not stored: let the provider deliver it again
+      console.error(`Error recording ${source} webhook:`, err);
+      res.status(500).json({ error: 'Failed to record webhook' });
+    }
+  };
+}
+
+/**
+ * Admin replay of a failed or dead-lettered event: one attempt now, regardless of its
+ * schedule. Rejected events (bad signature) and processed ones are not replayed.
+ */
+async function replay(eventId, { io, actorId } = {}) {
+  const event = await WebhookEvent.findById(eventId);
+  if (!event) return null;
+  if (!['failed', 'dead'].includes(event.status)) {
+    const err = new Error(`Only failed or dead events can be replayed (this one is ${event.status})`);
+    err.status = 409;
+    err.code = 'webhook-not-replayable';
+    throw err;
+  }
+  await WebhookEvent.updateOne({ _id: event._id }, { $set: { replayedBy: actorId } });
+  return (await processEvent(event._id, { io, force: true })) || WebhookEvent.findById(event._id);
+}
+
+// One pass over events that are due for a (re)try; returns how many were attempted
+async function processDueEvents({ io } = {}) {
+  const now = new Date();
+  const due = await WebhookEvent.find({
+    $or: [
+      { status: { $in: ['received', 'failed'] }, nextAttemptAt: { $lte: now } },
+      { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MINUTES * 60000) } }
+    ]
+  }).select('_id').sort({ nextAttemptAt: 1 }).limit(BATCH_SIZE);
+  let attempted = 0;
+  for (const { _id } of due) {
+    if (await processEvent(_id, { io })) attempted += 1;
+  }
+  return attempted;
+}
+
+let workerTimer = null;
+let working = false;
+
+// Retry due webhook events every WORKER_INTERVAL_SECONDS (once per process)
+function startWebhookWorker(io) {
+  if (workerTimer) return;
+  workerTimer = setInterval(async () => {
+    if (working) return;
+    working = true;
+    try {
+      await processDueEvents({ io });
+    } catch (err) {
+      console.warn('Webhook retry pass failed:', err.message);
+    } finally {
+      working = false;
+    }
+  }, WORKER_INTERVAL_SECONDS * 1000);
+  workerTimer.unref();
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  WebhookError,
+  eventIdFor,
+  retryDelaySeconds,
+  storedHeaders,
+  receive,
+  processEvent,
+  handler,
+  replay,
+  processDueEvents,
+  startWebhookWorker
+};
@@ -0,0 +1,32 @@
+const assert = require('assert');
+const { isDue, payoutAmount, MINIMUM } = require('../services/autoPayout');
+
+const monday = new Date(2026, 9, 19, 10, 0);
+const earlierToday = new Date(2026, 9, 19, 1, 0);
+const yesterday = new Date(2026, 9, 18, 23, 0);
+
+// Disabled or missing settings are never due
+assert.strictEqual(isDue(undefined, 1000, monday), false);
+assert.strictEqual(isDue({ enabled: false, frequency: 'daily' }, 1000, monday), false);
+
+// Daily: once per calendar day
+assert.strictEqual(isDue({ enabled: true, frequency: 'daily' }, 0, monday), true);
+assert.strictEqual(isDue({ enabled: true, frequency: 'daily', lastAttemptAt: yesterday }, 0, monday), true);
+assert.strictEqual(isDue({ enabled: true, frequency: 'daily', lastAttemptAt: earlierToday }, 0, monday), false);
+
+// Weekly: only on the chosen weekday, once
+assert.strictEqual(isDue({ enabled: true, frequency: 'weekly', weekday: 1, lastAttemptAt: yesterday }, 0, monday), true);
+assert.strictEqual(isDue({ enabled: true, frequency: 'weekly', weekday: 1, lastAttemptAt: earlierToday }, 0, monday), false);
+assert.strictEqual(isDue({ enabled: true, frequency: 'weekly', weekday: 5 }, 0, monday), false);
+
+// Threshold: whenever the available balance reaches it (and the minimum)
+assert.strictEqual(isDue({ enabled: true, frequency: 'threshold', threshold: 2000, lastAttemptAt: earlierToday }, 2000, monday), true);
+assert.strictEqual(isDue({ enabled: true, frequency: 'threshold', threshold: 2000 }, 1999.99, monday), false);
+assert.strictEqual(isDue({ enabled: true, frequency: 'threshold', threshold: 1 }, MINIMUM - 1, monday), false);
+
+// Amount: available balance capped by the limit, rounded down to centavos
+assert.strictEqual(payoutAmount(1234.567, 5000), 1234.56);
+assert.strictEqual(payoutAmount(8000, 5000), 5000);
+assert.strictEqual(payoutAmount(8000, 0), 0);
+
+console.log('autoPayout.unit.js passed');
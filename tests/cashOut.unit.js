@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { walletStatusFor, payoutLimitWindows, remainingPayoutLimit } = require('../services/cashOut');
+const { isRejection: isPayoutRejection } = require('../services/payments');
+
+// Provider statuses settle to wallet statuses, case-insensitively
+assert.strictEqual(walletStatusFor('COMPLETED'), 'COMPLETED');
+assert.strictEqual(walletStatusFor('succeeded'), 'COMPLETED');
+assert.strictEqual(walletStatusFor('FAILED'), 'FAILED');
+assert.strictEqual(walletStatusFor('CANCELLED'), 'FAILED');
+assert.strictEqual(walletStatusFor('REVERSED'), 'REVERSED');
+
+// In-flight and unknown statuses leave the cash-out pending
+assert.strictEqual(walletStatusFor('ACCEPTED'), null);
+assert.strictEqual(walletStatusFor('PENDING'), null);
+assert.strictEqual(walletStatusFor(undefined), null);
+
+// Only a refused payout request (4xx) is known to have no payout; timeouts, duplicates,
+// provider outages and network errors may hide one that went through
+assert.strictEqual(isPayoutRejection({ status: 400 }), true);
+assert.strictEqual(isPayoutRejection({ response: { status: 403 } }), true);
+assert.strictEqual(isPayoutRejection({ status: 408 }), false);
+assert.strictEqual(isPayoutRejection({ status: 409 }), false);
+assert.strictEqual(isPayoutRejection({ status: 503 }), false);
+assert.strictEqual(isPayoutRejection(new Error('socket hang up')), false);
+
+// Limits count pending and completed cash-outs of the current day and month only
+const now = new Date(2026, 9, 15, 14, 0);
+const transactions = [
+  { type: 'CASHOUT', status: 'COMPLETED', amount: 3000, createdAt: new Date(2026, 9, 15, 9, 0) },
+  { type: 'CASHOUT', status: 'PENDING', amount: 1000, createdAt: new Date(2026, 9, 15, 10, 0) },
+  { type: 'CASHOUT', status: 'FAILED', amount: 5000, createdAt: new Date(2026, 9, 15, 11, 0) },
+  { type: 'CASHOUT', status: 'COMPLETED', amount: 10000, createdAt: new Date(2026, 9, 2, 11, 0) },
+  { type: 'CASHOUT', status: 'COMPLETED', amount: 50000, createdAt: new Date(2026, 8, 30, 11, 0) },
+  { type: 'TOPUP', status: 'COMPLETED', amount: 9000, createdAt: new Date(2026, 9, 15, 12, 0) }
+];
+assert.strictEqual(remainingPayoutLimit(transactions, now, { daily: 5000, monthly: 100000 }), 1000);
+assert.strictEqual(remainingPayoutLimit(transactions, now, { daily: 50000, monthly: 20000 }), 6000);
+assert.strictEqual(remainingPayoutLimit(transactions, now, { daily: 3000, monthly: 100000 }), 0);
+assert.strictEqual(remainingPayoutLimit([], now, { daily: 5000, monthly: 100000 }), 5000);
+
+// The same windows go into the atomic cash-out update
+assert.deepStrictEqual(payoutLimitWindows(now, { daily: 5000, monthly: 100000 }), [
+  { since: new Date(2026, 9, 15), max: 5000 },
+  { since: new Date(2026, 9, 1), max: 100000 }
+]);
+
+console.log('cashOut.unit.js passed');
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { pickRule, splitFare, DEFAULT_RATE, isOverDebtLimit } = require('../services/commission');
+
+const rules = [
+  { _id: 'base', rate: 0.2, priority: 0 },
+  { _id: 'naga', city: 'naga city', rate: 0.18, priority: 0 },
+  { _id: 'naga-cash', city: 'naga city', paymentMethod: 'cash', rate: 0.15, priority: 0 },
+  { _id: 'gold', driverTier: 'gold', rate: 0.12, priority: 0 },
+  { _id: 'promo', city: 'naga city', rate: 0.1, priority: 5, validFrom: new Date('2026-12-01'), validTo: new Date('2026-12-31') },
+  { _id: 'inactive', city: 'legazpi', rate: 0.01, isActive: false }
+];
+const at = new Date('2026-11-15T10:00:00Z');
+
+assert.strictEqual(DEFAULT_RATE, 0.2);
+
+// Most specific match wins; city names are case-insensitive
+assert.strictEqual(pickRule(rules, { city: 'Naga City', paymentMethod: 'cash', at })._id, 'naga-cash');
+assert.strictEqual(pickRule(rules, { city: 'Naga City', paymentMethod: 'wallet', at })._id, 'naga');
+assert.strictEqual(pickRule(rules, { city: 'Iriga', driverTier: 'gold', paymentMethod: 'wallet', at })._id, 'gold');
+assert.strictEqual(pickRule(rules, { city: 'Iriga', driverTier: 'standard', at })._id, 'base');
+
+// Promo windows only apply inside their dates; priority breaks ties between equally specific rules
+assert.strictEqual(pickRule(rules, { city: 'naga city', paymentMethod: 'wallet', at: new Date('2026-12-10') })._id, 'promo');
+assert.strictEqual(pickRule(rules, { city: 'naga city', paymentMethod: 'wallet', at: new Date('2027-01-02') })._id, 'naga');
+
+// Inactive rules and no rules at all
+assert.strictEqual(pickRule(rules, { city: 'legazpi', at })._id, 'base');
+assert.strictEqual(pickRule([], { city: 'naga city', at }), null);
+
+// Split rounds to centavos and always adds up to the collected amount
+assert.deepStrictEqual(splitFare(87.55, 0.2), { rate: 0.2, commission: 17.51, driverEarnings: 70.04 });
+const split = splitFare(33.33, 0.15);
+assert.strictEqual(Math.round((split.commission + split.driverEarnings) * 100), 3333);
+
+// Debt limit: reaching the limit is allowed, going over it is not
+assert.strictEqual(isOverDebtLimit(500, 500), false);
+assert.strictEqual(isOverDebtLimit(500.01, 500), true);
+assert.strictEqual(isOverDebtLimit(undefined, 500), false);
+
+console.log('commission.unit.js passed');
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { computeFare, estimateTrip, estimateRoute, billableWaitingMinutes, haversineMeters, isNightTime } = require('../services/fare');
+
+const tariff = {
+  flagDown: 40,
+  perKm: 10,
+  perMinute: 1,
+  minimumFare: 50,
+  nightSurcharge: { enabled: true, startHour: 22, endHour: 5, percent: 20 },
+  timezone: 'Asia/Manila'
+};
+
+// 2026-01-15 10:00 Manila (02:00Z) is daytime, 23:00 Manila (15:00Z) is night
+const day = new Date('2026-01-15T02:00:00Z');
+const night = new Date('2026-01-15T15:00:00Z');
+
+// Distance: ~1.11km per 0.01 degree of latitude
+const meters = haversineMeters([123.18, 13.62], [123.18, 13.63]);
+assert.ok(meters > 1100 && meters < 1120);
+
+const trip = estimateTrip({ coordinates: [123.18, 13.62] }, { latitude: 13.63, longitude: 123.18 });
+assert.ok(trip.distance > 1.4 && trip.distance < 1.5);
+assert.ok(trip.duration >= 1);
+assert.throws(() => estimateTrip({ coordinates: [200, 13] }, { coordinates: [123, 13] }), /Invalid location/);
+
+// Daytime fare: 40 + 3km*10 + 10min*1 = 80
+const dayFare = computeFare(tariff, { distance: 3, duration: 10, at: day });
+assert.strictEqual(dayFare.fare, 80);
+assert.strictEqual(dayFare.breakdown.nightSurcharge, 0);
+
+// Night surcharge wraps past midnight
+assert.strictEqual(isNightTime(night, tariff), true);
+assert.strictEqual(isNightTime(day, tariff), false);
+const nightFare = computeFare(tariff, { distance: 3, duration: 10, at: night });
+assert.strictEqual(nightFare.fare, 96);
+
+// Minimum fare
+const shortFare = computeFare(tariff, { distance: 0.2, duration: 1, at: day });
+assert.strictEqual(shortFare.fare, 50);
+assert.strictEqual(shortFare.breakdown.minimumFareApplied, true);
+
+// Multi-stop routes add up their legs
+const route = estimateRoute([{ coordinates: [123.18, 13.62] }, { coordinates: [123.18, 13.63] }, { coordinates: [123.18, 13.64] }]);
+assert.strictEqual(route.legs.length, 2);
+assert.ok(Math.abs(route.distance - (route.legs[0].distance + route.legs[1].distance)) < 0.011);
+assert.strictEqual(route.duration, route.legs[0].duration + route.legs[1].duration);
+
+// Waiting beyond the free minutes per stop, and per-stop charges: 80 + 2*5 + 4min*2 = 98
+assert.strictEqual(billableWaitingMinutes([{ waitingMinutes: 5 }, { waitingMinutes: 2 }, { waitingMinutes: 4.5 }], 3), 3.5);
+assert.strictEqual(billableWaitingMinutes([], 3), 0);
+const stopTariff = { ...tariff, perStop: 5, waitingPerMinute: 2 };
+const stopFare = computeFare(stopTariff, { distance: 3, duration: 10, stops: 2, waitingMinutes: 4, at: day });
+assert.strictEqual(stopFare.fare, 98);
+assert.strictEqual(stopFare.breakdown.stopCharge, 10);
+assert.strictEqual(stopFare.breakdown.waitingCharge, 8);
+
+console.log('fare.unit.js passed');
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotency = require('../middleware/idempotency');
+const { requestHash, stableStringify } = idempotency;
+
+// Key order does not matter, values and nesting do
+assert.strictEqual(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } }), '{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+assert.strictEqual(
+  requestHash('POST', '/api/wallet/topup', { amount: 500, paymentMethod: 'GCASH' }),
+  requestHash('POST', '/api/wallet/topup', { paymentMethod: 'GCASH', amount: 500 })
+);
+assert.notStrictEqual(
+  requestHash('POST', '/api/wallet/topup', { amount: 500 }),
+  requestHash('POST', '/api/wallet/topup', { amount: 5000 })
+);
+// The same body on another route is a different request
+assert.notStrictEqual(
+  requestHash('POST', '/api/wallet/topup', { amount: 500 }),
+  requestHash('POST', '/api/wallet/cashout', { amount: 500 })
+);
+// A missing body hashes like an empty one
+assert.strictEqual(requestHash('POST', '/api/payments', undefined), requestHash('POST', '/api/payments', {}));
+
+async function run() {
+  const released = [];
+  IdempotencyKey.create = async () => ({ _id: 'k1' });
+  IdempotencyKey.deleteOne = (filter) => {
+    released.push(filter);
+    return Promise.resolve();
+  };
+  const request = () => ({ get: () => 'key-1', user: { _id: 'u1' }, method: 'POST', baseUrl: '/api/wallet', path: '/cashout', body: {} });
+  const response = () => Object.assign(new EventEmitter(), { statusCode: 200, json() { return this; } });
+
+  // A response sent without res.json releases the key once, whatever events follow
+  const sent = response();
+  await idempotency(request(), sent, () => {});
+  sent.emit('finish');
+  sent.emit('close');
+  assert.deepStrictEqual(released, [{ _id: 'k1', status: 'processing' }]);
+
+  // So does a client that disconnects before any response
+  const abandoned = response();
+  await idempotency(request(), abandoned, () => {});
+  abandoned.emit('close');
+  assert.strictEqual(released.length, 2);
+
+  console.log('idempotency.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+const assert = require('assert');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledger = require('../services/ledger');
+
+const wallet = ledger.walletAccount('abc');
+assert.strictEqual(wallet, 'wallet:abc');
+
+// Transfer legs debit the source and credit the destination, rounded to centavos
+const legs = ledger.transferLegs(10.005, ledger.ACCOUNTS.PROVIDER_CLEARING, wallet);
+assert.deepStrictEqual(legs, [
+  { account: 'platform:provider-clearing', debit: 10.01 },
+  { account: 'wallet:abc', credit: 10.01 }
+]);
+assert.strictEqual(LedgerEntry.isBalanced(legs), true);
+
+// Split entries balance in centavos despite float sums
+assert.strictEqual(LedgerEntry.isBalanced([
+  { account: 'wallet:p', debit: 0.3 },
+  { account: 'wallet:d', credit: 0.1 },
+  { account: 'platform:revenue', credit: 0.2 }
+]), true);
+
+// Unbalanced, single-leg, two-sided and zero legs are rejected
+assert.strictEqual(LedgerEntry.isBalanced([{ account: 'a', debit: 5 }, { account: 'b', credit: 4 }]), false);
+assert.strictEqual(LedgerEntry.isBalanced([{ account: 'a', debit: 5 }]), false);
+assert.strictEqual(LedgerEntry.isBalanced([{ account: 'a', debit: 5, credit: 5 }, { account: 'b', credit: 0 }]), false);
+assert.strictEqual(LedgerEntry.isBalanced([{ account: 'a', debit: 0 }, { account: 'b', credit: 0 }]), false);
+
+// Validation runs on the model
+const entry = new LedgerEntry({ journalId: 'j1', kind: 'TOPUP', legs: [{ account: 'a', debit: 1 }, { account: 'b', credit: 2 }] });
+assert.ok(entry.validateSync().errors.legs);
+
+console.log('ledger.unit.js passed');
@@ -0,0 +1,98 @@
+const assert = require('assert');
+
+process.env.MOCK_PAYMENT_DELAY_MS = '20';
+process.env.PAYMENT_GATEWAY = 'mock';
+process.env.XENDIT_CALLBACK_TOKEN = 'callback-token';
+delete process.env.WEBHOOK_TEST_SECRET;
+
+const payments = require('../services/payments');
+const mock = require('../services/payments/mock');
+const xendit = require('../services/payments/xendit');
+const { authenticate } = require('../middleware/webhookAuth');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  // The configured provider answers the interface; the mock is refused in production
+  assert.strictEqual(payments.getProvider().name, 'mock');
+  assert.strictEqual(payments.getProvider('xendit'), xendit);
+  assert.throws(() => payments.getProvider('paymongo'), /Unknown payment provider/);
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => payments.getProvider(), /production/);
+  process.env.NODE_ENV = 'test';
+
+  const delivered = [];
+  mock.setWebhookHandler(async (delivery) => { delivered.push(delivery); });
+
+  // A top-up invoice is paid after the delay and calls the top-up webhook, authenticated
+  const invoice = await payments.createInvoice({ amount: 250, external_id: 'topup_user_1', description: 'Top-up' });
+  assert.strictEqual(invoice.status, 'PENDING');
+  assert.ok(invoice.invoice_url);
+  await wait(60);
+  assert.strictEqual((await payments.getInvoice(invoice.id)).status, 'PAID');
+  assert.strictEqual(delivered.length, 1);
+  assert.strictEqual(delivered[0].path, '/api/wallet/webhook/topup');
+  assert.strictEqual(authenticate({ headers: delivered[0].headers, ip: '127.0.0.1', query: {} }, 'xendit').valid, true);
+  assert.deepStrictEqual(payments.parseWebhook('topup', delivered[0].body), { objectId: invoice.id, referenceId: 'topup_user_1', status: 'PAID' });
+
+  // A failed payout calls the cash-out webhook with a failure code
+  mock.queueOutcome('failure');
+  const payout = await payments.createPayout({ amount: 500, accountHolderName: 'Juan Dela Cruz', accountNumber: '1234567890', bankCode: 'PH_BDO', referenceId: 'payout_1' });
+  await wait(60);
+  const cashout = delivered.find(d => d.path === '/api/wallet/webhook/cashout');
+  assert.deepStrictEqual(payments.parseWebhook('cashout', cashout.body), { objectId: payout.id, referenceId: 'payout_1', status: 'FAILED', failureReason: 'MOCK_FAILURE' });
+
+  // E-wallet charges for payments call the payment webhook wrapped in an event
+  const charge = await payments.createEwalletCharge({ reference_id: 'eyy_1', amount: 80, channel_code: 'PH_GCASH' });
+  await wait(60);
+  const ewallet = delivered.find(d => d.path === '/api/payments/webhook');
+  assert.strictEqual(ewallet.body.event, 'ewallet.capture');
+  assert.deepStrictEqual(payments.parseWebhook('payment', ewallet.body), { objectId: charge.id, referenceId: 'eyy_1', status: 'SUCCEEDED' });
+
+  // no-webhook settles silently (for reconciliation); pending never settles; error fails the call
+  const count = delivered.length;
+  mock.queueOutcome('no-webhook', 'pending', 'error');
+  const silent = await payments.createInvoice({ amount: 100, external_id: 'eyy_2' });
+  const stuck = await payments.createPaymentRequest({ amount: 100, paymentMethod: { type: 'EWALLET' }, user: { _id: 'user_1' } });
+  await assert.rejects(payments.createPayout({ amount: 100, accountHolderName: 'A', accountNumber: '1', bankCode: 'PH_BDO' }), err => err.status === 503);
+  await wait(60);
+  assert.strictEqual(delivered.length, count);
+  assert.strictEqual((await payments.getInvoice(silent.id)).status, 'PAID');
+  assert.ok(stuck.id.startsWith('pr-'));
+  assert.strictEqual((await payments.getPaymentRequest(stuck.id)).status, 'PENDING');
+
+  // Manual settlement, e.g. a bank reversing a completed payout
+  mock.settle(payout.id, 'REVERSED');
+  await wait(10);
+  assert.strictEqual(payments.parseWebhook('cashout', delivered[delivered.length - 1].body).status, 'REVERSED');
+
+  // Card charges settle in the request; unknown ids are 404s, unknown payout references null
+  mock.queueOutcome('failure');
+  assert.strictEqual((await payments.createCardCharge({ token_id: 'tok', amount: 50 })).status, 'FAILED');
+  assert.strictEqual((await payments.createCardCharge({ token_id: 'tok', amount: 50 })).status, 'CAPTURED');
+  await assert.rejects(payments.getPayout('missing'), err => err.status === 404);
+  assert.strictEqual((await payments.findPayoutByReference('payout_1')).id, payout.id);
+  assert.strictEqual(await payments.findPayoutByReference('payout_missing'), null);
+
+  // Refunds of paid objects only, and never more than was paid
+  const card = await payments.createCardCharge({ token_id: 'tok', amount: 120 });
+  const partial = await payments.createRefund({ method: 'credit_card', providerId: card.id, amount: 20, reason: 'Late pickup', referenceId: 'refund_1' });
+  assert.strictEqual(partial.status, 'SUCCEEDED');
+  await assert.rejects(payments.createRefund({ method: 'credit_card', providerId: card.id, amount: 100.5, referenceId: 'refund_2' }), err => err.status === 400);
+  mock.queueOutcome('failure');
+  assert.strictEqual((await payments.createRefund({ method: 'credit_card', providerId: card.id, amount: 100, referenceId: 'refund_3' })).status, 'FAILED');
+  const full = await payments.createRefund({ method: 'credit_card', providerId: card.id, amount: 100, referenceId: 'refund_4' });
+  assert.strictEqual(full.status, 'SUCCEEDED');
+  // Retrying a reference returns the same refund, which can be looked up
+  assert.strictEqual((await payments.createRefund({ method: 'credit_card', providerId: card.id, amount: 100, referenceId: 'refund_4' })).id, full.id);
+  assert.strictEqual((await payments.getRefund({ method: 'credit_card', providerId: card.id, refundId: full.id })).status, 'SUCCEEDED');
+  await assert.rejects(payments.createRefund({ method: 'invoice', providerId: stuck.id, amount: 10, referenceId: 'refund_5' }), /cannot be refunded/);
+
+  mock.reset();
+  console.log('paymentProvider.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
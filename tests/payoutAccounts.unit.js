@@ -0,0 +1,18 @@
+const assert = require('assert');
+const { namesMatch } = require('../services/payoutAccounts');
+
+const driver = { firstName: 'Juan Pablo', middleName: 'Santos', lastName: 'dela Cruz' };
+
+// Order, case, punctuation, middle names and suffixes do not matter
+assert.strictEqual(namesMatch('JUAN DELA CRUZ', driver), true);
+assert.strictEqual(namesMatch('Dela Cruz, Juan Pablo S.', driver), true);
+assert.strictEqual(namesMatch('juan p. dela cruz jr.', driver), true);
+assert.strictEqual(namesMatch('Peña Maria', { firstName: 'María', lastName: 'Pena' }), true);
+
+// First given name and the whole last name are required
+assert.strictEqual(namesMatch('Pablo dela Cruz', driver), false);
+assert.strictEqual(namesMatch('Juan Cruz', driver), false);
+assert.strictEqual(namesMatch('Maria Santos', driver), false);
+assert.strictEqual(namesMatch('', driver), false);
+
+console.log('payoutAccounts.unit.js passed');
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { poolOptions, pooledFare, evaluatePlan, planInsertion, syncRide, DISCOUNT_PERCENT, MAX_SEATS_PER_RIDE } = require('../services/pooling');
+const PoolTrip = require('../models/PoolTrip');
+const User = require('../models/User');
+
+const codeOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+};
+
+// Booking options
+assert.deepStrictEqual(poolOptions({}), { requested: false, seats: 1 });
+assert.deepStrictEqual(poolOptions({ pool: 'true', seats: '2' }), { requested: true, seats: 2 });
+assert.strictEqual(codeOf(() => poolOptions({ pool: true, seats: MAX_SEATS_PER_RIDE + 1 })), 'invalid-seats');
+assert.strictEqual(codeOf(() => poolOptions({ pool: true, stops: [{ address: 'Market' }] })), 'pool-stops-not-supported');
+
+// Discounted fare
+const pooled = pooledFare(100);
+assert.strictEqual(pooled.discount, DISCOUNT_PERCENT);
+assert.strictEqual(pooled.fare, 100 - DISCOUNT_PERCENT);
+
+// Points along one street, ~1.1km apart (0.01 degree of latitude)
+const at = (n) => [123.18, 13.6 + n * 0.01];
+const ride = (id, from, to, seats = 1) => ({
+  _id: id,
+  pool: { seats },
+  pickupLocation: { coordinates: at(from), address: `p${from}` },
+  dropoffLocation: { coordinates: at(to), address: `d${to}` }
+});
+const waypoints = (r) => [
+  { ride: r._id, kind: 'pickup', coordinates: r.pickupLocation.coordinates, seats: r.pool.seats, status: 'pending' },
+  { ride: r._id, kind: 'dropoff', coordinates: r.dropoffLocation.coordinates, seats: r.pool.seats, status: 'pending' }
+];
+
+// A second passenger going the same way fits between the first one's pickup and dropoff
+const first = ride('a', 0, 4);
+const plan = planInsertion(at(0), waypoints(first), ride('b', 1, 3), { capacity: 3 });
+assert.ok(plan);
+assert.deepStrictEqual(plan.plan.map(w => `${w.kind}:${w.ride}`), ['pickup:a', 'pickup:b', 'dropoff:b', 'dropoff:a']);
+assert.ok(plan.addedMeters < 100);
+
+// Seat capacity is enforced while both are on board, and waiting for a seat to free up
+// is too long a wait
+assert.strictEqual(evaluatePlan(at(0), plan.plan, { capacity: 1 }), null);
+assert.strictEqual(planInsertion(at(0), waypoints(ride('a', 0, 4, 2)), ride('b', 1, 3), { capacity: 2 }), null);
+
+// Passengers already on board count against the seats and their ride is measured from the start
+const dropoffOnly = [waypoints(first)[1]];
+const joined = planInsertion(at(0), dropoffOnly, ride('b', 1, 3), { onboard: [{ ride: 'a', seats: 1 }], capacity: 3 });
+assert.deepStrictEqual(joined.plan.map(w => `${w.kind}:${w.ride}`), ['pickup:b', 'dropoff:b', 'dropoff:a']);
+assert.strictEqual(planInsertion(at(0), dropoffOnly, ride('b', 1, 3), { onboard: [{ ride: 'a', seats: 3 }], capacity: 3 }), null);
+
+// A ride in the opposite direction would double the first passenger's trip: no fit
+assert.strictEqual(planInsertion(at(0), waypoints(first), ride('c', 1, -4), { capacity: 3 }), null);
+
+async function run() {
+  // Starting a ride marks its own pickup done by ride and kind, under the trip's revision,
+  // and re-reads the trip when a join changed it in between
+  const second = ride('b', 1, 3);
+  const reads = [
+    { _id: 't1', driver: 'd1', status: 'active', revision: 3, waypoints: waypoints(first) },
+    { _id: 't1', driver: 'd1', status: 'active', revision: 4, waypoints: [...waypoints(second), ...waypoints(first)] }
+  ];
+  const updates = [];
+  PoolTrip.findById = async () => reads.shift();
+  PoolTrip.findOneAndUpdate = async (filter, update, options) => {
+    updates.push({ filter, update, options });
+    if (filter.revision === 3) return null;
+    return { _id: 't1', driver: 'd1', status: 'active', waypoints: [{ ...waypoints(first)[0], status: 'done' }, ...waypoints(second), waypoints(first)[1]] };
+  };
+  User.updateOne = async () => ({ modifiedCount: 0 });
+  await syncRide({ _id: 'a', status: 'in-progress', pool: { trip: 't1' } });
+  assert.deepStrictEqual(updates.map(u => u.filter.revision), [3, 4]);
+  assert.deepStrictEqual(updates[1].options.arrayFilters, [{ 'w.ride': 'a', 'w.kind': { $in: ['pickup'] }, 'w.status': 'pending' }]);
+  assert.strictEqual(updates[1].update.$set['waypoints.$[w].status'], 'done');
+  assert.strictEqual(updates[1].update.$set.status, undefined);
+
+  // The last ride to finish completes the trip; statuses that move no waypoint write nothing
+  updates.length = 0;
+  PoolTrip.findById = async () => ({ _id: 't1', driver: 'd1', status: 'active', revision: 7, waypoints: [{ ...waypoints(first)[0], status: 'done' }, waypoints(first)[1]] });
+  PoolTrip.findOneAndUpdate = async (filter, update) => {
+    updates.push({ filter, update });
+    return { _id: 't1', status: 'completed', waypoints: [] };
+  };
+  await syncRide({ _id: 'a', status: 'completed', pool: { trip: 't1' } });
+  assert.strictEqual(updates[0].update.$set.status, 'completed');
+  assert.strictEqual(await syncRide({ _id: 'a', status: 'arrived', pool: { trip: 't1' } }), null);
+  assert.strictEqual(updates.length, 1);
+
+  console.log('pooling.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
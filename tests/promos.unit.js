@@ -0,0 +1,44 @@
+const assert = require('assert');
+const { computeDiscount, eligibilityError, normalizeCode } = require('../services/promos');
+
+// Percentage discounts are capped; no discount exceeds the fare
+assert.strictEqual(computeDiscount({ discountType: 'percentage', value: 20, maxDiscount: null }, 150), 30);
+assert.strictEqual(computeDiscount({ discountType: 'percentage', value: 50, maxDiscount: 40 }, 150), 40);
+assert.strictEqual(computeDiscount({ discountType: 'percentage', value: 15, maxDiscount: null }, 66.66), 10);
+assert.strictEqual(computeDiscount({ discountType: 'fixed', value: 50 }, 120), 50);
+assert.strictEqual(computeDiscount({ discountType: 'fixed', value: 50 }, 45), 45);
+assert.strictEqual(normalizeCode('  welcome10 '), 'WELCOME10');
+
+const promo = {
+  isActive: true,
+  validFrom: new Date('2026-06-01'),
+  validTo: new Date('2026-06-30'),
+  cities: ['naga city'],
+  firstRideOnly: false,
+  usageLimit: 100,
+  usedCount: 10,
+  perUserLimit: 2,
+  referrer: null
+};
+const ok = { userId: 'user_1', city: 'Naga City ', at: new Date('2026-06-15'), isFirstRide: false, redemptions: 1 };
+const codeOf = (overrides, ctx = {}) => {
+  const error = eligibilityError({ ...promo, ...overrides }, { ...ok, ...ctx });
+  return error && error.code;
+};
+
+assert.strictEqual(codeOf({}), null);
+assert.strictEqual(codeOf({ isActive: false }), 'promo-inactive');
+assert.strictEqual(codeOf({}, { at: new Date('2026-05-31') }), 'promo-not-started');
+assert.strictEqual(codeOf({}, { at: new Date('2026-07-01') }), 'promo-expired');
+assert.strictEqual(codeOf({}, { city: 'Legazpi' }), 'promo-not-valid-in-city');
+assert.strictEqual(codeOf({ cities: [] }, { city: 'Legazpi' }), null);
+assert.strictEqual(codeOf({ firstRideOnly: true }), 'promo-first-ride-only');
+assert.strictEqual(codeOf({ firstRideOnly: true }, { isFirstRide: true }), null);
+assert.strictEqual(codeOf({ usedCount: 100 }), 'promo-usage-limit');
+assert.strictEqual(codeOf({ usageLimit: null, usedCount: 5000 }), null);
+assert.strictEqual(codeOf({}, { redemptions: 2 }), 'promo-already-used');
+assert.strictEqual(codeOf({ referrer: 'user_1' }), 'promo-own-referral');
+assert.strictEqual(codeOf({ referrer: 'user_2' }), null);
+assert.strictEqual(eligibilityError({ ...promo, usedCount: 100 }, ok).status, 409);
+
+console.log('promos.unit.js passed');
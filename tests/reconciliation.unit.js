@@ -0,0 +1,46 @@
+const assert = require('assert');
+const { summarize } = require('../services/reconciliation');
+const { paymentStatusFor } = require('../services/paymentStatus');
+const topUp = require('../services/topUp');
+const { toCsv } = require('../utils/csv');
+
+// Counts and amounts per kind; anything not matched or fixed is unresolved
+const totals = summarize([
+  { kind: 'payment', resolution: 'matched', amount: 100 },
+  { kind: 'payment', resolution: 'fixed', amount: 250.5 },
+  { kind: 'payment', resolution: 'unsupported', amount: 40 },
+  { kind: 'topup', resolution: 'fixed', amount: 0.1 },
+  { kind: 'topup', resolution: 'fixed', amount: 0.2 },
+  { kind: 'cashout', resolution: 'error', amount: 500 },
+  { kind: 'cashout', resolution: 'unresolved', amount: 300 },
+  { kind: 'refund', resolution: 'fixed', amount: 75 }
+]);
+assert.deepStrictEqual(totals.payment, { checked: 3, matched: 1, fixed: 1, unresolved: 1, amountFixed: 250.5, amountUnresolved: 40 });
+assert.deepStrictEqual(totals.topup, { checked: 2, matched: 0, fixed: 2, unresolved: 0, amountFixed: 0.3, amountUnresolved: 0 });
+assert.deepStrictEqual(totals.cashout, { checked: 2, matched: 0, fixed: 0, unresolved: 2, amountFixed: 0, amountUnresolved: 800 });
+assert.deepStrictEqual(totals.refund, { checked: 1, matched: 0, fixed: 1, unresolved: 0, amountFixed: 75, amountUnresolved: 0 });
+assert.strictEqual(summarize([]).payment.checked, 0);
+
+// Provider statuses by payment method; in-flight statuses keep the current one
+assert.strictEqual(paymentStatusFor('invoice', 'PAID', 'PENDING'), 'PAID');
+assert.strictEqual(paymentStatusFor('invoice', 'SETTLED', 'PENDING'), 'PAID');
+assert.strictEqual(paymentStatusFor('invoice', 'EXPIRED', 'PENDING'), 'EXPIRED');
+assert.strictEqual(paymentStatusFor('ewallet', 'SUCCEEDED', 'PENDING'), 'PAID');
+assert.strictEqual(paymentStatusFor('ewallet', 'PENDING', 'PENDING'), 'PENDING');
+assert.strictEqual(paymentStatusFor('credit_card', 'CAPTURED', 'PENDING'), 'PAID');
+assert.strictEqual(paymentStatusFor('payment_request', 'EXPIRED', 'PENDING'), 'EXPIRED');
+assert.strictEqual(paymentStatusFor('va', 'PAID', 'PENDING'), 'PENDING');
+
+// Top-up provider statuses settle to wallet statuses
+assert.strictEqual(topUp.walletStatusFor('paid'), 'COMPLETED');
+assert.strictEqual(topUp.walletStatusFor('SUCCEEDED'), 'COMPLETED');
+assert.strictEqual(topUp.walletStatusFor('EXPIRED'), 'FAILED');
+assert.strictEqual(topUp.walletStatusFor('PENDING'), null);
+
+// CSV export quotes separators, quotes and line breaks
+assert.strictEqual(
+  toCsv([{ kind: 'topup', message: 'Timeout, "retry"' }, { kind: 'cashout' }], ['kind', 'message', ['amount', row => row.amount]]),
+  'kind,message,amount\r\ntopup,"Timeout, ""retry""",\r\ncashout,,\r\n'
+);
+
+console.log('reconciliation.unit.js passed');
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { refundAmount, refundStatusFor, succeededAmount, driverShare } = require('../services/refunds');
+
+// No amount refunds the remainder; partial amounts must fit in it
+assert.strictEqual(refundAmount(250, 0), 250);
+assert.strictEqual(refundAmount(250, 100.5), 149.5);
+assert.strictEqual(refundAmount(250, undefined, '80.255'), 80.26);
+assert.strictEqual(refundAmount(0.3, 0.1, 0.2), 0.2);
+assert.throws(() => refundAmount(250, 250), err => err.code === 'already-refunded' && err.status === 409);
+assert.throws(() => refundAmount(250, 200, 60), err => err.code === 'amount-exceeds-refundable');
+assert.throws(() => refundAmount(250, 0, 'abc'), err => err.code === 'invalid-amount');
+assert.throws(() => refundAmount(250, 0, -5), err => err.code === 'invalid-amount');
+assert.throws(() => refundAmount(250, 0, 0.001), err => err.code === 'invalid-amount');
+
+// Provider statuses (card refunds use COMPLETED/REQUESTED)
+assert.strictEqual(refundStatusFor('SUCCEEDED'), 'SUCCEEDED');
+assert.strictEqual(refundStatusFor('COMPLETED'), 'SUCCEEDED');
+assert.strictEqual(refundStatusFor('failed'), 'FAILED');
+assert.strictEqual(refundStatusFor('REQUESTED'), 'PENDING');
+assert.strictEqual(refundStatusFor(undefined), 'PENDING');
+
+// Only refunds the provider confirmed count as refunded; open and failed ones do not
+assert.strictEqual(succeededAmount({ refunds: [
+  { amount: 100, status: 'SUCCEEDED' },
+  { amount: 50.1, status: 'SUCCEEDED' },
+  { amount: 30, status: 'PENDING' },
+  { amount: 20, status: 'FAILED' }
+] }), 150.1);
+assert.strictEqual(succeededAmount({ refunds: [{ amount: 80, status: 'REQUESTED' }] }), 0);
+assert.strictEqual(succeededAmount({}), 0);
+
+// The driver gives back their share of what was collected; commission is the platform's
+const ride = { commission: { status: 'collected', amount: 40 }, driverEarnings: 160 };
+assert.strictEqual(driverShare(ride, 200, 200), 160);
+assert.strictEqual(driverShare(ride, 200, 50), 40);
+assert.strictEqual(driverShare({ ...ride, driverEarnings: undefined }, 200, 50), 50);
+assert.strictEqual(driverShare({ commission: { status: 'uncollected' } }, 200, 50), 50);
+assert.strictEqual(driverShare({}, 200, 75), 75);
+
+console.log('refunds.unit.js passed');
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const RideOffer = require('../models/RideOffer');
+const { acceptRide } = require('../services/rideAcceptance');
+
+const stamp = Date.now();
+const address = { city: 'Naga City', province: 'Camarines Sur' };
+
+function makeUser(role, i) {
+  return User.create({
+    firstName: 'Race',
+    lastName: `${role}${i}`,
+    email: `race_${role}_${i}_${stamp}@test.com`,
+    password: 'secret123',
+    phoneNumber: `0917${String(stamp).slice(-6)}${i}`,
+    role,
+    address,
+    licenseNumber: role === 'driver' ? `LIC-${stamp}-${i}` : undefined,
+    approvalStatus: 'approved'
+  });
+}
+
+function makeRide(passenger) {
+  return Ride.create({
+    passenger: passenger._id,
+    pickupLocation: { coordinates: [123.18, 13.62], address: 'Pickup' },
+    dropoffLocation: { coordinates: [123.19, 13.63], address: 'Dropoff' },
+    fare: 80,
+    distance: 3,
+    duration: 10,
+    paymentMethod: 'cash'
+  });
+}
+
+// Open offers of `ride` to `drivers`, as a dispatch wave makes them
+function offer(ride, drivers) {
+  const expiresAt = new Date(Date.now() + 60000);
+  return RideOffer.insertMany(drivers.map(d => ({ ride: ride._id, driver: d._id || d, wave: 1, expiresAt })));
+}
+
+// Settle all attempts and split them into winners and 409 codes
+async function race(attempts) {
+  const results = await Promise.allSettled(attempts);
+  return {
+    winners: results.filter(r => r.status === 'fulfilled').map(r => r.value),
+    codes: results.filter(r => r.status === 'rejected').map(r => r.reason.code)
+  };
+}
+
+;(async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/eyytrike_test');
+  const passenger = await makeUser('commuter', 0);
+  const drivers = await Promise.all([1, 2, 3, 4, 5].map(i => makeUser('driver', i)));
+  const rides = [];
+
+  try {
+    // Five drivers accept the same ride at the same moment: exactly one wins
+    const ride = await makeRide(passenger);
+    rides.push(ride);
+    await offer(ride, drivers);
+    const first = await race(drivers.map(d => acceptRide({ rideId: ride._id, driver: d })));
+    assert.strictEqual(first.winners.length, 1);
+    assert.deepStrictEqual(first.codes, ['ride-already-taken', 'ride-already-taken', 'ride-already-taken', 'ride-already-taken']);
+    const stored = await Ride.findById(ride._id);
+    assert.strictEqual(stored.status, 'accepted');
+    assert.strictEqual(stored.driver.toString(), first.winners[0].driver.toString());
+    assert.strictEqual(stored.statusHistory.filter(h => h.to === 'accepted').length, 1);
+
+    // Losers did not keep an active-ride slot
+    const winnerId = first.winners[0].driver.toString();
+    const losers = await User.find({ _id: { $in: drivers.map(d => d._id) }, activeRide: { $ne: null } });
+    assert.deepStrictEqual(losers.map(u => u._id.toString()), [winnerId]);
+
+    // The winner cannot accept a second ride while the first is active
+    const second = await makeRide(passenger);
+    rides.push(second);
+    await offer(second, drivers);
+    await assert.rejects(acceptRide({ rideId: second._id, driver: winnerId }), err => err.code === 'driver-has-active-ride');
+
+    // One free driver accepting two rides at once gets only one of them
+    const free = drivers.find(d => d._id.toString() !== winnerId);
+    const third = await makeRide(passenger);
+    rides.push(third);
+    await offer(third, drivers);
+    const both = await race([acceptRide({ rideId: second._id, driver: free }), acceptRide({ rideId: third._id, driver: free })]);
+    assert.strictEqual(both.winners.length, 1);
+    assert.deepStrictEqual(both.codes, ['driver-has-active-ride']);
+
+    // Drivers without an open offer cannot take a ride, even when it is still pending
+    const unoffered = await makeRide(passenger);
+    rides.push(unoffered);
+    const idle = drivers.filter(d => d._id.toString() !== winnerId && d._id.toString() !== free._id.toString());
+    await assert.rejects(acceptRide({ rideId: unoffered._id, driver: idle[0] }), err => err.code === 'no-open-offer');
+    await RideOffer.create({ ride: unoffered._id, driver: idle[0]._id, wave: 1, expiresAt: new Date(Date.now() - 1000) });
+    await assert.rejects(acceptRide({ rideId: unoffered._id, driver: idle[0] }), err => err.code === 'no-open-offer');
+
+    console.log('rideAcceptance.integration.js passed');
+  } finally {
+    await Ride.deleteMany({ _id: { $in: rides.map(r => r._id) } });
+    await RideOffer.deleteMany({ ride: { $in: rides.map(r => r._id) } });
+    await User.deleteMany({ _id: { $in: [passenger._id, ...drivers.map(d => d._id)] } });
+    await mongoose.disconnect();
+  }
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
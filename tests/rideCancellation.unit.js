@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { computeCancellationFee, reasonsFor } = require('../services/rideCancellation');
+
+const now = new Date('2026-03-01T10:00:00Z');
+const minutesAgo = m => new Date(now.getTime() - m * 60000);
+
+const accepted = { status: 'accepted', fare: 80, acceptedAt: minutesAgo(10) };
+
+// Only passengers pay, and only after acceptance
+assert.strictEqual(computeCancellationFee(accepted, { role: 'driver', fee: 20, now, driverDistanceMeters: 100 }), 0);
+assert.strictEqual(computeCancellationFee({ status: 'pending', fare: 80 }, { role: 'passenger', fee: 20, now }), 0);
+
+// Grace period after acceptance
+assert.strictEqual(computeCancellationFee({ ...accepted, acceptedAt: minutesAgo(1) }, { role: 'passenger', fee: 20, now, driverDistanceMeters: 100 }), 0);
+
+// Driver far away or position unknown: no fee
+assert.strictEqual(computeCancellationFee(accepted, { role: 'passenger', fee: 20, now, driverDistanceMeters: 3000 }), 0);
+assert.strictEqual(computeCancellationFee(accepted, { role: 'passenger', fee: 20, now }), 0);
+
+// Driver close, or already arrived: fee applies (never more than the fare)
+assert.strictEqual(computeCancellationFee(accepted, { role: 'passenger', fee: 20, now, driverDistanceMeters: 200 }), 20);
+assert.strictEqual(computeCancellationFee({ ...accepted, status: 'arrived' }, { role: 'passenger', fee: 20, now }), 20);
+assert.strictEqual(computeCancellationFee({ ...accepted, fare: 15, status: 'arrived' }, { role: 'passenger', fee: 20, now }), 15);
+
+// Reason catalogue is filtered per role
+const driverCodes = reasonsFor('driver').map(r => r.code);
+assert.ok(driverCodes.includes('vehicle-problem'));
+assert.ok(!driverCodes.includes('changed-mind'));
+
+console.log('rideCancellation.unit.js passed');
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const ridePayment = require('../services/ridePayment');
+const promos = require('../services/promos');
+const pooling = require('../services/pooling');
+const { applyTransition, assertTransition, resolveActorRole, canTransition, transitionRide } = require('../services/rideLifecycle');
+
+const passengerId = new mongoose.Types.ObjectId();
+const driverId = new mongoose.Types.ObjectId();
+
+const ride = new Ride({
+  passenger: passengerId,
+  pickupLocation: { coordinates: [123.18, 13.62], address: 'A' },
+  dropoffLocation: { coordinates: [123.19, 13.63], address: 'B' },
+  fare: 80,
+  distance: 3,
+  duration: 10,
+  paymentMethod: 'cash'
+});
+
+// Role resolution
+assert.strictEqual(resolveActorRole(ride, { _id: passengerId, role: 'commuter' }), 'passenger');
+assert.strictEqual(resolveActorRole(ride, { _id: driverId, role: 'driver' }), 'driver');
+assert.strictEqual(resolveActorRole(ride, { _id: new mongoose.Types.ObjectId(), role: 'commuter' }), null);
+
+// Passenger cannot jump to completed; nothing leaves a terminal state
+assert.throws(() => assertTransition('pending', 'completed', 'passenger'), /Cannot move ride/);
+assert.throws(() => assertTransition('cancelled', 'pending', 'admin'), /Cannot move ride/);
+assert.throws(() => assertTransition('arrived', 'in-progress', 'passenger'), err => err.status === 403);
+assert.throws(() => assertTransition('pending', 'teleported', 'driver'), err => err.code === 'unknown-status');
+assert.strictEqual(canTransition('in-progress', 'completed', 'driver'), true);
+
+// Happy path records history and timestamps
+ride.driver = driverId;
+applyTransition(ride, 'accepted', { actor: driverId, role: 'driver' });
+applyTransition(ride, 'driver-arriving', { actor: driverId, role: 'driver', location: { latitude: 13.62, longitude: 123.18 } });
+applyTransition(ride, 'arrived', { actor: driverId, role: 'driver' });
+applyTransition(ride, 'in-progress', { actor: driverId, role: 'driver' });
+applyTransition(ride, 'completed', { actor: driverId, role: 'driver' });
+assert.strictEqual(ride.status, 'completed');
+assert.strictEqual(ride.statusHistory.length, 5);
+assert.deepStrictEqual(ride.statusHistory[1].location.coordinates, [123.18, 13.62]);
+assert.ok(ride.acceptedAt && ride.startedAt && ride.completedAt);
+assert.ok(!ride.validateSync());
+
+function codeOf(fn) {
+  return fn().then(() => null, err => err.code);
+}
+
+async function run() {
+  const released = [];
+  ridePayment.releaseRideHold = async (r) => { released.push(`hold:${r.status}`); return false; };
+  promos.releasePromo = async (r) => { released.push(`promo:${r.status}`); return false; };
+  pooling.syncRide = async () => null;
+  User.updateOne = async () => ({ matchedCount: 0 });
+
+  // The write is conditional on the status the ride was read in
+  const arrived = new Ride({ passenger: passengerId, driver: driverId, status: 'arrived', pickupLocation: { coordinates: [123.18, 13.62], address: 'A' }, dropoffLocation: { coordinates: [123.19, 13.63], address: 'B' }, fare: 80, distance: 3, duration: 10, paymentMethod: 'wallet' });
+  const filters = [];
+  arrived.save = async function () {
+    filters.push(this.$where);
+  };
+  await transitionRide(arrived, 'no-show', { actor: driverId, role: 'driver' });
+  assert.deepStrictEqual(filters[0], { status: 'arrived' });
+  assert.deepStrictEqual(released, ['hold:no-show', 'promo:no-show']);
+
+  // A ride moved by someone else since it was read: 409 and nothing is released
+  released.length = 0;
+  const stale = new Ride({ passenger: passengerId, driver: driverId, status: 'arrived', pickupLocation: { coordinates: [123.18, 13.62], address: 'A' }, dropoffLocation: { coordinates: [123.19, 13.63], address: 'B' }, fare: 80, distance: 3, duration: 10, paymentMethod: 'wallet' });
+  stale.save = async function () {
+    throw new mongoose.Error.DocumentNotFoundError({ _id: this._id, ...this.$where }, 'Ride', 0, {});
+  };
+  assert.strictEqual(await codeOf(() => transitionRide(stale, 'no-show', { actor: driverId, role: 'driver' })), 'ride-status-changed');
+  assert.deepStrictEqual(released, []);
+
+  console.log('rideLifecycle.unit.js passed');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
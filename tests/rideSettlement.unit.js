@@ -0,0 +1,91 @@
+const assert = require('assert');
+const { markSettled, markFailed, settleCompletion } = require('../services/rideSettlement');
+const ridePayment = require('../services/ridePayment');
+const commission = require('../services/commission');
+const promos = require('../services/promos');
+const Payment = require('../models/Payment');
+const Wallet = require('../models/Wallet');
+
+const at = new Date('2026-03-01T10:00:00Z');
+const later = new Date('2026-03-01T10:05:00Z');
+
+// A failure is recorded for the retry job, with the error and the attempt count
+const ride = {};
+markFailed(ride, new Error('Hold not found or no longer open'), at);
+assert.strictEqual(ride.settlement.status, 'failed');
+assert.strictEqual(ride.settlement.attempts, 1);
+assert.strictEqual(ride.settlement.lastError, 'Hold not found or no longer open');
+assert.strictEqual(ride.settlement.lastAttemptAt, at);
+
+// Long errors are cut short
+markFailed(ride, new Error('x'.repeat(800)), at);
+assert.strictEqual(ride.settlement.attempts, 2);
+assert.strictEqual(ride.settlement.lastError.length, 500);
+
+// Settling clears the error and keeps counting attempts
+markSettled(ride, later);
+assert.strictEqual(ride.settlement.status, 'settled');
+assert.strictEqual(ride.settlement.attempts, 3);
+assert.strictEqual(ride.settlement.lastError, undefined);
+assert.strictEqual(ride.settlement.settledAt, later);
+
+async function run() {
+  // A card ride without a paid card payment reports no driver earnings
+  commission.rateForRide = async () => ({ rule: null, rate: 0.2 });
+  Payment.findOne = async () => null;
+  const cardRide = { _id: 'r1', driver: 'd1', fare: 100, paymentMethod: 'card', paymentStatus: 'pending' };
+  assert.strictEqual(await ridePayment.settleFare(cardRide), 0);
+  assert.strictEqual(cardRide.commission.status, 'uncollected');
+  assert.strictEqual(cardRide.commission.amount, 20);
+  assert.strictEqual(cardRide.driverEarnings, 0);
+  assert.strictEqual(cardRide.paymentStatus, 'pending');
+
+  // A wallet ride the passenger cannot pay is left failed, with the commission uncollected
+  Wallet.findByUserId = async () => null;
+  const unpaid = { _id: 'r4', passenger: 'p1', driver: 'd1', fare: 100, paymentMethod: 'wallet', paymentStatus: 'pending' };
+  await assert.rejects(() => ridePayment.settleFare(unpaid), err => err.code === 'fare-shortfall');
+  assert.strictEqual(unpaid.paymentStatus, 'pending');
+  assert.strictEqual(unpaid.fareCollected, 0);
+  assert.strictEqual(unpaid.commission.status, 'uncollected');
+  assert.strictEqual(unpaid.driverEarnings, 0);
+  const shortfall = await settleCompletion(unpaid, { at });
+  assert.strictEqual(shortfall.code, 'fare-shortfall');
+  assert.strictEqual(unpaid.settlement.status, 'failed');
+  assert.strictEqual(unpaid.settlement.fareSettledAt, undefined);
+
+  // A fare fully covered by a promo has nothing to collect
+  const free = { _id: 'r5', passenger: 'p1', driver: 'd1', fare: 0, paymentMethod: 'wallet', paymentStatus: 'pending' };
+  assert.strictEqual(await ridePayment.settleFare(free), 0);
+  assert.strictEqual(free.paymentStatus, 'completed');
+  assert.strictEqual(free.commission.status, 'collected');
+
+  // The promo credit is tried even when the fare fails; a retry only redoes the fare
+  const settleFare = ridePayment.settleFare;
+  const promoCalls = [];
+  ridePayment.settleFare = async () => { throw new Error('Hold not found or no longer open'); };
+  promos.settlePromo = async (promoRide) => { promoCalls.push(promoRide._id); return 0; };
+  const promoRide = { _id: 'r2', fare: 80 };
+  const error = await settleCompletion(promoRide, { at });
+  assert.strictEqual(error.message, 'Hold not found or no longer open');
+  assert.deepStrictEqual(promoCalls, ['r2']);
+  assert.strictEqual(promoRide.settlement.status, 'failed');
+  assert.strictEqual(promoRide.settlement.fareSettledAt, undefined);
+
+  ridePayment.settleFare = async () => 80;
+  promos.settlePromo = async () => { throw new Error('Write conflict'); };
+  assert.strictEqual((await settleCompletion(promoRide, { at: later })).message, 'Write conflict');
+  assert.strictEqual(promoRide.settlement.fareSettledAt, later);
+  ridePayment.settleFare = async () => { throw new Error('fare settled twice'); };
+  promos.settlePromo = async () => 0;
+  assert.strictEqual(await settleCompletion(promoRide, { at: later }), null);
+  assert.strictEqual(promoRide.settlement.status, 'settled');
+  assert.strictEqual(promoRide.settlement.attempts, 3);
+  ridePayment.settleFare = settleFare;
+
+  console.log('rideSettlement.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
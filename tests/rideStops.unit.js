@@ -0,0 +1,107 @@
+const assert = require('assert');
+const { normalizeStops, currentStop, waitingMinutes, removeStop, finishStops, requote, MAX_STOPS } = require('../services/rideStops');
+const fareService = require('../services/fare');
+const Ride = require('../models/Ride');
+const Wallet = require('../models/Wallet');
+const Promo = require('../models/Promo');
+
+const codeOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+};
+
+// Stops come back as GeoJSON points with their address
+assert.deepStrictEqual(normalizeStops(undefined), []);
+assert.deepStrictEqual(
+  normalizeStops([{ latitude: 13.62, longitude: 123.18, address: ' Market ' }]),
+  [{ type: 'Point', coordinates: [123.18, 13.62], address: 'Market' }]
+);
+assert.strictEqual(codeOf(() => normalizeStops([{ coordinates: [123.18, 13.62] }])), 'invalid-stop');
+assert.strictEqual(codeOf(() => normalizeStops([{ coordinates: [200, 13.62], address: 'Nowhere' }])), 'invalid-stop');
+assert.strictEqual(codeOf(() => normalizeStops({ address: 'Market' })), 'invalid-stop');
+const tooMany = Array.from({ length: MAX_STOPS + 1 }, () => ({ coordinates: [123.18, 13.62], address: 'Stop' }));
+assert.strictEqual(codeOf(() => normalizeStops(tooMany)), 'too-many-stops');
+
+// The driver is at or heading to the first stop not left yet
+const stops = [{ _id: 'a', status: 'departed' }, { _id: 'b', status: 'arrived' }, { _id: 'c', status: 'pending' }];
+assert.strictEqual(currentStop({ stops })._id, 'b');
+assert.strictEqual(currentStop({ stops: [{ _id: 'a', status: 'departed' }] }), null);
+assert.strictEqual(currentStop({ stops: [] }), null);
+
+// Waiting time to a tenth of a minute
+const arrived = new Date('2026-06-15T10:00:00Z');
+assert.strictEqual(waitingMinutes(arrived, new Date('2026-06-15T10:04:30Z')), 4.5);
+assert.strictEqual(waitingMinutes(arrived, arrived), 0);
+
+function rideWithStops(overrides) {
+  const ride = new Ride({
+    passenger: '64b000000000000000000001',
+    pickupLocation: { coordinates: [123.18, 13.62], address: 'Pickup' },
+    dropoffLocation: { coordinates: [123.2, 13.64], address: 'Dropoff' },
+    stops: [{ coordinates: [123.19, 13.63], address: 'Market' }],
+    fare: 120,
+    distance: 3,
+    duration: 10,
+    paymentMethod: 'wallet',
+    status: 'accepted',
+    fareBreakdown: { city: 'naga city', waitingCharge: 0 },
+    ...overrides
+  });
+  ride.save = async () => ride;
+  return ride;
+}
+
+async function run() {
+  // Removing a stop lowers the fare hold to the re-quoted fare
+  const adjusted = [];
+  Wallet.findByUserId = async () => ({ adjustHold: async (referenceId, amount) => adjusted.push({ referenceId, amount }) });
+  fareService.quote = async ({ stops }) => ({ fare: stops.length ? 120 : 90, distance: 3, duration: 10, breakdown: { city: 'naga city', waitingCharge: 0 } });
+  const held = rideWithStops({ paymentHold: { referenceId: 'hold_1', amount: 120, status: 'held' } });
+  await removeStop(held, held.stops[0]._id, {});
+  assert.strictEqual(held.fare, 90);
+  assert.strictEqual(held.paymentHold.amount, 90);
+  assert.deepStrictEqual(adjusted, [{ referenceId: 'hold_1', amount: 90 }]);
+
+  // A percentage promo is recomputed for the new fare, both down and back up
+  Promo.findById = async () => ({ discountType: 'percentage', value: 20, maxDiscount: 30 });
+  const promoted = rideWithStops({
+    fare: 96,
+    promo: { promo: '64b000000000000000000009', redemption: '64b000000000000000000008', code: 'SAVE20', discount: 24, originalFare: 120 },
+    stops: []
+  });
+  await requote(promoted);
+  assert.strictEqual(promoted.promo.discount, 18);
+  assert.strictEqual(promoted.promo.originalFare, 90);
+  assert.strictEqual(promoted.fare, 72);
+  fareService.quote = async () => ({ fare: 200, distance: 6, duration: 20, breakdown: { city: 'naga city', waitingCharge: 0 } });
+  await requote(promoted);
+  assert.strictEqual(promoted.promo.discount, 30);
+  assert.strictEqual(promoted.fare, 170);
+
+  // Completion re-quotes with the final waiting time instead of adding it to the fare, so a
+  // minimum fare covers the waiting charge
+  const quotes = [];
+  fareService.quote = async (args) => {
+    quotes.push(args.stops.map(stop => stop.waitingMinutes));
+    return { fare: 100, distance: 3, duration: 10, breakdown: { city: 'naga city', waitingCharge: 12, minimumFareApplied: true } };
+  };
+  const arrivedAt = new Date('2026-06-15T10:00:00Z');
+  const atStop = rideWithStops({ fare: 100, status: 'in-progress', stops: [{ coordinates: [123.19, 13.63], address: 'Market', status: 'arrived', arrivedAt }] });
+  const charge = await finishStops(atStop, { at: new Date('2026-06-15T10:10:00Z') });
+  assert.strictEqual(charge, 12);
+  assert.deepStrictEqual(quotes, [[10]]);
+  assert.strictEqual(atStop.fare, 100);
+  assert.strictEqual(atStop.stops[0].status, 'departed');
+  assert.strictEqual(atStop.fareBreakdown.waitingCharge, 12);
+
+  console.log('rideStops.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const {
+  validateScheduledTime,
+  dispatchTimeFor,
+  isHeld,
+  shouldHold,
+  LEAD_MINUTES,
+  MIN_ADVANCE_MINUTES,
+  MAX_ADVANCE_DAYS
+} = require('../services/scheduledRides');
+
+const now = new Date('2026-06-15T10:00:00Z');
+const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60000);
+const codeOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+};
+
+// Booking window
+const inTwoHours = minutesFromNow(120);
+assert.strictEqual(validateScheduledTime(inTwoHours.toISOString(), now).getTime(), inTwoHours.getTime());
+assert.strictEqual(codeOf(() => validateScheduledTime(undefined, now)), 'scheduled-time-required');
+assert.strictEqual(codeOf(() => validateScheduledTime('tomorrow-ish', now)), 'scheduled-time-required');
+assert.strictEqual(codeOf(() => validateScheduledTime(minutesFromNow(MIN_ADVANCE_MINUTES - 1), now)), 'scheduled-time-too-soon');
+assert.strictEqual(codeOf(() => validateScheduledTime(minutesFromNow(MAX_ADVANCE_DAYS * 1440 + 1), now)), 'scheduled-time-too-far');
+
+// Dispatch starts LEAD_MINUTES before pickup
+assert.strictEqual(dispatchTimeFor(inTwoHours).getTime(), inTwoHours.getTime() - LEAD_MINUTES * 60000);
+assert.strictEqual(shouldHold({ isScheduled: true, scheduledTime: inTwoHours }, now), true);
+assert.strictEqual(shouldHold({ isScheduled: true, scheduledTime: minutesFromNow(LEAD_MINUTES - 1) }, now), false);
+assert.strictEqual(shouldHold({ isScheduled: false, scheduledTime: inTwoHours }, now), false);
+
+// Held until the scheduler starts dispatch
+assert.strictEqual(isHeld({ isScheduled: true, status: 'pending', dispatch: {} }), true);
+assert.strictEqual(isHeld({ isScheduled: true, status: 'pending', dispatch: { startedAt: now } }), false);
+assert.strictEqual(isHeld({ isScheduled: true, status: 'cancelled', dispatch: {} }), false);
+assert.strictEqual(isHeld({ isScheduled: false, status: 'pending', dispatch: {} }), false);
+
+console.log('scheduledRides.unit.js passed');
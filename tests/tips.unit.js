@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { validateTip, applyCardTipStatus, TIP_WINDOW_HOURS, TIP_MAX } = require('../services/tips');
+const Ride = require('../models/Ride');
+
+const completedAt = new Date('2026-06-15T10:00:00Z');
+const ride = { status: 'completed', driver: 'driver_1', completedAt };
+const soon = new Date(completedAt.getTime() + 3600000);
+const codeOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+};
+
+// Valid tips come back rounded to centavos
+assert.strictEqual(validateTip(ride, { amount: '20.005', method: 'wallet' }, soon), 20.01);
+assert.strictEqual(validateTip(ride, { amount: 50, method: 'card' }, soon), 50);
+assert.strictEqual(validateTip({ ...ride, tip: { status: 'failed' } }, { amount: 50, method: 'wallet' }, soon), 50);
+
+// Only completed rides, once, within the window
+assert.strictEqual(codeOf(() => validateTip({ ...ride, status: 'in-progress' }, { amount: 20, method: 'wallet' }, soon)), 'ride-not-completed');
+assert.strictEqual(codeOf(() => validateTip({ ...ride, tip: { status: 'paid' } }, { amount: 20, method: 'wallet' }, soon)), 'already-tipped');
+const late = new Date(completedAt.getTime() + (TIP_WINDOW_HOURS + 1) * 3600000);
+assert.strictEqual(codeOf(() => validateTip(ride, { amount: 20, method: 'wallet' }, late)), 'tip-window-closed');
+
+// Method and amount
+assert.strictEqual(codeOf(() => validateTip(ride, { amount: 20, method: 'cash' }, soon)), 'invalid-tip-method');
+assert.strictEqual(codeOf(() => validateTip(ride, { amount: 0, method: 'wallet' }, soon)), 'invalid-tip-amount');
+assert.strictEqual(codeOf(() => validateTip(ride, { amount: 'ten', method: 'wallet' }, soon)), 'invalid-tip-amount');
+assert.strictEqual(codeOf(() => validateTip(ride, { amount: TIP_MAX + 1, method: 'wallet' }, soon)), 'tip-too-large');
+
+async function run() {
+  // A pending card tip fails once its charge does, so the passenger can tip again
+  const updates = [];
+  Ride.updateOne = async (filter, update) => { updates.push({ filter, update }); };
+  await applyCardTipStatus({ _id: 'p1', ride: 'r1', status: 'PENDING' });
+  assert.strictEqual(updates.length, 0);
+  await applyCardTipStatus({ _id: 'p1', ride: 'r1', status: 'FAILED' });
+  assert.deepStrictEqual(updates[0].filter, { _id: 'r1', 'tip.payment': 'p1', 'tip.status': 'pending' });
+  assert.strictEqual(updates[0].update.$set['tip.status'], 'failed');
+
+  console.log('tips.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
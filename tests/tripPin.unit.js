@@ -0,0 +1,105 @@
+const assert = require('assert');
+const Ride = require('../models/Ride');
+const Notification = require('../models/Notification');
+const fareService = require('../services/fare');
+const { generatePin, pinMatches, parseMode, verifyStart, MAX_ATTEMPTS, LOCKOUT_MINUTES } = require('../services/tripPin');
+
+// PINs are four digits, zero-padded
+for (let i = 0; i < 200; i++) {
+  assert.match(generatePin(), /^\d{4}$/);
+}
+
+assert.strictEqual(pinMatches('0427', '0427'), true);
+assert.strictEqual(pinMatches('0427', ' 0427 '), true);
+assert.strictEqual(pinMatches('0427', 427), false);
+assert.strictEqual(pinMatches('0427', '0428'), false);
+assert.strictEqual(pinMatches('0427', '04270'), false);
+assert.strictEqual(pinMatches('0427', undefined), false);
+
+// The code is never loaded with the ride unless asked for
+assert.strictEqual(Ride.schema.path('tripPin.code').options.select, false);
+
+// The default mode must be one of the modes; unset means mandatory
+assert.strictEqual(parseMode(undefined), 'mandatory');
+assert.strictEqual(parseMode(' Optional '), 'optional');
+assert.throws(() => parseMode('mandatroy'), /TRIP_PIN_DEFAULT_MODE/);
+
+const codeOf = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+};
+
+async function run() {
+  // One ride's PIN state, behind fakes of the Ride queries verifyStart makes
+  let mode = 'mandatory';
+  let state = { code: '0427', attempts: 0, lockouts: 0, lockedUntil: undefined };
+  const notified = [];
+  fareService.findTariff = async () => ({ tripPin: mode });
+  Notification.create = async (note) => { notified.push(note); return note; };
+  Ride.exists = async () => Boolean(state.code);
+  Ride.findOneAndUpdate = (filter, update) => ({
+    select: async () => {
+      if (state.lockedUntil > filter.$nor[0]['tripPin.lockedUntil'].$gt) return null;
+      state.attempts += update.$inc['tripPin.attempts'];
+      return { tripPin: { ...state } };
+    }
+  });
+  Ride.findById = () => ({ select: async () => ({ tripPin: { ...state } }) });
+  Ride.updateOne = async (filter, update) => {
+    state.attempts = update.$set['tripPin.attempts'];
+    state.lockedUntil = update.$set['tripPin.lockedUntil'];
+    state.lockouts += update.$inc['tripPin.lockouts'];
+  };
+  const ride = { _id: 'r1', passenger: 'p1', fareBreakdown: { city: 'naga city' }, tripPin: {}, set(path, value) { this.tripPin[path.split('.')[1]] = value; } };
+  const at = new Date('2026-06-15T10:00:00Z');
+
+  // Mandatory cities need the PIN; optional ones start without it, but check one that is given
+  assert.strictEqual(await codeOf(verifyStart(ride, undefined, { at })), 'pin-required');
+  assert.strictEqual(await codeOf(verifyStart(ride, '  ', { at })), 'pin-required');
+  mode = 'optional';
+  assert.strictEqual(await verifyStart(ride, undefined, { at }), false);
+  assert.strictEqual(state.attempts, 0);
+  assert.strictEqual(await codeOf(verifyStart(ride, '1111', { at })), 'pin-invalid');
+  assert.strictEqual(state.attempts, 1);
+  mode = 'mandatory';
+
+  // Every wrong PIN uses an attempt; the last one locks the ride and tells the passenger
+  for (let i = 2; i < MAX_ATTEMPTS; i++) {
+    assert.strictEqual(await codeOf(verifyStart(ride, '1111', { at })), 'pin-invalid');
+    assert.strictEqual(state.attempts, i);
+  }
+  assert.strictEqual(await codeOf(verifyStart(ride, '1111', { at })), 'pin-locked');
+  assert.strictEqual(state.attempts, 0);
+  assert.strictEqual(state.lockouts, 1);
+  assert.strictEqual(state.lockedUntil.getTime(), at.getTime() + LOCKOUT_MINUTES * 60000);
+  assert.strictEqual(notified.length, 1);
+  assert.strictEqual(notified[0].user, 'p1');
+
+  // While locked even the right PIN is refused, without using an attempt
+  const during = new Date(at.getTime() + (LOCKOUT_MINUTES - 1) * 60000);
+  assert.strictEqual(await codeOf(verifyStart(ride, '0427', { at: during })), 'pin-locked');
+  assert.strictEqual(state.attempts, 0);
+
+  // After the lockout the right PIN starts the ride and resets the count
+  const after = new Date(at.getTime() + (LOCKOUT_MINUTES + 1) * 60000);
+  assert.strictEqual(await codeOf(verifyStart(ride, '1111', { at: after })), 'pin-invalid');
+  assert.strictEqual(await verifyStart(ride, ' 0427 ', { at: after }), true);
+  assert.strictEqual(ride.tripPin.attempts, 0);
+  assert.strictEqual(ride.tripPin.verifiedAt, after);
+
+  // Rides accepted before PINs existed are not checked
+  state = { code: undefined, attempts: 0, lockouts: 0 };
+  assert.strictEqual(await verifyStart(ride, undefined, { at }), false);
+  assert.strictEqual(await verifyStart(ride, '1234', { at }), false);
+
+  console.log('tripPin.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const { cleanTrace, beyondTolerance, applyTrace, REPRICE_TOLERANCE_PERCENT, MAX_INCREASE_PERCENT } = require('../services/tripTrace');
+const DriverLocation = require('../models/DriverLocation');
+const fareService = require('../services/fare');
+const { encodePolyline, decodePolyline } = require('../utils/polyline');
+
+// Reference example from the encoded polyline format documentation
+const reference = [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]];
+assert.strictEqual(encodePolyline(reference), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+assert.deepStrictEqual(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), reference);
+assert.strictEqual(encodePolyline([]), '');
+
+// A fix every 30 s heading north at ~40 km/h (about 333 m per fix)
+const start = new Date('2024-05-01T08:00:00Z').getTime();
+const fix = (i, coordinates) => ({ coordinates, at: new Date(start + i * 30000) });
+const lat = (i) => 13.62 + i * 0.003;
+const straight = [0, 1, 2, 3, 4].map(i => fix(i, [123.18, lat(i)]));
+const clean = cleanTrace(straight);
+assert.strictEqual(clean.path.length, 5);
+assert.ok(Math.abs(clean.meters - 4 * 333.6) < 5);
+
+// Invalid fixes, a jump far off the road and jitter while stopped are dropped
+const noisy = [
+  fix(0, [123.18, lat(0)]),
+  fix(1, [0, 0]),
+  fix(1, [123.18, lat(1)]),
+  fix(2, [123.3, lat(2)]),
+  fix(2, [123.18, lat(2)]),
+  fix(3, [123.18002, lat(2)]),
+  fix(3, [123.18, 'x']),
+  fix(4, [123.18, lat(3)]),
+  fix(5, [123.18, lat(4)])
+];
+const cleaned = cleanTrace(noisy);
+assert.deepStrictEqual(cleaned.path, straight.map(p => p.coordinates));
+assert.ok(Math.abs(cleaned.meters - clean.meters) < 1);
+
+// Fixes with the same or an earlier timestamp cannot be placed and are dropped
+assert.strictEqual(cleanTrace([fix(0, [123.18, lat(0)]), fix(0, [123.18, lat(1)])]).path.length, 1);
+
+// Re-pricing only beyond the tolerance, either way
+assert.strictEqual(beyondTolerance(10, 10), false);
+assert.strictEqual(beyondTolerance(10 * (1 + REPRICE_TOLERANCE_PERCENT / 100) - 0.01, 10), false);
+assert.strictEqual(beyondTolerance(10 * (1 + REPRICE_TOLERANCE_PERCENT / 100) + 0.1, 10), true);
+assert.strictEqual(beyondTolerance(10 * (1 - REPRICE_TOLERANCE_PERCENT / 100) - 0.1, 10), true);
+assert.strictEqual(beyondTolerance(3, 0), true);
+
+async function run() {
+  // A 30-minute trip with a 10-minute stop and about 3 km driven: a fix every 30 s while moving
+  const startedAt = new Date(start);
+  const completedAt = new Date(start + 30 * 60000);
+  const fixes = Array.from({ length: 10 }, (_, i) => ({ location: { coordinates: [123.18, lat(i)] }, createdAt: new Date(start + i * 30000) }));
+  DriverLocation.find = () => ({ sort: () => ({ select: async () => fixes }) });
+  const tariff = { flagDown: 40, perKm: 10, perMinute: 1, perStop: 5, waitingPerMinute: 2, freeWaitingMinutes: 5, minimumFare: 0 };
+  fareService.findTariff = async () => tariff;
+  const rideWithStop = (overrides) => ({
+    _id: 'r1',
+    driver: 'd1',
+    startedAt,
+    distance: 3,
+    duration: 20,
+    fare: 105,
+    stops: [{ status: 'departed', waitingMinutes: 10 }],
+    fareBreakdown: { city: 'naga city' },
+    ...overrides
+  });
+
+  // The waiting at the stop is not driving time, so the trip matches the estimate
+  const onEstimate = rideWithStop();
+  const route = await applyTrace(onEstimate, { at: completedAt });
+  assert.strictEqual(route.points, 10);
+  assert.strictEqual(route.duration, 20);
+  assert.strictEqual(route.repriced, false);
+  assert.strictEqual(onEstimate.fare, 105);
+
+  // Re-priced from the driven distance and driving time; the waiting is charged once, as waiting
+  const longer = rideWithStop({ distance: 1.5, fare: 80 });
+  await applyTrace(longer, { at: completedAt });
+  assert.strictEqual(longer.route.repriced, true);
+  assert.strictEqual(longer.route.capped, false);
+  assert.strictEqual(longer.duration, 20);
+  assert.strictEqual(longer.fareBreakdown.timeCharge, 20);
+  assert.strictEqual(longer.fareBreakdown.waitingCharge, 10);
+  assert.strictEqual(longer.fare, Math.round((40 + longer.distance * 10 + 20 + 5 + 10) * 100) / 100);
+
+  // ...but never more than the cap above the quoted fare
+  const capped = rideWithStop({ distance: 1.5, fare: 60 });
+  await applyTrace(capped, { at: completedAt });
+  assert.strictEqual(capped.route.capped, true);
+  assert.strictEqual(capped.fare, 60 * (1 + MAX_INCREASE_PERCENT / 100));
+
+  console.log('tripTrace.unit.js passed');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const Wallet = require('../models/Wallet');
 const User = require('../models/User');
+const ledger = require('../services/ledger');
 
 // Test wallet operations
 async function testWalletOperations() {
@@ -79,6 +80,37 @@ async function testWalletOperations() {
     console.log(`✓ Driver balance after addition: ₱${refreshedDriver.balance}`);
     console.log(`✓ Transaction count: ${refreshedDriver.transactions.length}`);
 
+    // Test hold / capture / release
+    console.log('\n--- Testing Holds ---');
+    const holdRefId = `test_hold_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await passengerWallet.placeHold(300, { referenceId: holdRefId, description: 'Test fare hold' });
+    let held = await Wallet.findById(passengerWallet._id);
+    if (held.balance !== 750 || held.heldBalance !== 300 || held.availableBalance !== 450) {
+      throw new Error(`Unexpected balances after hold: ${held.balance}/${held.heldBalance}/${held.availableBalance}`);
+    }
+    console.log(`✓ Held ₱300, available balance: ₱${held.availableBalance}`);
+
+    const overspend = await passengerWallet.deductFunds(500, { description: 'Should fail' }).then(() => false, () => true);
+    if (!overspend) throw new Error('Deduction past available balance should fail');
+    console.log('✓ Held amount cannot be spent');
+
+    // Capture more than was held: the extra comes from the available balance
+    await passengerWallet.captureHold(holdRefId, 320);
+    held = await Wallet.findById(passengerWallet._id);
+    if (held.balance !== 430 || held.heldBalance !== 0) {
+      throw new Error(`Unexpected balances after capture: ${held.balance}/${held.heldBalance}`);
+    }
+    console.log(`✓ Captured ₱320, balance: ₱${held.balance}`);
+
+    const releaseRefId = `test_release_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await passengerWallet.placeHold(100, { referenceId: releaseRefId });
+    await passengerWallet.releaseHold(releaseRefId);
+    held = await Wallet.findById(passengerWallet._id);
+    if (held.balance !== 430 || held.heldBalance !== 0) {
+      throw new Error(`Unexpected balances after release: ${held.balance}/${held.heldBalance}`);
+    }
+    console.log('✓ Released hold without moving money');
+
     // Test multiple rapid transactions (stress test)
     console.log('\n--- Testing Multiple Rapid Transactions ---');
     const amounts = [100, 50, 75];
@@ -105,6 +137,47 @@ async function testWalletOperations() {
       console.log(`${idx + 1}. ${txn.type} | ₱${txn.amount} | ${txn.status} | ${txn.referenceId}`);
     });
 
+    // Cash-outs: failed and reversed payouts return the money
+    console.log('\n--- Testing Cash-out Settlement ---');
+    const beforeCashOut = (await Wallet.findById(driverWallet._id)).balance;
+    const failRefId = `test_cashout_fail_${Date.now()}`;
+    await driverWallet.requestCashOut(100, { referenceId: failRefId });
+    await driverWallet.settleCashOut(failRefId, 'FAILED', { failureReason: 'test' });
+    const reverseRefId = `test_cashout_reverse_${Date.now()}`;
+    await driverWallet.requestCashOut(50, { referenceId: reverseRefId });
+    await driverWallet.settleCashOut(reverseRefId, 'COMPLETED');
+    await driverWallet.settleCashOut(reverseRefId, 'REVERSED', { failureReason: 'test' });
+    if (await driverWallet.settleCashOut(reverseRefId, 'REVERSED')) {
+      throw new Error('A reversal was applied twice');
+    }
+    const afterCashOut = await Wallet.findById(driverWallet._id);
+    if (afterCashOut.balance !== beforeCashOut) {
+      throw new Error(`Failed/reversed cash-outs not refunded: ${beforeCashOut} -> ${afterCashOut.balance}`);
+    }
+    console.log('✓ Failed and reversed cash-outs refunded');
+
+    // Cash-out limits hold under concurrent requests: only one of two fits the window
+    const since = new Date(Date.now() - 60000);
+    const limitRefs = [1, 2].map(n => `test_cashout_limit_${n}_${Date.now()}`);
+    const limited = await Promise.allSettled(limitRefs.map(referenceId =>
+      driverWallet.requestCashOut(30, { referenceId, limits: [{ since, max: 40 }] })));
+    if (limited.filter(r => r.status === 'fulfilled').length !== 1 || !limited.some(r => r.reason?.code === 'payout-limit')) {
+      throw new Error(`Expected one cash-out within the limit, got ${limited.map(r => r.status).join(', ')}`);
+    }
+    for (const referenceId of limitRefs) await driverWallet.settleCashOut(referenceId, 'FAILED', { failureReason: 'test' });
+    console.log('✓ Concurrent cash-outs kept within the limit');
+
+    // Ledger-derived balances match the stored ones
+    console.log('\n--- Testing Ledger ---');
+    for (const id of [passengerWallet._id, driverWallet._id]) {
+      const stored = await Wallet.findById(id);
+      const derived = await ledger.balanceOf(ledger.walletAccount(id));
+      if (Math.abs(stored.balance - derived) >= 0.01) {
+        throw new Error(`Ledger drift on wallet ${id}: balance=${stored.balance}, ledger=${derived}`);
+      }
+      console.log(`✓ Wallet ${id} ledger balance: ₱${derived}`);
+    }
+
     console.log('\n✅ All tests passed!');
 
     // Cleanup
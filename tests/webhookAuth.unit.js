@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { authenticate, testSignature, TEST_SIGNATURE_HEADER } = require('../middleware/webhookAuth');
+const { redactUrl } = require('../utils/redact');
+
+function request({ headers = {}, ip = '203.0.113.5', query = {}, body = { id: 'inv_1', status: 'PAID' } } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return { headers, ip, query, body, rawBody };
+}
+
+process.env.NODE_ENV = 'test';
+process.env.XENDIT_CALLBACK_TOKEN = 'callback-token';
+delete process.env.XENDIT_WEBHOOK_TOKEN;
+delete process.env.XENDIT_WEBHOOK_IPS;
+
+// Xendit callback token
+assert.deepStrictEqual(authenticate(request({ headers: { 'x-callback-token': 'callback-token' } }), 'xendit'), { valid: true, method: 'token' });
+assert.strictEqual(authenticate(request({ headers: { 'x-callback-token': 'nope' } }), 'xendit').reason, 'invalid-token');
+assert.strictEqual(authenticate(request(), 'xendit').reason, 'missing-token');
+
+// IP allow-list, including IPv4-mapped IPv6 addresses
+process.env.XENDIT_WEBHOOK_IPS = '198.51.100.1, 198.51.100.2';
+assert.strictEqual(authenticate(request({ headers: { 'x-callback-token': 'callback-token' } }), 'xendit').reason, 'ip-not-allowed');
+assert.strictEqual(authenticate(request({ headers: { 'x-callback-token': 'callback-token' }, ip: '::ffff:198.51.100.2' }), 'xendit').valid, true);
+delete process.env.XENDIT_WEBHOOK_IPS;
+
+// Without a configured token nothing gets in
+delete process.env.XENDIT_CALLBACK_TOKEN;
+assert.strictEqual(authenticate(request({ headers: { 'x-callback-token': '' } }), 'xendit').reason, 'token-not-configured');
+
+// SMS delivery reports can pass the token in the query string
+process.env.SMS_DLR_TOKEN = 'dlr-token';
+assert.strictEqual(authenticate(request({ query: { token: 'dlr-token' } }), 'sms').valid, true);
+assert.strictEqual(authenticate(request({ query: { token: 'other' } }), 'sms').valid, false);
+
+// Signed test deliveries: the signature covers the raw body and a recent timestamp
+process.env.WEBHOOK_TEST_SECRET = 'test-secret';
+const body = { reference_id: 'payout_1', status: 'COMPLETED' };
+const now = Math.floor(Date.now() / 1000);
+const signed = (timestamp, secret = 'test-secret') => ({
+  [TEST_SIGNATURE_HEADER]: `t=${timestamp},v1=${testSignature(secret, timestamp, JSON.stringify(body))}`
+});
+assert.deepStrictEqual(authenticate(request({ body, headers: signed(now) }), 'xendit'), { valid: true, method: 'test-signature' });
+assert.strictEqual(authenticate(request({ body, headers: signed(now, 'wrong-secret') }), 'xendit').reason, 'invalid-test-signature');
+assert.strictEqual(authenticate(request({ body, headers: signed(now - 3600) }), 'xendit').valid, false);
+const tampered = request({ body, headers: signed(now) });
+tampered.rawBody = Buffer.from(JSON.stringify({ ...body, status: 'FAILED' }));
+assert.strictEqual(authenticate(tampered, 'xendit').valid, false);
+
+// Test mode is off in production
+process.env.NODE_ENV = 'production';
+assert.strictEqual(authenticate(request({ body, headers: signed(now) }), 'xendit').valid, false);
+
+// Query-string tokens never reach the logs; other parameters and plain paths are kept
+assert.strictEqual(redactUrl('/api/emergency/dlr?id=42&token=s3cret'), '/api/emergency/dlr?id=42&token=[redacted]');
+assert.strictEqual(redactUrl('/api/emergency/dlr?Token=s3cret'), '/api/emergency/dlr?Token=[redacted]');
+assert.strictEqual(redactUrl('/api/rides?page=2'), '/api/rides?page=2');
+assert.strictEqual(redactUrl('/api/rides'), '/api/rides');
+
+console.log('webhookAuth.unit.js passed');
@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { eventIdFor, retryDelaySeconds, storedHeaders } = require('../services/webhookInbox');
+
+// The provider's webhook-id header wins; otherwise one event per object and status
+assert.strictEqual(eventIdFor({ 'webhook-id': 'wh_1' }, { id: 'inv_1', status: 'PAID' }), 'wh_1');
+assert.strictEqual(eventIdFor({}, { id: 'inv_1', status: 'PAID' }), 'inv_1:PAID');
+assert.notStrictEqual(eventIdFor({}, { id: 'inv_1', status: 'PAID' }), eventIdFor({}, { id: 'inv_1', status: 'EXPIRED' }));
+assert.strictEqual(eventIdFor({}, { reference_id: 'payout_1', status: 'COMPLETED' }), 'payout_1:COMPLETED');
+assert.strictEqual(eventIdFor({}, { event: 'ewallet.capture', data: { id: 'ewc_1', status: 'SUCCEEDED' } }), 'ewc_1:SUCCEEDED');
+
+// Without any ID the body hash is used, independent of key order
+assert.ok(eventIdFor({}, { a: 1, b: 2 }).startsWith('sha256:'));
+assert.strictEqual(eventIdFor({}, { a: 1, b: 2 }), eventIdFor({}, { b: 2, a: 1 }));
+
+// Retry delay doubles per attempt up to the cap
+assert.strictEqual(retryDelaySeconds(1), 30);
+assert.strictEqual(retryDelaySeconds(2), 60);
+assert.strictEqual(retryDelaySeconds(4), 240);
+assert.strictEqual(retryDelaySeconds(20), 3600);
+
+// The callback token is never stored
+assert.deepStrictEqual(storedHeaders({ 'x-callback-token': 'secret', 'content-type': 'application/json' }), { 'content-type': 'application/json' });
+
+console.log('webhookInbox.unit.js passed');
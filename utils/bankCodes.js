@@ -81,6 +81,21 @@ const BANK_CODE_MAP = {
   'OVO': 'OVO'
 };
 
+// Channel codes that are e-wallets (account number is the mobile number) rather than banks
+const EWALLET_CHANNELS = new Set([
+  'GCASH', 'PAYMAYA', 'PAYMAYA_POSTPAID', 'GRABPAY', 'DANA', 'LINKAJA', 'BOOST',
+  'TOUCH_N_GO', 'PROMPTPAY', 'VIETTELPAY', 'ALIPAY', 'WECHAT', 'KAKAO_PAY', 'OVO'
+]);
+
+/**
+ * Whether a Xendit channel code is an e-wallet
+ * @param {string} channelCode - Xendit channel code
+ * @returns {boolean}
+ */
+function isEwalletChannel(channelCode) {
+  return EWALLET_CHANNELS.has(channelCode);
+}
+
 /**
  * Convert user-friendly bank name to Xendit channel code
  * @param {string} bankName - User input bank name (e.g., "BPI", "BDO", "GCASH")
@@ -177,5 +192,6 @@ module.exports = {
   getSupportedBanks,
   isSupportedBank,
   validateBankDetails,
+  isEwalletChannel,
   BANK_CODE_MAP
 };
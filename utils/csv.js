@@ -0,0 +1,18 @@
+// Quote a value for CSV when it contains a separator, quote or line break
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for `rows` with the given columns, a header line first. Each column is a
+ * field name, or `[header, row => value]`.
+ */
+function toCsv(rows, columns) {
+  const header = columns.map(column => csvValue(Array.isArray(column) ? column[0] : column));
+  const lines = rows.map(row => columns.map(column => csvValue(Array.isArray(column) ? column[1](row) : row[column])).join(','));
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv, csvValue };
@@ -0,0 +1,6 @@
+// Round a peso amount to centavos, avoiding floating point residue (e.g. 0.1 + 0.2)
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+module.exports = { roundMoney };
@@ -0,0 +1,51 @@
+// Google encoded polyline format (precision 5) for [lng, lat] GeoJSON coordinates
+function encodeValue(value) {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let out = '';
+  while (v >= 0x20) {
+    out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return out + String.fromCharCode(v + 63);
+}
+
+function encodePolyline(coordinates) {
+  let lastLat = 0;
+  let lastLng = 0;
+  let out = '';
+  for (const [lng, lat] of coordinates) {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    out += encodeValue(latE5 - lastLat) + encodeValue(lngE5 - lastLng);
+    lastLat = latE5;
+    lastLng = lngE5;
+  }
+  return out;
+}
+
+// Back to [lng, lat] coordinates
+function decodePolyline(encoded) {
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < encoded.length) {
+    lat += next();
+    lng += next();
+    coordinates.push([lng / 1e5, lat / 1e5]);
+  }
+  return coordinates;
+}
+
+module.exports = { encodePolyline, decodePolyline };
@@ -0,0 +1,16 @@
+// Query parameters that carry secrets (e.g. the SMS delivery report ?token=) and must not be logged
+const SECRET_PARAMS = ['token', 'access_token', 'api_key', 'key', 'signature'];
+
+// `url` with the values of secret query parameters replaced, for logging
+function redactUrl(url) {
+  const text = String(url || '');
+  const start = text.indexOf('?');
+  if (start === -1) return text;
+  const query = text.slice(start + 1).split('&').map((pair) => {
+    const name = pair.split('=')[0];
+    return SECRET_PARAMS.includes(name.toLowerCase()) ? `${name}=[redacted]` : pair;
+  });
+  return `${text.slice(0, start)}?${query.join('&')}`;
+}
+
+module.exports = { SECRET_PARAMS, redactUrl };